@@ -0,0 +1,261 @@
+// lib/alerts.js — alert rules evaluated on every poller tick
+//
+// A rule watches one metric (see ALERT_METRICS). The metric yields one or more
+// series ({ labels, value }), e.g. one per domain; each series is tracked as
+// its own alert instance:
+//
+//   inactive ──cond──▶ pending ──held for `forMs`──▶ firing ──cond false for
+//   `resolveAfterMs`──▶ resolved (then suppressed for `cooldownMs`)
+//
+// Firing and resolved transitions are handed to `notify` and kept in history.
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+const MIN = 60_000;
+const HISTORY_MAX = 500;
+
+/** Metrics a rule can watch; `windowed` metrics use `windowMs`. */
+export const ALERT_METRICS = {
+  queue_depth:          { label: 'Queue depth',                    unit: 'msgs' },
+  queue_growth:         { label: 'Queue growth',                   unit: 'msgs/min', windowed: true },
+  domain_deferral_rate: { label: 'Deferrals per domain',           unit: 'per min',  windowed: true, perDomain: true },
+  domain_bounce_rate:   { label: 'Bounces per domain',             unit: 'per min',  windowed: true, perDomain: true },
+  disk_free_percent:    { label: 'Disk free % (per spool)',        unit: '%' },
+  inode_free_percent:   { label: 'Inodes free % (per spool)',      unit: '%' },
+  spool_hours_to_full:  { label: 'Spool time to full (forecast)',  unit: 'h' },
+  tailer_restarts:      { label: 'Log source restarts',            unit: 'restarts', windowed: true },
+};
+
+const OPS = {
+  '>':  (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<':  (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+};
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const DEFAULT_RULES = [
+  { name: 'Data spool nearly full', metric: 'disk_free_percent', op: '<', threshold: 10, forMs: 2 * MIN, severity: 'critical' },
+  { name: 'Spool inodes nearly exhausted', metric: 'inode_free_percent', op: '<', threshold: 10, forMs: 2 * MIN, severity: 'critical' },
+  { name: 'Spool fills up within 6 hours', metric: 'spool_hours_to_full', op: '<', threshold: 6, forMs: 10 * MIN, severity: 'warning' },
+  { name: 'Log source keeps restarting', metric: 'tailer_restarts', op: '>=', threshold: 3, windowMs: 10 * MIN, severity: 'warning' },
+];
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const instanceKey = (ruleId, labels) => `${ruleId}|${JSON.stringify(labels || {})}`;
+
+/**
+ * Validate and normalize a rule body; throws Error(message) on bad input.
+ * `prev` supplies defaults when updating an existing rule.
+ */
+export function normalizeRule(body = {}, prev = {}) {
+  const r = { ...prev, ...body };
+  const name = String(r.name ?? '').trim();
+  if (!name) throw new Error('name is required');
+  if (!ALERT_METRICS[r.metric]) throw new Error(`unknown metric "${r.metric}"`);
+  if (!OPS[r.op]) throw new Error(`op must be one of ${Object.keys(OPS).join(' ')}`);
+  const threshold = Number(r.threshold);
+  if (!Number.isFinite(threshold)) throw new Error('threshold must be a number');
+  const ms = (k, def) => {
+    const v = r[k] == null || r[k] === '' ? def : Number(r[k]);
+    if (!Number.isFinite(v) || v < 0) throw new Error(`${k} must be a non-negative number of ms`);
+    return v;
+  };
+  const severity = SEVERITIES.includes(r.severity) ? r.severity : 'warning';
+  const channels = Array.isArray(r.channels) ? r.channels.map(String).filter(Boolean) : [];
+  const domains = Array.isArray(r.domains) ? r.domains.map(d => String(d).toLowerCase().trim()).filter(Boolean) : [];
+  return {
+    id: prev.id || r.id || randomUUID(),
+    name,
+    enabled: r.enabled !== false,
+    metric: r.metric,
+    op: r.op,
+    threshold,
+    windowMs: ALERT_METRICS[r.metric].windowed ? Math.max(MIN, ms('windowMs', 5 * MIN)) : null,
+    forMs: ms('forMs', 0),
+    resolveAfterMs: ms('resolveAfterMs', MIN),
+    cooldownMs: ms('cooldownMs', 10 * MIN),
+    severity,
+    channels,               // channel names; empty = every configured channel
+    domains,                // per-domain metrics only; empty = all domains
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.file                 JSON file holding rules, channels, active alerts and history
+ * @param {(rule, now:number) => Array<{labels:object, value:number}>} opts.series
+ * @param {(event:object, rule:object, channels:object) => Promise<Array>} opts.notify
+ */
+export function createAlerts({ file, series, notify }) {
+  let rules = [];
+  let channels = { webhooks: [], email: { enabled: false, host: '127.0.0.1', port: 25, from: '', to: [] } };
+  let history = [];               // newest last
+  const active = new Map();       // instance key → { ruleId, labels, state, since, firedAt, falseSince, value }
+  const resolvedAt = new Map();   // instance key → ts (cooldown)
+  let saving = Promise.resolve();
+
+  async function load() {
+    try {
+      const st = JSON.parse(await fs.readFile(file, 'utf8'));
+      rules = Array.isArray(st.rules) ? st.rules.flatMap(r => { try { return [normalizeRule(r)]; } catch { return []; } }) : [];
+      if (st.channels) channels = { ...channels, ...st.channels };
+      history = Array.isArray(st.history) ? st.history.slice(-HISTORY_MAX) : [];
+      for (const a of Array.isArray(st.active) ? st.active : []) active.set(instanceKey(a.ruleId, a.labels), a);
+      for (const [k, t] of Object.entries(st.resolvedAt || {})) resolvedAt.set(k, t);
+    } catch {
+      rules = DEFAULT_RULES.map(r => normalizeRule(r));
+      await save();
+    }
+  }
+
+  function save() {
+    const body = JSON.stringify({
+      rules, channels, history,
+      active: [...active.values()],
+      resolvedAt: Object.fromEntries(resolvedAt),
+    }, null, 2);
+    saving = saving
+      .then(() => fs.mkdir(path.dirname(file), { recursive: true }))
+      .then(() => fs.writeFile(file, body))
+      .catch(() => {});
+    return saving;
+  }
+
+  function channelsFor(rule) {
+    const pick = (name) => !rule.channels.length || rule.channels.includes(name);
+    return {
+      webhooks: (channels.webhooks || []).filter(w => w.url && pick(w.name)),
+      email: channels.email?.enabled && pick('email') ? channels.email : null,
+    };
+  }
+
+  async function emit(status, rule, inst, now) {
+    const ev = {
+      id: randomUUID(),
+      ts: now,
+      status,
+      ruleId: rule.id,
+      rule: rule.name,
+      metric: rule.metric,
+      severity: rule.severity,
+      labels: inst.labels,
+      value: inst.value,
+      op: rule.op,
+      threshold: rule.threshold,
+      startsAt: inst.firedAt,
+      endsAt: status === 'resolved' ? now : null,
+    };
+    history.push(ev);
+    if (history.length > HISTORY_MAX) history = history.slice(-HISTORY_MAX);
+    try {
+      ev.deliveries = await notify(ev, rule, channelsFor(rule));
+    } catch (e) {
+      ev.deliveries = [{ channel: '*', ok: false, error: String(e) }];
+    }
+    save();
+  }
+
+  /** Evaluate every enabled rule once; call on each poller tick. */
+  function evaluate(now = Date.now()) {
+    const seen = new Set();
+    for (const rule of rules) {
+      if (!rule.enabled) continue;
+      let rows = [];
+      try { rows = series(rule, now) || []; } catch { rows = []; }
+      if (rule.domains.length) rows = rows.filter(r => rule.domains.includes(r.labels?.domain));
+
+      for (const { labels, value } of rows) {
+        if (!isNum(value)) continue;
+        const key = instanceKey(rule.id, labels);
+        const hit = OPS[rule.op](value, rule.threshold);
+        let inst = active.get(key);
+        if (hit) {
+          seen.add(key);
+          if (!inst) {
+            if (now - (resolvedAt.get(key) || 0) < rule.cooldownMs) continue;
+            inst = { ruleId: rule.id, labels, state: 'pending', since: now, firedAt: null, falseSince: null, value };
+            active.set(key, inst);
+          }
+          inst.value = value;
+          inst.falseSince = null;
+          if (inst.state === 'pending' && now - inst.since >= rule.forMs) {
+            inst.state = 'firing';
+            inst.firedAt = now;
+            emit('firing', rule, inst, now);
+          }
+        } else if (inst) {
+          inst.value = value;
+        }
+      }
+    }
+
+    // Anything active whose condition didn't hold this tick is pending→dropped or firing→resolving
+    for (const [key, inst] of active) {
+      if (seen.has(key)) continue;
+      const rule = rules.find(r => r.id === inst.ruleId);
+      if (!rule || !rule.enabled) { active.delete(key); continue; }
+      if (inst.state === 'pending') { active.delete(key); continue; }
+      inst.falseSince = inst.falseSince ?? now;
+      if (now - inst.falseSince >= rule.resolveAfterMs) {
+        active.delete(key);
+        resolvedAt.set(key, now);
+        emit('resolved', rule, inst, now);
+      }
+    }
+    for (const [key, t] of resolvedAt) if (now - t > 24 * 3600_000) resolvedAt.delete(key);
+  }
+
+  return {
+    load,
+    evaluate,
+    listRules: () => rules,
+    getChannels: () => channels,
+    activeAlerts: () => [...active.values()].map(a => ({ ...a, rule: rules.find(r => r.id === a.ruleId)?.name ?? null })),
+    history: ({ limit = 100, ruleId } = {}) =>
+      history.filter(h => !ruleId || h.ruleId === ruleId).slice(-limit).reverse(),
+
+    async addRule(body) {
+      const rule = normalizeRule({ ...body, id: undefined });
+      rules.push(rule);
+      await save();
+      return rule;
+    },
+    async updateRule(id, body) {
+      const i = rules.findIndex(r => r.id === id);
+      if (i < 0) return null;
+      rules[i] = normalizeRule({ ...body, id }, rules[i]);
+      await save();
+      return rules[i];
+    },
+    async deleteRule(id) {
+      const before = rules.length;
+      rules = rules.filter(r => r.id !== id);
+      for (const [k, a] of active) if (a.ruleId === id) active.delete(k);
+      await save();
+      return rules.length < before;
+    },
+    async setChannels(body = {}) {
+      const webhooks = (Array.isArray(body.webhooks) ? body.webhooks : []).map((w, i) => {
+        const url = String(w?.url ?? '').trim();
+        if (!/^https?:\/\//i.test(url)) throw new Error(`webhook ${i + 1}: url must be http(s)`);
+        return { name: String(w?.name ?? '').trim() || `webhook-${i + 1}`, url };
+      });
+      const e = body.email || {};
+      const to = (Array.isArray(e.to) ? e.to : String(e.to ?? '').split(/[,\s]+/)).map(s => String(s).trim()).filter(Boolean);
+      const email = {
+        enabled: !!e.enabled,
+        host: String(e.host ?? '127.0.0.1').trim() || '127.0.0.1',
+        port: Number(e.port) || 25,
+        from: String(e.from ?? '').trim(),
+        to,
+      };
+      if (email.enabled && (!email.from || !to.length)) throw new Error('email: from and to are required when enabled');
+      channels = { webhooks, email };
+      await save();
+      return channels;
+    },
+    flush: () => save(),
+  };
+}
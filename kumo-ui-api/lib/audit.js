@@ -0,0 +1,110 @@
+// lib/audit.js — append-only audit trail of administrative actions
+//
+// One JSONL file per UTC day (2025-01-31.jsonl) under `dir`. Entries are only
+// ever appended; nothing here rewrites or deletes them. Each entry:
+//   { id, ts, actor: { id, username, role, via }, ip, action, method, path,
+//     params, status, ok, exitCode, response, durationMs }
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+const DAY = 86_400_000;
+const RESPONSE_MAX = 4000;          // chars of upstream/route response kept per entry
+const PARAM_STRING_MAX = 1000;      // longer param strings (e.g. saved policy files) are cut
+const SECRET_KEYS = /pass(word)?|^current$|^next$|token|secret|api[_-]?key/i;
+const SECRET_VALUES = /\bkumo_[A-Za-z0-9_-]{16,}/g;   // API tokens, wherever they turn up
+
+/**
+ * Deep-copy params (or a response) with secrets masked and strings longer
+ * than `max` cut.
+ */
+export function redact(v, depth = 0, max = PARAM_STRING_MAX) {
+  if (typeof v === 'string') {
+    const s = v.replace(SECRET_VALUES, 'kumo_***');
+    return s.length > max ? `${s.slice(0, max)}… (${s.length} chars)` : s;
+  }
+  if (depth > 6 || v == null || typeof v !== 'object') return v;
+  if (Array.isArray(v)) return v.map(x => redact(x, depth + 1, max));
+  const out = {};
+  for (const [k, x] of Object.entries(v)) out[k] = SECRET_KEYS.test(k) ? '***' : redact(x, depth + 1, max);
+  return out;
+}
+
+function clip(v) {
+  if (v === undefined) return null;
+  const s = typeof v === 'string' ? v : JSON.stringify(v);
+  if (s == null || s.length <= RESPONSE_MAX) return v;
+  return s.slice(0, RESPONSE_MAX - 1) + '…';
+}
+
+const dayName = (t) => new Date(t).toISOString().slice(0, 10);
+
+const CSV_COLUMNS = ['ts', 'actor', 'role', 'via', 'ip', 'action', 'method', 'path', 'status', 'ok', 'exitCode', 'params', 'response', 'durationMs'];
+const csvCell = (v) => {
+  const s = v == null ? '' : typeof v === 'string' ? v : JSON.stringify(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** Entries → CSV text (header + one row per entry). */
+export function toCsv(entries) {
+  const rows = entries.map(e => [
+    new Date(e.ts).toISOString(), e.actor?.username, e.actor?.role, e.actor?.via, e.ip, e.action, e.method, e.path,
+    e.status, e.ok, e.exitCode, e.params, e.response, e.durationMs,
+  ].map(csvCell).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+export function createAuditLog({ dir }) {
+  let writes = Promise.resolve();
+
+  async function init() {
+    await fs.mkdir(dir, { recursive: true });
+  }
+
+  function append(entry) {
+    const e = {
+      id: randomUUID(), ts: Date.now(), ...entry,
+      params: redact(entry.params ?? null), response: clip(redact(entry.response, 0, RESPONSE_MAX)),
+    };
+    const file = path.join(dir, `${dayName(e.ts)}.jsonl`);
+    const line = JSON.stringify(e) + '\n';
+    writes = writes.then(() => fs.appendFile(file, line)).catch((err) => console.error(`audit append: ${err.message}`));
+    return e;
+  }
+
+  /**
+   * @param {{from?:number, to?:number, actor?:string, action?:string, limit?:number}} q
+   *   actor matches the username (case-insensitive, exact); action is a prefix
+   *   ("queue" matches queue.suspend, queue.bounce, …)
+   * @returns newest first
+   */
+  async function query({ from, to, actor, action, limit = 500 } = {}) {
+    await writes;
+    const lo = from ?? 0, hi = to ?? Date.now();
+    const files = (await fs.readdir(dir).catch(() => []))
+      .filter(f => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f))
+      .filter(f => { const t = Date.parse(f.slice(0, 10)); return t + DAY > lo && t <= hi; })
+      .sort()
+      .reverse();
+    const who = actor ? String(actor).toLowerCase() : null;
+    const out = [];
+    for (const f of files) {
+      const txt = await fs.readFile(path.join(dir, f), 'utf8').catch(() => '');
+      const day = [];
+      for (const line of txt.split('\n')) {
+        if (!line) continue;
+        let e;
+        try { e = JSON.parse(line); } catch { continue; }
+        if (e.ts < lo || e.ts > hi) continue;
+        if (who && String(e.actor?.username ?? '').toLowerCase() !== who) continue;
+        if (action && !String(e.action ?? '').startsWith(action)) continue;
+        day.push(e);
+      }
+      out.push(...day.reverse());
+      if (out.length >= limit) break;
+    }
+    return out.slice(0, limit);
+  }
+
+  return { init, append, query, flush: () => writes };
+}
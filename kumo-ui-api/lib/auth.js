@@ -0,0 +1,271 @@
+// lib/auth.js — local users, roles, sessions and API tokens
+//
+// Roles are ordered viewer < operator < admin; a route asks for the minimum.
+// Passwords are hashed with scrypt. Browser sessions are HS256 JWTs in an
+// httpOnly cookie (so EventSource streams are authenticated too); automation
+// uses API tokens ("kumo_…") sent as `Authorization: Bearer`, stored only as
+// SHA-256 hashes and scoped to a role no higher than their creator's.
+//
+// Everything lives in one JSON file (USERS_PATH): { secret, users, tokens }.
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+export const SESSION_COOKIE = 'kumo_session';
+
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 32 };
+const USERNAME_RE = /^[a-z0-9][a-z0-9._@-]{1,63}$/i;
+
+export const roleAtLeast = (role, min) => ROLES.indexOf(role) >= ROLES.indexOf(min);
+
+// ---------- Passwords ----------
+function scrypt(password, salt, { N, r, p, keylen } = SCRYPT) {
+  return new Promise((resolve, reject) =>
+    crypto.scrypt(password, salt, keylen, { N, r, p, maxmem: 64 * 1024 * 1024 }, (e, key) => (e ? reject(e) : resolve(key))));
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt);
+  return `scrypt$${SCRYPT.N}$${SCRYPT.r}$${SCRYPT.p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [kind, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (kind !== 'scrypt' || !hash) return false;
+  const want = Buffer.from(hash, 'base64');
+  const got = await scrypt(String(password), Buffer.from(salt, 'base64'), { N: +N, r: +r, p: +p, keylen: want.length });
+  return crypto.timingSafeEqual(want, got);
+}
+
+function checkPassword(pw) {
+  if (typeof pw !== 'string' || pw.length < 10) throw new Error('password must be at least 10 characters');
+}
+
+// ---------- JWT (HS256) ----------
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+function signJwt(payload, secret) {
+  const head = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = b64url(JSON.stringify(payload));
+  const sig = crypto.createHmac('sha256', secret).update(`${head}.${body}`).digest('base64url');
+  return `${head}.${body}.${sig}`;
+}
+
+function verifyJwt(token, secret, now = Date.now()) {
+  const [head, body, sig] = String(token || '').split('.');
+  if (!sig) return null;
+  const want = crypto.createHmac('sha256', secret).update(`${head}.${body}`).digest();
+  const got = Buffer.from(sig, 'base64url');
+  if (got.length !== want.length || !crypto.timingSafeEqual(got, want)) return null;
+  try {
+    const p = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return p.exp && p.exp * 1000 > now ? p : null;
+  } catch { return null; }
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+export function parseCookies(header = '') {
+  const out = {};
+  for (const part of String(header).split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+const publicUser = (u) => ({ id: u.id, username: u.username, role: u.role, disabled: !!u.disabled, createdAt: u.createdAt, lastLogin: u.lastLogin ?? null });
+const publicToken = (t) => ({ id: t.id, name: t.name, role: t.role, prefix: t.prefix, createdBy: t.createdBy, createdAt: t.createdAt, expiresAt: t.expiresAt ?? null, lastUsed: t.lastUsed ?? null });
+
+/**
+ * @param {object} opts
+ * @param {string} opts.file          users/tokens JSON file
+ * @param {number} opts.sessionMs     session lifetime
+ * @param {string} [opts.apiKey]      legacy shared X-API-Key (treated as `apiKeyRole`)
+ * @param {string} [opts.apiKeyRole]
+ */
+export function createAuth({ file, sessionMs, apiKey = '', apiKeyRole = 'viewer' }) {
+  let secret = null;
+  let users = [];
+  let tokens = [];
+  let saving = Promise.resolve();
+
+  function save() {
+    const body = JSON.stringify({ secret, users, tokens }, null, 2);
+    saving = saving
+      .then(() => fs.mkdir(path.dirname(file), { recursive: true }))
+      .then(() => fs.writeFile(file, body, { mode: 0o600 }))
+      .catch((e) => console.error(`auth save ${file}: ${e.message}`));
+    return saving;
+  }
+
+  /**
+   * Load users; with none on disk, create the first admin from ADMIN_USER /
+   * ADMIN_PASSWORD or a generated password written to `passwordFile` (0600),
+   * never to the log.
+   */
+  async function load({ adminUser = 'admin', adminPassword = '', passwordFile } = {}) {
+    try {
+      const st = JSON.parse(await fs.readFile(file, 'utf8'));
+      secret = st.secret || null;
+      users = Array.isArray(st.users) ? st.users : [];
+      tokens = Array.isArray(st.tokens) ? st.tokens : [];
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    let dirty = false;
+    if (!secret) { secret = crypto.randomBytes(32).toString('base64'); dirty = true; }
+    if (!users.length) {
+      const password = adminPassword || crypto.randomBytes(12).toString('base64url');
+      users.push({
+        id: crypto.randomUUID(), username: adminUser, role: 'admin',
+        hash: await hashPassword(password), ver: 1, createdAt: Date.now(),
+      });
+      if (adminPassword) console.log(`auth: created admin user "${adminUser}" from ADMIN_PASSWORD`);
+      else {
+        await fs.mkdir(path.dirname(passwordFile), { recursive: true });
+        await fs.writeFile(passwordFile, password + '\n', { mode: 0o600 });
+        await fs.chmod(passwordFile, 0o600);   // in case the file was there already
+        console.log(`auth: created admin user "${adminUser}"; its password is in ${passwordFile} — change it after first login, then delete the file`);
+      }
+      dirty = true;
+    }
+    if (dirty) await save();
+  }
+
+  // ---------- Sessions ----------
+  async function login(username, password) {
+    const u = users.find(x => x.username.toLowerCase() === String(username || '').toLowerCase());
+    // Hash anyway for unknown users so timing doesn't reveal which usernames exist
+    const ok = await verifyPassword(password, u?.hash ?? 'scrypt$16384$8$1$AAAAAAAAAAAAAAAAAAAAAA==$AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=');
+    if (!u || !ok || u.disabled) return null;
+    u.lastLogin = Date.now();
+    save();
+    const exp = Math.floor((Date.now() + sessionMs) / 1000);
+    return { token: signJwt({ sub: u.id, ver: u.ver ?? 1, exp }, secret), user: publicUser(u), expiresAt: exp * 1000 };
+  }
+
+  /**
+   * Resolve the caller from a session cookie, a bearer token or the legacy
+   * API key. Returns { id, username, role, via } or null.
+   */
+  function authenticate(req) {
+    const bearer = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i)?.[1]?.trim();
+    if (bearer?.startsWith('kumo_')) {
+      const h = sha256(bearer);
+      const t = tokens.find(x => x.hash === h);
+      if (!t || (t.expiresAt && t.expiresAt < Date.now())) return null;
+      const owner = users.find(u => u.id === t.createdBy);
+      if (!owner || owner.disabled) return null;
+      t.lastUsed = Date.now();
+      // A token never outranks its owner, even after the owner is demoted
+      const role = roleAtLeast(owner.role, t.role) ? t.role : owner.role;
+      return { id: `token:${t.id}`, username: `${owner.username}/${t.name}`, role, via: 'token' };
+    }
+    const jwt = bearer || parseCookies(req.get('cookie'))[SESSION_COOKIE];
+    if (jwt) {
+      const p = verifyJwt(jwt, secret);
+      const u = p && users.find(x => x.id === p.sub);
+      if (!u || u.disabled || (u.ver ?? 1) !== p.ver) return null;
+      return { id: u.id, username: u.username, role: u.role, via: 'session' };
+    }
+    const key = req.get('x-api-key');
+    if (apiKey && key && key.length === apiKey.length && crypto.timingSafeEqual(Buffer.from(key), Buffer.from(apiKey))) {
+      return { id: 'api-key', username: 'api-key', role: apiKeyRole, via: 'api-key' };
+    }
+    return null;
+  }
+
+  // ---------- Users ----------
+  const findUser = (id) => users.find(u => u.id === id);
+  const admins = () => users.filter(u => u.role === 'admin' && !u.disabled);
+
+  async function addUser({ username, password, role = 'viewer' } = {}) {
+    username = String(username ?? '').trim();
+    if (!USERNAME_RE.test(username)) throw new Error('username must be 2-64 characters: letters, digits, . _ @ -');
+    if (users.some(u => u.username.toLowerCase() === username.toLowerCase())) throw new Error('username already exists');
+    if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+    checkPassword(password);
+    const u = { id: crypto.randomUUID(), username, role, hash: await hashPassword(password), ver: 1, createdAt: Date.now() };
+    users.push(u);
+    await save();
+    return publicUser(u);
+  }
+
+  async function updateUser(id, { role, password, disabled } = {}) {
+    const u = findUser(id);
+    if (!u) return null;
+    if (role !== undefined && !ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+    const demoting = (role !== undefined && role !== 'admin') || disabled === true;
+    if (u.role === 'admin' && demoting && admins().length <= 1) throw new Error('cannot demote or disable the last admin');
+    if (role !== undefined) u.role = role;
+    if (disabled !== undefined) u.disabled = !!disabled;
+    if (password !== undefined) {
+      checkPassword(password);
+      u.hash = await hashPassword(password);
+      u.ver = (u.ver ?? 1) + 1;          // ends existing sessions
+    }
+    await save();
+    return publicUser(u);
+  }
+
+  async function deleteUser(id) {
+    const u = findUser(id);
+    if (!u) return false;
+    if (u.role === 'admin' && admins().length <= 1) throw new Error('cannot delete the last admin');
+    users = users.filter(x => x.id !== id);
+    tokens = tokens.filter(t => t.createdBy !== id);
+    await save();
+    return true;
+  }
+
+  async function changePassword(id, current, next) {
+    const u = findUser(id);
+    if (!u || !(await verifyPassword(current, u.hash))) throw new Error('current password is wrong');
+    await updateUser(id, { password: next });
+  }
+
+  // ---------- API tokens ----------
+  async function addToken(owner, { name, role, expiresInDays } = {}) {
+    name = String(name ?? '').trim();
+    if (!name) throw new Error('name is required');
+    role = role || owner.role;
+    if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+    if (!roleAtLeast(owner.role, role)) throw new Error('a token cannot have a higher role than its creator');
+    const days = Number(expiresInDays);
+    const plain = `kumo_${crypto.randomBytes(24).toString('base64url')}`;
+    const t = {
+      id: crypto.randomUUID(), name, role,
+      hash: sha256(plain), prefix: plain.slice(0, 9),
+      createdBy: owner.id, createdAt: Date.now(),
+      expiresAt: Number.isFinite(days) && days > 0 ? Date.now() + days * 86_400_000 : null,
+    };
+    tokens.push(t);
+    await save();
+    return { ...publicToken(t), token: plain };
+  }
+
+  async function deleteToken(id) {
+    const before = tokens.length;
+    tokens = tokens.filter(t => t.id !== id);
+    await save();
+    return tokens.length < before;
+  }
+
+  return {
+    load,
+    login,
+    authenticate,
+    listUsers: () => users.map(publicUser),
+    addUser,
+    updateUser,
+    deleteUser,
+    changePassword,
+    listTokens: () => tokens.map(t => ({ ...publicToken(t), owner: findUser(t.createdBy)?.username ?? null })),
+    addToken,
+    deleteToken,
+    flush: () => save(),
+  };
+}
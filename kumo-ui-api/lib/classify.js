@@ -0,0 +1,125 @@
+// lib/classify.js — sort deferrals and bounces into causes
+//
+// Rules are tried in order; the first match wins. A rule matches when any of
+// its `text` regex, `enhanced` code prefixes or SMTP `code` list matches.
+// Text rules come first because providers reuse generic codes (4.7.0, 5.7.1)
+// for very different reasons. Extra rules from CLASSIFY_RULES_PATH are
+// tried before KumoMTA's bounce_classification and the built-ins, e.g.:
+//   [{ "category": "policy_block", "text": "SURBL", "enhanced": ["5.7.9"] }]
+import { promises as fs } from 'node:fs';
+
+export const CATEGORIES = {
+  mailbox_full:   'Mailbox full',
+  unknown_user:   'Unknown user',
+  policy_block:   'Policy / spam block',
+  rate_limited:   'Rate limited',
+  greylisted:     'Greylisted',
+  dns_failure:    'DNS failure',
+  tls_failure:    'TLS failure',
+  auth_failure:   'Auth failure',
+  connection:     'Connection failure',
+  other:          'Other',
+};
+
+export const BUILTIN_RULES = [
+  // --- text first ---
+  { category: 'greylisted',   text: /\bgr[ae]y[- ]?list(?:ed|ing)?\b|\bgreylisting in action\b|\bplease try again later\b.*\bgr[ae]y/i },
+  { category: 'rate_limited', text: /\brate[- ]?limit(?:ed|ing)?\b|\btoo many (?:messages|connections|recipients|concurrent)\b|\bthrottl(?:ed|ing)\b|\bexceeded\b.*\b(?:rate|limit|quota for sending)\b|\breceiving mail at a rate\b|\btemporarily deferred\b|\bTS0[1-4]\b/i },
+  { category: 'mailbox_full', text: /\bmailbox (?:is )?full\b|\bover ?quota\b|\bquota exceeded\b|\binsufficient (?:system )?storage\b|\bmailbox size limit\b/i },
+  { category: 'unknown_user', text: /\buser unknown\b|\bunknown (?:user|recipient)\b|\bno such (?:user|mailbox|recipient)\b|\bmailbox (?:unavailable|not found|does not exist)\b|\brecipient (?:address )?rejected\b|\baddress (?:does not exist|rejected)\b|\bdoes not exist\b|\binvalid recipient\b|\baccount (?:has been )?disabled\b/i },
+  { category: 'tls_failure',  text: /\b(?:start)?tls\b|\bssl\b|\bcertificate\b|\bhandshake\b|\bcipher\b/i },
+  { category: 'dns_failure',  text: /\bdns\b|\bmx (?:lookup|record)\b|\bno mx\b|\bnxdomain\b|\bservfail\b|\bhost not found\b|\bname or service not known\b|\bno (?:address|a\/aaaa) records?\b|\bdomain (?:not found|does not exist)\b/i },
+  { category: 'auth_failure', text: /\bspf\b|\bdkim\b|\bdmarc\b|\bunauthenticated\b|\bauthentication (?:required|failed|credentials)\b|\bnot authorized to send\b|\bsender (?:not )?authoriz/i },
+  { category: 'policy_block', text: /\bspam\b|\bblock(?:ed|list(?:ed)?)\b|\bblacklist(?:ed)?\b|\blisted (?:at|on|in|by)\b|\bspamhaus\b|\bsurbl\b|\bbarracuda\b|\breputation\b|\bpolicy\b|\bcontent rejected\b|\bmessage rejected\b|\bnot accepted\b|\bbulk mail\b|\bphish/i },
+  { category: 'connection',   text: /\bconnection (?:refused|reset|timed out|closed|lost)\b|\btimed? ?out\b|\bnetwork is unreachable\b|\bno route to host\b|\bbroken pipe\b/i },
+
+  // --- enhanced status code fallbacks (RFC 3463) ---
+  { category: 'mailbox_full', enhanced: ['4.2.2', '5.2.2'] },
+  { category: 'unknown_user', enhanced: ['5.1.1', '5.1.0', '5.1.6', '5.1.10', '5.2.1'] },
+  { category: 'rate_limited', enhanced: ['4.7.28', '4.2.1', '4.3.2', '5.7.28'] },
+  { category: 'dns_failure',  enhanced: ['5.1.2', '4.4.3', '5.4.4', '4.4.4'] },
+  { category: 'tls_failure',  enhanced: ['5.7.10', '4.7.5', '5.7.5', '5.7.11'] },
+  { category: 'auth_failure', enhanced: ['5.7.8', '5.7.20', '5.7.21', '5.7.22', '5.7.23', '5.7.24', '5.7.25', '5.7.26', '5.7.27', '5.7.57'] },
+  { category: 'connection',   enhanced: ['4.4.1', '4.4.2', '4.4.7', '5.4.7'] },
+  { category: 'policy_block', enhanced: ['5.7.1', '5.7.0', '5.7.', '4.7.1', '5.3.4', '5.6.'] },
+];
+
+// KumoMTA's own bounce classifier (bounce_classification in log records),
+// used when present and no operator rule matched first.
+export const KUMO_CLASS_MAP = {
+  InvalidRecipient: 'unknown_user',
+  QuotaIssues: 'mailbox_full',
+  DNSFailure: 'dns_failure',
+  SpamBlock: 'policy_block',
+  SpamContent: 'policy_block',
+  PolicyRelated: 'policy_block',
+  RelayDenied: 'policy_block',
+  ProhibitedAttachment: 'policy_block',
+  VirusRelated: 'policy_block',
+  BadConnection: 'connection',
+};
+
+// Compile a user-supplied JSON rule (string regex) into the built-in shape
+function compileRule(r) {
+  if (!r || !CATEGORIES[r.category]) throw new Error(`unknown category "${r?.category}"`);
+  return {
+    category: r.category,
+    text: r.text ? new RegExp(r.text, r.flags ?? 'i') : undefined,
+    enhanced: Array.isArray(r.enhanced) ? r.enhanced.map(String) : undefined,
+    code: Array.isArray(r.code) ? r.code.map(Number) : undefined,
+    custom: true,
+  };
+}
+
+// An enhanced prefix ending in "." matches the whole subject ("5.7." → 5.7.x)
+const enhancedMatches = (prefixes, enh) =>
+  !!enh && prefixes.some(p => (p.endsWith('.') ? enh.startsWith(p) : enh === p));
+
+const matchRules = (rules, enh, c, t) => {
+  for (const r of rules) {
+    if (r.text && r.text.test(t)) return r.category;
+    if (r.enhanced && enhancedMatches(r.enhanced, enh)) return r.category;
+    if (r.code && r.code.includes(c)) return r.category;
+  }
+  return null;
+};
+
+export function createClassifier() {
+  let custom = [];
+
+  return {
+    /** Load extra rules from a JSON file; missing file = built-ins only. */
+    async load(file) {
+      if (!file) return;
+      try {
+        const extra = JSON.parse(await fs.readFile(file, 'utf8'));
+        custom = (Array.isArray(extra) ? extra : []).map(compileRule);
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.error(`classify rules ${file}: ${e.message}`);
+        custom = [];
+      }
+    },
+
+    /**
+     * @param {{code?: number|string, enhanced?: string, text?: string, kumoClass?: string}} e
+     * @returns {string} category key
+     */
+    classify({ code, enhanced, text, kumoClass } = {}) {
+      const enh = enhanced ? String(enhanced).trim() : '';
+      const c = Number(code);
+      const t = String(text || '');
+      return matchRules(custom, enh, c, t)
+        || KUMO_CLASS_MAP[kumoClass]
+        || matchRules(BUILTIN_RULES, enh, c, t)
+        || 'other';
+    },
+
+    rules: () => [...custom, ...BUILTIN_RULES].map(r => ({
+      category: r.category,
+      text: r.text ? r.text.source : null,
+      enhanced: r.enhanced ?? null,
+      code: r.code ?? null,
+      custom: !!r.custom,
+    })),
+  };
+}
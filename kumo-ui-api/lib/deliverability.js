@@ -0,0 +1,126 @@
+// lib/deliverability.js — per-domain / per-provider drill-down from the message index
+//
+// Counts the attempt records that fall in the window: Delivery → delivered,
+// TransientFailure → deferred, Bounce / AdminBounce → bounced, Expiration →
+// expired. Rates are each outcome's share of those records, overall and per
+// time bucket. Delivery latency runs from reception (the record's `created`,
+// else the message's Reception record) to its Delivery record.
+
+export const OUTCOMES = ['delivered', 'deferred', 'bounced', 'expired'];
+const OUTCOME = {
+  Delivery: 'delivered',
+  TransientFailure: 'deferred',
+  Bounce: 'bounced',
+  AdminBounce: 'bounced',
+  Expiration: 'expired',
+};
+const TOP_RESPONSES = 10;
+const TOP_ROWS = 20;
+
+const zero = () => ({ delivered: 0, deferred: 0, bounced: 0, expired: 0 });
+const outcomeTotal = (c) => OUTCOMES.reduce((a, k) => a + c[k], 0);
+const outcomeRates = (c) => {
+  const total = outcomeTotal(c);
+  return Object.fromEntries(OUTCOMES.map(k => [k, total ? c[k] / total : null]));
+};
+
+// Addresses, queue ids and long numbers vary per message; fold them so one
+// reason ("421 4.7.0 Try again later, closing connection <id>") groups together
+function responseKey(text) {
+  return String(text || '')
+    .replace(/[^\s<>@]+@[^\s<>@]+/g, '<addr>')
+    .replace(/\b(?=[\w-]*\d)(?=[\w-]*[a-z])[\w-]{8,}\b/gi, '<id>')
+    .replace(/\b\d{5,}\b/g, '<n>')
+    .trim();
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const i = (sorted.length - 1) * q, lo = Math.floor(i), hi = Math.ceil(i);
+  return Math.round(sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo));
+}
+
+// Count map → rows sorted by outcome total, biggest first
+const ranked = (map, limit) => [...map.values()]
+  .map(r => ({ ...r, total: outcomeTotal(r) }))
+  .sort((a, b) => b.total - a.total)
+  .slice(0, limit);
+
+/**
+ * @param {object[][]} messages  record lists, oldest first (messages.select())
+ * @param {object} o
+ * @param {number} o.from      window start (epoch ms)
+ * @param {number} o.to        window end
+ * @param {number} o.step      bucket size for `series`
+ * @param {string} [o.node]    only this node's records
+ */
+export function deliverability(messages, { from, to, step, node }) {
+  const totals = { received: 0, ...zero() };
+  const buckets = new Map();     // bucket start → counts
+  const responses = new Map();   // outcome + code + folded text → row
+  const sources = new Map();     // source + pool → counts
+  const domains = new Map();     // recipient domain → counts
+  const latencies = [];
+  let messagesSeen = 0;
+
+  for (const recs of messages) {
+    let received = null, seen = false;
+    for (const r of recs) {
+      if (r.type === 'Reception') received = r.t;
+      if (r.t < from || r.t > to || (node && r.node !== node)) continue;
+      seen = true;
+      if (r.type === 'Reception') { totals.received++; continue; }
+      const kind = OUTCOME[r.type];
+      if (!kind) continue;
+      totals[kind]++;
+
+      const k = Math.floor(r.t / step) * step;
+      let b = buckets.get(k);
+      if (!b) buckets.set(k, (b = zero()));
+      b[kind]++;
+
+      if (kind === 'delivered') {
+        const t0 = r.created ?? received;
+        if (t0 != null && r.t >= t0) latencies.push(r.t - t0);
+      }
+
+      if (r.code != null || r.text) {
+        const rk = `${kind}\0${r.code ?? ''}\0${r.enhanced ?? ''}\0${responseKey(r.text)}`;
+        const row = responses.get(rk) || { outcome: kind, code: r.code, enhanced: r.enhanced, text: r.text, category: r.category, count: 0, lastSeen: 0 };
+        row.count++;
+        if (r.t >= row.lastSeen) Object.assign(row, { text: r.text, lastSeen: r.t });
+        responses.set(rk, row);
+      }
+
+      const sk = `${r.source ?? ''}\0${r.pool ?? ''}`;
+      const src = sources.get(sk) || { source: r.source, pool: r.pool, ...zero() };
+      src[kind]++;
+      sources.set(sk, src);
+
+      if (r.domain) {
+        const d = domains.get(r.domain) || { domain: r.domain, ...zero() };
+        d[kind]++;
+        domains.set(r.domain, d);
+      }
+    }
+    if (seen) messagesSeen++;
+  }
+
+  const series = [];
+  for (let t = Math.floor(from / step) * step; t <= to; t += step) {
+    const c = buckets.get(t) || zero();
+    series.push({ t, ...c, rates: outcomeRates(c) });
+  }
+  latencies.sort((a, b) => a - b);
+
+  return {
+    messages: messagesSeen,
+    totals,
+    rates: outcomeRates(totals),
+    latency: { samples: latencies.length, median: quantile(latencies, 0.5), p90: quantile(latencies, 0.9) },
+    series,
+    responses: [...responses.values()].sort((a, b) => b.count - a.count).slice(0, TOP_RESPONSES),
+    sources: ranked(sources, TOP_ROWS),
+    domains: ranked(domains, TOP_ROWS),
+  };
+}
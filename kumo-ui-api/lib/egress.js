@@ -0,0 +1,166 @@
+// lib/egress.js — per egress source and per pool series from metrics.json
+//
+// KumoMTA labels its outcome counters by provider and source
+// (total_messages_{delivered,transfail,fail}_by_provider_and_source), its ready
+// queues by source->site and its queued gauge by provider and pool. Each poll is
+// folded into one-minute buckets per node: counter increments add up, `queued`
+// keeps the latest value. A pool's outcomes are those of its member sources,
+// learned from the egress_source / egress_pool pair on log records; its queued
+// count is Kumo's own per-pool gauge.
+import { labeledRows, parseReadyQueueName } from './queues.js';
+
+const EGRESS_COUNTERS = ['delivered', 'transfail', 'fail'];
+const COUNTER_METRIC = {
+  delivered: 'total_messages_delivered_by_provider_and_source',
+  transfail: 'total_messages_transfail_by_provider_and_source',
+  fail:      'total_messages_fail_by_provider_and_source',
+};
+
+const zero = () => ({ delivered: 0, transfail: 0, fail: 0, queued: 0 });
+const add = (obj, k, field, v) => {
+  const row = (obj[k] ||= zero());
+  row[field] += v;
+};
+
+/**
+ * Per-source cumulative counters and queued (ready) counts, and per-pool queued
+ * counts, from one metrics.json.
+ */
+export function readEgress(m) {
+  const sources = {}, pools = {};
+  for (const field of EGRESS_COUNTERS) {
+    for (const { labels, value } of labeledRows(m?.[COUNTER_METRIC[field]])) {
+      if (labels.source != null) add(sources, labels.source, field, value);
+    }
+  }
+  for (const { labels, value } of labeledRows(m?.ready_count)) {
+    const p = parseReadyQueueName(labels.service ?? labels.queue ?? '');
+    if (p) add(sources, p.source, 'queued', value);
+  }
+  for (const { labels, value } of labeledRows(m?.queued_count_by_provider_and_pool)) {
+    if (labels.pool != null) add(pools, labels.pool, 'queued', value);
+  }
+  return { sources, pools };
+}
+
+// Counter increment; a drop means Kumo restarted and counts from zero again
+const inc = (cur, prev) => (prev == null ? 0 : cur >= prev ? cur - prev : cur);
+
+/**
+ * One node's egress buckets.
+ * @param {object} o
+ * @param {number} o.bucketMs   bucket size
+ * @param {number} o.retainMs   how long buckets are kept
+ */
+export function createEgressSeries({ bucketMs = 60_000, retainMs }) {
+  let buckets = [];            // [{ t, sources: {name: counts}, pools: {name: counts} }], oldest first
+  let prev = null;             // last cumulatives per source
+  const poolOf = new Map();    // source → pool (from log records)
+
+  /** Fold one metrics.json reading (see readEgress) in at time `now`. */
+  function push(now, reading) {
+    const t = Math.floor(now / bucketMs) * bucketMs;
+    let b = buckets[buckets.length - 1];
+    if (!b || b.t !== t) {
+      buckets.push((b = { t, sources: {}, pools: {} }));
+      const cutoff = now - retainMs;
+      while (buckets.length && buckets[0].t < cutoff) buckets.shift();
+    }
+    for (const row of Object.values(b.pools)) row.queued = 0;
+    for (const [name, cur] of Object.entries(reading.sources)) {
+      const row = (b.sources[name] ||= zero());
+      const pool = poolOf.get(name);
+      const pr = pool != null ? (b.pools[pool] ||= zero()) : null;
+      for (const k of EGRESS_COUNTERS) {
+        const d = inc(cur[k], prev?.[name]?.[k]);
+        row[k] += d;
+        if (pr) pr[k] += d;
+      }
+      row.queued = cur.queued;
+    }
+    for (const [name, cur] of Object.entries(reading.pools)) (b.pools[name] ||= zero()).queued = cur.queued;
+    prev = reading.sources;
+  }
+
+  /** Remember which pool a source sends for (from a log record). */
+  function learnPool(source, pool) {
+    if (source && pool && poolOf.get(source) !== pool) poolOf.set(String(source), String(pool));
+  }
+
+  function restore(saved) {
+    if (!saved) return;
+    const cutoff = Date.now() - retainMs;
+    buckets = Array.isArray(saved.buckets) ? saved.buckets.filter(b => b.t >= cutoff) : [];
+    for (const [s, p] of Object.entries(saved.pools || {})) poolOf.set(s, p);
+  }
+
+  return {
+    push,
+    learnPool,
+    restore,
+    buckets: () => buckets,
+    pools: () => poolOf,
+    toJSON: () => ({ buckets, pools: Object.fromEntries(poolOf) }),
+  };
+}
+
+const ratio = (a, total) => (total ? a / total : 0);
+
+/**
+ * Ranked rows for a window over several nodes' series: one row per node and
+ * source (or pool), with outcome sums, the latest queued count and ratios.
+ * @param {Array<{name:string, egress:object}>} nodes
+ * @param {'sources'|'pools'} kind
+ */
+export function egressRows(nodes, kind, { from, to }) {
+  const rows = [];
+  for (const st of nodes) {
+    const acc = new Map();
+    for (const b of st.egress.buckets()) {
+      if (b.t < from || b.t > to) continue;
+      for (const [name, c] of Object.entries(b[kind])) {
+        const row = acc.get(name) || { node: st.name, name, ...zero() };
+        for (const k of EGRESS_COUNTERS) row[k] += c[k];
+        row.queued = c.queued;
+        acc.set(name, row);
+      }
+    }
+    const members = new Map();
+    for (const [source, pool] of st.egress.pools()) {
+      if (kind === 'sources') members.set(source, [pool]);
+      else members.set(pool, [...(members.get(pool) || []), source]);
+    }
+    for (const row of acc.values()) {
+      const attempts = row.delivered + row.transfail + row.fail;
+      rows.push({
+        ...row,
+        [kind === 'sources' ? 'pools' : 'sources']: members.get(row.name) || [],
+        attempts,
+        deferralRatio: ratio(row.transfail, attempts),
+        failRatio: ratio(row.fail, attempts),
+      });
+    }
+  }
+  return rows;
+}
+
+/** Per-bucket counts for one source or pool, summed over `nodes`; empty buckets count zero, queued unknown (null). */
+export function egressSeries(nodes, kind, name, { from, to, bucketMs = 60_000 }) {
+  const byT = new Map();
+  for (const st of nodes) {
+    for (const b of st.egress.buckets()) {
+      const c = b[kind][name];
+      if (!c || b.t < from || b.t > to) continue;
+      const row = byT.get(b.t) || zero();
+      for (const k of [...EGRESS_COUNTERS, 'queued']) row[k] += c[k];
+      byT.set(b.t, row);
+    }
+  }
+  const out = [];
+  for (let t = Math.floor(from / bucketMs) * bucketMs; t <= to; t += bucketMs) {
+    const c = byT.get(t) || { ...zero(), queued: null };   // no sample: unknown, not empty
+    const attempts = c.delivered + c.transfail + c.fail;
+    out.push({ t, ...c, deferralRatio: attempts ? c.transfail / attempts : null });
+  }
+  return out;
+}
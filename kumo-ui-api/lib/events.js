@@ -0,0 +1,236 @@
+// lib/events.js — deferral/bounce counters and recent-error lists from the log stream
+//
+// Classified failures are counted in one-minute buckets per (node, kind,
+// domain, category) instead of being kept one by one. The buckets live in a
+// ring sized to the retention; each configured window (the last hour, the
+// whole retention) keeps running totals that are added to on record and
+// subtracted from as buckets slide out, so recording is O(1) and reading a
+// window costs O(distinct keys) however many events it holds. Other spans
+// are summed from the buckets they cover. Counts are per bucket, so a window
+// may include up to one minute more than its length.
+//
+// The last errors per domain are small ring buffers in a Map ordered by their
+// latest push; expired domains are dropped from the front as new errors come
+// in, and entries past the retention inside a live domain are skipped on read.
+
+const SEP = '\u0001';
+const keyOf = (d) => [d.node ?? '', d.kind, d.domain ?? '', d.category ?? ''].join(SEP);
+
+/**
+ * Fixed-size ring buffer: pushing past `size` overwrites the oldest item.
+ * @param {number} size
+ */
+export function createRing(size) {
+  let buf = new Array(size), start = 0, len = 0;
+
+  const ring = {
+    get length() { return len; },
+    push(v) {
+      if (len < size) buf[(start + len++) % size] = v;
+      else { buf[start] = v; start = (start + 1) % size; }
+      return v;
+    },
+    /** The newest item, or undefined. */
+    last() { return len ? buf[(start + len - 1) % size] : undefined; },
+    /** Oldest first. */
+    toArray() {
+      const out = new Array(len);
+      for (let i = 0; i < len; i++) out[i] = buf[(start + i) % size];
+      return out;
+    },
+    /** Up to `n` of the newest items passing `pred`, oldest first; stops as soon as it has them. */
+    latest(n, pred = () => true) {
+      const out = [];
+      for (let i = len - 1; i >= 0 && out.length < n; i--) {
+        const v = buf[(start + i) % size];
+        if (pred(v)) out.push(v);
+      }
+      return out.reverse();
+    },
+    /** Keeps the newest `n` items. */
+    resize(n) {
+      const keep = ring.toArray().slice(-n);
+      size = n; buf = new Array(n); start = 0; len = 0;
+      for (const v of keep) ring.push(v);
+    },
+  };
+  return ring;
+}
+
+/**
+ * Per-minute failure counts by node, kind ('deferral'|'bounce'), domain and category.
+ * @param {object} o
+ * @param {number} o.retainMs       how long buckets are kept
+ * @param {number} [o.bucketMs]     bucket size (one minute)
+ * @param {number[]} [o.windows]    spans (ms, ending now) kept as running totals besides the retention
+ */
+export function createEventIndex({ retainMs, bucketMs = 60_000, windows = [3_600_000] }) {
+  let cap, slots, wins, retained;
+  const dimsOf = new Map();   // key → { node, kind, domain, category }, while the key has retained events
+
+  function reset() {
+    cap = Math.ceil(retainMs / bucketMs) + 2;
+    slots = new Array(cap).fill(null);   // slot b % cap: { b, counts: Map<key, n> }
+    // the retention comes last: its slide drops the buckets the shorter windows have let go of already
+    wins = [...windows.filter(ms => ms < retainMs), retainMs].map(ms => ({ ms, edge: -Infinity, totals: new Map() }));
+    retained = wins[wins.length - 1];
+    dimsOf.clear();
+  }
+  reset();
+
+  const add = (totals, k, n) => totals.set(k, (totals.get(k) || 0) + n);
+  function sub(w, k, n) {
+    const left = (w.totals.get(k) || 0) - n;
+    if (left > 0) { w.totals.set(k, left); return; }
+    w.totals.delete(k);
+    if (w === retained) dimsOf.delete(k);
+  }
+
+  // Slide every window to `now`: the buckets that fell out are subtracted, and dropped past the retention
+  function advance(now) {
+    for (const w of wins) {
+      const first = Math.floor((now - w.ms) / bucketMs);
+      if (first <= w.edge) continue;
+      const drop = (s) => {
+        for (const [k, n] of s.counts) sub(w, k, n);
+        if (w === retained) slots[s.b % cap] = null;
+      };
+      if (first - w.edge <= cap) {
+        for (let b = w.edge; b < first; b++) if (slots[b % cap]?.b === b) drop(slots[b % cap]);
+      } else {
+        // after a long quiet spell (or the first time) look at each slot once instead
+        for (const s of slots) if (s && s.b >= w.edge && s.b < first) drop(s);
+      }
+      w.edge = first;
+    }
+  }
+
+  /** Count `n` events with these dimensions at time `t` (events older than the retention are ignored). */
+  function record(dims, t = Date.now(), n = 1) {
+    advance(Math.max(t, Date.now()));
+    const b = Math.floor(t / bucketMs);
+    if (b < retained.edge) return;
+    let s = slots[b % cap];
+    if (!s || s.b !== b) s = slots[b % cap] = { b, counts: new Map() };
+    const k = keyOf(dims);
+    if (!dimsOf.has(k)) {
+      dimsOf.set(k, { node: dims.node ?? null, kind: dims.kind, domain: dims.domain ?? null, category: dims.category ?? null });
+    }
+    add(s.counts, k, n);
+    for (const w of wins) if (b >= w.edge) add(w.totals, k, n);
+  }
+
+  // Buckets b in [from, to], oldest first
+  function* range(from, to) {
+    const lo = Math.max(from, retained.edge), hi = Math.min(to, lo + cap - 1);
+    for (let b = lo; b <= hi; b++) {
+      const s = slots[b % cap];
+      if (s && s.b === b) yield s;
+    }
+  }
+
+  return {
+    bucketMs,
+    record,
+
+    /**
+     * Counts over the last `ms` (null: the whole retention) as [dims, n] pairs.
+     * Configured windows read their running totals; other spans sum their buckets.
+     */
+    window(ms = null, now = Date.now()) {
+      advance(now);
+      const w = ms == null ? retained : wins.find(x => x.ms === ms);
+      if (w) return [...w.totals].map(([k, n]) => [dimsOf.get(k), n]);
+      const sums = new Map();
+      for (const s of range(Math.floor((now - ms) / bucketMs), Math.floor(now / bucketMs))) {
+        for (const [k, n] of s.counts) add(sums, k, n);
+      }
+      return [...sums].map(([k, n]) => [dimsOf.get(k), n]);
+    },
+
+    /** Buckets overlapping [from, to] (epoch ms) as { t, rows: [[dims, n]] }, oldest first. */
+    *buckets(from, to, now = Date.now()) {
+      advance(now);
+      for (const s of range(Math.floor(from / bucketMs), Math.floor(to / bucketMs))) {
+        yield { t: s.b * bucketMs, rows: [...s.counts].map(([k, n]) => [dimsOf.get(k), n]) };
+      }
+    },
+
+    /** Change the retention, keeping the buckets that still fall inside it. */
+    retain(ms) {
+      const saved = this.toJSON();
+      retainMs = ms;
+      reset();
+      this.restore(saved);
+    },
+
+    /** Distinct keys retained and buckets in use. */
+    size() {
+      return { keys: dimsOf.size, buckets: slots.reduce((a, s) => a + (s ? 1 : 0), 0) };
+    },
+
+    /** For the state file: { bucketMs, buckets: [{ t, rows: [[node, kind, domain, category, n]] }] }. */
+    toJSON() {
+      advance(Date.now());
+      const out = [];
+      for (const s of range(retained.edge, Math.floor(Date.now() / bucketMs))) {
+        out.push({ t: s.b * bucketMs, rows: [...s.counts].map(([k, n]) => {
+          const d = dimsOf.get(k);
+          return [d.node, d.kind, d.domain, d.category, n];
+        }) });
+      }
+      return { bucketMs, buckets: out };
+    },
+
+    /** Load what toJSON wrote (buckets past the retention are skipped). */
+    restore(saved) {
+      for (const { t, rows } of Array.isArray(saved?.buckets) ? saved.buckets : []) {
+        if (!Number.isFinite(t) || !Array.isArray(rows)) continue;
+        for (const [node, kind, domain, category, n] of rows) {
+          if (n > 0) record({ node, kind, domain, category }, t, n);
+        }
+      }
+    },
+  };
+}
+
+/**
+ * The newest errors per domain.
+ * @param {object} o
+ * @param {number} o.perDomain   entries kept per domain
+ * @param {number} o.retainMs    entries older than this are dropped
+ */
+export function createLastErrors({ perDomain, retainMs }) {
+  const lists = new Map();   // domain → ring; least recently pushed first
+
+  function gc(now) {
+    const cutoff = now - retainMs;
+    for (const [domain, ring] of lists) {
+      if (ring.last().ts >= cutoff) break;
+      lists.delete(domain);
+    }
+  }
+
+  return {
+    /** Adds an entry stamped `ts: now`; returns it. */
+    push(entry, now = Date.now()) {
+      let ring = lists.get(entry.domain);
+      if (ring) lists.delete(entry.domain); else ring = createRing(perDomain);
+      lists.set(entry.domain, ring);
+      const e = ring.push({ ...entry, ts: now });
+      gc(now);
+      return e;
+    },
+    /** Up to `limit` of a domain's newest entries (passing `pred`), oldest first. */
+    get(domain, limit = perDomain, pred, now = Date.now()) {
+      const cutoff = now - retainMs;
+      const ring = lists.get(domain);
+      return ring ? ring.latest(limit, (e) => e.ts >= cutoff && (!pred || pred(e))) : [];
+    },
+    /** Domains with entries, least recently pushed first. */
+    domains(now = Date.now()) {
+      gc(now);
+      return [...lists.keys()];
+    },
+  };
+}
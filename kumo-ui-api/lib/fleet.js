@@ -0,0 +1,86 @@
+// lib/fleet.js — the KumoMTA nodes this proxy watches
+//
+// The node list comes from NODES_PATH (a JSON array, or { "nodes": [...] }) or
+// the KUMO_NODES environment variable ("mta1=http://10.0.0.1:8000,mta2=…", or
+// the same JSON). Each node is { name, url, source?, tailer?, logDir? }. The
+// log source (lib/ingest.js) defaults to the tailer when there is a logDir (which
+// must be readable from this host, e.g. a mount) and to none otherwise. Without a
+// list the proxy watches one node, "local", which follows the KUMO_HTTP /
+// KUMO_SOURCE / KUMO_TAILER / KUMO_LOGDIR settings.
+import { promises as fs } from 'node:fs';
+import { SETTINGS } from './settings.js';
+import { sourceUses } from './ingest.js';
+
+export const LOCAL_NODE = 'local';
+const NAME = /^[A-Za-z0-9][A-Za-z0-9._-]{0,62}$/;
+
+/** Validate a node list; throws with a message naming the bad entry. */
+export function parseNodes(list) {
+  if (!Array.isArray(list) || !list.length) throw new Error('must be a non-empty list of nodes');
+  const seen = new Set();
+  return list.map((raw, i) => {
+    if (!raw || typeof raw !== 'object') throw new Error(`node ${i + 1}: must be an object`);
+    const name = String(raw.name ?? '').trim();
+    if (!NAME.test(name)) throw new Error(`node ${i + 1}: name must be letters, digits, ".", "_" or "-"`);
+    if (seen.has(name)) throw new Error(`${name}: duplicate node name`);
+    seen.add(name);
+    const field = (key, v) => {
+      try { return SETTINGS[key].parse(v); } catch (e) { throw new Error(`${name}: ${e.message}`); }
+    };
+    const node = {
+      name,
+      url: field('KUMO_HTTP', raw.url),
+      source: null,
+      tailer: raw.tailer ? field('KUMO_TAILER', raw.tailer) : null,
+      logDir: raw.logDir ? field('KUMO_LOGDIR', raw.logDir) : null,
+    };
+    node.source = raw.source ? field('KUMO_SOURCE', raw.source) : node.logDir ? 'tailer' : null;
+    if (node.source && sourceUses(node.source).logDir && !node.logDir) throw new Error(`${name}: source ${node.source} needs a logDir`);
+    return node;
+  });
+}
+
+// "name=url,name=url" (or a JSON list)
+function parseEnvList(s) {
+  const t = s.trim();
+  if (t.startsWith('[')) return JSON.parse(t);
+  return t.split(',').map(x => x.trim()).filter(Boolean).map((pair) => {
+    const i = pair.indexOf('=');
+    return i > 0 ? { name: pair.slice(0, i).trim(), url: pair.slice(i + 1).trim() } : { name: pair };
+  });
+}
+
+/**
+ * Read the configured node list. Throws on a broken file or variable.
+ * @returns {Promise<{source: 'file'|'env', nodes: Array}|null>}  null = single node following the settings
+ */
+export async function loadNodes({ file, env = process.env }) {
+  let txt = null;
+  try {
+    txt = await fs.readFile(file, 'utf8');
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw new Error(`cannot read ${file}: ${e.message}`);
+  }
+  if (txt != null) {
+    let j;
+    try { j = JSON.parse(txt); } catch (e) { throw new Error(`${file}: ${e.message}`); }
+    try { return { source: 'file', nodes: parseNodes(Array.isArray(j) ? j : j?.nodes) }; } catch (e) { throw new Error(`${file}: ${e.message}`); }
+  }
+  if (env.KUMO_NODES) {
+    try { return { source: 'env', nodes: parseNodes(parseEnvList(env.KUMO_NODES)) }; } catch (e) { throw new Error(`KUMO_NODES: ${e.message}`); }
+  }
+  return null;
+}
+
+/** The implicit single node, built from the current settings. */
+export const localNode = (s) => ({ name: LOCAL_NODE, url: s.KUMO_HTTP, source: s.KUMO_SOURCE, tailer: s.KUMO_TAILER, logDir: s.KUMO_LOGDIR });
+
+/**
+ * up    — the last poll succeeded and is at most staleMs old
+ * stale — no fresh metrics within staleMs, but no refusal either (timeouts, or not polled yet)
+ * down  — the last poll failed (connection refused, HTTP error, bad JSON)
+ */
+export function nodeHealth(st, now, staleMs) {
+  if (st.lastPoll.t && !st.lastPoll.ok) return 'down';
+  return st.lastOk && now - st.lastOk <= staleMs ? 'up' : 'stale';
+}
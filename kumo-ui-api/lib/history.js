@@ -0,0 +1,220 @@
+// lib/history.js — durable metrics history (append-only segment files)
+//
+// Every poller sample is written to a raw tier and rolled up into 1m, 1h and
+// 1d buckets. Each tier lives in its own directory of JSONL segments:
+//   raw/ and 1m/ → one file per UTC day   (2025-01-31.jsonl)
+//   1h/          → one file per UTC month (2025-01.jsonl)
+//   1d/          → one file per UTC year  (2025.jsonl)
+// Retention drops whole segments once they fall out of the tier's window.
+// Buckets still being filled are kept in open.json so restarts don't lose them.
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+const MIN = 60_000, HOUR = 3_600_000, DAY = 86_400_000;
+const COUNTERS = ['received', 'delivered', 'deferred', 'bounced'];
+const MAX_POINTS = 720;
+
+export const TIERS = [
+  { name: 'raw', ms: 0,    segment: 'day'   },
+  { name: '1m',  ms: MIN,  segment: 'day'   },
+  { name: '1h',  ms: HOUR, segment: 'month' },
+  { name: '1d',  ms: DAY,  segment: 'year'  },
+];
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const n = (v) => (isNum(v) ? v : 0);
+
+// ---------- Time parsing ----------
+const UNIT_MS = { s: 1000, m: MIN, h: HOUR, d: DAY, w: 7 * DAY };
+
+/** "90s", "5m", "1h", "7d" or a plain millisecond number → ms (null if invalid). */
+export function parseDuration(v) {
+  if (v == null || v === '') return null;
+  if (isNum(v)) return v > 0 ? v : null;
+  const s = String(v).trim();
+  if (/^\d+$/.test(s)) return Number(s) > 0 ? Number(s) : null;
+  const m = s.match(/^(\d+(?:\.\d+)?)\s*([smhdw])$/i);
+  return m ? Number(m[1]) * UNIT_MS[m[2].toLowerCase()] : null;
+}
+
+/** Epoch ms, ISO date or relative "-6h" → epoch ms (null if invalid). */
+export function parseTime(v, now = Date.now()) {
+  if (v == null || v === '') return null;
+  const s = String(v).trim();
+  if (s === 'now') return now;
+  if (s.startsWith('-')) { const d = parseDuration(s.slice(1)); return d ? now - d : null; }
+  if (/^\d+$/.test(s)) return Number(s);
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? t : null;
+}
+
+// ---------- Segments ----------
+const pad = (x) => String(x).padStart(2, '0');
+function segmentName(kind, t) {
+  const d = new Date(t);
+  if (kind === 'year') return `${d.getUTCFullYear()}`;
+  if (kind === 'month') return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}`;
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+// [start, end) covered by a segment file name
+function segmentRange(kind, name) {
+  const [y, mo = 1, d = 1] = name.split('-').map(Number);
+  const start = Date.UTC(y, mo - 1, d);
+  const end = kind === 'year' ? Date.UTC(y + 1, 0, 1)
+    : kind === 'month' ? Date.UTC(y, mo, 1)
+    : start + DAY;
+  return [start, end];
+}
+
+// ---------- Buckets ----------
+function emptyBucket(t) {
+  return { t, received: 0, delivered: 0, deferred: 0, bounced: 0, depthSum: 0, depthN: 0, depthMax: 0, ready: 0, scheduled: 0 };
+}
+function mergeInto(dst, src) {
+  for (const c of COUNTERS) dst[c] += n(src[c]);
+  dst.depthSum += n(src.depthSum);
+  dst.depthN += n(src.depthN);
+  dst.depthMax = Math.max(dst.depthMax, n(src.depthMax));
+  dst.ready = n(src.ready);
+  dst.scheduled = n(src.scheduled);
+  return dst;
+}
+// Counter increment, tolerant of Kumo restarts resetting cumulatives
+const inc = (cur, prev) => (prev == null ? 0 : cur >= prev ? cur - prev : cur);
+
+const bucketStart = (t, ms) => (ms >= DAY ? Math.floor(t / DAY) * DAY : Math.floor(t / ms) * ms);
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dir                 root directory for segments
+ * @param {Record<string, number>} opts.retainMs  retention per tier name
+ * @param {number} [opts.sampleMs]          raw sample interval (for step selection)
+ */
+export function createHistory({ dir, retainMs, sampleMs = 3000 }) {
+  let prev = null;                 // last raw cumulatives, for increments
+  const open = {};                 // tier name → bucket being filled
+  let writes = Promise.resolve();  // serialized appends
+
+  const tierDir = (t) => path.join(dir, t.name);
+  const segPath = (t, ts) => path.join(tierDir(t), `${segmentName(t.segment, ts)}.jsonl`);
+
+  function append(tier, rec) {
+    const file = segPath(tier, rec.t);
+    const line = JSON.stringify(rec) + '\n';
+    writes = writes.then(() => fs.appendFile(file, line)).catch(() => {});
+  }
+
+  // Close tier i's bucket and push it up the chain
+  function close(i) {
+    const tier = TIERS[i];
+    const b = open[tier.name];
+    if (!b) return;
+    delete open[tier.name];
+    append(tier, b);
+    feed(i + 1, b);
+  }
+  function feed(i, rec) {
+    const tier = TIERS[i];
+    if (!tier) return;
+    const start = bucketStart(rec.t, tier.ms);
+    if (open[tier.name] && open[tier.name].t !== start) close(i);
+    open[tier.name] = mergeInto(open[tier.name] || emptyBucket(start), rec);
+  }
+
+  async function init() {
+    for (const t of TIERS) await fs.mkdir(tierDir(t), { recursive: true });
+    try {
+      const st = JSON.parse(await fs.readFile(path.join(dir, 'open.json'), 'utf8'));
+      prev = st.prev ?? null;
+      Object.assign(open, st.open ?? {});
+    } catch {}
+    await gc();
+  }
+
+  async function flush() {
+    await writes;
+    await fs.writeFile(path.join(dir, 'open.json'), JSON.stringify({ prev, open, savedAt: Date.now() }));
+  }
+
+  /** Record one poller sample (cumulative counters + queue gauges). */
+  function record(s) {
+    const rec = { t: s.t, depthSum: n(s.depth), depthN: 1, depthMax: n(s.depth), ready: n(s.ready), scheduled: n(s.scheduled) };
+    for (const c of COUNTERS) rec[c] = inc(n(s[c]), prev?.[c]);
+    prev = Object.fromEntries(COUNTERS.map(c => [c, n(s[c])]));
+    append(TIERS[0], rec);
+    feed(1, rec);
+  }
+
+  async function gc(now = Date.now()) {
+    for (const t of TIERS) {
+      const keep = retainMs[t.name];
+      if (!isNum(keep)) continue;
+      let files = [];
+      try { files = await fs.readdir(tierDir(t)); } catch { continue; }
+      for (const f of files) {
+        if (!f.endsWith('.jsonl')) continue;
+        const [, end] = segmentRange(t.segment, f.slice(0, -6));
+        if (end < now - keep) await fs.rm(path.join(tierDir(t), f), { force: true });
+      }
+    }
+  }
+
+  async function readTier(tier, from, to) {
+    let files = [];
+    try { files = (await fs.readdir(tierDir(tier))).filter(f => f.endsWith('.jsonl')).sort(); } catch {}
+    const out = [];
+    for (const f of files) {
+      const [start, end] = segmentRange(tier.segment, f.slice(0, -6));
+      if (end <= from || start > to) continue;
+      const txt = await fs.readFile(path.join(tierDir(tier), f), 'utf8').catch(() => '');
+      for (const ln of txt.split('\n')) {
+        if (!ln) continue;
+        let r; try { r = JSON.parse(ln); } catch { continue; } // partial tail line
+        if (r.t >= from && r.t <= to) out.push(r);
+      }
+    }
+    const b = open[tier.name];
+    if (b && b.t >= from && b.t <= to) out.push({ ...b });
+    return out;
+  }
+
+  // Finest tier that still retains `from` and isn't finer than the step needs
+  function pickTier(from, step, now) {
+    const covering = TIERS.filter(t => !isNum(retainMs[t.name]) || now - retainMs[t.name] <= from);
+    const pool = covering.length ? covering : [TIERS[TIERS.length - 1]];
+    const fits = pool.filter(t => (t.ms || sampleMs) <= step);
+    return fits.length ? fits[fits.length - 1] : pool[0];
+  }
+
+  /**
+   * Range query; points are re-bucketed to `step` ms.
+   * @returns {{from:number, to:number, step:number, tier:string, points:Array}}
+   */
+  async function query({ from, to, step } = {}, now = Date.now()) {
+    to = isNum(to) ? Math.min(to, now) : now;
+    from = isNum(from) ? from : to - HOUR;
+    if (!isNum(step)) step = Math.max(sampleMs, Math.ceil((to - from) / MAX_POINTS));
+    const tier = pickTier(from, step, now);
+    step = Math.max(step, tier.ms || sampleMs);
+    if ((to - from) / step > MAX_POINTS * 4) step = Math.ceil((to - from) / (MAX_POINTS * 4));
+
+    await writes;
+    const recs = await readTier(tier, from, to);
+    const buckets = new Map();
+    for (const r of recs.sort((a, b) => a.t - b.t)) {
+      const k = bucketStart(r.t, step);
+      buckets.set(k, mergeInto(buckets.get(k) || emptyBucket(k), r));
+    }
+    const points = [...buckets.values()].map(b => ({
+      t: b.t,
+      received: b.received, delivered: b.delivered, deferred: b.deferred, bounced: b.bounced,
+      depth: b.depthN ? Math.round(b.depthSum / b.depthN) : 0,
+      depthMax: b.depthMax,
+      ready: b.ready,
+      scheduled: b.scheduled,
+    }));
+    return { from, to, step, tier: tier.name, points };
+  }
+
+  return { init, record, flush, gc, query };
+}
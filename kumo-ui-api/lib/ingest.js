@@ -0,0 +1,482 @@
+// lib/ingest.js — where a node's KumoMTA log records come from
+//
+// A source is given as "type[:arg][?options]" (KUMO_SOURCE, or `source` in the
+// node list):
+//   tailer                         `tailer --tail <logDir>` (the default)
+//   segments                       reads the zstd segments in <logDir> itself. A segment is read once
+//                                  KumoMTA has started the next one (max_segment_duration bounds the
+//                                  delay); the position is checkpointed, so restarts neither skip nor repeat
+//   journald[:unit]                `journalctl -u <unit> -o json -f` (default kumomta), resuming at the
+//                                  checkpointed cursor
+//   syslog[:host:port]             UDP syslog datagrams carrying JSON records (default 127.0.0.1:5140)
+//   webhook[:host:port][?token=]   records POSTed by a KumoMTA log hook, one JSON object, an array or
+//                                  NDJSON per request (default 127.0.0.1:5141)
+//   replay:<file>[?speed=&loop=1]  a recorded log (JSONL or a zstd segment), paced by the records'
+//                                  timestamps divided by speed (0 = as fast as possible)
+// Every source reports through the same callbacks: record(obj) for a parsed log
+// record, line(text) for anything else, note(text) for its own status, and
+// exit(reason) when it stopped by itself (the caller restarts it).
+import { spawn } from 'node:child_process';
+import { createReadStream, promises as fs, constants as FS } from 'node:fs';
+import dgram from 'node:dgram';
+import http from 'node:http';
+import path from 'node:path';
+import readline from 'node:readline';
+import zlib from 'node:zlib';
+import { journalEntry } from './logs.js';
+import { recordTime } from './messages.js';
+
+export const SOURCE_TYPES = ['tailer', 'segments', 'journald', 'syslog', 'webhook', 'replay'];
+const DEFAULT_PORT = { syslog: 5140, webhook: 5141 };
+const SEGMENT_SCAN_MS = 2000;
+const REPLAY_MAX_GAP_MS = 60_000;      // quiet stretches in a recording are cut to a minute
+const WEBHOOK_MAX_BYTES = 10 * 1024 * 1024;
+const ZSTD_MAGIC = Buffer.from([0x28, 0xb5, 0x2f, 0xfd]);
+
+// ---------- Source specs ----------
+function hostPort(s, type) {
+  const i = s.lastIndexOf(':');
+  const host = (i > 0 ? s.slice(0, i) : s.includes('.') || s.includes('[') ? s : '').replace(/^\[|\]$/g, '') || '127.0.0.1';
+  const port = Number(i > 0 ? s.slice(i + 1) : /^\d+$/.test(s) ? s : DEFAULT_PORT[type]);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`${type}: port must be between 1 and 65535`);
+  return { host, port };
+}
+
+/**
+ * "type[:arg][?k=v&…]" or { type, … } → normalized spec. Throws with a message.
+ * @returns {{type: string, unit?: string, host?: string, port?: number, token?: string, file?: string, speed?: number, loop?: boolean}}
+ */
+export function parseSource(v) {
+  let o = v;
+  if (typeof v !== 'object' || v == null) {
+    const m = /^([a-z]+)(?::([^?]*))?(?:\?(.*))?$/.exec(String(v ?? '').trim());
+    if (!m) throw new Error(`must be one of ${SOURCE_TYPES.join(', ')}, e.g. "syslog:127.0.0.1:5140"`);
+    o = { type: m[1], arg: m[2], ...Object.fromEntries(new URLSearchParams(m[3] || '')) };
+  }
+  const { type, arg } = o;
+  if (!SOURCE_TYPES.includes(type)) throw new Error(`unknown source "${type}" (one of ${SOURCE_TYPES.join(', ')})`);
+  switch (type) {
+    case 'tailer':
+    case 'segments':
+      if (arg) throw new Error(`${type} reads the node's log directory and takes no argument`);
+      return { type };
+    case 'journald': {
+      const unit = String(arg || o.unit || 'kumomta');
+      if (!/^[\w@.:-]+$/.test(unit)) throw new Error('journald: unit must be a systemd unit name');
+      return { type, unit };
+    }
+    case 'syslog':
+    case 'webhook': {
+      const hp = arg != null ? hostPort(arg, type) : hostPort(`${o.host ?? ''}:${o.port ?? DEFAULT_PORT[type]}`, type);
+      return type === 'webhook' && o.token ? { type, ...hp, token: String(o.token) } : { type, ...hp };
+    }
+    case 'replay': {
+      const file = String(arg || o.file || '');
+      if (!path.isAbsolute(file)) throw new Error('replay: needs an absolute file path, e.g. "replay:/var/tmp/kumo.jsonl?speed=10"');
+      const speed = Number(o.speed ?? 1);
+      if (!Number.isFinite(speed) || speed < 0 || speed > 10_000) throw new Error('replay: speed must be between 0 and 10000');
+      return { type, file: path.normalize(file), speed, loop: o.loop === true || o.loop === '1' || o.loop === 'true' };
+    }
+  }
+}
+
+/** The canonical string of a spec (what settings and node lists store). */
+export function formatSource(spec) {
+  const s = typeof spec === 'string' ? parseSource(spec) : spec;
+  const host = (h) => (h.includes(':') ? `[${h}]` : h);
+  switch (s.type) {
+    case 'journald': return `journald:${s.unit}`;
+    case 'syslog': return `syslog:${host(s.host)}:${s.port}`;
+    case 'webhook': return `webhook:${host(s.host)}:${s.port}${s.token ? `?token=${encodeURIComponent(s.token)}` : ''}`;
+    case 'replay': return `replay:${s.file}?speed=${s.speed}${s.loop ? '&loop=1' : ''}`;
+    default: return s.type;
+  }
+}
+
+/** Which of the node's settings a source reads. */
+export function sourceUses(spec) {
+  const { type } = parseSource(spec);
+  return { tailer: type === 'tailer', logDir: type === 'tailer' || type === 'segments' };
+}
+
+// ---------- Checkpoints ----------
+/**
+ * Positions of the sources that can resume (segment names, journald cursors),
+ * in one JSON file written shortly after each change.
+ */
+export function createCheckpoints({ file }) {
+  let data = {};
+  let timer = null;
+  let saving = Promise.resolve();
+
+  async function load() {
+    try { data = JSON.parse(await fs.readFile(file, 'utf8')) || {}; } catch { data = {}; }
+  }
+
+  function save() {
+    clearTimeout(timer);
+    timer = null;
+    const body = JSON.stringify(data, null, 2);
+    const tmp = `${file}.tmp`;
+    saving = saving
+      .then(() => fs.mkdir(path.dirname(file), { recursive: true }))
+      .then(() => fs.writeFile(tmp, body))
+      .then(() => fs.rename(tmp, file))
+      .catch((e) => console.error(`checkpoints: ${e.message}`));
+    return saving;
+  }
+
+  return {
+    load,
+    get: (key) => data[key] ?? null,
+    set(key, value) {
+      data[key] = value;
+      timer ??= setTimeout(save, 1000);
+    },
+    flush: save,
+  };
+}
+
+// ---------- Reading log files ----------
+/**
+ * Lines of a log file; zstd files are decompressed with zlib when this Node
+ * has it, otherwise with the zstd CLI. `done` rejects if decoding failed.
+ */
+async function openLog(file, zstdBin) {
+  const fh = await fs.open(file);
+  const head = Buffer.alloc(4);
+  try { await fh.read(head, 0, 4, 0); } finally { await fh.close(); }
+  let input, done, close;
+  if (!head.equals(ZSTD_MAGIC)) {
+    input = createReadStream(file);
+    done = new Promise((resolve, reject) => { input.on('end', resolve); input.on('error', reject); });
+    close = () => input.destroy();
+  } else if (typeof zlib.createZstdDecompress === 'function') {
+    const raw = createReadStream(file);
+    input = raw.pipe(zlib.createZstdDecompress());
+    raw.on('error', (e) => input.destroy(e));
+    done = new Promise((resolve, reject) => { input.on('end', resolve); input.on('error', reject); });
+    close = () => { raw.destroy(); input.destroy(); };
+  } else {
+    const p = spawn(zstdBin, ['-dcq', file], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let err = '';
+    p.stderr.on('data', (d) => { err += d; });
+    input = p.stdout;
+    done = new Promise((resolve, reject) => {
+      p.on('error', (e) => reject(new Error(`${zstdBin}: ${e.message}`)));
+      p.on('close', (code, signal) => (code === 0 || signal ? resolve() : reject(new Error(`${zstdBin}: ${err.trim() || `exit code ${code}`}`))));
+    });
+    close = () => p.kill('SIGTERM');
+  }
+  done.catch(() => {});   // awaited by the reader; don't let an early failure go unhandled
+  return { lines: readline.createInterface({ input, crlfDelay: Infinity }), done, close };
+}
+
+const emitText = (text, ctx) => {
+  const s = String(text).trim();
+  if (!s) return;
+  if (s.startsWith('{')) {
+    let obj;
+    try { obj = JSON.parse(s); } catch { obj = null; }
+    if (obj && typeof obj === 'object') return ctx.record(obj);
+  }
+  ctx.line(s);
+};
+
+// ---------- Sources ----------
+// A long-running child process whose stdout carries one entry per line
+function processSource(bin, args, ctx, onLine) {
+  const name = path.basename(bin);
+  let proc = null;
+  return {
+    start() {
+      const p = spawn(bin, args, { env: process.env });
+      proc = p;
+      let buf = '';
+      p.stdout.on('data', (d) => {
+        buf += d.toString();
+        const lines = buf.split('\n'); buf = lines.pop() || '';
+        for (const ln of lines) if (ln.trim()) onLine(ln);
+      });
+      p.stderr.on('data', (d) => ctx.note(`${name}: ${String(d).trim()}`));
+      p.on('error', (e) => ctx.note(`${name}: ERROR ${e.message}`));
+      p.on('close', (code) => {
+        if (p !== proc) return;   // replaced or stopped
+        proc = null;
+        ctx.exit(`${name} exited with code ${code}`);
+      });
+    },
+    stop() {
+      const p = proc;
+      proc = null;
+      p?.kill('SIGTERM');
+    },
+    running: () => !!proc && proc.exitCode == null && proc.pid != null,
+    pid: () => proc?.pid ?? null,
+    detail: () => [bin, ...args].join(' '),
+  };
+}
+
+function segmentsSource(ctx) {
+  const key = `${ctx.node}/segments`;
+  let timer = null, open = null, scanning = false, stopped = true, error = null;
+
+  async function readSegment(name, skip) {
+    const log = await openLog(path.join(ctx.logDir, name), ctx.zstd);
+    open = log;
+    let n = 0;
+    try {
+      for await (const ln of log.lines) {
+        if (stopped) break;
+        if (++n > skip) emitText(ln, ctx);
+        if (n % 1000 === 0) ctx.checkpoints.set(key, { segment: name, lines: n, done: false });
+      }
+      if (stopped) return ctx.checkpoints.set(key, { segment: name, lines: n, done: false });
+      await log.done;
+    } catch (e) {
+      ctx.checkpoints.set(key, { segment: name, lines: n, done: false });   // resume after what was read
+      throw e;
+    } finally {
+      open = null;
+    }
+    ctx.checkpoints.set(key, { segment: name, lines: n, done: true });
+  }
+
+  async function scan() {
+    if (scanning || stopped) return;
+    scanning = true;
+    try {
+      const names = (await fs.readdir(ctx.logDir, { withFileTypes: true }))
+        .filter(d => d.isFile() && !d.name.startsWith('.')).map(d => d.name).sort();
+      const complete = names.slice(0, -1);   // KumoMTA is still writing the newest one
+      // First run: like `tailer --tail`, start with the segment being written now
+      if (!ctx.checkpoints.get(key)) ctx.checkpoints.set(key, { segment: complete[complete.length - 1] ?? '', lines: 0, done: true });
+      for (const name of complete) {
+        const cp = ctx.checkpoints.get(key);
+        if (stopped || name < cp.segment || (name === cp.segment && cp.done)) continue;
+        await readSegment(name, name === cp.segment ? cp.lines : 0);
+      }
+      error = null;
+    } catch (e) {
+      if (e.message !== error) ctx.note(`segments: ${e.message}`);
+      error = e.message;
+    } finally {
+      scanning = false;
+    }
+  }
+
+  return {
+    start() {
+      stopped = false;
+      ctx.note(`segments: reading ${ctx.logDir}`);
+      scan();
+      timer = setInterval(scan, SEGMENT_SCAN_MS);
+    },
+    stop() {
+      stopped = true;
+      clearInterval(timer);
+      open?.close();
+    },
+    running: () => !stopped && !error,
+    pid: () => null,
+    detail: () => {
+      const cp = ctx.checkpoints.get(key);
+      return `${ctx.logDir}${cp?.segment ? ` · ${cp.done ? 'read up to' : 'reading'} ${cp.segment}` : ''}${error ? ` · ${error}` : ''}`;
+    },
+  };
+}
+
+function journaldSource(spec, ctx) {
+  const key = `${ctx.node}/journald`;
+  const onLine = (ln) => {
+    let o;
+    try { o = JSON.parse(ln); } catch { return ctx.line(ln); }
+    const e = journalEntry(o);
+    if (e.id) ctx.checkpoints.set(key, e.id);
+    if (e.record) ctx.record(e.record);
+    else if (e.msg) ctx.line(e.msg);
+  };
+  let proc = null;
+  return {
+    start() {
+      // resumes at the checkpointed cursor on every (re)start
+      const after = ctx.checkpoints.get(key);
+      proc = processSource('journalctl', ['-u', spec.unit, '-o', 'json', '--no-pager', '-f', ...(after ? [`--after-cursor=${after}`] : ['-n', '0'])], ctx, onLine);
+      proc.start();
+    },
+    stop: () => proc?.stop(),
+    running: () => !!proc?.running(),
+    pid: () => proc?.pid() ?? null,
+    detail: () => `journalctl -u ${spec.unit}`,
+  };
+}
+
+// A listening socket (UDP syslog or HTTP webhook)
+function listenerSource(kind, label, ctx, open) {
+  let server = null;
+  return {
+    start() {
+      const s = open();
+      server = s;
+      s.on('error', (e) => {
+        if (s !== server) return;
+        server = null;
+        try { s.close(); } catch {}
+        ctx.exit(`${kind}: ${e.message}`);
+      });
+    },
+    stop() {
+      const s = server;
+      server = null;
+      try { s?.close(); } catch {}
+    },
+    running: () => !!server,
+    pid: () => null,
+    detail: () => label,
+  };
+}
+
+function syslogSource(spec, ctx) {
+  const label = `udp ${spec.host}:${spec.port}`;
+  return listenerSource('syslog', label, ctx, () => {
+    const s = dgram.createSocket(spec.host.includes(':') ? 'udp6' : 'udp4');
+    s.on('message', (msg) => {
+      // "<PRI>header … {json}": the record starts at the first brace
+      const t = msg.toString('utf8');
+      const i = t.indexOf('{');
+      if (i >= 0) emitText(t.slice(i), ctx);
+      else emitText(t.replace(/^<\d+>\s*/, ''), ctx);
+    });
+    s.bind(spec.port, spec.host, () => ctx.note(`syslog: listening on ${label}`));
+    return s;
+  });
+}
+
+function webhookSource(spec, ctx) {
+  const label = `http ${spec.host}:${spec.port}`;
+  return listenerSource('webhook', label, ctx, () => {
+    const s = http.createServer((req, res) => {
+      if (req.method !== 'POST') return res.writeHead(405, { Allow: 'POST' }).end();
+      if (spec.token && req.headers.authorization !== `Bearer ${spec.token}`) return res.writeHead(401).end();
+      const chunks = [];
+      let size = 0;
+      req.on('data', (c) => {
+        size += c.length;
+        if (size > WEBHOOK_MAX_BYTES) { res.writeHead(413).end(); req.destroy(); return; }
+        chunks.push(c);
+      });
+      req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        let j;
+        try { j = JSON.parse(body); } catch { j = undefined; }
+        if (j === undefined) for (const ln of body.split('\n')) emitText(ln, ctx);   // NDJSON batch
+        else for (const r of Array.isArray(j) ? j : [j]) if (r && typeof r === 'object') ctx.record(r);
+        res.writeHead(204).end();
+      });
+    });
+    s.listen(spec.port, spec.host, () => ctx.note(`webhook: listening on ${label}`));
+    return s;
+  });
+}
+
+function replaySource(spec, ctx) {
+  let run = 0, playing = false, open = null, lines = 0, rounds = 0;
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+  async function play(id) {
+    playing = true;
+    try {
+      do {
+        const log = await openLog(spec.file, ctx.zstd);
+        open = log;
+        let prev = null;
+        for await (const ln of log.lines) {
+          if (id !== run) return log.close();
+          const s = ln.trim();
+          if (!s) continue;
+          let obj = null;
+          if (s.startsWith('{')) { try { obj = JSON.parse(s); } catch {} }
+          const t = obj ? recordTime(obj.timestamp, null) : null;
+          if (spec.speed > 0 && t != null && prev != null && t > prev) await sleep(Math.min(t - prev, REPLAY_MAX_GAP_MS) / spec.speed);
+          else if (spec.speed === 0 && lines % 500 === 0) await new Promise(setImmediate);
+          if (t != null) prev = t;
+          if (id !== run) return log.close();
+          if (obj && typeof obj === 'object') ctx.record(obj); else ctx.line(s);
+          lines++;
+        }
+        await log.done;
+        rounds++;
+        if (spec.loop) await sleep(1000);   // a breather between rounds, even at full speed
+      } while (spec.loop && id === run);
+      ctx.note(`replay: finished ${spec.file} (${lines} lines)`);
+    } catch (e) {
+      if (id === run) ctx.note(`replay: ${e.message}`);
+    } finally {
+      if (id === run) { playing = false; open = null; }
+    }
+  }
+
+  return {
+    start() { play(++run); },
+    stop() { run++; playing = false; open?.close(); },
+    running: () => playing,
+    pid: () => null,
+    detail: () => `${spec.file} at ${spec.speed ? `${spec.speed}x` : 'full speed'}${spec.loop ? `, looping (${rounds} done)` : ''} · ${lines} lines`,
+  };
+}
+
+/**
+ * One source for one node.
+ * @param {string|object} spec
+ * @param {object} ctx  { node, logDir, tailer, zstd, checkpoints, record(obj), line(text), note(text), exit(reason) }
+ * @returns {{type, start(), stop(), running(): boolean, status(): object}}
+ */
+export function createSource(spec, ctx) {
+  const s = parseSource(spec);
+  const stats = { records: 0, lastRecordAt: null };
+  const c = {
+    ...ctx,
+    record(obj) { stats.records++; stats.lastRecordAt = Date.now(); ctx.record(obj); },
+  };
+  const impl =
+    s.type === 'tailer'   ? processSource(ctx.tailer, ['--tail', ctx.logDir], c, (ln) => emitText(ln, c)) :
+    s.type === 'segments' ? segmentsSource(c) :
+    s.type === 'journald' ? journaldSource(s, c) :
+    s.type === 'syslog'   ? syslogSource(s, c) :
+    s.type === 'webhook'  ? webhookSource(s, c) :
+                            replaySource(s, c);
+  return {
+    type: s.type,
+    start: () => impl.start(),
+    stop: () => impl.stop(),
+    running: () => impl.running(),
+    status: () => ({ type: s.type, running: impl.running(), pid: impl.pid(), detail: impl.detail(), ...stats }),
+  };
+}
+
+/** Settings connection test: can this source run here? (tailer and log directory are probed separately) */
+export async function checkSource(spec, { zstd = 'zstd' } = {}) {
+  let s;
+  try { s = parseSource(spec); } catch (e) { return { ok: false, type: null, detail: e.message }; }
+  const runs = (bin, args) => new Promise((resolve) => {
+    const p = spawn(bin, args, { stdio: 'ignore' });
+    const timer = setTimeout(() => p.kill('SIGKILL'), 5000);
+    p.on('error', (e) => { clearTimeout(timer); resolve(e.message); });
+    p.on('close', (code) => { clearTimeout(timer); resolve(code === 0 ? null : `exit code ${code}`); });
+  });
+  const out = (err, detail) => ({ ok: !err, type: s.type, detail: err ? `${detail}: ${err}` : detail });
+  switch (s.type) {
+    case 'segments':
+      if (typeof zlib.createZstdDecompress === 'function') return out(null, 'zstd via zlib');
+      return out(await runs(zstd, ['--version']), `zstd via ${zstd}`);
+    case 'journald':
+      return out(await runs('journalctl', ['--version']), `journalctl -u ${s.unit}`);
+    case 'replay':
+      return out(await fs.access(s.file, FS.R_OK).then(() => null, (e) => e.code), s.file);
+    case 'syslog':
+    case 'webhook':
+      return out(null, `listens on ${s.type === 'syslog' ? 'udp' : 'http'} ${s.host}:${s.port}`);
+    default:
+      return out(null, 'tailer binary and log directory below');
+  }
+}
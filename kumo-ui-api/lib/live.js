@@ -0,0 +1,122 @@
+// lib/live.js — the dashboard's push channel (GET /live, Server-Sent Events)
+//
+// Subscribers are grouped by view: the whole fleet ('') or one node. After each
+// poll the summary of every watched view is built once and only what changed is
+// sent, so open tabs no longer multiply the summary work:
+//   event: snapshot  { summary, lastErrors }      on connect
+//   event: delta     { set, append, lastErrors? } after a poll that changed something
+//   event: end       { error }                    node removed or session gone; the stream closes
+// `set` replaces top-level summary keys. `append` grows the lists that only move
+// forward (series.perMinute, series.queue, events): add `items`, keep the last
+// `size`; `reset` means start from an empty list. `lastErrors` holds new
+// last-error entries, oldest first.
+
+const APPEND = ['series.perMinute', 'series.queue', 'events'];
+const PING_MS = 15_000;
+
+const at = (o, path) => path.split('.').reduce((x, k) => x?.[k], o);
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Items of `next` after the last item of `prev`; null when `next` doesn't continue `prev`
+function appended(prev, next) {
+  if (!prev?.length) return next;
+  const last = JSON.stringify(prev[prev.length - 1]);
+  for (let i = next.length - 1; i >= 0; i--) {
+    if (JSON.stringify(next[i]) === last) return next.slice(i + 1);
+  }
+  return null;
+}
+
+/** What changed between two summaries, in the `delta` shape above. */
+export function diffSummary(prev, next) {
+  const set = {}, append = {};
+  for (const k of Object.keys(next)) {
+    if (k === 'series' || k === 'events') continue;
+    if (!same(prev?.[k], next[k])) set[k] = next[k];
+  }
+  for (const path of APPEND) {
+    const a = at(prev, path) ?? [], b = at(next, path) ?? [];
+    const items = appended(a, b);
+    if (items == null) append[path] = { items: b, size: b.length, reset: true };
+    else if (items.length || b.length !== a.length) append[path] = { items, size: b.length };
+  }
+  return { set, append };
+}
+
+/**
+ * @param {object} o
+ * @param {(view: string) => object|null} o.build  summary of a view; null once the node is gone
+ * @param {(view: string) => object} o.lastErrors   snapshot of recent last-errors by domain
+ */
+export function createLive({ build, lastErrors }) {
+  const views = new Map();   // view → { prev, clients: Set<{ res, alive }> }
+  let ping = null;
+
+  const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  function drop(view, c) {
+    const ch = views.get(view);
+    if (!ch) return;
+    ch.clients.delete(c);
+    if (!ch.clients.size) views.delete(view);
+    if (!views.size && ping) { clearInterval(ping); ping = null; }
+  }
+
+  function end(view, c, error) {
+    send(c.res, 'end', { error });
+    c.res.end();
+    drop(view, c);
+  }
+
+  /**
+   * Start streaming `view` to `res`; `alive()` is re-checked after every poll
+   * (a revoked session ends the stream).
+   */
+  function subscribe(view, req, res, alive = () => true) {
+    let ch = views.get(view);
+    if (!ch) {
+      ch = { prev: build(view), clients: new Set() };
+      views.set(view, ch);
+    }
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+    const c = { res, alive };
+    ch.clients.add(c);
+    send(res, 'snapshot', { summary: ch.prev, lastErrors: lastErrors(view) });
+    ping ??= setInterval(() => {
+      for (const x of views.values()) for (const y of x.clients) y.res.write(': ping\n\n');
+    }, PING_MS);
+    req.on('close', () => drop(view, c));
+  }
+
+  /** After a poll: one summary per watched view, one delta to each of its subscribers. */
+  function publish(newErrors = []) {
+    for (const [view, ch] of views) {
+      for (const c of ch.clients) if (!c.alive()) end(view, c, 'unauthorized');
+      if (!ch.clients.size) continue;
+      let next;
+      try {
+        next = build(view);
+      } catch (e) {
+        console.error(`live: ${view || 'fleet'}: ${e.message}`);
+        continue;
+      }
+      if (!next) {
+        for (const c of ch.clients) end(view, c, 'unknown_node');
+        continue;
+      }
+      const d = diffSummary(ch.prev, next);
+      const errs = newErrors.filter(e => !view || e.node === view);
+      if (errs.length) d.lastErrors = errs;
+      ch.prev = next;
+      if (!errs.length && !Object.keys(d.set).length && !Object.keys(d.append).length) continue;
+      for (const c of ch.clients) send(c.res, 'delta', d);
+    }
+  }
+
+  return { subscribe, publish };
+}
@@ -0,0 +1,96 @@
+// lib/logs.js — journald entries → structured log lines, plus server-side filters
+//
+// /logs/stream runs `journalctl -o json`; every entry becomes
+//   { id, t, level, msg, record }
+// where `id` is the journald cursor (used as the SSE id so reconnects resume
+// with --after-cursor) and `record` is the parsed JSON when the message is a
+// KumoMTA log record.
+import { parseTime } from './history.js';
+
+export const LEVELS = ['trace', 'debug', 'info', 'warn', 'error'];
+
+// syslog PRIORITY → level, for lines that don't carry their own
+const PRIORITY_LEVEL = ['error', 'error', 'error', 'error', 'warn', 'info', 'info', 'debug'];
+
+// Convert journald MESSAGE (may be a byte array) into a UTF-8 string.
+export function normalizeMsg(v) {
+  if (Array.isArray(v)) {
+    try { return Buffer.from(v).toString('utf8'); } catch { return String(v); }
+  }
+  if (v && typeof v === 'object' && 'data' in v) { // rare structured form
+    try { return Buffer.from(v.data).toString('utf8'); } catch { return String(v); }
+  }
+  return typeof v === 'string' ? v : String(v ?? '');
+}
+
+export function stripAnsi(s = '') { return String(s).replace(/\x1B\[[0-9;]*m/g, ''); }
+
+function levelOf(msg, priority) {
+  const m = msg.match(/\b(TRACE|DEBUG|INFO|WARN(?:ING)?|ERROR)\b/);
+  if (m) return m[1].toLowerCase().startsWith('warn') ? 'warn' : m[1].toLowerCase();
+  const p = Number(priority);
+  return Number.isInteger(p) && PRIORITY_LEVEL[p] ? PRIORITY_LEVEL[p] : 'info';
+}
+
+/** One `journalctl -o json` object → structured line. */
+export function journalEntry(o) {
+  const msg = stripAnsi(normalizeMsg(o.MESSAGE)).trimEnd();
+  let record = null;
+  if (msg.startsWith('{')) {
+    try { record = JSON.parse(msg); } catch {}
+  }
+  const us = Number(o.__REALTIME_TIMESTAMP);
+  return {
+    id: o.__CURSOR || null,
+    t: Number.isFinite(us) ? Math.floor(us / 1000) : Date.now(),
+    level: levelOf(msg, o.PRIORITY),
+    msg,
+    record: record && typeof record === 'object' ? record : null,
+  };
+}
+
+/**
+ * Build a predicate from query params: level (minimum), q (substring, or a
+ * regex when re=1), domain, type (log record type). Throws Error on a bad regex.
+ */
+export function compileLogFilter({ level, q, re, domain, type } = {}) {
+  const min = LEVELS.indexOf(String(level || '').toLowerCase());
+  let text = null;
+  if (q) {
+    if (re === '1' || re === 'true') text = new RegExp(q, 'i');
+    else { const needle = String(q).toLowerCase(); text = { test: (s) => s.toLowerCase().includes(needle) }; }
+  }
+  const dom = domain ? String(domain).toLowerCase().trim() : null;
+  const domRe = dom ? new RegExp(`(^|[@.\\s"'<=:])${dom.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i') : null;
+
+  return (e) => {
+    if (min > 0 && LEVELS.indexOf(e.level) < min) return false;
+    if (type && e.record?.type !== type) return false;
+    if (text && !text.test(e.msg)) return false;
+    if (domRe) {
+      const r = e.record;
+      const rd = r && String(r.recipient || '').toLowerCase().split('@')[1];
+      if (rd !== dom && !domRe.test(e.msg)) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * journalctl arguments for a live tail or a since/until backfill.
+ * `after` is a journald cursor from Last-Event-ID.
+ */
+export function journalArgs({ unit = 'kumomta', after, since, until, lines = 100 } = {}, now = Date.now()) {
+  const args = ['-u', unit, '-o', 'json', '--no-pager'];
+  const s = parseTime(since, now), u = parseTime(until, now);
+  if (s != null || u != null) {
+    if (s != null) args.push(`--since=@${Math.floor(s / 1000)}`);
+    if (u != null) args.push(`--until=@${Math.ceil(u / 1000)}`);
+    if (after) args.push(`--after-cursor=${after}`);
+    return { args, follow: false };
+  }
+  if (after) args.push(`--after-cursor=${after}`);
+  else args.push('-n', String(lines));
+  args.push('-f');
+  return { args, follow: true };
+}
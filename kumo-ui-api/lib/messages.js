@@ -0,0 +1,307 @@
+// lib/messages.js — per-message index of KumoMTA log records
+//
+// Every Reception / Delivery / TransientFailure / Bounce / Expiration record
+// read from the tailer is kept in compact form and indexed by message id,
+// sender, recipient, recipient domain, provider and egress source, so support
+// can answer "what happened to the mail for x@y.com" and trace a single message.
+//
+// Records are appended to hourly JSONL segments (2025-01-31T14.jsonl) and
+// reloaded on start; retention drops whole segments, and the in-memory copy is
+// capped at `maxRecords` (oldest evicted first).
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+const HOUR = 3_600_000;
+const TEXT_MAX = 300;
+
+/** Record type → message status once it is the latest record for a message. */
+const STATUS = {
+  Reception: 'queued',
+  TransientFailure: 'deferred',
+  Delivery: 'delivered',
+  Bounce: 'bounced',
+  AdminBounce: 'bounced',
+  Expiration: 'expired',
+  Rejection: 'rejected',
+};
+export const RECORD_TYPES = Object.keys(STATUS);
+const ATTEMPT_TYPES = new Set(['TransientFailure', 'Delivery', 'Bounce']);
+
+const lower = (v) => (v == null || v === '' ? null : String(v).toLowerCase());
+const domainOf = (addr) => {
+  const s = lower(addr);
+  const i = s ? s.lastIndexOf('@') : -1;
+  return i >= 0 ? s.slice(i + 1) : null;
+};
+const trimText = (s) => {
+  const t = String(s || '').replace(/\s+/g, ' ').trim();
+  return t.length > TEXT_MAX ? t.slice(0, TEXT_MAX - 1) + '…' : t;
+};
+
+/** Kumo timestamps are epoch seconds (or RFC 3339 in some builds) → epoch ms. */
+export function recordTime(v, fallback = Date.now()) {
+  if (typeof v === 'number' && Number.isFinite(v)) return v < 1e12 ? Math.round(v * 1000) : v;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : fallback;
+}
+
+/**
+ * Reduce a raw log record to what search and trace need. Returns null for
+ * records without a type or message id.
+ * @param {object} obj     parsed log record
+ * @param {object} extra   already-derived fields ({ enhanced, category, node })
+ */
+export function compactRecord(obj, extra = {}) {
+  const type = String(obj?.type || obj?.event || '');
+  const id = obj?.id ?? obj?.message_id ?? null;
+  if (!type || id == null) return null;
+  const recipient = lower(obj.recipient ?? obj.rcpt);
+  return {
+    t: recordTime(obj.timestamp),
+    type,
+    id: String(id),
+    sender: lower(obj.sender),
+    recipient,
+    domain: domainOf(recipient) ?? lower(obj.queue?.split('!')[0]?.split('@').pop()),
+    queue: obj.queue ?? null,
+    provider: lower(obj.provider_name ?? obj.provider),
+    site: obj.site || null,
+    source: obj.egress_source ?? null,
+    pool: obj.egress_pool ?? null,
+    peer: obj.peer_address?.addr ?? null,
+    code: obj.response?.code ?? null,
+    enhanced: extra.enhanced ?? null,
+    text: trimText(obj.response?.content),
+    category: extra.category ?? null,
+    size: obj.size ?? null,
+    attempts: obj.num_attempts ?? null,
+    created: obj.created != null ? recordTime(obj.created) : null,
+    node: extra.node ?? obj.nodeid ?? null,
+  };
+}
+
+function addTo(map, key, id) {
+  if (!key) return;
+  let set = map.get(key);
+  if (!set) map.set(key, (set = new Set()));
+  set.add(id);
+}
+function removeFrom(map, key, id) {
+  const set = key && map.get(key);
+  if (!set) return;
+  set.delete(id);
+  if (!set.size) map.delete(key);
+}
+
+/** One row per message for search results. */
+function summarize(id, recs) {
+  const first = recs[0], last = recs[recs.length - 1];
+  const lastResp = [...recs].reverse().find(r => r.type !== 'Reception' && (r.code || r.text));
+  return {
+    id,
+    sender: first.sender ?? last.sender,
+    recipient: first.recipient ?? last.recipient,
+    domain: last.domain ?? first.domain,
+    status: STATUS[last.type] || last.type,
+    firstSeen: first.t,
+    lastSeen: last.t,
+    attempts: recs.filter(r => ATTEMPT_TYPES.has(r.type)).length,
+    source: last.source,
+    lastResponse: lastResp ? { code: lastResp.code, enhanced: lastResp.enhanced, text: lastResp.text, category: lastResp.category } : null,
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dir          segment directory
+ * @param {number} opts.retainMs     how long segments are kept on disk
+ * @param {number} opts.maxRecords   in-memory cap (oldest evicted first)
+ */
+export function createMessageIndex({ dir, retainMs, maxRecords }) {
+  let records = [];                // in arrival order
+  const byId = new Map();          // id → records (time order)
+  const bySender = new Map();      // address → Set<id>
+  const byRecipient = new Map();
+  const byDomain = new Map();      // recipient domain → Set<id>
+  const byProvider = new Map();    // provider name → Set<id>
+  const bySource = new Map();      // egress source → Set<id>
+  let pending = [];                // not yet written to disk
+  let writes = Promise.resolve();
+
+  const segName = (t) => new Date(t).toISOString().slice(0, 13) + '.jsonl';
+
+  function index(r) {
+    let list = byId.get(r.id);
+    if (!list) byId.set(r.id, (list = []));
+    // Out-of-order records (replays, clock skew) still land in time order
+    if (list.length && list[list.length - 1].t > r.t) {
+      const i = list.findIndex(x => x.t > r.t);
+      list.splice(i, 0, r);
+    } else list.push(r);
+    addTo(bySender, r.sender, r.id);
+    addTo(byRecipient, r.recipient, r.id);
+    addTo(byDomain, r.domain, r.id);
+    addTo(byProvider, r.provider, r.id);
+    addTo(bySource, r.source, r.id);
+  }
+
+  function unindex(r) {
+    const list = byId.get(r.id);
+    if (!list) return;
+    const i = list.indexOf(r);
+    if (i >= 0) list.splice(i, 1);
+    if (list.length) return;
+    byId.delete(r.id);
+    removeFrom(bySender, r.sender, r.id);
+    removeFrom(byRecipient, r.recipient, r.id);
+    removeFrom(byDomain, r.domain, r.id);
+    removeFrom(byProvider, r.provider, r.id);
+    removeFrom(bySource, r.source, r.id);
+  }
+
+  function evict(cutoff) {
+    let drop = 0;
+    while (drop < records.length && records[drop].t < cutoff) drop++;
+    if (records.length - drop > maxRecords) drop = records.length - Math.floor(maxRecords * 0.9);
+    if (drop <= 0) return;
+    for (let i = 0; i < drop; i++) unindex(records[i]);
+    records = records.slice(drop);
+  }
+
+  /** Add one compact record (see compactRecord). */
+  function add(r) {
+    if (!r) return;
+    records.push(r);
+    pending.push(r);
+    index(r);
+    if (records.length > maxRecords) evict(Date.now() - retainMs);
+  }
+
+  async function init() {
+    await fs.mkdir(dir, { recursive: true });
+    const cutoff = Date.now() - retainMs;
+    const files = (await fs.readdir(dir)).filter(f => f.endsWith('.jsonl')).sort();
+    for (const f of files) {
+      if (Date.parse(f.slice(0, 13) + ':00:00Z') + HOUR < cutoff) continue;
+      const txt = await fs.readFile(path.join(dir, f), 'utf8').catch(() => '');
+      for (const line of txt.split('\n')) {
+        if (!line) continue;
+        try {
+          const r = JSON.parse(line);
+          if (r.t >= cutoff) { records.push(r); index(r); }
+        } catch {}
+      }
+    }
+    records.sort((a, b) => a.t - b.t);
+    evict(cutoff);
+  }
+
+  function flush() {
+    const batch = pending;
+    pending = [];
+    const files = new Map();
+    for (const r of batch) {
+      const f = segName(r.t);
+      files.set(f, (files.get(f) || '') + JSON.stringify(r) + '\n');
+    }
+    for (const [f, body] of files) {
+      writes = writes.then(() => fs.appendFile(path.join(dir, f), body)).catch(() => {});
+    }
+    return writes;
+  }
+
+  async function gc(now = Date.now()) {
+    const cutoff = now - retainMs;
+    evict(cutoff);
+    const files = await fs.readdir(dir).catch(() => []);
+    for (const f of files) {
+      if (!f.endsWith('.jsonl')) continue;
+      if (Date.parse(f.slice(0, 13) + ':00:00Z') + HOUR < cutoff) await fs.unlink(path.join(dir, f)).catch(() => {});
+    }
+  }
+
+  // Resolve a free-text query to candidate ids: message id, address, @domain / domain, egress source
+  function matchQuery(q) {
+    const s = String(q).trim();
+    const l = s.toLowerCase();
+    if (byId.has(s)) return new Set([s]);
+    if (l.startsWith('@')) return new Set(byDomain.get(l.slice(1)) || []);
+    if (l.includes('@')) return new Set([...(byRecipient.get(l) || []), ...(bySender.get(l) || [])]);
+    const out = new Set([...(byDomain.get(l) || []), ...(bySource.get(s) || [])]);
+    if (out.size) return out;
+    // Fallback: substring over ids and addresses
+    for (const [id, list] of byId) {
+      const r = list[0];
+      if (id.includes(s) || r.recipient?.includes(l) || r.sender?.includes(l)) out.add(id);
+    }
+    return out;
+  }
+
+  /**
+   * @param {object} f  { q, id, sender, recipient, domain, source, type, status, from, to, offset, limit }
+   * @returns {{ total:number, rows:object[] }} newest first
+   */
+  function search(f = {}) {
+    let ids = null;
+    const narrow = (set) => {
+      const next = new Set(set || []);
+      ids = ids ? new Set([...ids].filter(x => next.has(x))) : next;
+    };
+    if (f.q) narrow(matchQuery(f.q));
+    if (f.id) narrow(byId.has(String(f.id)) ? [String(f.id)] : []);
+    if (f.sender) narrow(bySender.get(lower(f.sender)));
+    if (f.recipient) narrow(byRecipient.get(lower(f.recipient)));
+    if (f.domain) narrow(byDomain.get(lower(f.domain)));
+    if (f.source) narrow(bySource.get(String(f.source)));
+    if (!ids) ids = byId.keys();
+
+    const from = f.from ?? -Infinity, to = f.to ?? Infinity;
+    const rows = [];
+    for (const id of ids) {
+      const recs = byId.get(id);
+      if (!recs?.length) continue;
+      if (recs[recs.length - 1].t < from || recs[0].t > to) continue;
+      if (f.type && !recs.some(r => r.type === f.type)) continue;
+      const row = summarize(id, recs);
+      if (f.status && row.status !== f.status) continue;
+      rows.push(row);
+    }
+    rows.sort((a, b) => b.lastSeen - a.lastSeen);
+    const offset = Math.max(0, Number(f.offset) || 0);
+    const limit = Math.min(500, Math.max(1, Number(f.limit) || 50));
+    return { total: rows.length, rows: rows.slice(offset, offset + limit) };
+  }
+
+  /** Every record for one message, oldest first (null if unknown). */
+  function trace(id) {
+    const recs = byId.get(String(id));
+    if (!recs?.length) return null;
+    return { ...summarize(String(id), recs), events: recs };
+  }
+
+  /**
+   * Record lists (oldest first) of the messages to `domain`, or handled by
+   * `provider`, that have a record in [from, to]; see lib/deliverability.js.
+   */
+  function select({ domain, provider, from = -Infinity, to = Infinity }) {
+    const ids = domain ? byDomain.get(lower(domain)) : byProvider.get(lower(provider));
+    const out = [];
+    for (const id of ids || []) {
+      const recs = byId.get(id);
+      if (!recs?.length || recs[recs.length - 1].t < from || recs[0].t > to) continue;
+      out.push(recs);
+    }
+    return out;
+  }
+
+  return {
+    init,
+    add,
+    flush,
+    gc,
+    search,
+    trace,
+    select,
+    stats: () => ({ records: records.length, messages: byId.size }),
+  };
+}
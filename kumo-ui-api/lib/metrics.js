@@ -0,0 +1,190 @@
+// lib/metrics.js — one normalized model of a node's metrics.json
+//
+// KumoMTA has reshaped metrics.json between releases: outcome counters came as
+// a plain value, as a per-service map ({ service: { smtp_client: 5,
+// 'smtp_client:src->site': 5 } }, rollups next to per-queue children) or only
+// per provider / per provider and source; labels come as nested maps or as
+// arrays with the value at '@' (see labeledRows in lib/queues.js). Every field
+// of the model is read from an ordered list of candidate sources: the first
+// one present in the document wins — a present 0 is a reading, not a reason
+// to fall through — and the model records which source that was. Other
+// candidates that are present but disagree are reported as warnings, so a
+// schema change shows on /metrics/diagnostics instead of as quietly wrong totals.
+import { labeledRows } from './queues.js';
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const sum = (rows) => rows.reduce((a, r) => a + r.value, 0);
+
+const DATA_SPOOL = 'data spool';
+
+// A candidate reads one number from the document, or null when its metric is absent
+const scalar = (key) => ({
+  source: key,
+  read: (m) => (isNum(m?.[key]?.value) ? m[key].value : null),
+});
+
+const summed = (key, label) => ({
+  source: `${key}[Σ ${label}]`,
+  read: (m) => {
+    const rows = labeledRows(m?.[key]).filter(r => r.labels[label] != null);
+    return rows.length ? sum(rows) : null;
+  },
+});
+
+/**
+ * Per-service counter (optionally of one service only): the sum of the
+ * rollups ("smtp_client", "esmtp_listener", …), else of the per-queue
+ * children ("smtp_client:src->site") — never parents and children together.
+ */
+const service = (key, only) => ({
+  source: `${key}[service${only ? `=${only}` : ''}]`,
+  read: (m) => serviceTotal(m?.[key], only)?.value ?? null,
+  detail: (m) => serviceTotal(m?.[key], only)?.via,
+});
+
+function serviceTotal(metric, only) {
+  const rows = labeledRows(metric).filter(({ labels: { service: s } }) =>
+    s != null && (!only || s === only || String(s).startsWith(`${only}:`)));
+  if (!rows.length) return null;
+  const top = rows.filter(r => !String(r.labels.service).includes(':'));
+  if (top.length) return { value: sum(top), via: top.map(r => r.labels.service).join(' + ') };
+  return { value: sum(rows), via: `${rows.length} per-queue service(s)` };
+}
+
+const outcome = (key) => [
+  scalar(key),
+  service(key),
+  summed(`${key}_by_provider`, 'provider'),
+  summed(`${key}_by_provider_and_source`, 'provider'),
+];
+
+/** Candidate sources per model field, most authoritative first. */
+export const FIELD_SOURCES = {
+  received:    outcome('total_messages_received'),
+  delivered:   outcome('total_messages_delivered'),
+  deferred:    outcome('total_messages_transfail'),
+  bounced:     outcome('total_messages_fail'),
+  ready:       [service('ready_count', 'smtp_client')],
+  scheduled:   [scalar('scheduled_count_total'), scalar('scheduled_count'), summed('scheduled_count', 'queue'), summed('scheduled_by_domain', 'domain')],
+  depth:       [summed('queued_count_by_provider', 'provider'), summed('queued_count_by_provider_and_pool', 'pool')],
+  connections: [service('connection_count', 'smtp_client')],   // outbound
+};
+
+// Readings that differ by more than this share are reported as a conflict
+const CONFLICT_RATIO = 0.01;
+
+function pick(m, field) {
+  const candidates = [];
+  for (const c of FIELD_SOURCES[field]) {
+    const value = c.read(m);
+    if (value != null) candidates.push({ source: c.source, value, ...(c.detail ? { via: c.detail(m) } : {}) });
+  }
+  return candidates;
+}
+
+const labelMap = (metric, label) => {
+  const out = {};
+  for (const r of labeledRows(metric)) {
+    if (r.labels[label] != null) out[r.labels[label]] = (out[r.labels[label]] || 0) + r.value;
+  }
+  return out;
+};
+
+// The first candidate metric that has rows, as { label value: sum }
+function pickMap(m, candidates) {
+  for (const [key, label] of candidates) {
+    const map = labelMap(m?.[key], label);
+    if (Object.keys(map).length) return { source: `${key}[${label}]`, map };
+  }
+  return { source: null, map: {} };
+}
+
+// Free % of the data spool; without one, of the fullest spool reported
+function spoolFree(m, key) {
+  const rows = labeledRows(m?.[key]).filter(r => r.labels.name != null);
+  const data = rows.find(r => r.labels.name === DATA_SPOOL);
+  if (data) return { source: `${key}[name=${DATA_SPOOL}]`, value: data.value };
+  if (!rows.length) return { source: null, value: null };
+  const low = rows.reduce((a, r) => (r.value < a.value ? r : a));
+  return { source: `${key}[name=${low.labels.name}]`, value: low.value };
+}
+
+/** How the document encodes its labels and which metric families it carries. */
+export function detectSchema(m) {
+  const forms = { scalar: 0, map: 0, array: 0 };
+  let services = false, perQueueServices = false;
+  for (const metric of Object.values(m || {})) {
+    const v = metric?.value;
+    if (isNum(v)) forms.scalar++;
+    else if (Array.isArray(v)) forms.array++;
+    else if (v && typeof v === 'object') forms.map++;
+    for (const r of labeledRows(metric)) {
+      if (r.labels.service == null) continue;
+      services = true;
+      if (String(r.labels.service).includes(':')) perQueueServices = true;
+    }
+  }
+  const has = (k) => m?.[k] != null;
+  return {
+    metrics: Object.keys(m || {}).length,
+    labels: forms.map && forms.array ? 'mixed' : forms.array ? 'arrays' : forms.map ? 'maps' : 'none',
+    forms,
+    services,
+    perQueueServices,
+    byProvider: has('total_messages_delivered_by_provider') || has('queued_count_by_provider'),
+    byProviderAndSource: has('total_messages_delivered_by_provider_and_source'),
+    byPool: has('queued_count_by_provider_and_pool'),
+  };
+}
+
+/**
+ * The normalized model of one metrics.json: outcome cumulatives, queue gauges,
+ * connections, data-spool free %, and the per-domain / per-provider maps. A
+ * field no candidate covers reads 0 (maps empty, spool null) and is listed
+ * under `missing`; `sources` names where every other field came from.
+ */
+export function normalizeMetrics(m) {
+  const model = {}, sources = {}, candidates = {}, missing = [], warnings = [];
+  for (const field of Object.keys(FIELD_SOURCES)) {
+    const found = pick(m, field);
+    candidates[field] = found;
+    const [first] = found;
+    model[field] = first ? first.value : 0;
+    sources[field] = first ? first.source : null;
+    if (!first && field !== 'depth') missing.push(field);
+    for (const c of found.slice(1)) {
+      const d = Math.abs(c.value - first.value);
+      if (d > CONFLICT_RATIO * Math.max(c.value, first.value)) {
+        warnings.push({ field, detail: `${first.source} = ${first.value} but ${c.source} = ${c.value}` });
+      }
+    }
+  }
+
+  // Depth without a per-provider or per-pool gauge: ready + scheduled
+  if (sources.depth == null) {
+    model.depth = model.ready + model.scheduled;
+    sources.depth = sources.ready || sources.scheduled ? 'ready + scheduled' : null;
+    if (!sources.depth) missing.push('depth');
+  }
+  model.depthSource = sources.depth?.startsWith('queued_count_by_provider_and_pool') ? 'pool'
+    : sources.depth?.startsWith('queued_count_by_provider') ? 'provider' : 'ready_scheduled';
+
+  const disk = spoolFree(m, 'disk_free_percent');
+  const inodes = spoolFree(m, 'disk_free_inodes_percent');
+  model.diskFreePct = disk.value;
+  model.inodeFreePct = inodes.value;
+  sources.diskFreePct = disk.source;
+  sources.inodeFreePct = inodes.source;
+
+  const domains = pickMap(m, [['scheduled_by_domain', 'domain']]);
+  const providers = pickMap(m, [['total_messages_delivered_by_provider', 'provider'], ['total_messages_delivered_by_provider_and_source', 'provider']]);
+  const queued = pickMap(m, [['queued_count_by_provider', 'provider'], ['queued_count_by_provider_and_pool', 'provider']]);
+  model.domains = domains.map;
+  model.providers = providers.map;
+  model.queued = queued.map;
+  sources.domains = domains.source;
+  sources.providers = providers.source;
+  sources.queued = queued.source;
+
+  return { ...model, sources, candidates, missing, warnings };
+}
@@ -0,0 +1,79 @@
+// lib/notify.js — outbound notifications (webhooks + plain SMTP relay)
+import net from 'node:net';
+import os from 'node:os';
+import fetch from 'node-fetch';
+
+export async function postWebhook(url, payload, { timeoutMs = 10_000 } = {}) {
+  const ctl = new AbortController();
+  const timer = setTimeout(() => ctl.abort(), timeoutMs);
+  try {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: ctl.signal,
+    });
+    return { ok: r.ok, status: r.status };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Send a text/plain message through a local relay (no AUTH/TLS; meant for
+ * 127.0.0.1 or a trusted smarthost).
+ * @param {{host:string, port:number}} relay
+ * @param {{from:string, to:string[], subject:string, text:string}} msg
+ */
+export function sendMail(relay, { from, to, subject, text }, { timeoutMs = 15_000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const sock = net.connect({ host: relay.host, port: relay.port });
+    const steps = [
+      [null, 220],
+      [`EHLO ${os.hostname()}`, 250],
+      [`MAIL FROM:<${from}>`, 250],
+      ...to.map(rcpt => [`RCPT TO:<${rcpt}>`, 250]),
+      ['DATA', 354],
+      [buildMessage({ from, to, subject, text }) + '\r\n.', 250],
+      ['QUIT', 221],
+    ];
+    let buf = '';
+    let done = false;
+    const finish = (err) => {
+      if (done) return;
+      done = true;
+      sock.destroy();
+      err ? reject(err) : resolve({ ok: true });
+    };
+    sock.setTimeout(timeoutMs, () => finish(new Error('smtp timeout')));
+    sock.on('error', finish);
+    sock.on('data', (d) => {
+      buf += d.toString();
+      // Wait for the final line of a (possibly multi-line) reply: "250 ok" not "250-..."
+      const lines = buf.split('\r\n').filter(Boolean);
+      const last = lines[lines.length - 1] || '';
+      if (!buf.endsWith('\r\n') || !/^\d{3} /.test(last)) return;
+      buf = '';
+      const [, expect] = steps.shift();
+      const code = Number(last.slice(0, 3));
+      if (code !== expect) return finish(new Error(`smtp: ${last}`));
+      if (!steps.length) return finish();
+      sock.write(steps[0][0] + '\r\n');
+    });
+  });
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = String(text).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${String(subject).replace(/[\r\n]+/g, ' ')}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body,
+  ].join('\r\n');
+}
@@ -0,0 +1,367 @@
+// lib/policy.js — KumoMTA policy/data files: list, read, checked save, versions
+//
+// Only .lua / .toml / .json files under `root` are reachable. A save never
+// touches the live file until its checks pass: the policy tree is copied to a
+// scratch directory, the edited file is written there, syntax-checked (JSON
+// and TOML in-process, Lua with `luaCheck`) and then `validateCmd` is run
+// against the copy. Only then is the live file replaced (write + rename).
+//
+// Every saved content is kept as a version under `versionsDir/<path>/`
+// (`index.jsonl` + one file per version), and the on-disk content is
+// snapshotted first when it was changed outside the UI, so any earlier state
+// can be diffed or rolled back to.
+//
+// Commands are split on whitespace; `{file}` and `{root}` are substituted with
+// the file being checked and the policy root (the scratch copy for saves).
+import { spawn } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { parse as parseTomlValue, TomlDate, TomlError } from 'smol-toml';
+
+export const POLICY_KINDS = { '.lua': 'lua', '.toml': 'toml', '.json': 'json' };
+
+const MAX_BYTES = 2 * 1024 * 1024;
+const MAX_FILES = 1000;
+const MAX_DEPTH = 6;
+const CMD_TIMEOUT_MS = 60_000;
+const OUTPUT_MAX = 20_000;
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+const kindOf = (p) => POLICY_KINDS[path.extname(p).toLowerCase()] ?? null;
+const versionId = (t, sha) => `${new Date(t).toISOString().replace(/[-:.]/g, '')}-${sha.slice(0, 8)}`;
+
+// ---------- TOML ----------
+// Values come from smol-toml (TOML 1.0) as plain objects, dates and times as
+// ISO text; errors are rethrown as SyntaxError "line N, column M: …". On
+// top of that, where each [table] / [[array]] header starts, so a caller can
+// rewrite one section of a file (lib/shaping.js).
+const plain = (v) => (v instanceof TomlDate ? v.toISOString()
+  : Array.isArray(v) ? v.map(plain)
+  : v !== null && typeof v === 'object' ? Object.fromEntries(Object.entries(v).map(([k, x]) => [k, plain(x)]))
+  : v);
+
+function tomlParse(s) {
+  try {
+    return plain(parseTomlValue(s));
+  } catch (e) {
+    if (!(e instanceof TomlError)) throw e;
+    throw new SyntaxError(`line ${e.line}, column ${e.column}: ${e.message.split('\n')[0].replace(/^Invalid TOML document: /, '')}`);
+  }
+}
+
+// Skip the string starting at s[i]; returns the index after it
+function skipString(s, i) {
+  const q = s[i];
+  const triple = s.startsWith(q.repeat(3), i);
+  for (i += triple ? 3 : 1; i < s.length; i++) {
+    if (q === '"' && s[i] === '\\') { i++; continue; }
+    if (triple ? s.startsWith(q.repeat(3), i) : s[i] === q) {
+      if (!triple) return i + 1;
+      i += 3;
+      for (let n = 0; n < 2 && s[i] === q; n++) i++;   // up to two quotes may end the content
+      return i;
+    }
+  }
+  return i;
+}
+
+// The key path of one header line, e.g. '[a."b.c"]' → ['a', 'b.c']
+function headerKeys(line) {
+  const keys = [];
+  for (let v = tomlParse(line); ; ) {
+    if (Array.isArray(v)) v = v[0];
+    const ks = Object.keys(v);
+    if (!ks.length) return keys;
+    keys.push(ks[0]);
+    v = v[ks[0]];
+  }
+}
+
+/**
+ * @returns {{ value: object, sections: { keys: string[], array: boolean, offset: number }[] }}
+ * @throws {SyntaxError} on the first problem
+ */
+export function parseTomlDocument(s) {
+  const value = tomlParse(s);
+  // The document is valid from here on: a "[" first on a line, outside any
+  // string, array or inline table, opens a header
+  const sections = [];
+  let depth = 0;
+  let lineStart = true;
+  for (let i = 0; i < s.length; ) {
+    const c = s[i];
+    if (c === '\n') { lineStart = true; i++; continue; }
+    if (c === ' ' || c === '\t' || c === '\r') { i++; continue; }
+    if (c === '#') { while (i < s.length && s[i] !== '\n') i++; continue; }
+    if (c === '"' || c === "'") { lineStart = false; i = skipString(s, i); continue; }
+    if (c === '[' && depth === 0 && lineStart) {
+      let end = s.indexOf('\n', i);
+      if (end < 0) end = s.length;
+      sections.push({ keys: headerKeys(s.slice(i, end)), array: s[i + 1] === '[', offset: i });
+      i = end;
+      continue;
+    }
+    if (c === '[' || c === '{') depth++;
+    else if (c === ']' || c === '}') depth--;
+    lineStart = false;
+    i++;
+  }
+  return { value, sections };
+}
+
+/** @returns {object} the parsed document; throws SyntaxError */
+export const parseToml = tomlParse;
+
+/** @returns {string|null} the first syntax error, or null */
+export function checkToml(s) {
+  try {
+    tomlParse(s);
+    return null;
+  } catch (e) {
+    if (e instanceof SyntaxError) return e.message;
+    throw e;
+  }
+}
+
+/** @returns {string|null} the JSON.parse error, or null */
+export function checkJson(s) {
+  try { JSON.parse(s); return null; } catch (e) { return e.message; }
+}
+
+// ---------- Commands ----------
+function runCommand(template, vars, timeoutMs = CMD_TIMEOUT_MS) {
+  const argv = String(template).trim().split(/\s+/).map(a => a.replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m));
+  return new Promise((resolve) => {
+    let output = '';
+    const add = (d) => { if (output.length < OUTPUT_MAX) output += d; };
+    const child = spawn(argv[0], argv.slice(1), { stdio: ['ignore', 'pipe', 'pipe'] });
+    const timer = setTimeout(() => { add(`\n(killed after ${timeoutMs / 1000}s)`); child.kill('SIGKILL'); }, timeoutMs);
+    child.stdout.on('data', add);
+    child.stderr.on('data', add);
+    child.on('error', (e) => { clearTimeout(timer); resolve({ code: null, missing: e.code === 'ENOENT', output: e.message }); });
+    child.on('close', (code) => { clearTimeout(timer); resolve({ code, output: output.trim() }); });
+  });
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.root           policy directory (e.g. /opt/kumomta/etc/policy)
+ * @param {string} opts.versionsDir    where versions are kept
+ * @param {string} [opts.luaCheck]     Lua syntax check command, e.g. "luac -p {file}"
+ * @param {string} [opts.validateCmd]  whole-policy validation command, run after the syntax check
+ * @param {number} [opts.maxVersions]  versions kept per file
+ */
+export function createPolicyStore({ root, versionsDir, luaCheck = 'luac -p {file}', validateCmd = '', maxVersions = 50 }) {
+  let lock = Promise.resolve();
+  const serial = (fn) => { const p = lock.then(fn); lock = p.catch(() => {}); return p; };
+
+  /** Client path (relative, or absolute under root) → { rel, abs, kind }; throws on anything outside root. */
+  async function resolvePath(p) {
+    let rel = String(p ?? '').trim().replace(/\\/g, '/');
+    const rootAbs = path.resolve(root);
+    if (path.isAbsolute(rel) && path.resolve(rel).startsWith(rootAbs + path.sep)) rel = path.relative(rootAbs, path.resolve(rel));
+    rel = path.posix.normalize(rel);
+    if (!rel || rel === '.' || path.isAbsolute(rel) || rel.split('/').some(x => x === '..' || x.startsWith('.'))) {
+      throw new Error('path must be a file under the policy root');
+    }
+    const kind = kindOf(rel);
+    if (!kind) throw new Error(`only ${Object.keys(POLICY_KINDS).join(', ')} files can be edited`);
+    // Follow symlinks: the real target must stay under the real root too
+    const realRoot = await fs.realpath(rootAbs);
+    const abs = path.join(realRoot, rel);
+    let probe = abs;
+    for (;;) {
+      const real = await fs.realpath(probe).catch(() => null);
+      if (real) {
+        if (real !== realRoot && !real.startsWith(realRoot + path.sep)) throw new Error('path must be a file under the policy root');
+        break;
+      }
+      probe = path.dirname(probe);
+    }
+    return { rel, abs, kind };
+  }
+
+  async function list() {
+    const out = [];
+    const walk = async (dir, rel, depth) => {
+      if (depth > MAX_DEPTH || out.length >= MAX_FILES) return;
+      const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+      for (const e of entries) {
+        if (e.name.startsWith('.')) continue;
+        const r = rel ? `${rel}/${e.name}` : e.name;
+        const abs = path.join(dir, e.name);
+        const st = await fs.stat(abs).catch(() => null);
+        if (!st) continue;
+        if (st.isDirectory()) await walk(abs, r, depth + 1);
+        else if (st.isFile() && kindOf(e.name) && out.length < MAX_FILES) {
+          out.push({ path: r, kind: kindOf(e.name), size: st.size, mtime: st.mtimeMs });
+        }
+      }
+    };
+    await walk(path.resolve(root), '', 0);
+    return out.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  async function read(p) {
+    const { rel, abs, kind } = await resolvePath(p);
+    const st = await fs.stat(abs).catch(() => null);
+    if (!st?.isFile()) return null;
+    if (st.size > MAX_BYTES) throw new Error(`file is larger than ${MAX_BYTES} bytes`);
+    const content = await fs.readFile(abs, 'utf8');
+    return { path: rel, kind, content, sha: sha256(content), size: st.size, mtime: st.mtimeMs };
+  }
+
+  // ---------- Checks ----------
+  async function syntax(kind, file, content) {
+    if (kind === 'json' || kind === 'toml') {
+      const err = kind === 'json' ? checkJson(content) : checkToml(content);
+      return { name: 'syntax', ok: !err, output: err ?? '' };
+    }
+    if (!luaCheck) return { name: 'syntax', ok: true, skipped: true, output: 'no Lua syntax checker configured' };
+    const r = await runCommand(luaCheck, { file, root });
+    if (r.missing) return { name: 'syntax', ok: true, skipped: true, output: `${luaCheck.split(/\s+/)[0]} not found` };
+    return { name: 'syntax', ok: r.code === 0, output: r.output };
+  }
+
+  async function validate(rootDir, file) {
+    if (!validateCmd) return { name: 'validate', ok: true, skipped: true, output: 'no validation command configured' };
+    const r = await runCommand(validateCmd, { file, root: rootDir });
+    if (r.missing) return { name: 'validate', ok: true, skipped: true, output: `${validateCmd.split(/\s+/)[0]} not found` };
+    return { name: 'validate', ok: r.code === 0, code: r.code, output: r.output };
+  }
+
+  // An edited Lua file must be checked by something: luac or the validation command.
+  const checked = (checks) => {
+    const ok = checks.every(c => c.ok);
+    if (ok && checks.every(c => c.skipped)) {
+      return { ok: false, checks: [...checks, { name: 'checker', ok: false, output: 'nothing could check this file: install luac or set POLICY_VALIDATE_CMD' }] };
+    }
+    return { ok, checks };
+  };
+
+  /** Run syntax + validation on `content` as if it were `rel`, against a scratch copy of the tree. */
+  async function checkStaged(rel, kind, content) {
+    const stage = await fs.mkdtemp(path.join(os.tmpdir(), 'kumo-policy-'));
+    try {
+      await fs.cp(path.resolve(root), stage, { recursive: true });
+      const file = path.join(stage, rel);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, content);
+      const checks = [await syntax(kind, file, content)];
+      if (!checks[0].ok) return { ok: false, checks };
+      checks.push(await validate(stage, file));
+      return kind === 'lua' ? checked(checks) : { ok: checks.every(c => c.ok), checks };
+    } finally {
+      await fs.rm(stage, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async function check(p, content) {
+    const { rel, kind } = await resolvePath(p);
+    if (typeof content !== 'string') throw new Error('content must be a string');
+    return checkStaged(rel, kind, content);
+  }
+
+  /**
+   * Check the live tree as it is on disk — every file's syntax, then the validation command.
+   * Unlike a save this does not insist on a checker: the tree is what KumoMTA would load on
+   * its next restart anyway, so a reload only stops on a check that ran and failed (the
+   * skipped ones are listed).
+   */
+  async function checkLive() {
+    const checks = [];
+    for (const f of await list()) {
+      const abs = path.join(path.resolve(root), f.path);
+      const content = await fs.readFile(abs, 'utf8').catch(() => null);
+      if (content == null) continue;
+      const c = await syntax(f.kind, abs, content);
+      if (!c.ok) checks.push({ ...c, name: `syntax ${f.path}` });
+      else if (c.skipped && f.kind === 'lua' && !checks.some(x => x.skipped)) checks.push(c);
+    }
+    checks.push(await validate(path.resolve(root), path.join(path.resolve(root), 'init.lua')));
+    return { ok: checks.every(c => c.ok), checks };
+  }
+
+  // ---------- Versions ----------
+  const versionDir = (rel) => path.join(versionsDir, rel);
+
+  async function versions(p) {
+    const { rel } = await resolvePath(p);
+    const txt = await fs.readFile(path.join(versionDir(rel), 'index.jsonl'), 'utf8').catch(() => '');
+    const out = [];
+    for (const line of txt.split('\n')) {
+      if (!line) continue;
+      try { out.push(JSON.parse(line)); } catch {}
+    }
+    return out.reverse();
+  }
+
+  async function readVersion(p, id) {
+    const { rel } = await resolvePath(p);
+    const v = (await versions(rel)).find(x => x.id === id);
+    if (!v) return null;
+    const content = await fs.readFile(path.join(versionDir(rel), v.id), 'utf8').catch(() => null);
+    return content == null ? null : { ...v, path: rel, content };
+  }
+
+  async function addVersion(rel, content, meta) {
+    const dir = versionDir(rel);
+    await fs.mkdir(dir, { recursive: true });
+    const sha = sha256(content);
+    const ts = Date.now();
+    const v = { id: versionId(ts, sha), ts, sha, size: Buffer.byteLength(content), ...meta };
+    await fs.writeFile(path.join(dir, v.id), content);
+    await fs.appendFile(path.join(dir, 'index.jsonl'), JSON.stringify(v) + '\n');
+    const all = await versions(rel);
+    if (all.length > maxVersions) {
+      const keep = all.slice(0, maxVersions).reverse();
+      for (const old of all.slice(maxVersions)) await fs.rm(path.join(dir, old.id), { force: true });
+      await fs.writeFile(path.join(dir, 'index.jsonl'), keep.map(x => JSON.stringify(x)).join('\n') + '\n');
+    }
+    return v;
+  }
+
+  /**
+   * Check and, only if every check passes, replace the live file.
+   * @param {{actor?:string, baseSha?:string, note?:string}} opts
+   *   baseSha: sha of the content the edit started from; a mismatch means the
+   *   file changed underneath and the save is refused as a conflict
+   * @returns {{ok:boolean, conflict?:boolean, checks:object[], version?:object, sha?:string}}
+   */
+  function save(p, content, { actor = null, baseSha, note } = {}) {
+    return serial(async () => {
+      const { rel, abs, kind } = await resolvePath(p);
+      if (typeof content !== 'string') throw new Error('content must be a string');
+      if (Buffer.byteLength(content) > MAX_BYTES) throw new Error(`file is larger than ${MAX_BYTES} bytes`);
+      const st = await fs.stat(abs).catch(() => null);
+      const current = st?.isFile() ? await fs.readFile(abs, 'utf8') : null;
+      if (baseSha && current != null && sha256(current) !== baseSha) return { ok: false, conflict: true, checks: [] };
+
+      const result = await checkStaged(rel, kind, content);
+      if (!result.ok) return result;
+
+      // Keep what is on disk if no version has it yet (first save, or edited by hand)
+      const last = (await versions(rel))[0];
+      if (current != null && last?.sha !== sha256(current)) await addVersion(rel, current, { actor: null, note: 'on disk before edit' });
+      const version = await addVersion(rel, content, { actor, note: note ?? null });
+
+      await fs.mkdir(path.dirname(abs), { recursive: true });
+      const tmp = path.join(path.dirname(abs), `.${path.basename(abs)}.${process.pid}.tmp`);
+      await fs.writeFile(tmp, content, { mode: st ? st.mode & 0o777 : 0o644 });
+      if (st) await fs.chown(tmp, st.uid, st.gid).catch(() => {});
+      await fs.rename(tmp, abs);
+      return { ...result, version, sha: version.sha };
+    });
+  }
+
+  /** Restore a version through the same checked save. */
+  async function rollback(p, id, { actor = null } = {}) {
+    const v = await readVersion(p, id);
+    if (!v) return null;
+    return save(v.path, v.content, { actor, note: `rollback to ${id}` });
+  }
+
+  return { root, list, read, check, checkLive, save, versions, readVersion, rollback };
+}
@@ -0,0 +1,191 @@
+// lib/probes.js — test messages submitted through KumoMTA's HTTP injection API
+//
+// A probe is built from a template (subject / text / html with {{placeholders}})
+// and submitted to the node's /api/inject/v1, tagged with an X-Kumo-UI-Probe
+// header carrying its id. The inject API answers with counts, not spool ids,
+// so each recipient is bound to a message id by the Reception record that
+// follows:
+//   header      the record carries X-Kumo-UI-Probe (log hook configured with
+//               headers = ['X-Kumo-UI-Probe'])
+//   envelope    else the first Reception on the probe's node with its sender and
+//               that recipient within `matchWindowMs` of the submission
+// From then on the recipient's status is its message's in the index (lib/messages.js).
+import { randomUUID } from 'node:crypto';
+
+export const PROBE_HEADER = 'X-Kumo-UI-Probe';
+const MAX_RECIPIENTS = 20;
+const SKEW_MS = 30_000;     // Kumo's clock may run behind ours
+
+/** Built-in message templates; {{probe_id}}, {{node}}, {{date}}, {{from}}, {{tenant}}, {{campaign}} are filled in. */
+export const TEMPLATES = {
+  plain: {
+    label: 'Plain text',
+    subject: 'Test message {{probe_id}}',
+    text: 'This is a test message sent from the KumoMTA UI.\n\nProbe: {{probe_id}}\nNode: {{node}}\nSent: {{date}}\n',
+  },
+  html: {
+    label: 'HTML and plain text',
+    subject: 'Test message {{probe_id}}',
+    text: 'This is a test message sent from the KumoMTA UI.\n\nProbe: {{probe_id}}\nNode: {{node}}\nSent: {{date}}\n',
+    html: '<!doctype html><html><body style="font-family:sans-serif">'
+      + '<p>This is a test message sent from the KumoMTA UI.</p>'
+      + '<table><tr><td>Probe</td><td>{{probe_id}}</td></tr><tr><td>Node</td><td>{{node}}</td></tr>'
+      + '<tr><td>Sent</td><td>{{date}}</td></tr></table></body></html>',
+  },
+  minimal: {
+    label: 'Minimal (one line)',
+    subject: 'probe {{probe_id}}',
+    text: 'probe {{probe_id}}\n',
+  },
+};
+
+const ADDRESS = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+const HEADER_NAME = /^[A-Za-z0-9-]{1,76}$/;
+const RESERVED = new Set(['from', 'to', 'subject', 'date', 'message-id', 'mime-version', 'content-type', PROBE_HEADER.toLowerCase()]);
+
+const render = (s, vars) => String(s ?? '').replace(/\{\{\s*(\w+)\s*\}\}/g, (m, k) => (k in vars ? vars[k] : m));
+const oneLine = (v, what) => {
+  const s = String(v ?? '').trim();
+  if (/[\r\n]/.test(s)) throw new Error(`${what} must be a single line`);
+  return s;
+};
+const address = (v, what) => {
+  const s = String(v ?? '').trim().toLowerCase();
+  if (!ADDRESS.test(s)) throw new Error(`${what} must be an email address`);
+  return s;
+};
+
+/**
+ * Validate a test-send request and build the /api/inject/v1 body; throws
+ * Error(message) on bad input. Tenant and campaign go out as X-Tenant /
+ * X-Campaign headers, which the usual policy reads them from.
+ * @param {object} b      { template, from, fromName, recipients, subject, text, html, headers, tenant, campaign }
+ * @param {object} ctx    { node, now }
+ * @returns {{ probe: object, body: object }}
+ */
+export function buildProbe(b = {}, { node, now = Date.now() }) {
+  const template = TEMPLATES[b.template || 'plain'];
+  if (!template) throw new Error(`template must be one of ${Object.keys(TEMPLATES).join(', ')}`);
+  const from = address(b.from, 'from');
+  const list = Array.isArray(b.recipients) ? b.recipients : String(b.recipients ?? '').split(/[\s,;]+/);
+  const recipients = [...new Set(list.map(r => String(r).trim()).filter(Boolean).map(r => address(r, `recipient ${r}`)))];
+  if (!recipients.length) throw new Error('at least one recipient is required');
+  if (recipients.length > MAX_RECIPIENTS) throw new Error(`at most ${MAX_RECIPIENTS} recipients`);
+  const tenant = oneLine(b.tenant, 'tenant');
+  const campaign = oneLine(b.campaign, 'campaign');
+
+  const headers = {};
+  for (const [k, v] of Object.entries(b.headers && typeof b.headers === 'object' ? b.headers : {})) {
+    const name = String(k).trim();
+    if (!name) continue;
+    if (!HEADER_NAME.test(name)) throw new Error(`header ${name}: not a valid header name`);
+    if (RESERVED.has(name.toLowerCase())) throw new Error(`header ${name} is set by the template`);
+    headers[name] = oneLine(v, `header ${name}`);
+  }
+
+  const id = randomUUID();
+  const vars = { probe_id: id, node, date: new Date(now).toUTCString(), from, tenant, campaign };
+  const subject = oneLine(render(b.subject || template.subject, vars), 'subject');
+  const text = render(b.text ?? template.text, vars);
+  const html = b.html ?? template.html;
+  Object.assign(headers, {
+    [PROBE_HEADER]: id,
+    ...(tenant ? { 'X-Tenant': tenant } : {}),
+    ...(campaign ? { 'X-Campaign': campaign } : {}),
+  });
+
+  const fromName = oneLine(b.fromName, 'fromName');
+  return {
+    probe: {
+      id, t: now, node, template: b.template || 'plain', sender: from, subject,
+      tenant: tenant || null, campaign: campaign || null,
+      recipients: recipients.map(email => ({ email, messageId: null, matchedBy: null, rejected: false })),
+    },
+    body: {
+      envelope_sender: from,
+      content: {
+        from: { email: from, ...(fromName ? { name: fromName } : {}) },
+        subject,
+        text_body: text,
+        ...(html ? { html_body: render(html, vars) } : {}),
+        headers,
+      },
+      recipients: recipients.map(email => ({ email })),
+    },
+  };
+}
+
+// Header lookup on a log record; Kumo keeps the configured names' case, senders may not
+function headerValue(headers, name) {
+  if (!headers || typeof headers !== 'object') return null;
+  const want = name.toLowerCase();
+  for (const [k, v] of Object.entries(headers)) {
+    if (k.toLowerCase() === want) return Array.isArray(v) ? String(v[0]) : String(v);
+  }
+  return null;
+}
+
+/**
+ * The most recent probes (in memory) and their recipients' message ids.
+ * @param {object} o
+ * @param {number} [o.max]             probes kept
+ * @param {number} [o.matchWindowMs]   how long after submission an envelope match counts
+ */
+export function createProbeTracker({ max = 50, matchWindowMs = 5 * 60_000 } = {}) {
+  let probes = [];               // oldest first
+  const byId = new Map();
+  const pending = new Map();     // "sender\nrecipient" → [{ probe, rcpt }] not yet bound
+
+  const key = (sender, recipient) => `${sender}\n${recipient}`;
+
+  function unpend(probe) {
+    for (const rcpt of probe.recipients) {
+      const k = key(probe.sender, rcpt.email);
+      const left = (pending.get(k) || []).filter(e => e.probe !== probe);
+      if (left.length) pending.set(k, left); else pending.delete(k);
+    }
+  }
+
+  /** Track a submitted probe (see buildProbe) with the inject API's answer. */
+  function add(probe, inject) {
+    const failed = new Set((inject?.data?.failed_recipients || []).map(r => String(r?.email ?? r).toLowerCase()));
+    for (const rcpt of probe.recipients) rcpt.rejected = !inject?.ok || failed.has(rcpt.email);
+    const p = { ...probe, inject };
+    probes.push(p);
+    byId.set(p.id, p);
+    for (const rcpt of p.recipients) {
+      if (!rcpt.rejected) pending.set(key(p.sender, rcpt.email), [...(pending.get(key(p.sender, rcpt.email)) || []), { probe: p, rcpt }]);
+    }
+    while (probes.length > max) {
+      const old = probes.shift();
+      byId.delete(old.id);
+      unpend(old);
+    }
+    return p;
+  }
+
+  /** Look at one log record (compact form from lib/messages.js, plus the raw record for headers). */
+  function observe(rec, raw) {
+    if (rec?.type !== 'Reception' || !pending.size) return;
+    const list = pending.get(key(rec.sender, rec.recipient));
+    if (!list) return;
+    const tagged = byId.get(headerValue(raw?.headers, PROBE_HEADER));
+    const hit = list.find(({ probe }) => (tagged
+      ? probe === tagged
+      : probe.node === rec.node && rec.t >= probe.t - SKEW_MS && rec.t <= probe.t + matchWindowMs));
+    if (!hit) return;
+    hit.rcpt.messageId = rec.id;
+    hit.rcpt.matchedBy = tagged ? 'header' : 'envelope';
+    const left = list.filter(e => e !== hit);
+    if (left.length) pending.set(key(rec.sender, rec.recipient), left);
+    else pending.delete(key(rec.sender, rec.recipient));
+  }
+
+  return {
+    add,
+    observe,
+    get: (id) => byId.get(String(id)) ?? null,
+    list: () => [...probes].reverse(),
+    matchWindowMs,
+  };
+}
@@ -0,0 +1,77 @@
+// lib/prometheus.js — minimal Prometheus text exposition (format 0.0.4)
+//
+// Usage:
+//   const reg = createRegistry();
+//   reg.gauge('kumo_ui_queue_depth', 'Queue depth').set({}, 42);
+//   res.type(CONTENT_TYPE).send(reg.render());
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const escLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const escHelp = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const fmtValue = (v) => (isNum(v) ? String(v) : v === Infinity ? '+Inf' : v === -Infinity ? '-Inf' : 'NaN');
+
+function fmtLabels(labels) {
+  const parts = Object.entries(labels || {})
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => `${k}="${escLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+export function createRegistry() {
+  const metrics = [];
+  const make = (type) => (name, help) => {
+    const m = { name, help, type, samples: new Map() };
+    metrics.push(m);
+    const api = {
+      set(labels, value) {
+        m.samples.set(fmtLabels(labels), value);
+        return api;
+      },
+      add(labels, value) {
+        const k = fmtLabels(labels);
+        m.samples.set(k, (m.samples.get(k) || 0) + value);
+        return api;
+      },
+    };
+    return api;
+  };
+  return {
+    counter: make('counter'),
+    gauge: make('gauge'),
+    render() {
+      const out = [];
+      for (const m of metrics) {
+        out.push(`# HELP ${m.name} ${escHelp(m.help)}`);
+        out.push(`# TYPE ${m.name} ${m.type}`);
+        for (const [labels, v] of m.samples) out.push(`${m.name}${labels} ${fmtValue(v)}`);
+      }
+      return out.join('\n') + '\n';
+    },
+  };
+}
+
+/**
+ * Sticky label budget for counters: the first `max` distinct values keep their
+ * own label, later ones fold into `other` for the life of the process, so
+ * every exported series stays monotonic.
+ */
+export function labelBudget(max, other = '__other__') {
+  const admitted = new Set();
+  return (value) => {
+    const v = String(value);
+    if (admitted.has(v)) return v;
+    if (admitted.size < max) { admitted.add(v); return v; }
+    return other;
+  };
+}
+
+/** Top `max` entries of a {key: number} map by value, remainder summed into `other`. */
+export function topWithOther(obj, max, other = '__other__') {
+  const entries = Object.entries(obj || {}).filter(([, v]) => isNum(v)).sort((a, b) => b[1] - a[1]);
+  const top = entries.slice(0, max);
+  const rest = entries.slice(max).reduce((a, [, v]) => a + v, 0);
+  if (entries.length > max) top.push([other, rest]);
+  return top;
+}
@@ -0,0 +1,196 @@
+// lib/queues.js — per-queue model built from Kumo's metrics.json
+//
+// Kumo exposes labeled metrics either as nested maps
+//   { value: { queue: { 'gmail.com': 5 } } }
+// or, for multi-label series, as arrays with the value stored at '@'
+//   { value: [ { provider: 'google', pool: 'p1', '@': 5 } ] }
+// labeledRows() flattens both into [{ labels, value }].
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+export function labeledRows(metric) {
+  const out = [];
+  const walk = (node, labels) => {
+    if (isNum(node)) { out.push({ labels, value: node }); return; }
+    if (Array.isArray(node)) {
+      for (const e of node) {
+        if (!e || typeof e !== 'object') continue;
+        const { '@': v, ...rest } = e;
+        if (isNum(v)) out.push({ labels: { ...labels, ...rest }, value: v });
+      }
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+    // Nested map form: exactly one label name per level
+    for (const [label, byValue] of Object.entries(node)) {
+      if (!byValue || typeof byValue !== 'object') continue;
+      for (const [lv, child] of Object.entries(byValue)) walk(child, { ...labels, [label]: lv });
+    }
+  };
+  walk(metric?.value, {});
+  return out;
+}
+
+// Scheduled queue names: [campaign:][tenant@]domain[!routing_domain]
+export function parseQueueName(name) {
+  let rest = String(name || '');
+  let campaign = null, tenant = null, routing_domain = null;
+  const bang = rest.lastIndexOf('!');
+  if (bang >= 0) { routing_domain = rest.slice(bang + 1) || null; rest = rest.slice(0, bang); }
+  const at = rest.lastIndexOf('@');
+  if (at >= 0) { tenant = rest.slice(0, at); rest = rest.slice(at + 1); }
+  if (tenant !== null) {
+    const colon = tenant.indexOf(':');
+    if (colon >= 0) { campaign = tenant.slice(0, colon) || null; tenant = tenant.slice(colon + 1); }
+    tenant = tenant || null;
+  } else {
+    const colon = rest.indexOf(':');
+    if (colon >= 0) { campaign = rest.slice(0, colon) || null; rest = rest.slice(colon + 1); }
+  }
+  return { name: String(name || ''), campaign, tenant, domain: rest.toLowerCase(), routing_domain };
+}
+
+// Ready queue (egress path) names: source->site@protocol, optionally
+// prefixed by the service ("smtp_client:source->site@smtp_client").
+export function parseReadyQueueName(key) {
+  let s = String(key || '');
+  const arrow = s.indexOf('->');
+  if (arrow < 0) return null;
+  const colon = s.lastIndexOf(':', arrow);
+  if (colon >= 0 && !s.slice(0, colon).includes('->')) s = s.slice(colon + 1);
+  const a = s.indexOf('->');
+  const source = s.slice(0, a);
+  let site = s.slice(a + 2), protocol = null;
+  const at = site.lastIndexOf('@');
+  if (at >= 0) { protocol = site.slice(at + 1); site = site.slice(0, at); }
+  return { name: s, source, site, protocol };
+}
+
+// Egress paths keyed by ready queue name from a service-labeled metric
+function byReadyQueue(metric) {
+  const out = new Map();
+  for (const { labels, value } of labeledRows(metric)) {
+    const p = parseReadyQueueName(labels.service ?? labels.queue ?? '');
+    if (!p) continue;
+    out.set(p.name, { ...p, value: (out.get(p.name)?.value || 0) + value });
+  }
+  return out;
+}
+
+// Sites are MX host lists; a path "belongs" to a domain when a host sits under it.
+function siteMatchesDomain(site, domain) {
+  if (!site || !domain) return false;
+  const hosts = site.replace(/^\(|\)$/g, '').split(/[|,]/).map(h => h.replace(/[()]/g, '').toLowerCase());
+  return hosts.some(h => h === domain || h.endsWith('.' + domain));
+}
+
+function readyStateNames(readyStates, name) {
+  const all = readyStates?.states_by_ready_queue ?? readyStates ?? {};
+  const st = all?.[name];
+  return st && typeof st === 'object' ? Object.keys(st) : [];
+}
+
+/**
+ * Build the queue model.
+ * @param {object} m            metrics.json
+ * @param {object} [extra]
+ * @param {Array}  [extra.suspensions]  /api/admin/suspend/v1 list
+ * @param {object} [extra.readyStates]  /api/admin/ready-q-states/v1 body
+ */
+export function buildQueueModel(m, { suspensions = [], readyStates = null } = {}) {
+  // Scheduled queues: prefer per-queue gauge, fall back to per-domain rollup
+  let sched = labeledRows(m?.scheduled_count).filter(r => r.labels.queue != null);
+  if (!sched.length) {
+    sched = labeledRows(m?.scheduled_by_domain).map(r => ({ labels: { queue: r.labels.domain }, value: r.value }));
+  }
+
+  const ready = byReadyQueue(m?.ready_count);
+  const conns = byReadyQueue(m?.connection_count);
+
+  const egress = [];
+  for (const name of new Set([...ready.keys(), ...conns.keys()])) {
+    const p = ready.get(name) || conns.get(name);
+    const states = readyStateNames(readyStates, name);
+    egress.push({
+      name,
+      source: p.source,
+      site: p.site,
+      protocol: p.protocol,
+      ready: ready.get(name)?.value ?? 0,
+      connections: conns.get(name)?.value ?? 0,
+      states,
+      mode: states.length ? 'throttled' : 'normal',
+    });
+  }
+
+  const providers = labeledRows(m?.queued_count_by_provider_and_pool).map(r => ({
+    provider: r.labels.provider ?? null,
+    pool: r.labels.pool ?? null,
+    queued: r.value,
+  }));
+  if (!providers.length) {
+    for (const r of labeledRows(m?.queued_count_by_provider)) {
+      providers.push({ provider: r.labels.provider ?? null, pool: null, queued: r.value });
+    }
+  }
+
+  const queues = sched.map(({ labels, value }) => {
+    const q = parseQueueName(labels.queue);
+    const paths = egress.filter(e => siteMatchesDomain(e.site, q.routing_domain || q.domain));
+    const susp = suspensions.filter(s =>
+      (!s.domain || String(s.domain).toLowerCase() === q.domain) &&
+      (!s.tenant || s.tenant === q.tenant) &&
+      (!s.campaign || s.campaign === q.campaign) &&
+      (s.domain || s.tenant || s.campaign));
+    const throttled = paths.some(p => p.states.length);
+    return {
+      ...q,
+      scheduled: value,
+      ready: paths.reduce((a, p) => a + p.ready, 0),
+      connections: paths.reduce((a, p) => a + p.connections, 0),
+      paused: susp.length > 0,
+      suspensions: susp.map(s => ({ id: s.id, reason: s.reason ?? null, duration: s.duration ?? null })),
+      mode: susp.length ? 'suspended' : throttled ? 'throttled' : 'normal',
+      egress: paths.map(p => p.name),
+    };
+  });
+
+  return { queues, egress, providers };
+}
+
+/**
+ * Filter, sort and page rows using query params:
+ *   q (substring over `fields`), sort, order=asc|desc, offset, limit, plus exact
+ *   matches for any key listed in `exact` (e.g. tenant=, paused=1).
+ */
+export function pageRows(rows, query = {}, { fields = ['name'], sortKeys = [], exact = [], defaultSort } = {}) {
+  const needle = String(query.q || '').toLowerCase().trim();
+  let out = needle
+    ? rows.filter(r => fields.some(f => String(r[f] ?? '').toLowerCase().includes(needle)))
+    : rows.slice();
+
+  for (const k of exact) {
+    if (query[k] == null || query[k] === '') continue;
+    const want = String(query[k]).toLowerCase();
+    out = out.filter(r => {
+      const v = r[k];
+      if (typeof v === 'boolean') return v === (want === '1' || want === 'true');
+      return String(v ?? '').toLowerCase() === want;
+    });
+  }
+
+  const sort = sortKeys.includes(query.sort) ? query.sort : defaultSort;
+  const dir = String(query.order || '').toLowerCase() === 'asc' ? 1 : -1;
+  if (sort) {
+    out.sort((a, b) => {
+      const x = a[sort], y = b[sort];
+      if (isNum(x) && isNum(y)) return (x - y) * dir;
+      return String(x ?? '').localeCompare(String(y ?? '')) * dir;
+    });
+  }
+
+  const total = out.length;
+  const offset = Math.max(0, Number(query.offset) || 0);
+  const limit = Math.min(Math.max(1, Number(query.limit) || 50), 500);
+  return { total, offset, limit, sort: sort ?? null, order: dir === 1 ? 'asc' : 'desc', rows: out.slice(offset, offset + limit) };
+}
@@ -0,0 +1,271 @@
+// lib/settings.js — proxy settings editable from the UI, applied without a restart
+//
+// Each value comes from (highest first) the settings file written by
+// PUT /settings, the environment, or the built-in default. The file only holds
+// the overrides; setting a key to null removes its override again.
+import { spawn } from 'node:child_process';
+import { promises as fs, constants as FS } from 'node:fs';
+import path from 'node:path';
+import fetch from 'node-fetch';
+import { parseDuration } from './history.js';
+import { checkSource, formatSource, parseSource, sourceUses } from './ingest.js';
+
+const DAY = 86_400_000;
+
+const absolute = (label) => (v) => {
+  const s = String(v ?? '').trim();
+  if (!path.isAbsolute(s)) throw new Error(`${label} must be an absolute path`);
+  return path.normalize(s);
+};
+
+const integer = (min, max) => (v) => {
+  const x = Number(v);
+  if (!Number.isInteger(x) || x < min || x > max) throw new Error(`must be a whole number between ${min} and ${max}`);
+  return x;
+};
+
+export const SETTINGS = {
+  KUMO_HTTP: {
+    label: 'Metrics endpoint',
+    default: 'http://127.0.0.1:8000',
+    parse(v) {
+      let u;
+      try { u = new URL(String(v ?? '').trim()); } catch { throw new Error('must be a URL like http://127.0.0.1:8000'); }
+      if (!/^https?:$/.test(u.protocol)) throw new Error('must be an http:// or https:// URL');
+      if (u.search || u.hash) throw new Error('must not have a query string or fragment');
+      return u.toString().replace(/\/+$/, '').replace(/\/metrics\.json$/, '');
+    },
+  },
+  STATE_PATH: {
+    label: 'State file',
+    default: '/opt/kumo-ui-api/state.json',
+    parse(v) {
+      const p = absolute('state file')(v);
+      if (!p.endsWith('.json')) throw new Error('must be a .json file');
+      return p;
+    },
+    async check(p) {
+      await fs.mkdir(path.dirname(p), { recursive: true });
+      await fs.access(path.dirname(p), FS.W_OK);
+    },
+  },
+  DEFERRAL_RETAIN_MS: {
+    label: 'Deferral/bounce retention',
+    default: 48 * 3600_000,
+    parse(v) {
+      const ms = parseDuration(v);
+      if (!ms || ms < 60_000 || ms > 30 * DAY) throw new Error('must be between 1m and 30d (ms, or like "48h")');
+      return Math.round(ms);
+    },
+  },
+  EVENTS_MAX: {
+    label: 'Recent events kept',
+    default: 500,
+    parse: integer(10, 100_000),
+  },
+  KUMO_TAILER: {
+    label: 'Tailer binary',
+    default: '/opt/kumomta/sbin/tailer',
+    parse: absolute('tailer'),
+    async check(p) {
+      const st = await fs.stat(p);
+      if (!st.isFile()) throw new Error('not a file');
+      await fs.access(p, FS.X_OK);
+    },
+  },
+  KUMO_SOURCE: {
+    label: 'Log source',
+    default: 'tailer',
+    // tailer | segments | journald[:unit] | syslog[:host:port] | webhook[:host:port] | replay:<file>?speed= (lib/ingest.js)
+    parse: (v) => formatSource(parseSource(v)),
+  },
+  KUMO_LOGDIR: {
+    label: 'Log directory',
+    default: '/var/log/kumomta',
+    parse: absolute('log directory'),
+    async check(p) {
+      const st = await fs.stat(p);
+      if (!st.isDirectory()) throw new Error('not a directory');
+      await fs.access(p, FS.R_OK | FS.X_OK);
+    },
+  },
+};
+
+const describeFsError = (e) =>
+  e.code === 'ENOENT' ? 'does not exist' : e.code === 'EACCES' ? 'permission denied' : e.message;
+
+/**
+ * Parse and check a partial update.
+ * @param {boolean|((key:string, value:any)=>boolean)} [opts.checkFs]  which values get filesystem checks
+ * @returns {Promise<{values: object, errors: Record<string,string>}>}
+ *   values holds parsed values (null = remove override)
+ */
+export async function validateSettings(patch = {}, { checkFs = true } = {}) {
+  const shouldCheck = typeof checkFs === 'function' ? checkFs : () => checkFs;
+  const values = {}, errors = {};
+  for (const [k, v] of Object.entries(patch ?? {})) {
+    const spec = SETTINGS[k];
+    if (!spec) { errors[k] = 'unknown setting'; continue; }
+    if (v === null || v === '') { values[k] = null; continue; }
+    try {
+      values[k] = spec.parse(v);
+      if (spec.check && shouldCheck(k, values[k])) await spec.check(values[k]).catch((e) => { throw new Error(describeFsError(e)); });
+    } catch (e) {
+      errors[k] = e.message;
+    }
+  }
+  return { values, errors };
+}
+
+// ---------- Connection test ----------
+async function probeMetrics(base, timeoutMs) {
+  const url = `${base}/metrics.json`;
+  const ctl = new AbortController();
+  const timer = setTimeout(() => ctl.abort(), timeoutMs);
+  const started = Date.now();
+  try {
+    const r = await fetch(url, { signal: ctl.signal });
+    const ms = Date.now() - started;
+    if (!r.ok) return { ok: false, url, status: r.status, ms, detail: `HTTP ${r.status}` };
+    const m = await r.json().catch(() => null);
+    if (!m || typeof m !== 'object') return { ok: false, url, status: r.status, ms, detail: 'response is not JSON' };
+    return { ok: true, url, status: r.status, ms, detail: `${Object.keys(m).length} metrics` };
+  } catch (e) {
+    return { ok: false, url, ms: Date.now() - started, detail: e.name === 'AbortError' ? `no answer within ${timeoutMs / 1000}s` : e.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function probeTailer(bin, timeoutMs) {
+  try {
+    await SETTINGS.KUMO_TAILER.check(bin);
+  } catch (e) {
+    return { ok: false, path: bin, detail: describeFsError(e) };
+  }
+  // It must actually start: `--help` exits 0 without touching any logs
+  return new Promise((resolve) => {
+    let out = '';
+    const child = spawn(bin, ['--help'], { stdio: ['ignore', 'pipe', 'pipe'] });
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+    child.stdout.on('data', (d) => { out += d; });
+    child.stderr.on('data', (d) => { out += d; });
+    child.on('error', (e) => { clearTimeout(timer); resolve({ ok: false, path: bin, detail: e.message }); });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      const first = out.trim().split('\n')[0] ?? '';
+      resolve(code === 0
+        ? { ok: true, path: bin, detail: first || 'runs' }
+        : { ok: false, path: bin, detail: signal ? `did not exit within ${timeoutMs / 1000}s` : `exited with code ${code}${first ? `: ${first}` : ''}` });
+    });
+  });
+}
+
+async function probeLogDir(dir) {
+  try {
+    await SETTINGS.KUMO_LOGDIR.check(dir);
+    const names = await fs.readdir(dir);
+    let newest = null;
+    for (const f of names) {
+      const st = await fs.stat(path.join(dir, f)).catch(() => null);
+      if (st?.isFile() && (!newest || st.mtimeMs > newest)) newest = st.mtimeMs;
+    }
+    return { ok: true, path: dir, files: names.length, newest, detail: `${names.length} file(s)` };
+  } catch (e) {
+    return { ok: false, path: dir, detail: describeFsError(e) };
+  }
+}
+
+/**
+ * Probe the metrics URL, the log source, the tailer binary and the log directory
+ * of `values`; the tailer and log directory only count when the source uses them.
+ */
+export async function probeSettings(values, { timeoutMs = 5000, zstd } = {}) {
+  const [metrics, source, tailer, logDir] = await Promise.all([
+    probeMetrics(values.KUMO_HTTP, timeoutMs),
+    checkSource(values.KUMO_SOURCE, { zstd }),
+    probeTailer(values.KUMO_TAILER, timeoutMs),
+    probeLogDir(values.KUMO_LOGDIR),
+  ]);
+  const uses = source.type ? sourceUses(values.KUMO_SOURCE) : { tailer: false, logDir: false };
+  return { ok: metrics.ok && source.ok && (!uses.tailer || tailer.ok) && (!uses.logDir || logDir.ok), metrics, source, tailer, logDir };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.file   settings JSON file (overrides only)
+ * @param {object} [opts.env]
+ */
+export function createSettings({ file, env = process.env }) {
+  let overrides = {};
+
+  const envValues = {};
+  for (const k of Object.keys(SETTINGS)) {
+    if (env[k] == null || env[k] === '') continue;
+    try { envValues[k] = SETTINGS[k].parse(env[k]); } catch (e) {
+      console.error(`settings: ignoring ${k} from the environment: ${e.message}`);
+    }
+  }
+  const fromEnv = (k) => envValues[k];
+
+  function current() {
+    const out = {};
+    for (const k of Object.keys(SETTINGS)) out[k] = overrides[k] ?? fromEnv(k) ?? SETTINGS[k].default;
+    return out;
+  }
+
+  function describe() {
+    const values = current();
+    return {
+      file,
+      settings: Object.fromEntries(Object.entries(SETTINGS).map(([k, spec]) => [k, {
+        label: spec.label,
+        value: values[k],
+        source: k in overrides ? 'file' : fromEnv(k) !== undefined ? 'env' : 'default',
+        env: fromEnv(k) ?? null,
+        default: spec.default,
+      }])),
+    };
+  }
+
+  /** (Re)read the file; bad entries are dropped with a log line. */
+  async function load() {
+    let raw = {};
+    try {
+      raw = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error(`settings: cannot read ${file}: ${e.message}`);
+    }
+    const { values, errors } = await validateSettings(raw, { checkFs: false });
+    for (const [k, msg] of Object.entries(errors)) console.error(`settings: ignoring ${k} in ${file}: ${msg}`);
+    overrides = Object.fromEntries(Object.entries(values).filter(([, v]) => v !== null));
+    return current();
+  }
+
+  /**
+   * Validate, persist and return { before, after, changed }. Throws an Error
+   * with `.fields` when any value is invalid (nothing is written then).
+   */
+  async function update(patch) {
+    const before = current();
+    // Unchanged paths aren't re-checked, so saving the whole form works even if e.g. the tailer is missing
+    const { values, errors } = await validateSettings(patch, { checkFs: (k, v) => v !== before[k] });
+    if (Object.keys(errors).length) {
+      const e = new Error(Object.entries(errors).map(([k, m]) => `${k}: ${m}`).join('; '));
+      e.fields = errors;
+      throw e;
+    }
+    const next = { ...overrides };
+    for (const [k, v] of Object.entries(values)) {
+      if (v === null) delete next[k];
+      else if (v !== before[k] || k in next) next[k] = v;   // don't pin env/default values into the file
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(next, null, 2));
+    overrides = next;
+    const after = current();
+    return { before, after, changed: Object.keys(after).filter(k => after[k] !== before[k]) };
+  }
+
+  return { load, current, describe, update };
+}
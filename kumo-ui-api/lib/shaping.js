@@ -0,0 +1,392 @@
+// lib/shaping.js — KumoMTA traffic shaping files: entries, schema, effective view, edits
+//
+// Shaping files (TOML or JSON, loaded by the policy's shaping helper in the
+// order given) hold one table per entry: "default", a domain (or site) name,
+// or provider."name" with `match` rules. Each entry has egress settings
+// (connection_limit, max_message_rate, …), optional per-source overrides under
+// `sources` and `automation` rules that change settings when a response
+// matches. Later files merge into earlier ones key by key (sources per source,
+// automation appended) unless the later entry sets `replace_base`.
+//
+// The effective settings for a domain layer default < matching providers <
+// the domain's own entry, and every value names the entry and file it came
+// from. Edits rewrite a single entry: in TOML only that entry's tables are
+// replaced (the rest of the file, comments included, stays as it is) and the
+// result is re-parsed to make sure nothing else moved.
+import { isDeepStrictEqual } from 'node:util';
+import { parseTomlDocument } from './policy.js';
+
+export const TLS_MODES = ['Opportunistic', 'OpportunisticInsecure', 'Required', 'RequiredInsecure', 'Disabled'];
+export const ACTIONS = ['Suspend', 'SuspendTenant', 'SuspendCampaign', 'SetConfig', 'SetDomainConfig', 'Bounce', 'BounceTenant', 'BounceCampaign'];
+export const MATCHERS = ['MXSuffix', 'MXExact', 'DomainSuffix'];
+
+/** Egress settings this editor knows; anything else is kept as it is, with a warning. */
+export const SETTINGS = {
+  connection_limit: { type: 'int', label: 'Connection limit' },
+  max_connection_rate: { type: 'rate', label: 'Max connection rate' },
+  max_deliveries_per_connection: { type: 'int', label: 'Max deliveries per connection' },
+  max_message_rate: { type: 'rate', label: 'Max message rate' },
+  max_ready: { type: 'int', label: 'Max ready' },
+  consecutive_connection_failures_before_delay: { type: 'int', label: 'Failures before delay' },
+  enable_tls: { type: 'enum', values: TLS_MODES, label: 'TLS' },
+  enable_mta_sts: { type: 'bool' },
+  enable_dane: { type: 'bool' },
+  idle_timeout: { type: 'duration', label: 'Idle timeout' },
+  connect_timeout: { type: 'duration' },
+  banner_timeout: { type: 'duration' },
+  ehlo_timeout: { type: 'duration' },
+  mail_from_timeout: { type: 'duration' },
+  rcpt_to_timeout: { type: 'duration' },
+  data_timeout: { type: 'duration' },
+  data_dot_timeout: { type: 'duration' },
+  rset_timeout: { type: 'duration' },
+  starttls_timeout: { type: 'duration' },
+  auth_timeout: { type: 'duration' },
+  system_shutdown_timeout: { type: 'duration' },
+  remember_broken_tls: { type: 'duration' },
+  smtp_port: { type: 'int' },
+  ehlo_domain: { type: 'string' },
+  prohibited_hosts: { type: 'strings' },
+  skip_hosts: { type: 'strings' },
+  allow_smtp_auth_plain_without_tls: { type: 'bool' },
+  aggressive_connection_opening: { type: 'bool' },
+  opportunistic_tls_reconnect_on_failed_handshake: { type: 'bool' },
+  tls_prefer_openssl: { type: 'bool' },
+  openssl_cipher_list: { type: 'string' },
+  openssl_cipher_suites: { type: 'string' },
+  openssl_options: { type: 'string' },
+  rustls_cipher_suites: { type: 'strings' },
+  reconnect_strategy: { type: 'enum', values: ['ConnectNextHost', 'TerminateSession', 'ReconnectSameHost'] },
+  use_lmtp: { type: 'bool' },
+  suspended: { type: 'bool' },
+  source_selection_rate: { type: 'rate' },
+  provider_connection_limit: { type: 'int' },
+  provider_max_message_rate: { type: 'rate' },
+  additional_connection_limits: { type: 'table' },
+  additional_message_rate_throttles: { type: 'table' },
+  additional_source_selection_rates: { type: 'table' },
+};
+// Entry-level keys besides the settings
+const ENTRY_KEYS = { mx_rollup: 'bool', replace_base: 'bool' };
+
+const RATE = /^(?:local:)?\d[\d_]*\s*\/\s*(?:s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?)(?:\s*,\s*max_burst\s*=\s*\d+)?$/i;
+const DURATION = /^(?:\d+(?:\.\d+)?\s*(?:ns|us|ms|s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?)\s*)+$/i;
+
+const isTable = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/** "default", "provider" (under provider."name"), "domain", or "site" for names that are patterns. */
+export const entryKind = (name, provider = false) =>
+  provider ? 'provider' : name === 'default' ? 'default' : /^[a-z0-9.-]+$/i.test(name) ? 'domain' : 'site';
+
+// ---------- Schema ----------
+// Form values arrive as strings; numbers and booleans are read from them, and
+// empty values unset the key.
+function coerce(type, v) {
+  if (type === 'int' && typeof v === 'string' && /^\d+$/.test(v.trim())) return Number(v);
+  if (type === 'bool' && (v === 'true' || v === 'false')) return v === 'true';
+  if (type === 'strings' && typeof v === 'string') return v.split(/[\s,]+/).filter(Boolean);
+  return typeof v === 'string' ? v.trim() : v;
+}
+
+function checkSetting(k, v, type, errors, at) {
+  const bad = (what) => errors.push({ path: at, detail: `${k} must be ${what}` });
+  switch (type.type ?? type) {
+    case 'int': if (!Number.isInteger(v) || v < 0) bad('a whole number'); break;
+    case 'bool': if (typeof v !== 'boolean') bad('true or false'); break;
+    case 'string': if (typeof v !== 'string') bad('a string'); break;
+    case 'strings': if (!Array.isArray(v) || v.some(x => typeof x !== 'string')) bad('a list of strings'); break;
+    case 'table': if (!isTable(v)) bad('a table'); break;
+    case 'rate': if (typeof v !== 'string' || !RATE.test(v)) bad('a rate like "100/s", "20/min" or "1000/h"'); break;
+    case 'duration':
+      if (!(Number.isInteger(v) && v >= 0) && !(typeof v === 'string' && DURATION.test(v))) bad('a duration like "60s", "5m" or "1 hour"');
+      break;
+    case 'enum': if (!type.values.includes(v)) bad(`one of ${type.values.join(', ')}`); break;
+  }
+}
+
+// Settings of one table (the entry, or one of its sources) in place
+function checkSettings(obj, at, errors, warnings, extra = {}) {
+  for (const [k, raw] of Object.entries(obj)) {
+    const type = SETTINGS[k] ?? extra[k];
+    const path = at ? `${at}.${k}` : k;
+    if (!type) {
+      warnings.push({ path, detail: `${k} is not a setting this editor knows; it is kept as it is` });
+      continue;
+    }
+    const v = coerce(type.type ?? type, raw);
+    if (v === '' || v == null) { delete obj[k]; continue; }
+    obj[k] = v;
+    checkSetting(k, v, type, errors, path);
+  }
+}
+
+function checkAction(a, at, errors, warnings) {
+  const name = typeof a === 'string' ? a : isTable(a) && Object.keys(a).length === 1 ? Object.keys(a)[0] : null;
+  if (!name) return errors.push({ path: at, detail: 'action must be a name ("Suspend") or a table ({ SetConfig = { name, value } })' });
+  if (!ACTIONS.includes(name)) warnings.push({ path: at, detail: `${name} is not an action this editor knows` });
+  if (name === 'SetConfig' || name === 'SetDomainConfig') {
+    const c = a[name];
+    if (!isTable(c) || typeof c.name !== 'string' || c.value === undefined) {
+      return errors.push({ path: at, detail: `${name} needs { name, value }` });
+    }
+    if (!SETTINGS[c.name]) warnings.push({ path: at, detail: `${c.name} is not a setting this editor knows` });
+    else checkSetting(c.name, coerce(SETTINGS[c.name].type, c.value), SETTINGS[c.name], errors, `${at}.value`);
+  }
+}
+
+function checkRule(rule, at, errors, warnings) {
+  if (!isTable(rule)) return errors.push({ path: at, detail: 'a rule must be a table' });
+  const regexes = Array.isArray(rule.regex) ? rule.regex : [rule.regex];
+  if (!regexes.length || regexes.some(r => typeof r !== 'string' || !r)) errors.push({ path: `${at}.regex`, detail: 'regex is required (a string or a list of strings)' });
+  for (const r of regexes) {
+    if (typeof r !== 'string') continue;
+    // Kumo uses Rust's regex crate; JS accepts nearly the same syntax, so this catches most typos
+    try { new RegExp(r.replace(/^\(\?[a-z]+\)/, '')); } catch (e) { errors.push({ path: `${at}.regex`, detail: e.message }); }
+  }
+  const actions = Array.isArray(rule.action) ? rule.action : [rule.action];
+  if (rule.action == null || !actions.length) errors.push({ path: `${at}.action`, detail: 'action is required' });
+  else actions.forEach((a, j) => checkAction(a, Array.isArray(rule.action) ? `${at}.action[${j}]` : `${at}.action`, errors, warnings));
+  if (rule.duration == null || rule.duration === '') errors.push({ path: `${at}.duration`, detail: 'duration is required' });
+  else checkSetting('duration', rule.duration, 'duration', errors, `${at}.duration`);
+  if (rule.trigger != null && rule.trigger !== 'Immediate'
+    && !(isTable(rule.trigger) && typeof rule.trigger.Threshold === 'string' && RATE.test(rule.trigger.Threshold))) {
+    errors.push({ path: `${at}.trigger`, detail: 'trigger must be "Immediate" or { Threshold = "N/period" }' });
+  }
+  for (const k of Object.keys(rule)) {
+    if (!['regex', 'action', 'duration', 'trigger', 'match_internal'].includes(k)) warnings.push({ path: `${at}.${k}`, detail: `${k} is not a rule key this editor knows` });
+  }
+}
+
+/**
+ * Validate (and normalize: form strings → numbers/booleans, empty values
+ * dropped) one entry; never throws.
+ * @returns {{ entry: object, errors: {path,detail}[], warnings: {path,detail}[] }}
+ */
+export function validateEntry(name, input, { provider = false } = {}) {
+  const errors = [], warnings = [];
+  if (typeof name !== 'string' || !name.trim()) errors.push({ path: 'name', detail: 'name is required' });
+  else if (!provider && name === 'provider') errors.push({ path: 'name', detail: '"provider" holds provider entries; it is not a domain' });
+  if (!isTable(input)) return { entry: input, errors: [...errors, { path: '', detail: 'entry must be a table' }], warnings };
+  const entry = structuredClone(input);
+
+  const { sources, automation, match } = entry;
+  delete entry.sources; delete entry.automation; delete entry.match;
+  checkSettings(entry, '', errors, warnings, ENTRY_KEYS);
+
+  if (sources != null) {
+    if (!isTable(sources)) errors.push({ path: 'sources', detail: 'sources must be a table of source name → settings' });
+    else {
+      for (const [src, cfg] of Object.entries(sources)) {
+        if (!isTable(cfg)) errors.push({ path: `sources.${src}`, detail: 'must be a table of settings' });
+        else checkSettings(cfg, `sources.${src}`, errors, warnings);
+      }
+      if (Object.keys(sources).length) entry.sources = sources;
+    }
+  }
+  if (automation != null) {
+    if (!Array.isArray(automation)) errors.push({ path: 'automation', detail: 'automation must be a list of rules' });
+    else {
+      automation.forEach((r, j) => checkRule(r, `automation[${j}]`, errors, warnings));
+      if (automation.length) entry.automation = automation;
+    }
+  }
+  if (provider) {
+    if (!Array.isArray(match) || !match.length) errors.push({ path: 'match', detail: 'a provider needs at least one match rule' });
+    else {
+      match.forEach((m, j) => {
+        const k = isTable(m) && Object.keys(m).length === 1 ? Object.keys(m)[0] : null;
+        if (!k || typeof m[k] !== 'string' || !m[k]) errors.push({ path: `match[${j}]`, detail: 'a match rule is one of { MXSuffix = ".example.net" }, { DomainSuffix = … }' });
+        else if (!MATCHERS.includes(k)) warnings.push({ path: `match[${j}]`, detail: `${k} is not a match rule this editor can evaluate` });
+      });
+      entry.match = match;
+    }
+  } else if (match != null) errors.push({ path: 'match', detail: 'match only applies to provider entries' });
+  return { entry, errors, warnings };
+}
+
+// ---------- Files → entries ----------
+/**
+ * Parse the shaping files (in merge order) into their entries.
+ * @param {{ path, kind: 'toml'|'json', content, editable, sha? }[]} files
+ */
+export function readShaping(files) {
+  const out = { files: [], entries: [] };
+  files.forEach((f, order) => {
+    let doc;
+    try {
+      doc = f.kind === 'json' ? JSON.parse(f.content) : parseTomlDocument(f.content).value;
+      if (!isTable(doc)) throw new Error('top level must be a table');
+    } catch (e) {
+      out.files.push({ path: f.path, kind: f.kind, editable: f.editable, sha: f.sha ?? null, entries: 0, error: e.message });
+      return;
+    }
+    const before = out.entries.length;
+    const add = (name, value, provider) => {
+      if (!isTable(value)) return;
+      out.entries.push({ name, kind: entryKind(name, provider), file: f.path, order, editable: f.editable, value });
+    };
+    for (const [name, value] of Object.entries(doc)) {
+      if (name === 'provider' && isTable(value)) for (const [p, v] of Object.entries(value)) add(p, v, true);
+      else add(name, value, false);
+    }
+    out.files.push({ path: f.path, kind: f.kind, editable: f.editable, sha: f.sha ?? null, entries: out.entries.length - before });
+  });
+  return out;
+}
+
+// Fold one entry into a merged layer, remembering where each value came from
+function mergeInto(layer, e) {
+  const from = { name: e.name, kind: e.kind, file: e.file };
+  if (e.value.replace_base) { layer.settings = {}; layer.sources = {}; layer.automation = []; layer.match = null; }
+  for (const [k, v] of Object.entries(e.value)) {
+    if (k === 'sources' && isTable(v)) {
+      for (const [src, cfg] of Object.entries(v)) {
+        if (!isTable(cfg)) continue;
+        const into = (layer.sources[src] ||= {});
+        for (const [sk, sv] of Object.entries(cfg)) into[sk] = { value: sv, from };
+      }
+    } else if (k === 'automation' && Array.isArray(v)) {
+      for (const rule of v) layer.automation.push({ ...rule, from });
+    } else if (k === 'match') layer.match = v;
+    else if (k !== 'replace_base') layer.settings[k] = { value: v, from };
+  }
+  layer.files.push(e.file);
+}
+
+/** Entries of the same name merged across files: Map "kind:name" → layer. */
+export function mergeShaping(entries) {
+  const merged = new Map();
+  for (const e of [...entries].sort((a, b) => a.order - b.order)) {
+    const key = `${e.kind === 'provider' ? 'provider' : 'entry'}:${e.name}`;
+    if (!merged.has(key)) merged.set(key, { name: e.name, kind: e.kind, settings: {}, sources: {}, automation: [], match: null, files: [] });
+    mergeInto(merged.get(key), e);
+  }
+  return merged;
+}
+
+const suffix = (host, s) => {
+  const h = String(host).toLowerCase().replace(/\.$/, '');
+  const x = String(s).toLowerCase().replace(/\.$/, '');
+  return x.startsWith('.') ? h.endsWith(x) : h === x || h.endsWith(`.${x}`);
+};
+
+/** Whether a provider's match rules cover `domain` (with its MX hosts, when known). */
+export function providerMatches(match, domain, mx = []) {
+  return (Array.isArray(match) ? match : []).some((m) => {
+    if (!isTable(m)) return false;
+    if (m.DomainSuffix) return suffix(domain, m.DomainSuffix);
+    // Kumo requires every MX host to match
+    if (m.MXSuffix) return mx.length > 0 && mx.every(h => suffix(h, m.MXSuffix));
+    if (m.MXExact) return mx.length > 0 && mx.every(h => String(h).toLowerCase().replace(/\.$/, '') === String(m.MXExact).toLowerCase());
+    return false;
+  });
+}
+
+/**
+ * Effective settings for `domain`: default, then every provider whose match
+ * rules cover it, then its own entry.
+ * @returns {{ layers, settings: {key: {value, from}}, sources, automation }}
+ */
+export function effectiveShaping(merged, domain, { mx = [] } = {}) {
+  const d = String(domain).toLowerCase();
+  const layers = [
+    merged.get('entry:default'),
+    ...[...merged.values()].filter(l => l.kind === 'provider' && providerMatches(l.match, d, mx)),
+    merged.get(`entry:${d}`),
+  ].filter(Boolean);
+  const out = { layers: layers.map(l => ({ name: l.name, kind: l.kind, files: l.files })), settings: {}, sources: {}, automation: [] };
+  for (const l of layers) {
+    Object.assign(out.settings, l.settings);
+    for (const [src, cfg] of Object.entries(l.sources)) Object.assign((out.sources[src] ||= {}), cfg);
+    out.automation.push(...l.automation);
+  }
+  return out;
+}
+
+// ---------- Edits ----------
+const BARE = /^[A-Za-z0-9_-]+$/;
+const tomlKey = (k) => (BARE.test(k) ? k : JSON.stringify(k));
+
+function tomlValue(v) {
+  if (typeof v === 'string') {
+    // regexes read better as 'literal' strings than with every backslash doubled
+    return v.includes('\\') && !/['\n\r]/.test(v) ? `'${v}'` : JSON.stringify(v);
+  }
+  if (typeof v === 'number' || typeof v === 'boolean') return String(v);
+  if (Array.isArray(v)) return `[${v.map(tomlValue).join(', ')}]`;
+  if (isTable(v)) return `{ ${Object.entries(v).map(([k, x]) => `${tomlKey(k)} = ${tomlValue(x)}`).join(', ')} }`;
+  throw new Error(`cannot write ${typeof v} as TOML`);
+}
+
+/** One entry as TOML: its table, then a table per source and one [[…automation]] per rule. */
+export function entryToml(name, entry, { provider = false } = {}) {
+  const head = provider ? `provider.${JSON.stringify(name)}` : JSON.stringify(name);
+  const { sources, automation, ...rest } = entry;
+  const kv = (o) => Object.entries(o).map(([k, v]) => `${tomlKey(k)} = ${tomlValue(v)}`);
+  const lines = [`[${head}]`, ...kv(rest)];
+  for (const [src, cfg] of Object.entries(sources || {})) lines.push('', `[${head}.sources.${JSON.stringify(src)}]`, ...kv(cfg));
+  for (const rule of automation || []) lines.push('', `[[${head}.automation]]`, ...kv(rule));
+  return lines.join('\n') + '\n';
+}
+
+// [start, end) of each TOML section, without the blank and comment lines that
+// trail it (those introduce whatever comes next)
+function sectionSpans(content, sections) {
+  return sections.map((s, j) => {
+    const next = j + 1 < sections.length ? sections[j + 1].offset : content.length;
+    const lines = content.slice(s.offset, next).split('\n');
+    while (lines.length > 1 && /^\s*(?:#.*)?\r?$/.test(lines.at(-1))) lines.pop();
+    return { ...s, start: s.offset, end: s.offset + lines.join('\n').length };
+  });
+}
+
+const entryOf = (doc, name, provider) => (provider ? doc?.provider?.[name] : doc?.[name]);
+function withoutEntry(doc, name, provider) {
+  const copy = structuredClone(doc);
+  if (provider) {
+    if (isTable(copy.provider)) delete copy.provider[name];
+    if (isTable(copy.provider) && !Object.keys(copy.provider).length) delete copy.provider;
+  } else delete copy[name];
+  return copy;
+}
+
+/**
+ * The file's content with entry `name` replaced by `entry` (added when absent,
+ * removed when `entry` is null). Throws Error(message) when a TOML file
+ * defines the entry in a way that can't be rewritten table by table.
+ */
+export function replaceEntry(file, name, entry, { provider = false } = {}) {
+  if (file.kind === 'json') {
+    const doc = JSON.parse(file.content);
+    if (provider) {
+      if (entry) (doc.provider ||= {})[name] = entry;
+      else if (isTable(doc.provider)) delete doc.provider[name];
+    } else if (entry) doc[name] = entry;
+    else delete doc[name];
+    return JSON.stringify(doc, null, 2) + '\n';
+  }
+
+  const { value: before, sections } = parseTomlDocument(file.content);
+  const path = provider ? ['provider', name] : [name];
+  const mine = sectionSpans(file.content, sections)
+    .filter(s => path.every((k, j) => s.keys[j] === k));
+  let content = file.content;
+  for (const s of [...mine].reverse()) {
+    const end = content[s.end] === '\n' ? s.end + 1 : s.end;
+    if (s === mine[0] && entry) {
+      content = content.slice(0, s.start) + entryToml(name, entry, { provider }) + content.slice(end);
+    } else {
+      // a removed table takes the blank lines before it along
+      content = content.slice(0, s.start).replace(/\n(?:[ \t\r]*\n)+$/, '\n') + content.slice(end);
+    }
+  }
+  if (!mine.length && entry) content = content.replace(/\n*$/, content.trim() ? '\n\n' : '') + entryToml(name, entry, { provider });
+
+  // Everything but this entry must read back as before, and the entry as given
+  const outside = new Error(`${name} is also set outside its own tables in ${file.path} (dotted keys or inline tables); edit that file on the Policy page`);
+  let after;
+  try { after = parseTomlDocument(content).value; } catch { throw outside; }
+  if (!isDeepStrictEqual(withoutEntry(after, name, provider), withoutEntry(before, name, provider))
+    || !isDeepStrictEqual(entryOf(after, name, provider) ?? null, entry ?? null)) throw outside;
+  return content;
+}
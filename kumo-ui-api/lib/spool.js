@@ -0,0 +1,114 @@
+// lib/spool.js — spool capacity over time and a time-to-full forecast
+//
+// KumoMTA reports each monitored spool ("data spool", "meta spool") by name:
+// disk_free_percent / disk_free_inodes_percent, and where the build exports
+// them disk_free_bytes / disk_free_inodes (totals are derived from the two).
+// Every poll is folded into one-minute buckets per node together with the
+// node's queue depth. The forecast extrapolates two trends and keeps the
+// sooner one:
+//   disk   used % (bytes or inodes, whichever fills first) per hour over the
+//          trend window
+//   queue  used % per queued message over the trend window × the queue's
+//          growth over the last half hour, so a queue that starts piling up
+//          shows before the disk trend catches on
+import { labeledRows } from './queues.js';
+
+const HOUR = 3_600_000;
+const MIN_POINTS = 5;                 // minute buckets needed before forecasting
+const QUEUE_TREND_MS = 30 * 60_000;
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/** { [spool name]: { freePct, inodeFreePct, freeBytes, freeInodes, totalBytes, totalInodes } } */
+export function readSpools(m) {
+  const out = {};
+  const take = (metric, field) => {
+    for (const { labels, value } of labeledRows(m?.[metric])) {
+      if (labels.name == null) continue;
+      (out[labels.name] ||= { freePct: null, inodeFreePct: null, freeBytes: null, freeInodes: null })[field] = value;
+    }
+  };
+  take('disk_free_percent', 'freePct');
+  take('disk_free_inodes_percent', 'inodeFreePct');
+  take('disk_free_bytes', 'freeBytes');
+  take('disk_free_inodes', 'freeInodes');
+  const total = (free, pct) => (isNum(free) && isNum(pct) && pct > 0 ? Math.round(free / (pct / 100)) : null);
+  for (const s of Object.values(out)) {
+    s.totalBytes = total(s.freeBytes, s.freePct);
+    s.totalInodes = total(s.freeInodes, s.inodeFreePct);
+  }
+  return out;
+}
+
+/**
+ * One node's spool buckets.
+ * @param {object} o
+ * @param {number} o.retainMs   how long buckets are kept
+ * @param {number} [o.bucketMs]
+ */
+export function createSpoolTracker({ retainMs, bucketMs = 60_000 }) {
+  let buckets = [];   // [{ t, depth, spools: { name: readSpools() entry } }], oldest first
+
+  /** The latest reading of a minute wins. */
+  function push(now, spools, depth) {
+    if (!Object.keys(spools).length) return;
+    const t = Math.floor(now / bucketMs) * bucketMs;
+    const last = buckets[buckets.length - 1];
+    if (last?.t === t) Object.assign(last, { depth, spools });
+    else buckets.push({ t, depth, spools });
+    const cutoff = now - retainMs;
+    while (buckets.length && buckets[0].t < cutoff) buckets.shift();
+  }
+
+  function restore(saved) {
+    const cutoff = Date.now() - retainMs;
+    buckets = Array.isArray(saved) ? saved.filter(b => b.t >= cutoff) : [];
+  }
+
+  return { push, restore, buckets: () => buckets, toJSON: () => buckets };
+}
+
+// Least-squares slope of y over x; null without two distinct x values
+function slope(points, x, y) {
+  const pts = points.map(p => [x(p), y(p)]).filter(([a, b]) => isNum(a) && isNum(b));
+  if (pts.length < 2) return null;
+  const mx = pts.reduce((s, [a]) => s + a, 0) / pts.length;
+  const my = pts.reduce((s, [, b]) => s + b, 0) / pts.length;
+  let num = 0, den = 0;
+  for (const [a, b] of pts) { num += (a - mx) * (b - my); den += (a - mx) ** 2; }
+  return den ? num / den : null;
+}
+
+const hoursLeft = (usedPct, perHour) => (isNum(usedPct) && isNum(perHour) && perHour > 0 ? Math.max(0, (100 - usedPct) / perHour) : null);
+const sooner = (...v) => v.filter(isNum).reduce((a, b) => (a == null || b < a ? b : a), null);
+
+/**
+ * Forecast for one spool from a tracker's buckets.
+ * @returns {{ hoursToFull: number|null, basis: 'disk'|'inodes'|'queue'|null, trend: object }}
+ */
+export function forecastSpool(buckets, name, { now = Date.now(), trendMs }) {
+  const pts = buckets.filter(b => b.t >= now - trendMs && b.spools[name]);
+  const used = (b) => (isNum(b.spools[name].freePct) ? 100 - b.spools[name].freePct : null);
+  const inodeUsed = (b) => (isNum(b.spools[name].inodeFreePct) ? 100 - b.spools[name].inodeFreePct : null);
+  const empty = { hoursToFull: null, basis: null, trend: null };
+  if (pts.length < MIN_POINTS) return empty;
+
+  const hours = (b) => b.t / HOUR;
+  const last = pts[pts.length - 1];
+  const usedPerHour = slope(pts, hours, used);
+  const inodeUsedPerHour = slope(pts, hours, inodeUsed);
+  const pctPerMessage = slope(pts, (b) => b.depth, used);
+  const queueGrowthPerHour = slope(pts.filter(b => b.t >= now - QUEUE_TREND_MS), hours, (b) => b.depth);
+
+  const etas = {
+    disk: hoursLeft(used(last), usedPerHour),
+    inodes: hoursLeft(inodeUsed(last), inodeUsedPerHour),
+    queue: pctPerMessage > 0 ? hoursLeft(used(last), pctPerMessage * queueGrowthPerHour) : null,
+  };
+  const hoursToFull = sooner(...Object.values(etas));
+  return {
+    hoursToFull,
+    basis: hoursToFull == null ? null : Object.keys(etas).find(k => etas[k] === hoursToFull),
+    trend: { usedPerHour, inodeUsedPerHour, queueGrowthPerHour, pctPerMessage, etas },
+  };
+}
@@ -0,0 +1,232 @@
+// lib/suppressions.js — recipients that must not be mailed again
+//
+// Entries come from hard bounces (a Bounce record whose enhanced code falls in
+// one of the configured classes, e.g. "5.1.1" or the whole "5.1" class), from
+// operators, or from a CSV import. Each keeps its reason, when it was added and
+// where it came from. The store is one JSON file; bounces only mark it dirty
+// (written on the next flush) while edits are written at once.
+//
+// For KumoMTA the list is also written as a flat { "address": "reason" } JSON
+// file (`exportFile`), which a policy can load with kumo.json_load and reject
+// suppressed recipients at injection (see the README).
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+export const SOURCES = ['bounce', 'manual', 'import'];
+export const DEFAULT_CONFIG = {
+  auto: true,
+  // RFC 3463: bad mailbox, bad domain, bad address syntax, moved, null MX, disabled mailbox
+  codes: ['5.1.1', '5.1.2', '5.1.3', '5.1.6', '5.1.10', '5.2.1'],
+};
+
+const ADDRESS = /^[^\s@<>",]+@[^\s@<>",]+$/;
+const CODE_CLASS = /^[245](?:\.\d{1,3}){1,2}$/;
+const REASON_MAX = 300;
+
+const CSV_COLUMNS = ['address', 'reason', 'source', 'code', 'enhanced', 'created_at', 'created_by', 'node', 'message_id'];
+const csvCell = (v) => {
+  const s = v == null ? '' : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** Entries → CSV text (header + one row per entry); importCsv reads it back. */
+export function toCsv(entries) {
+  const rows = entries.map(e => [
+    e.address, e.reason, e.source, e.code, e.enhanced, new Date(e.createdAt).toISOString(), e.createdBy, e.node, e.messageId,
+  ].map(csvCell).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// RFC 4180 rows: quoted cells may hold commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  const s = String(text).replace(/^﻿/, '');
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += c;
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+const normalizeAddress = (v) => {
+  const s = String(v ?? '').trim().replace(/^<|>$/g, '').toLowerCase();
+  if (!ADDRESS.test(s)) throw new Error(`"${String(v ?? '').trim()}" is not an email address`);
+  return s;
+};
+function reasonText(v) {
+  if (v != null && typeof v !== 'string') throw new Error('reason must be a string');
+  return (v ?? '').replace(/\s+/g, ' ').trim().slice(0, REASON_MAX);
+}
+
+/** Validate a config body; throws Error(message) on bad input. */
+export function normalizeConfig(body = {}, prev = DEFAULT_CONFIG) {
+  const c = { ...prev, ...body };
+  const codes = (Array.isArray(c.codes) ? c.codes : String(c.codes ?? '').split(/[\s,]+/))
+    .map(x => String(x).trim()).filter(Boolean);
+  for (const x of codes) if (!CODE_CLASS.test(x)) throw new Error(`"${x}" is not an enhanced status code or class (e.g. 5.1.1 or 5.1)`);
+  return { auto: c.auto !== false, codes: [...new Set(codes)] };
+}
+
+// "5.1" covers 5.1.x; "5.1.1" only itself
+const inClass = (enhanced, cls) => enhanced === cls || enhanced.startsWith(`${cls}.`);
+
+export function createSuppressions({ file, exportFile = '' }) {
+  let config = { ...DEFAULT_CONFIG };
+  const entries = new Map();     // address → entry
+  let dirty = false;
+  let saving = Promise.resolve();
+
+  async function load() {
+    try {
+      const st = JSON.parse(await fs.readFile(file, 'utf8'));
+      try { config = normalizeConfig(st.config || {}); } catch { /* keep defaults */ }
+      for (const e of Array.isArray(st.entries) ? st.entries : []) if (e?.address) entries.set(e.address, e);
+    } catch (e) {
+      // Only a missing file starts an empty list; anything else must not be overwritten by one
+      if (e.code !== 'ENOENT') throw new Error(`suppressions ${file}: ${e.message}`);
+      await save();
+    }
+  }
+
+  function save() {
+    dirty = false;
+    const list = [...entries.values()];
+    const body = JSON.stringify({ config, entries: list });
+    const flat = exportFile ? JSON.stringify(Object.fromEntries(list.map(e => [e.address, e.reason || e.source]))) : null;
+    // Write-then-rename so KumoMTA never loads a half-written list
+    const write = async (f, text) => {
+      await fs.mkdir(path.dirname(f), { recursive: true });
+      await fs.writeFile(`${f}.tmp`, text);
+      await fs.rename(`${f}.tmp`, f);
+    };
+    saving = saving
+      .then(() => write(file, body))
+      .then(() => flat != null && write(exportFile, flat))
+      .catch((e) => console.error(`suppressions save: ${e.message}`));   // fs errors name the file
+    return saving;
+  }
+
+  function put(address, fields, { overwrite = true } = {}) {
+    const prev = entries.get(address);
+    if (prev && !overwrite) return null;
+    const e = {
+      address,
+      reason: '',
+      source: 'manual',
+      code: null,
+      enhanced: null,
+      createdAt: Date.now(),
+      createdBy: null,
+      node: null,
+      messageId: null,
+      ...prev,
+      ...fields,
+      ...(prev ? { updatedAt: Date.now() } : {}),
+    };
+    entries.set(address, e);
+    return e;
+  }
+
+  /**
+   * Look at a Bounce record (compact form from lib/messages.js); suppress its
+   * recipient when auto-suppression is on and the enhanced code is in a
+   * configured class. Existing entries are left as they are.
+   */
+  function observeBounce(rec) {
+    if (!config.auto || rec?.type !== 'Bounce' || !rec.recipient || !rec.enhanced) return null;
+    if (!config.codes.some(cls => inClass(rec.enhanced, cls))) return null;
+    let address;
+    try { address = normalizeAddress(rec.recipient); } catch { return null; }
+    const e = put(address, {
+      reason: reasonText(`${[rec.code, rec.enhanced].filter(Boolean).join(' ')} ${rec.text || ''}`),
+      source: 'bounce', code: rec.code, enhanced: rec.enhanced, createdAt: rec.t, node: rec.node, messageId: rec.id,
+    }, { overwrite: false });
+    if (e) dirty = true;
+    return e;
+  }
+
+  /** Parse CSV (header row optional; an "address" column is required with one) and add/replace every row. */
+  async function importCsv(text, { actor = null } = {}) {
+    const rows = parseCsv(text);
+    const header = rows.length > 0 && rows[0].some(c => c.trim().toLowerCase() === 'address');
+    const cols = header ? rows.shift().map(c => c.trim().toLowerCase()) : ['address', 'reason'];
+    const at = (r, k) => { const i = cols.indexOf(k); return i >= 0 ? r[i] : undefined; };
+    let added = 0, updated = 0;
+    const errors = [];
+    rows.forEach((r, i) => {
+      try {
+        const address = normalizeAddress(at(r, 'address'));
+        const existed = entries.has(address);
+        const created = Date.parse(at(r, 'created_at') ?? '');
+        const source = String(at(r, 'source') ?? '').trim();
+        put(address, {
+          reason: reasonText(at(r, 'reason')),
+          source: SOURCES.includes(source) ? source : 'import',
+          ...(Number.isFinite(created) ? { createdAt: created } : {}),
+          ...(at(r, 'enhanced') ? { enhanced: String(at(r, 'enhanced')).trim() } : {}),
+          ...(at(r, 'code') ? { code: Number(at(r, 'code')) || null } : {}),
+          ...(at(r, 'node') ? { node: String(at(r, 'node')).trim() } : {}),
+          ...(at(r, 'message_id') ? { messageId: String(at(r, 'message_id')).trim() } : {}),
+          // an exported list keeps who added each entry (blank: the log)
+          createdBy: cols.includes('created_by') ? String(at(r, 'created_by') ?? '').trim() || null : actor,
+        });
+        if (existed) updated++; else added++;
+      } catch (e) {
+        // row numbers count non-blank rows, header included
+        if (errors.length < 100) errors.push({ row: i + 1 + (header ? 1 : 0), detail: e.message });
+      }
+    });
+    if (added || updated) await save();
+    return { added, updated, failed: rows.length - added - updated, errors };
+  }
+
+  return {
+    load,
+    observeBounce,
+    importCsv,
+    get: (address) => entries.get(String(address ?? '').trim().toLowerCase()) ?? null,
+    list: () => [...entries.values()],
+    size: () => entries.size,
+    config: () => config,
+    exportFile,
+
+    /** Add or replace one entry; throws Error(message) on a bad address. */
+    async add(body = {}, { actor = null } = {}) {
+      const address = normalizeAddress(body.address);
+      const e = put(address, { reason: reasonText(body.reason), source: 'manual', createdBy: actor, createdAt: Date.now() });
+      await save();
+      return e;
+    },
+    /** Change an entry's reason; null when there is none, throws Error(message) on a bad reason. */
+    async update(address, body = {}) {
+      const prev = entries.get(String(address).toLowerCase());
+      if (!prev) return null;
+      const e = put(prev.address, { reason: reasonText(body.reason ?? prev.reason) });
+      await save();
+      return e;
+    },
+    async remove(addresses) {
+      let n = 0;
+      for (const a of addresses) if (entries.delete(String(a).trim().toLowerCase())) n++;
+      if (n) await save();
+      return n;
+    },
+    async setConfig(body) {
+      config = normalizeConfig(body, config);
+      await save();
+      return config;
+    },
+    flush: () => (dirty ? save() : saving),
+  };
+}
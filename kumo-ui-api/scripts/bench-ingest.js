@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// scripts/bench-ingest.js — replay a high-volume synthetic log stream through the proxy and time it
+//
+// Writes --records KumoMTA-style log records (mostly TransientFailure over --domains domains, some Bounce
+// and Delivery) to a scratch JSONL file and starts server.js on it with KUMO_SOURCE=replay:<file>?speed=0
+// (as fast as the proxy takes them) and a throwaway state directory. While the records stream in it polls
+// /metrics/summary, as the Dashboard does, and reports how long each answer took: a blocked event loop shows
+// up there. Ends when the Prometheus deferral counter has seen every deferral, or at --timeout seconds.
+//
+//   npm run bench:ingest -- [--records 200000] [--domains 5000] [--timeout 180] [--port 15999]
+//
+// The output reads the same on any checkout, so run it before and after a change to compare.
+import { spawn } from 'node:child_process';
+import { promises as fs, createWriteStream, readFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const args = Object.fromEntries(process.argv.slice(2).join(' ').split(/\s*--/).filter(Boolean).map(a => a.split(/[\s=]+/)));
+const RECORDS = Number(args.records || 200_000);
+const DOMAINS = Number(args.domains || 5000);
+const TIMEOUT_MS = Number(args.timeout || 180) * 1000;
+const PORT = Number(args.port || 15999);
+const POLL_MS = 250;
+const KEY = 'bench-ingest';
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+const RESPONSES = [
+  [421, [4, 7, 0], '4.7.0 Try again later, closing connection'],
+  [450, [4, 2, 1], '4.2.1 The user you are trying to contact is receiving mail too quickly'],
+  [451, [4, 7, 28], '4.7.28 Our system has detected an unusual rate of unsolicited mail'],
+  [452, [4, 2, 2], '4.2.2 The email account that you tried to reach is over quota'],
+];
+
+// A few domains carry most of the traffic, as in real queues
+const domainAt = (i) => `d${Math.floor(DOMAINS * Math.pow(((i * 7919) % 10007) / 10007, 3))}.example`;
+
+async function writeLog(file) {
+  const out = createWriteStream(file);
+  const t0 = Date.now() / 1000 - RECORDS / 1000;
+  let deferrals = 0;
+  for (let i = 0; i < RECORDS; i++) {
+    const domain = domainAt(i);
+    const roll = i % 10;
+    const type = roll < 7 ? 'TransientFailure' : roll < 8 ? 'Bounce' : 'Delivery';
+    const [code, [c, s, d], content] = type === 'Bounce'
+      ? [550, [5, 1, 1], '5.1.1 The email account that you tried to reach does not exist']
+      : type === 'Delivery' ? [250, [2, 0, 0], '2.0.0 OK'] : RESPONSES[i % RESPONSES.length];
+    if (type === 'TransientFailure') deferrals++;
+    const rec = {
+      type, id: `bench${i.toString(16).padStart(8, '0')}`, sender: 'bench@sender.example', recipient: `u${i % 997}@${domain}`,
+      queue: domain, site: `mx.${domain}`, egress_source: `ip-${i % 8}`, egress_pool: 'pool-a', num_attempts: 1 + (i % 5),
+      response: { code, enhanced_code: { class: c, subject: s, detail: d }, content }, timestamp: t0 + i / 1000,
+    };
+    if (!out.write(JSON.stringify(rec) + '\n')) await new Promise(r => out.once('drain', r));
+  }
+  await new Promise(r => out.end(r));
+  return deferrals;
+}
+
+const get = async (p) => {
+  const t = performance.now();
+  const r = await fetch(`http://127.0.0.1:${PORT}${p}`, { headers: { 'X-API-Key': KEY } });
+  const body = await r.text();
+  return { ok: r.ok, body, ms: performance.now() - t };
+};
+const deferralsSeen = (prom) =>
+  prom.split('\n').filter(l => l.startsWith('kumo_ui_log_deferrals_total{')).reduce((a, l) => a + Number(l.split(' ').pop()), 0);
+const rssMb = (pid) => {
+  try { return Math.round(Number(readFileSync(`/proc/${pid}/status`, 'utf8').match(/VmRSS:\s+(\d+)/)[1]) / 1024); } catch { return null; }
+};
+const pct = (xs, p) => xs.length ? xs.slice().sort((a, b) => a - b)[Math.min(xs.length - 1, Math.floor(xs.length * p))] : NaN;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kumo-ui-bench-'));
+let child = null;
+try {
+  const log = path.join(dir, 'kumo.jsonl');
+  const expected = await writeLog(log);
+  console.log(`${RECORDS} records (${expected} deferrals over ${DOMAINS} domains) in ${log}`);
+
+  const started = performance.now();
+  child = spawn(process.execPath, ['server.js'], {
+    cwd: root,
+    stdio: ['ignore', 'ignore', 'pipe'],
+    env: {
+      PATH: process.env.PATH, PORT: String(PORT), API_KEY: KEY,
+      STATE_PATH: path.join(dir, 'state', 'state.json'),
+      KUMO_HTTP: 'http://127.0.0.1:9', KUMO_SOURCE: `replay:${log}?speed=0`,
+    },
+  });
+  let stderr = '';
+  child.stderr.on('data', (b) => { stderr = (stderr + b).slice(-4000); });
+  const exited = new Promise(r => child.once('exit', r));
+
+  const latencies = [];
+  let seen = 0, firstAnswer = null, peakRss = 0;
+  while (performance.now() - started < TIMEOUT_MS) {
+    if (child.exitCode != null) throw new Error(`server exited (${child.exitCode}):\n${stderr}`);
+    const s = await get('/metrics/summary').catch(() => null);
+    if (s?.ok) {
+      firstAnswer ??= performance.now() - started;
+      latencies.push(s.ms);
+      seen = deferralsSeen((await get('/metrics/prometheus')).body);
+      peakRss = Math.max(peakRss, rssMb(child.pid) ?? 0);
+      if (seen >= expected) break;
+    }
+    await sleep(POLL_MS);
+  }
+  const elapsed = (performance.now() - started) / 1000;
+
+  console.log(seen >= expected ? `all deferrals counted after ${elapsed.toFixed(1)}s` : `timed out after ${elapsed.toFixed(1)}s`);
+  console.log(`  deferrals counted    ${seen} / ${expected} (${Math.round(seen / elapsed)}/s)`);
+  console.log(`  first answer         ${firstAnswer == null ? '—' : `${(firstAnswer / 1000).toFixed(1)}s`}`);
+  console.log(`  /metrics/summary ms  p50 ${pct(latencies, 0.5).toFixed(1)}  p95 ${pct(latencies, 0.95).toFixed(1)}  max ${Math.max(...latencies, 0).toFixed(1)}  (${latencies.length} polls)`);
+  if (peakRss) console.log(`  peak RSS             ${peakRss} MB`);
+  process.exitCode = seen >= expected ? 0 : 1;
+
+  child.kill('SIGTERM');
+  await Promise.race([exited, sleep(5000)]);
+} finally {
+  if (child && child.exitCode == null) child.kill('SIGKILL');
+  await fs.rm(dir, { recursive: true, force: true });
+}
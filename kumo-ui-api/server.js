@@ -2,54 +2,188 @@
 // Node 18+, package.json { "type": "module" }
 import express from 'express';
 import { spawn } from 'node:child_process';
+import { resolveMx } from 'node:dns/promises';
 import { promises as fs } from 'node:fs';
 import path from 'node:path';
 import fetch from 'node-fetch';
 import 'dotenv/config';
+import { buildQueueModel, labeledRows, pageRows } from './lib/queues.js';
+import { createHistory, parseDuration, parseTime } from './lib/history.js';
+import { createRegistry, labelBudget, topWithOther, CONTENT_TYPE as PROM_CONTENT_TYPE } from './lib/prometheus.js';
+import { createAlerts, ALERT_METRICS } from './lib/alerts.js';
+import { postWebhook, sendMail } from './lib/notify.js';
+import { createClassifier, CATEGORIES } from './lib/classify.js';
+import { createMessageIndex, compactRecord, RECORD_TYPES } from './lib/messages.js';
+import { deliverability } from './lib/deliverability.js';
+import { createAuth, roleAtLeast, ROLES, SESSION_COOKIE } from './lib/auth.js';
+import { createAuditLog, toCsv } from './lib/audit.js';
+import { compileLogFilter, journalArgs, journalEntry, normalizeMsg, stripAnsi, LEVELS } from './lib/logs.js';
+import { createPolicyStore } from './lib/policy.js';
+import { createSettings, probeSettings, validateSettings, SETTINGS } from './lib/settings.js';
+import { loadNodes, localNode, nodeHealth, LOCAL_NODE } from './lib/fleet.js';
+import { createLive } from './lib/live.js';
+import { createCheckpoints, createSource, sourceUses } from './lib/ingest.js';
+import { createEgressSeries, egressRows, egressSeries, readEgress } from './lib/egress.js';
+import { createSpoolTracker, forecastSpool, readSpools } from './lib/spool.js';
+import { detectSchema, normalizeMetrics } from './lib/metrics.js';
+import { buildProbe, createProbeTracker, TEMPLATES as PROBE_TEMPLATES } from './lib/probes.js';
+import { createSuppressions, toCsv as suppressionsCsv } from './lib/suppressions.js';
+import { createEventIndex, createLastErrors, createRing } from './lib/events.js';
+import { effectiveShaping, mergeShaping, readShaping, replaceEntry, validateEntry, SETTINGS as SHAPING_SETTINGS } from './lib/shaping.js';
 
 // ---------- Config ----------
-const KUMO = process.env.KUMO_HTTP || 'http://127.0.0.1:8000';
+// Stores default to the directory of the startup STATE_PATH, so moving the
+// state file from Settings later doesn't move users, history, audit, …
+const DATA_DIR = path.dirname(process.env.STATE_PATH || SETTINGS.STATE_PATH.default);
+const SETTINGS_PATH = process.env.SETTINGS_PATH || path.join(DATA_DIR, 'settings.json');
+const settings = createSettings({ file: SETTINGS_PATH });
+// Editable from Settings and applied live (settings file > env > default): KUMO_HTTP,
+// STATE_PATH, DEFERRAL_RETAIN_MS, EVENTS_MAX (recent events ring buffer), KUMO_SOURCE, KUMO_TAILER, KUMO_LOGDIR
+let { STATE_PATH, DEFERRAL_RETAIN_MS, EVENTS_MAX } = await settings.load();
+const NODES_PATH = process.env.NODES_PATH || path.join(DATA_DIR, 'nodes.json');   // or KUMO_NODES; see lib/fleet.js
 const SAMPLE_MS = 3000;
+const NODE_POLL_TIMEOUT_MS = Number(process.env.NODE_POLL_TIMEOUT_MS || 10_000);
+const NODE_STALE_MS = Number(process.env.NODE_STALE_MS || (5 * SAMPLE_MS));    // no fresh metrics for this long → stale
+const CHECKPOINTS_PATH = process.env.CHECKPOINTS_PATH || path.join(DATA_DIR, 'ingest-checkpoints.json');   // segments / journald positions
+const ZSTD_BIN = process.env.ZSTD_BIN || 'zstd';   // for zstd log segments when Node's zlib can't decode them
 const RETAIN_MS = 2 * 3600_000; // ~2h of samples for windows/charts
-const STATE_PATH = process.env.STATE_PATH || '/opt/kumo-ui-api/state.json';
-const DEFERRAL_RETAIN_MS = Number(process.env.DEFERRAL_RETAIN_MS || (48 * 3600_000));
-const DEFERRAL_MAX_EVENTS = Number(process.env.DEFERRAL_MAX_EVENTS || 50000);
-const EVENTS_MAX = Number(process.env.EVENTS_MAX || 500); // recent events ring buffer
-const API_KEY = process.env.API_KEY || '';
+const EGRESS_RETAIN_MS = Number(process.env.EGRESS_RETAIN_MS || (6 * 3600_000));   // per-source / per-pool minute buckets
+const SPOOL_RETAIN_MS = Number(process.env.SPOOL_RETAIN_MS || (24 * 3600_000));    // per-spool minute buckets
+const SPOOL_TREND_MS = Number(process.env.SPOOL_TREND_MS || (2 * 3600_000));       // window the time-to-full trend is fitted on
+const API_KEY = process.env.API_KEY || '';                  // legacy shared key; prefer per-user API tokens
+const API_KEY_ROLE = process.env.API_KEY_ROLE || 'viewer';
+const USERS_PATH = process.env.USERS_PATH || path.join(DATA_DIR, 'users.json');
+const SESSION_MS = Number(process.env.SESSION_MS || (12 * 3600_000));
+const COOKIE_SECURE = process.env.COOKIE_SECURE || 'auto';   // auto = only when the request came over https
+const PROM_MAX_DOMAINS = Number(process.env.PROM_MAX_DOMAINS || 50);     // label cardinality caps
+const PROM_MAX_PROVIDERS = Number(process.env.PROM_MAX_PROVIDERS || 50);
+const ALERTS_PATH = process.env.ALERTS_PATH || path.join(DATA_DIR, 'alerts.json');
+const CLASSIFY_RULES_PATH = process.env.CLASSIFY_RULES_PATH || path.join(DATA_DIR, 'classify-rules.json');
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(DATA_DIR, 'history');
+const HISTORY_RETAIN_MS = {
+  raw: Number(process.env.HISTORY_RAW_RETAIN_MS || (48 * 3600_000)),       // 3s samples: 2 days
+  '1m': Number(process.env.HISTORY_1M_RETAIN_MS || (30 * 86_400_000)),     // 1-minute: 30 days
+  '1h': Number(process.env.HISTORY_1H_RETAIN_MS || (400 * 86_400_000)),    // 1-hour: ~13 months
+  '1d': Number(process.env.HISTORY_1D_RETAIN_MS || (5 * 365 * 86_400_000)),// 1-day: 5 years
+};
+const LOGS_BACKFILL_MAX = Number(process.env.LOGS_BACKFILL_MAX || 20_000); // lines per /logs/stream backfill
+const AUDIT_DIR = process.env.AUDIT_DIR || path.join(DATA_DIR, 'audit');
+const MESSAGES_DIR = process.env.MESSAGES_DIR || path.join(DATA_DIR, 'messages');
+const MESSAGES_RETAIN_MS = Number(process.env.MESSAGES_RETAIN_MS || (3 * 86_400_000));  // per-message log index: 3 days
+const MESSAGES_MAX_RECORDS = Number(process.env.MESSAGES_MAX_RECORDS || 300_000);      // in-memory cap
+const POLICY_ROOT = process.env.POLICY_ROOT || '/opt/kumomta/etc/policy';
+const POLICY_VERSIONS_DIR = process.env.POLICY_VERSIONS_DIR || path.join(DATA_DIR, 'policy-versions');
+const POLICY_MAX_VERSIONS = Number(process.env.POLICY_MAX_VERSIONS || 50);             // per file
+const POLICY_LUA_CHECK = process.env.POLICY_LUA_CHECK ?? 'luac -p {file}';
+const POLICY_VALIDATE_CMD = process.env.POLICY_VALIDATE_CMD || '/opt/kumomta/sbin/kumod --policy {root}/init.lua --validate'; // skipped when not installed
+const SHAPING_FILES = process.env.SHAPING_FILES || '';                                   // comma-separated, in the policy's load order
+const SHAPING_DEFAULT_FILE = process.env.SHAPING_DEFAULT_FILE || '/opt/kumomta/share/policy-extras/shaping.toml';
+const SUPPRESSIONS_PATH = process.env.SUPPRESSIONS_PATH || path.join(DATA_DIR, 'suppressions.json');
+const SUPPRESSIONS_EXPORT_PATH = process.env.SUPPRESSIONS_EXPORT_PATH || '';          // { address: reason } for the policy, e.g. /opt/kumomta/etc/policy/suppressions.json
 
 const app = express();
 app.disable('x-powered-by');
+app.set('trust proxy', 'loopback');   // nginx on the same host: real client IP / https for cookies
 app.use(express.json());
 
-// ---------- Simple header auth ----------
+// ---------- Audit trail ----------
+// Every request that changes state (anything but GET/HEAD) is recorded once it
+// finishes, including ones rejected by auth. Routes can add `res.locals.exitCode`
+// / `res.locals.upstream`; otherwise the JSON response body is kept.
+const auditLog = createAuditLog({ dir: AUDIT_DIR });
+const AUDIT_ACTIONS = {
+  'POST /policy/reload': 'policy.reload',
+  'POST /policy/check': 'policy.check',
+  'PUT /policy/file': 'policy.save',
+  'POST /policy/rollback': 'policy.rollback',
+  'POST /shaping/validate': 'shaping.validate',
+  'PUT /shaping/entry': 'shaping.save',
+  'DELETE /shaping/entry': 'shaping.delete',
+  'POST /queue/suspend': 'queue.suspend',
+  'POST /queue/resume': 'queue.resume',
+  'POST /queue/bounce': 'queue.bounce',
+  'POST /queue/bounce/cancel': 'queue.bounce_cancel',
+  'POST /queue/rebind': 'queue.rebind',
+  'POST /queue/retry': 'queue.retry',
+  'POST /queue/flush': 'queue.flush',
+  'POST /probes': 'probe.send',
+  'POST /suppressions': 'suppressions.add',
+  'PUT /suppressions/:address': 'suppressions.update',
+  'DELETE /suppressions/:address': 'suppressions.delete',
+  'POST /suppressions/import': 'suppressions.import',
+  'PUT /suppressions/config': 'suppressions.config_update',
+  'POST /alerts/rules': 'alerts.rule_create',
+  'PUT /alerts/rules/:id': 'alerts.rule_update',
+  'DELETE /alerts/rules/:id': 'alerts.rule_delete',
+  'PUT /alerts/channels': 'alerts.channels_update',
+  'POST /alerts/channels/test': 'alerts.channels_test',
+  'PUT /settings': 'settings.update',
+  'POST /settings/test': 'settings.test',
+  'POST /auth/login': 'auth.login',
+  'POST /auth/logout': 'auth.logout',
+  'POST /auth/password': 'auth.password',
+  'POST /auth/users': 'auth.user_create',
+  'PUT /auth/users/:id': 'auth.user_update',
+  'DELETE /auth/users/:id': 'auth.user_delete',
+  'POST /auth/tokens': 'auth.token_create',
+  'DELETE /auth/tokens/:id': 'auth.token_delete',
+};
+
 app.use((req, res, next) => {
-  if (!API_KEY) return next();
-  if (req.get('x-api-key') !== API_KEY) return res.status(401).json({ error: 'unauthorized' });
+  if (req.method === 'GET' || req.method === 'HEAD') return next();
+  const started = Date.now();
+  let body;
+  const json = res.json.bind(res);
+  res.json = (b) => { body = b; return json(b); };
+  res.on('finish', () => {
+    const route = req.route?.path;
+    const key = `${req.method} ${route ?? req.path}`;
+    const actor = req.user
+      ? { id: req.user.id, username: req.user.username, role: req.user.role, via: req.user.via }
+      : { id: null, username: req.path === '/auth/login' ? String(req.body?.username ?? '') : null, role: null, via: null };
+    auditLog.append({
+      actor,
+      ip: req.ip,
+      action: AUDIT_ACTIONS[key] ?? key,
+      method: req.method,
+      path: req.originalUrl,
+      params: { ...req.params, ...(req.body && typeof req.body === 'object' ? req.body : {}) },
+      status: res.statusCode,
+      ok: res.statusCode < 400,
+      exitCode: res.locals.exitCode ?? null,
+      // sign-in, users and tokens answer with sessions and new tokens: only their error code goes in the trail
+      response: req.path.startsWith('/auth/') ? (body?.error ? { error: body.error } : null) : res.locals.upstream ?? body ?? null,
+      durationMs: Date.now() - started,
+    });
+  });
   next();
 });
 
-// ---------- Helpers ----------
-const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
-const n = (v) => (isNum(v) ? v : 0);
+// ---------- Auth (users, roles, API tokens) ----------
+const auth = createAuth({ file: USERS_PATH, sessionMs: SESSION_MS, apiKey: API_KEY, apiKeyRole: API_KEY_ROLE });
+const PUBLIC_ROUTES = new Set(['/auth/login']);
 
-const sumObjNums = (o) =>
-  (o && typeof o === 'object')
-    ? Object.values(o).reduce((a, v) => (isNum(v) ? a + v : a), 0)
-    : 0;
+// Every route needs a signed-in user (viewer+). Requests that change state need
+// operator unless the route asks for more with allow(); /auth/* handles its own.
+app.use((req, res, next) => {
+  if (PUBLIC_ROUTES.has(req.path)) return next();
+  const user = auth.authenticate(req);
+  if (!user) return res.status(401).json({ error: 'unauthorized' });
+  req.user = user;
+  const readOnly = req.method === 'GET' || req.method === 'HEAD';
+  if (!readOnly && !req.path.startsWith('/auth/') && !roleAtLeast(user.role, 'operator')) {
+    return res.status(403).json({ error: 'forbidden', need: 'operator' });
+  }
+  next();
+});
 
-// Some Kumo arrays store a numeric value at '@'
-const sumArrayAt = (arr) =>
-  Array.isArray(arr) ? arr.reduce((a, v) => a + (isNum(v?.['@']) ? v['@'] : 0), 0) : 0;
+function allow(role) {
+  return (req, res, next) => (roleAtLeast(req.user?.role, role) ? next() : res.status(403).json({ error: 'forbidden', need: role }));
+}
 
-// Prefer a specific service rollup to avoid double-counting (parent + child)
-const pickServiceTotal = (serviceObj) => {
-  if (!serviceObj || typeof serviceObj !== 'object') return 0;
-  for (const k of ['smtp_client', 'smtp', 'http', 'submission', 'esmtp_listener']) {
-    if (isNum(serviceObj[k])) return serviceObj[k];
-  }
-  // Fallback: sum everything (may double count on some setups)
-  return Object.values(serviceObj).reduce((a, v) => (isNum(v) ? a + v : a), 0);
-};
+// ---------- Helpers ----------
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const n = (v) => (isNum(v) ? v : 0);
 
 const topEntries = (obj, limit = 10) =>
   Object.entries(obj || {})
@@ -57,28 +191,57 @@ const topEntries = (obj, limit = 10) =>
     .sort((a, b) => b.value - a.value)
     .slice(0, limit);
 
+const OUTCOMES = ['received', 'delivered', 'deferred', 'bounced'];
+
 // ---------- State ----------
-let samples = [];   // [{t, received, delivered, deferred, bounced}]  (cumulatives)
-let qSamples = [];  // [{t, depth, ready, scheduled}]
-let peaks = {       // window peaks for lastMinute/hour
-  minute: { received:0, delivered:0, deferred:0, bounced:0 },
-  hour:   { received:0, delivered:0, deferred:0, bounced:0 }
-};
-let lastRaw = null;
+// Live series per node plus the fleet-wide aggregate (see "Nodes" below)
+const newSeries = () => ({
+  samples: [],   // [{t, received, delivered, deferred, bounced}]  (cumulatives)
+  qSamples: [],  // [{t, depth, ready, scheduled}]
+  peaks: {       // window peaks for lastMinute/hour
+    minute: { received:0, delivered:0, deferred:0, bounced:0 },
+    hour:   { received:0, delivered:0, deferred:0, bounced:0 }
+  },
+  // last non-empty lists, so cards don't flicker during quiet periods
+  cachedLists: { topDomains: [], topProviders: [], topDeferralsHour: [], topDeferralsTotal: [] },
+});
+// Fleet cumulatives only grow by the nodes' increments, so nodes joining,
+// leaving or restarting don't show up as traffic spikes
+const fleet = newSeries();
+const nodes = new Map();   // name → { name, node, ...newSeries(), lastRaw, lastPoll, lastOk, counted, source, … }
+let nodesSource = null;    // 'file' | 'env' | null (one node following the settings)
+
+// Long-term history (raw + 1m/1h/1d rollups on disk)
+const history = createHistory({ dir: HISTORY_DIR, retainMs: HISTORY_RETAIN_MS, sampleMs: SAMPLE_MS });
+
+// classified deferrals and bounces from logs, counted per minute by node, kind, domain and category
+// (lib/events.js); the last hour and the retention are running totals
+const failures = createEventIndex({ retainMs: DEFERRAL_RETAIN_MS, windows: [3_600_000] });
+const classifier = createClassifier();
 
-// deferral counters from logs
-let deferralEvents = []; // [{t, domain}]
+// where the segments and journald sources resume after a restart
+const checkpoints = createCheckpoints({ file: CHECKPOINTS_PATH });
+
+// per-message index of log records, for /messages/search and traces
+const messages = createMessageIndex({ dir: MESSAGES_DIR, retainMs: MESSAGES_RETAIN_MS, maxRecords: MESSAGES_MAX_RECORDS });
+
+// test messages sent from the UI, matched to their Reception records
+const probes = createProbeTracker();
+
+// recipients not to mail again: hard bounces, manual entries and imports
+const suppressions = createSuppressions({ file: SUPPRESSIONS_PATH, exportFile: SUPPRESSIONS_EXPORT_PATH });
+
+// log source restart timestamps, for the tailer_restarts alert metric
+let sourceRestarts = [];
+
+// Monotonic per-domain counters for /metrics/prometheus (label budget caps cardinality)
+const promDomain = labelBudget(PROM_MAX_DOMAINS);
+const deferralTotals = new Map();  // domain label → deferrals seen since start
+const lastErrorTotals = new Map(); // domain label → last-error entries recorded since start
+const bump = (map, k) => map.set(k, (map.get(k) || 0) + 1);
 
 // Keep recent log events for "Recent Events" card
-let recentEvents = [];   // [{t, level, msg}]
-
-// Cache last non-empty lists to avoid flicker during quiet periods
-let cachedLists = {
-  topDomains: [],
-  topProviders: [],
-  topDeferralsHour: [],
-  topDeferralsTotal: [],
-};
+const recentEvents = createRing(EVENTS_MAX);   // {t, level, msg, node?}
 
 // ---------- LAST-ERRORS helpers/state ----------
 function toEnhancedCode(v) {
@@ -86,8 +249,8 @@ function toEnhancedCode(v) {
   if (typeof v === 'string') return v;
   if (typeof v === 'number') return String(v);
   if (typeof v === 'object') {
-    const a = v.major ?? v.m ?? v[0];
-    const b = v.minor ?? v.n ?? v[1];
+    const a = v.class ?? v.major ?? v.m ?? v[0];
+    const b = v.subject ?? v.minor ?? v.n ?? v[1];
     const c = v.detail ?? v.d ?? v[2];
     if (a != null && b != null && c != null) return `${a}.${b}.${c}`;
   }
@@ -99,33 +262,31 @@ function trimText(s, max = 400) {
 }
 const LAST_ERRORS_PER_DOMAIN = 20;              // keep up to 20 recent reasons per domain
 const LAST_ERRORS_RETENTION  = 48 * 3600_000;   // 48h
-// Map<string, Array<{ts:number, domain:string, provider?:string, code?:string|number, enhanced?:string, text:string}>>
-const lastErrors = new Map();
+// per domain: {ts:number, domain:string, node:string, provider?:string, code?:string|number, enhanced?:string, text:string}
+const lastErrors = createLastErrors({ perDomain: LAST_ERRORS_PER_DOMAIN, retainMs: LAST_ERRORS_RETENTION });
+const newLastErrors = [];   // recorded since the last /live publish
 function pushLastError(entry) {
-  const now = Date.now();
-  const list = lastErrors.get(entry.domain) || [];
-  list.push({ ...entry, ts: now });
-  while (list.length > LAST_ERRORS_PER_DOMAIN) list.shift();
-  lastErrors.set(entry.domain, list);
-  // GC across all domains
-  const cutoff = now - LAST_ERRORS_RETENTION;
-  for (const [dom, arr] of lastErrors) {
-    lastErrors.set(dom, arr.filter(e => e.ts >= cutoff));
-  }
-}
-
-// Convert journald MESSAGE (may be a byte array) into a UTF-8 string, then strip ANSI.
-function normalizeMsg(v) {
-  if (Array.isArray(v)) {
-    try { return Buffer.from(v).toString('utf8'); } catch { return String(v); }
-  }
-  if (v && typeof v === 'object' && 'data' in v) { // rare structured form
-    try { return Buffer.from(v.data).toString('utf8'); } catch { return String(v); }
-  }
-  return typeof v === 'string' ? v : String(v ?? '');
+  newLastErrors.push(lastErrors.push(entry));
+  bump(lastErrorTotals, promDomain(entry.domain));
 }
 
-function stripAnsi(s = '') { return String(s).replace(/\x1B\[[0-9;]*m/g, ''); }
+// Dashboard push channel (GET /live): one summary per watched view after each poll
+const live = createLive({
+  build: (view) => {
+    if (!view) return buildSummary(null);
+    const st = nodes.get(view);
+    return st ? buildSummary(st) : null;
+  },
+  // the newest few per domain, as the Queues "Last error" cells show them
+  lastErrors: (view) => {
+    const out = {};
+    for (const dom of lastErrors.domains()) {
+      const mine = lastErrors.get(dom, 5, view ? (e) => e.node === view : undefined);
+      if (mine.length) out[dom] = mine.reverse();
+    }
+    return out;
+  },
+});
 
 function isDeferralLine(line) {
   return /\b4\d\d\b/.test(line) || /\b4\.\d\.\d\b/.test(line)
@@ -159,78 +320,106 @@ function rcptFromJson(obj) {
   return obj.rcpt || obj.recipient || obj.to ||
          obj.envelope?.to || obj.message?.rcpt || obj.message?.recipient || null;
 }
-function recordDeferral(domain) {
-  if (!domain) return;
-  const now = Date.now();
-  deferralEvents.push({ t: now, domain });
-  const cutoff = now - DEFERRAL_RETAIN_MS;
-  deferralEvents = deferralEvents.filter(e => e.t >= cutoff);
-  if (deferralEvents.length > DEFERRAL_MAX_EVENTS) {
-    deferralEvents = deferralEvents.slice(-Math.floor(DEFERRAL_MAX_EVENTS * 0.9));
-  }
+// A deferral or bounce (domain may be null when the record names none)
+function recordFailure(domain, kind, category, node) {
+  failures.record({ node, kind, domain: domain || null, category });
+  if (kind === 'deferral' && domain) bump(deferralTotals, promDomain(domain));
 }
-function recordEvent(line) {
+function recordEvent(line, node) {
   const s = stripAnsi(String(line)).trim();
   if (!s) return;
   const level = (s.match(/\b(INFO|WARN|ERROR)\b/i)?.[1] || 'INFO').toUpperCase();
   const msg = s.slice(0, 500);
-  recentEvents.push({ t: Date.now(), level, msg });
-  if (recentEvents.length > EVENTS_MAX) recentEvents = recentEvents.slice(-EVENTS_MAX);
-}
-function startDeferralWatcher() {
-  const TAILER = process.env.KUMO_TAILER || '/opt/kumomta/sbin/tailer';
-  const LOGDIR = process.env.KUMO_LOGDIR || '/var/log/kumomta';
-  const proc = spawn(TAILER, ['--tail', LOGDIR], { env: process.env });
-
-  let buf = '';
-  const handleLine = (line) => {
-    const s = String(line).trim();
-    if (!s) return;
-    let obj;
-    try { obj = JSON.parse(s); } catch { recordEvent(s); return; }
-    recordEvent(obj.message || obj.event || obj.type || s);
-
-    const type = (obj.event || obj.type || '').toString();
-    if (!/TransientFailure/i.test(type)) return;
-
-    const dom =
-      (obj.domain || obj.provider_domain || obj.rcpt_domain) ||
-      extractDomain(obj.rcpt || obj.recipient || obj.envelope_to || obj.to || obj.message?.recipient || obj.message?.rcpt || '') ||
-      extractDomain(obj.message || '');
-    if (dom) recordDeferral(String(dom).toLowerCase());
-
-    const code  = obj.response?.code || obj.smtp?.code || obj.smtp_code;
-    const enhl  = obj.response?.enhanced_code || obj.enhanced_code;
-    const text  = obj.response?.content || obj.response?.text || obj.smtp?.text || obj.reason || obj.message || '';
-    if (dom && (code || text)) {
-      recordEvent(`DEFERRAL ${dom} ${code || ''} ${toEnhancedCode(enhl) || ''} ${trimText(text, 240)}`.trim());
-      pushLastError({
-        domain: String(dom).toLowerCase(),
-        provider: (obj.provider || obj.provider_domain || null) ?? undefined,
-        code: code ?? undefined,
-        enhanced: toEnhancedCode(enhl) ?? undefined,
-        text: trimText(text, 400)
-      });
-    }
-  };
+  recentEvents.push({ t: Date.now(), level, msg, ...(node ? { node } : {}) });
+}
+// Into the message index, and past the test-send tracker and the suppression list
+function indexRecord(rec, obj) {
+  messages.add(rec);
+  probes.observe(rec, obj);
+  suppressions.observeBounce(rec);
+}
+// One parsed log record from a node's log source
+function ingestRecord(obj, node) {
+  recordEvent(obj.message || obj.event || obj.type || JSON.stringify(obj), node);
+  if (obj.egress_source && obj.egress_pool) nodes.get(node)?.egress.learnPool(obj.egress_source, obj.egress_pool);
+
+  const type = (obj.event || obj.type || '').toString();
+  const isBounce = /^Bounce$/i.test(type);
+  if (!/TransientFailure/i.test(type) && !isBounce) {
+    if (RECORD_TYPES.includes(type)) indexRecord(compactRecord(obj, { enhanced: toEnhancedCode(obj.response?.enhanced_code), node }), obj);
+    return;
+  }
 
-  proc.stdout.on('data', (d) => {
-    buf += d.toString();
-    const lines = buf.split('\n'); buf = lines.pop() || '';
-    for (const ln of lines) handleLine(ln);
-  });
-  proc.stderr.on('data', (d) => { recordEvent(`tailer: ${String(d).trim()}`); });
-  proc.on('close', (code) => {
-    recordEvent(`tailer exited with code ${code}, retrying…`);
-    setTimeout(startDeferralWatcher, 2000);
+  const dom =
+    (obj.domain || obj.provider_domain || obj.rcpt_domain) ||
+    extractDomain(obj.rcpt || obj.recipient || obj.envelope_to || obj.to || obj.message?.recipient || obj.message?.rcpt || '') ||
+    extractDomain(obj.message || '');
+  const code  = obj.response?.code || obj.smtp?.code || obj.smtp_code;
+  const enhl  = obj.response?.enhanced_code || obj.enhanced_code;
+  const text  = obj.response?.content || obj.response?.text || obj.smtp?.text || obj.reason || obj.message || '';
+  const category = classifier.classify({ code, enhanced: toEnhancedCode(enhl), text, kumoClass: obj.bounce_classification });
+  const domain = dom ? String(dom).toLowerCase() : null;
+  indexRecord(compactRecord(obj, { enhanced: toEnhancedCode(enhl), category, node }), obj);
+  recordFailure(domain, isBounce ? 'bounce' : 'deferral', category, node);
+  if (isBounce) return;
+
+  if (dom && (code || text)) {
+    recordEvent(`DEFERRAL ${dom} ${code || ''} ${toEnhancedCode(enhl) || ''} ${trimText(text, 240)}`.trim(), node);
+    pushLastError({
+      domain,
+      node,
+      provider: (obj.provider || obj.provider_domain || null) ?? undefined,
+      code: code ?? undefined,
+      enhanced: toEnhancedCode(enhl) ?? undefined,
+      text: trimText(text, 400),
+      category,
+    });
+  }
+}
+
+// ---------- Log sources ----------
+// One source per node (lib/ingest.js: tailer, segments, journald, syslog, webhook, replay); st.source is the running one
+function startIngest(st) {
+  const src = createSource(st.node.source, {
+    node: st.name,
+    logDir: st.node.logDir,
+    tailer: st.node.tailer || settings.current().KUMO_TAILER,
+    zstd: ZSTD_BIN,
+    checkpoints,
+    record: (obj) => ingestRecord(obj, st.name),
+    line: (s) => recordEvent(s, st.name),
+    note: (s) => recordEvent(s, st.name),
+    exit: (why) => {
+      if (src !== st.source) return;   // replaced or stopped
+      recordEvent(`${why}, retrying…`, st.name);
+      sourceRestarts.push(Date.now());
+      sourceRestarts = sourceRestarts.filter(t => t >= Date.now() - 24 * 3600_000);
+      st.sourceRetry = setTimeout(() => startIngest(st), 2000);
+    },
   });
+  st.source = src;
+  src.start();
 }
+function stopIngest(st) {
+  clearTimeout(st.sourceRetry);
+  const old = st.source;
+  st.source = null;
+  old?.stop();
+}
+/** Replace a node's log source (new source, tailer binary or log directory). */
+function restartIngest(st) {
+  stopIngest(st);
+  recordEvent('log source: restarting with new settings', st.name);
+  if (st.node.source) startIngest(st);
+}
+// { type, running, pid, detail, records, lastRecordAt }, or null for a node without logs
+const sourceStatus = (st) => st.source?.status() ?? null;
 
 // ---------- Sampling + windows ----------
-function prune() {
+function prune(series) {
   const cutoff = Date.now() - RETAIN_MS;
-  samples = samples.filter(s => s.t >= cutoff);
-  qSamples = qSamples.filter(s => s.t >= cutoff);
+  series.samples = series.samples.filter(s => s.t >= cutoff);
+  series.qSamples = series.qSamples.filter(s => s.t >= cutoff);
 }
 function windowSum(list, endTs, ms, key) {
   // sum of increments of cumulative counters over the window
@@ -243,7 +432,7 @@ function windowSum(list, endTs, ms, key) {
   }
   return sum;
 }
-function updatePeaks(lastMinute, lastHour) {
+function updatePeaks(peaks, lastMinute, lastHour) {
   const upd = (dst, src) => {
     dst.received  = Math.max(n(dst.received ), n(src.received ));
     dst.delivered = Math.max(n(dst.delivered), n(src.delivered));
@@ -253,7 +442,7 @@ function updatePeaks(lastMinute, lastHour) {
   upd(peaks.minute, lastMinute);
   upd(peaks.hour,   lastHour);
 }
-function buildSession() {
+function buildSession({ samples, qSamples, peaks }) {
   const now = Date.now();
   const MIN = 60_000, HOUR = 3_600_000;
 
@@ -270,7 +459,7 @@ function buildSession() {
     bounced:   windowSum(samples, now, HOUR, 'bounced'),
   };
 
-  updatePeaks(lastMinute, lastHour);
+  updatePeaks(peaks, lastMinute, lastHour);
 
   const perMinute = [];
   for (let i = 1; i < samples.length; i++) {
@@ -302,270 +491,1824 @@ function buildSession() {
 }
 
 // ---------- Poller: use true cumulatives from Kumo ----------
-function pushFromKumo(m) {
+function pushFromKumo(st, m) {
+  const now = Date.now();
+  const r = normalizeMetrics(m);
+  noteSourceChanges(st, r.sources);
+  st.model = r;
+  st.samples.push({ t: now, received: r.received, delivered: r.delivered, deferred: r.deferred, bounced: r.bounced });
+  st.qSamples.push({ t: now, depth: r.depth, ready: r.ready, scheduled: r.scheduled });
+  st.egress.push(now, readEgress(m));
+  st.spool.push(now, readSpools(m), r.depth);
+  prune(st);
+}
+
+// A field read from a different metric than on the last poll means Kumo's schema changed under us
+function noteSourceChanges(st, sources) {
+  const prev = st.model?.sources;
+  if (!prev) return;
+  for (const [field, src] of Object.entries(sources)) {
+    if (src !== prev[field]) recordEvent(`WARN metrics.json: ${field} now read from ${src ?? 'nothing'} (was ${prev[field] ?? 'nothing'})`, st.name);
+  }
+}
+
+// Counter increment; a drop means Kumo restarted and counts from zero again
+const inc = (cur, prev) => (prev == null ? 0 : cur >= prev ? cur - prev : cur);
+
+/** Fleet sample: every node's increments since it was last counted, plus the queues of reachable nodes. */
+function pushFleet() {
   const now = Date.now();
+  // a fresh fleet series starts from the nodes' own totals
+  const last = fleet.samples[fleet.samples.length - 1] || fleetMetrics(now);
+  const s = { t: now }, q = { t: now, depth: 0, ready: 0, scheduled: 0 };
+  for (const k of OUTCOMES) s[k] = n(last[k]);
+  let fresh = false;
+  for (const st of nodes.values()) {
+    const cur = st.samples[st.samples.length - 1];
+    if (cur && cur.t !== st.counted?.t) {
+      for (const k of OUTCOMES) s[k] += inc(n(cur[k]), st.counted?.[k]);
+      st.counted = cur;
+      fresh = true;
+    }
+    const qs = st.qSamples[st.qSamples.length - 1];
+    if (qs && nodeHealth(st, now, NODE_STALE_MS) !== 'down') {
+      q.depth += qs.depth; q.ready += qs.ready; q.scheduled += qs.scheduled;
+    }
+  }
+  if (!fresh) return;
+  fleet.samples.push(s);
+  fleet.qSamples.push(q);
+  history.record({ ...s, depth: q.depth, ready: q.ready, scheduled: q.scheduled });
+  prune(fleet);
+}
 
-  // OUT cumulatives
-  const delivered =
-    (isNum(m?.total_messages_delivered?.value) ? m.total_messages_delivered.value : 0) ||
-    pickServiceTotal(m?.total_messages_delivered?.value?.service) ||
-    sumObjNums(m?.total_messages_delivered_by_provider?.value?.provider || {}) ||
-    sumArrayAt(m?.total_messages_delivered_by_provider_and_source?.value || []) || 0;
+async function pollNode(st) {
+  if (st.polling) return;   // still waiting on a slow node
+  st.polling = true;
+  const ctl = new AbortController();
+  const timer = setTimeout(() => ctl.abort(), NODE_POLL_TIMEOUT_MS);
+  const url = st.node.url;
+  try {
+    const r = await fetch(`${url}/metrics.json`, { signal: ctl.signal });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    const m = await r.json();
+    if (url !== st.node.url) return;   // re-pointed while in flight
+    st.lastRaw = m;
+    pushFromKumo(st, m);
+    st.lastOk = Date.now();
+    st.lastPoll = { t: st.lastOk, ok: true };
+    st.error = null;
+  } catch (e) {
+    // A timeout leaves the node "stale" rather than "down": it may just be busy
+    if (e.name === 'AbortError') st.error = `no answer within ${NODE_POLL_TIMEOUT_MS / 1000}s`;
+    else { st.lastPoll = { t: Date.now(), ok: false }; st.error = e.message; }
+  } finally {
+    clearTimeout(timer);
+    st.polling = false;
+  }
+}
 
-  const deferred =
-    (isNum(m?.total_messages_transfail?.value) ? m.total_messages_transfail.value : 0) ||
-    pickServiceTotal(m?.total_messages_transfail?.value?.service) ||
-    sumObjNums(m?.total_messages_transfail_by_provider?.value?.provider || {}) ||
-    sumArrayAt(m?.total_messages_transfail_by_provider_and_source?.value || []) || 0;
+async function pollOnce() {
+  try {
+    await Promise.all([...nodes.values()].map(pollNode));
+    pushFleet();
+  } finally {
+    alerts.evaluate();
+    live.publish(newLastErrors.splice(0));
+  }
+}
 
-  const bounced =
-    (isNum(m?.total_messages_fail?.value) ? m.total_messages_fail.value : 0) ||
-    pickServiceTotal(m?.total_messages_fail?.value?.service) ||
-    sumObjNums(m?.total_messages_fail_by_provider?.value?.provider || {}) ||
-    sumArrayAt(m?.total_messages_fail_by_provider_and_source?.value || []) || 0;
+// ---------- Nodes ----------
+let savedNodes = {};   // per-node series from the state file, claimed as nodes are created
+
+function newNodeState(node) {
+  const st = {
+    name: node.name, node, ...newSeries(),
+    lastRaw: null, model: null, lastPoll: { t: 0, ok: false }, lastOk: 0, error: null,
+    counted: null,    // last sample already added to the fleet totals
+    polling: false, source: null, sourceRetry: null,
+    adminCache: { t: 0, suspensions: [], readyStates: null },
+    egress: createEgressSeries({ retainMs: EGRESS_RETAIN_MS }),
+    spool: createSpoolTracker({ retainMs: SPOOL_RETAIN_MS }),
+  };
+  const saved = savedNodes[node.name];
+  delete savedNodes[node.name];
+  if (saved && (!saved.url || saved.url === node.url)) {
+    restoreSeries(st, saved);
+    st.egress.restore(saved.egress);
+    st.spool.restore(saved.spool);
+    st.counted = saved.counted ?? st.samples[st.samples.length - 1] ?? null;
+  }
+  return st;
+}
 
-  // Out that actually left the box
-  const outSent = n(delivered) + n(bounced);
+// Does the node's log source need a restart? Only for settings it actually reads
+function ingestChanged(prev, node) {
+  if (node.source !== prev.source) return true;
+  if (!node.source) return false;
+  const uses = sourceUses(node.source);
+  return (uses.tailer && node.tailer !== prev.tailer) || (uses.logDir && node.logDir !== prev.logDir);
+}
 
-  // QUEUE snapshot (recipients/messages pending).
-  const ready = pickServiceTotal(m?.ready_count?.value?.service) || 0;
-  const scheduled =
-    (isNum(m?.scheduled_count_total?.value) ? m.scheduled_count_total.value : 0) ||
-    (isNum(m?.scheduled_count?.value) ? m.scheduled_count.value : 0);
+/**
+ * Make `nodes` match `list` (in order): unchanged nodes keep their series,
+ * re-pointed ones start over, removed ones stop their log source. Returns a note per changed node.
+ */
+function applyNodes(list) {
+  const notes = {};
+  const next = new Map();
+  for (const node of list) {
+    let st = nodes.get(node.name);
+    if (!st) {
+      st = newNodeState(node);
+      if (node.source) startIngest(st);
+      notes[node.name] = 'added';
+    } else {
+      const prev = st.node;
+      const changes = [];
+      st.node = node;
+      if (node.url !== prev.url) {
+        // Cumulatives from another instance don't continue the old series
+        Object.assign(st, newSeries(), { lastRaw: null, lastPoll: { t: 0, ok: false }, lastOk: 0, error: null, counted: null });
+        st.adminCache.t = 0;
+        changes.push('poller re-pointed; live charts restart');
+      }
+      if (ingestChanged(prev, node)) {
+        restartIngest(st);
+        changes.push(node.source ? 'log source restarted' : 'log source stopped');
+      }
+      if (changes.length) notes[node.name] = changes.join('; ');
+    }
+    next.set(node.name, st);
+  }
+  for (const [name, st] of nodes) {
+    if (next.has(name)) continue;
+    stopIngest(st);
+    notes[name] = 'removed';
+  }
+  nodes.clear();
+  for (const [name, st] of next) nodes.set(name, st);
+  return notes;
+}
 
-  const depthProv = sumObjNums(m?.queued_count_by_provider?.value?.provider || {});
-  const depthPool = sumArrayAt(m?.queued_count_by_provider_and_pool?.value || []);
-  const depth = depthProv || depthPool || (ready + scheduled) || 0;
+/** (Re)read NODES_PATH / KUMO_NODES; without a list, one node follows the settings. */
+async function reloadNodes() {
+  let conf;
+  try {
+    conf = await loadNodes({ file: NODES_PATH });
+  } catch (e) {
+    console.error(`nodes: ${e.message}`);
+    if (nodes.size) return {};   // keep watching the current fleet
+    conf = null;
+  }
+  nodesSource = conf?.source ?? null;
+  return applyNodes(conf ? conf.nodes : [localNode(settings.current())]);
+}
 
-  // IN cumulative: true inbound/accepted (no derivation)
-  const received =
-    (isNum(m?.total_messages_received?.value) ? m.total_messages_received.value : 0) ||
-    pickServiceTotal(m?.total_messages_received?.value?.service) || 0;
+const nodeInfo = (st, now = Date.now()) => ({
+  name: st.name,
+  url: st.node.url,
+  logDir: st.node.logDir,
+  health: nodeHealth(st, now, NODE_STALE_MS),
+  lastPoll: st.lastPoll,
+  lastOk: st.lastOk || null,
+  error: st.error,
+  queue: st.qSamples[st.qSamples.length - 1]?.depth ?? null,
+  source: sourceStatus(st),
+});
 
-  samples.push({ t: now, received, delivered, deferred, bounced });
-  qSamples.push({ t: now, depth, ready, scheduled });
+/** Current metrics summed over the fleet: counters from every node, gauges from nodes that aren't down. */
+function fleetMetrics(now = Date.now()) {
+  const out = {
+    received: 0, delivered: 0, deferred: 0, bounced: 0, depth: 0, ready: 0, scheduled: 0, connections: 0,
+    diskFreePct: null, inodeFreePct: null, domains: {}, providers: {}, queued: {},
+  };
+  const add = (dst, src) => { for (const [k, v] of Object.entries(src)) if (isNum(v)) dst[k] = (dst[k] || 0) + v; };
+  const lowest = (a, b) => (a == null ? b : b == null ? a : Math.min(a, b));
+  for (const st of nodes.values()) {
+    const r = st.model;
+    if (!r) continue;
+    for (const k of OUTCOMES) out[k] += r[k];
+    add(out.providers, r.providers);
+    if (nodeHealth(st, now, NODE_STALE_MS) === 'down') continue;
+    for (const k of ['depth', 'ready', 'scheduled', 'connections']) out[k] += r[k];
+    out.diskFreePct = lowest(out.diskFreePct, r.diskFreePct);     // the fullest spool is the one to watch
+    out.inodeFreePct = lowest(out.inodeFreePct, r.inodeFreePct);
+    add(out.domains, r.domains);
+    add(out.queued, r.queued);
+  }
+  return out;
+}
+
+/** ?node= (or body.node) → that node's state; none → null (every node). Unknown names get a 404 and undefined. */
+function pickNode(req, res) {
+  const name = String(req.query.node ?? req.body?.node ?? '').trim();
+  if (!name) return null;
+  const st = nodes.get(name);
+  if (!st) res.status(404).json({ error: 'not_found', detail: `unknown node ${name}` });
+  return st;
+}
 
-  prune();
+// Used % from a free % reading, to one decimal
+const usedPct = (free) => (isNum(free) ? Math.round((100 - free) * 10) / 10 : null);
+
+/** Latest reading and time-to-full forecast of each of the node's spools (see lib/spool.js). */
+function spoolStatus(st, now = Date.now()) {
+  const buckets = st.spool.buckets();
+  const last = buckets[buckets.length - 1];
+  if (!last) return [];
+  return Object.entries(last.spools).map(([name, s]) => ({
+    node: st.name,
+    name,
+    t: last.t,
+    usedPct: usedPct(s.freePct),
+    inodeUsedPct: usedPct(s.inodeFreePct),
+    usedBytes: isNum(s.totalBytes) ? s.totalBytes - s.freeBytes : null,
+    totalBytes: s.totalBytes,
+    usedInodes: isNum(s.totalInodes) ? s.totalInodes - s.freeInodes : null,
+    totalInodes: s.totalInodes,
+    forecast: forecastSpool(buckets, name, { now, trendMs: SPOOL_TREND_MS }),
+  }));
 }
 
+// ---------- Alerts ----------
+// Per-minute deferral or bounce rate per domain over the rule window
+function domainRates(kind, windowMs, now) {
+  const counts = {};
+  for (const [d, c] of failures.window(windowMs, now)) {
+    if (d.kind === kind && d.domain) counts[d.domain] = (counts[d.domain] || 0) + c;
+  }
+  return Object.entries(counts).map(([domain, c]) => ({ labels: { domain }, value: c / (windowMs / 60_000) }));
+}
+// Per node and spool; the node label is left out while there's only one node
+const spoolSeries = (metric) => {
+  const out = [];
+  for (const st of nodes.values()) {
+    const node = nodes.size > 1 ? { node: st.name } : {};
+    for (const { labels, value } of labeledRows(st.lastRaw?.[metric])) {
+      if (labels.name != null) out.push({ labels: { ...node, spool: labels.name }, value });
+    }
+  }
+  return out;
+};
+
+// Series for an alert rule's metric: [{ labels, value }]
+function alertSeries(rule, now) {
+  switch (rule.metric) {
+    case 'queue_depth':
+      return [...nodes.values()].some(st => st.lastRaw) ? [{ labels: {}, value: fleetMetrics(now).depth }] : [];
+    case 'queue_growth': {
+      const cutoff = now - rule.windowMs;
+      const win = fleet.qSamples.filter(q => q.t >= cutoff);
+      if (win.length < 2) return [];
+      const a = win[0], b = win[win.length - 1];
+      return [{ labels: {}, value: (b.depth - a.depth) / Math.max(1 / 60, (b.t - a.t) / 60_000) }];
+    }
+    case 'domain_deferral_rate': return domainRates('deferral', rule.windowMs, now);
+    case 'domain_bounce_rate':   return domainRates('bounce', rule.windowMs, now);
+    case 'disk_free_percent':    return spoolSeries('disk_free_percent');
+    case 'inode_free_percent':   return spoolSeries('disk_free_inodes_percent');
+    case 'spool_hours_to_full':
+      return [...nodes.values()].flatMap(st => spoolStatus(st, now)
+        .filter(s => s.forecast.hoursToFull != null)
+        .map(s => ({ labels: { ...(nodes.size > 1 ? { node: st.name } : {}), spool: s.name }, value: s.forecast.hoursToFull })));
+    case 'tailer_restarts':
+      return [{ labels: {}, value: sourceRestarts.filter(t => t >= now - rule.windowMs).length }];
+    default:
+      return [];
+  }
+}
+
+function alertText(ev) {
+  const labels = Object.entries(ev.labels || {}).map(([k, v]) => `${k}=${v}`).join(' ');
+  const unit = ALERT_METRICS[ev.metric]?.unit ?? '';
+  const val = isNum(ev.value) ? Math.round(ev.value * 100) / 100 : ev.value;
+  return `[${ev.status.toUpperCase()}] ${ev.rule}${labels ? ` (${labels})` : ''}: ` +
+         `${ev.metric} ${val} ${unit} ${ev.op} ${ev.threshold}`.replace(/\s+/g, ' ');
+}
+
+async function notifyAlert(ev, _rule, ch) {
+  const text = alertText(ev);
+  recordEvent(`${ev.status === 'firing' ? 'WARN' : 'INFO'} alert ${text}`);
+  const deliveries = [];
+  for (const w of ch.webhooks) {
+    try {
+      const r = await postWebhook(w.url, { ...ev, text });
+      deliveries.push({ channel: w.name, ok: r.ok, status: r.status });
+    } catch (e) {
+      deliveries.push({ channel: w.name, ok: false, error: String(e) });
+    }
+  }
+  if (ch.email) {
+    try {
+      await sendMail(ch.email, {
+        from: ch.email.from,
+        to: ch.email.to,
+        subject: `[kumo-ui] ${text}`,
+        text: `${text}\n\n${JSON.stringify(ev, null, 2)}\n`,
+      });
+      deliveries.push({ channel: 'email', ok: true });
+    } catch (e) {
+      deliveries.push({ channel: 'email', ok: false, error: String(e) });
+    }
+  }
+  for (const d of deliveries) if (!d.ok) recordEvent(`ERROR alert delivery to ${d.channel} failed: ${d.error || d.status}`);
+  return deliveries;
+}
+
+const alerts = createAlerts({ file: ALERTS_PATH, series: alertSeries, notify: notifyAlert });
+
 // ---------- Persistence ----------
+function restoreSeries(dst, src) {
+  const cutoff = Date.now() - RETAIN_MS;
+  dst.samples  = Array.isArray(src.samples)  ? src.samples.filter(s => s.t >= cutoff) : [];
+  dst.qSamples = Array.isArray(src.qSamples) ? src.qSamples.filter(s => s.t >= cutoff) : [];
+  if (src.peaks?.minute && src.peaks?.hour) dst.peaks = src.peaks;
+  for (const k of ['minute','hour']) {
+    dst.peaks[k].received  = dst.peaks[k].received  ?? 0;
+    dst.peaks[k].delivered = dst.peaks[k].delivered ?? 0;
+    dst.peaks[k].deferred  = dst.peaks[k].deferred  ?? 0;
+    dst.peaks[k].bounced   = dst.peaks[k].bounced   ?? 0;
+  }
+}
+// Run before the nodes are created; each node picks up its own series from savedNodes
 async function loadState() {
   try {
     const txt = await fs.readFile(STATE_PATH, 'utf8');
     const state = JSON.parse(txt);
-    const cutoff = Date.now() - RETAIN_MS;
-    samples  = Array.isArray(state.samples)  ? state.samples.filter(s => s.t >= cutoff) : [];
-    qSamples = Array.isArray(state.qSamples) ? state.qSamples.filter(s => s.t >= cutoff) : [];
-    if (state.peaks?.minute && state.peaks?.hour) peaks = state.peaks;
-    for (const k of ['minute','hour']) {
-      peaks[k].received  = peaks[k].received  ?? 0;
-      peaks[k].delivered = peaks[k].delivered ?? 0;
-      peaks[k].deferred  = peaks[k].deferred  ?? 0;
-      peaks[k].bounced   = peaks[k].bounced   ?? 0;
+    restoreSeries(fleet, state);
+    // state files from before fleets hold the single node's series at the top level
+    savedNodes = state.nodes ?? { [LOCAL_NODE]: state };
+    if (state.failures) failures.restore(state.failures);
+    // state files from before the per-minute index hold one entry per classified event
+    else if (Array.isArray(state.classEvents)) {
+      for (const e of state.classEvents) if (Number.isFinite(e?.t)) failures.record(e, e.t);
     }
-    const dCut = Date.now() - DEFERRAL_RETAIN_MS;
-    deferralEvents = Array.isArray(state.deferralEvents)
-      ? state.deferralEvents.filter(e => e.t >= dCut)
-      : [];
   } catch {}
 }
 async function saveState() {
-  const state = { samples, qSamples, peaks, deferralEvents, savedAt: Date.now() };
+  const state = {
+    samples: fleet.samples, qSamples: fleet.qSamples, peaks: fleet.peaks,
+    nodes: Object.fromEntries([...nodes.values()].map(st => [st.name, {
+      url: st.node.url, samples: st.samples, qSamples: st.qSamples, peaks: st.peaks, counted: st.counted, egress: st.egress, spool: st.spool,
+    }])),
+    failures, savedAt: Date.now(),
+  };
   await fs.mkdir(path.dirname(STATE_PATH), { recursive: true });
   await fs.writeFile(STATE_PATH, JSON.stringify(state));
 }
-setInterval(() => { saveState().catch(()=>{}) }, 10_000);
+setInterval(() => { saveState().catch(()=>{}); history.flush().catch(()=>{}); messages.flush().catch(()=>{}); suppressions.flush().catch(()=>{}); }, 10_000);
+setInterval(() => { history.gc().catch(()=>{}); messages.gc().catch(()=>{}); }, 3600_000);
+// SIGHUP: re-read SETTINGS_PATH (e.g. after editing it by hand) and apply what changed
+// and NODES_PATH / KUMO_NODES
+process.on('SIGHUP', async () => {
+  const before = settings.current();
+  const after = await settings.load();
+  const changed = Object.keys(after).filter(k => after[k] !== before[k]);
+  if (changed.length) console.log(`settings: reloaded ${changed.join(', ')}`, await applySettings({ after, changed }).catch(e => String(e)));
+  const notes = await reloadNodes();
+  if (Object.keys(notes).length) console.log('nodes: reloaded', notes);
+});
 for (const sig of ['SIGINT','SIGTERM']) {
-  process.on(sig, async () => { try { await saveState(); } finally { process.exit(0); } });
+  process.on(sig, async () => {
+    try { await saveState(); await history.flush(); await messages.flush(); await alerts.flush(); await suppressions.flush(); await auth.flush(); await auditLog.flush(); await checkpoints.flush(); } finally { process.exit(0); }
+  });
 }
 
 // ---------- Boot ----------
+await auditLog.init();
+await auth.load({
+  adminUser: process.env.ADMIN_USER || 'admin',
+  adminPassword: process.env.ADMIN_PASSWORD || '',
+  passwordFile: path.join(DATA_DIR, 'initial-admin-password'),
+});
+// Nginx used to inject X-API-Key on every request; an old site config left in place signs every browser in as this role
+if (API_KEY && !process.env.API_KEY_ROLE) {
+  console.warn('WARNING: API_KEY is set without API_KEY_ROLE; the legacy key now grants only "viewer". ' +
+    'If Nginx still sends X-API-Key (proxy_set_header X-API-Key …), remove that line: every browser would get this role. ' +
+    'Prefer per-user API tokens (Settings → API Tokens), or set API_KEY_ROLE explicitly to keep the key for automation.');
+}
 await loadState();
-startDeferralWatcher();
+await history.init().catch((e) => console.error('history init failed:', e));
+await messages.init().catch((e) => console.error('message index init failed:', e));
+await alerts.load();
+await suppressions.load();
+await classifier.load(CLASSIFY_RULES_PATH);
+await checkpoints.load();
+await reloadNodes();
+savedNodes = {};
 setInterval(pollOnce, SAMPLE_MS);
 pollOnce();
 
-async function pollOnce() {
-  try {
-    const r = await fetch(`${KUMO}/metrics.json`);
-    if (!r.ok) return;
-    const m = await r.json();
-    lastRaw = m;
-    pushFromKumo(m);
-  } catch {}
-}
-
 // ---------- Routes ----------
-app.get('/metrics', async (_req, res) => {
+// Raw metrics.json of one node (?node=), or of every node keyed by name
+app.get('/metrics', async (req, res) => {
+  const st = pickNode(req, res);
+  if (st === undefined) return;
+  const targets = st ? [st] : [...nodes.values()];
   try {
-    const r = await fetch(`${KUMO}/metrics.json`);
-    if (!r.ok) return res.status(r.status).json({ error: 'upstream_error' });
-    res.json(await r.json());
+    if (targets.length === 1) {
+      const r = await fetch(`${targets[0].node.url}/metrics.json`);
+      if (!r.ok) return res.status(r.status).json({ error: 'upstream_error' });
+      return res.json(await r.json());
+    }
+    const all = await Promise.all(targets.map(async (x) => {
+      try {
+        const r = await fetch(`${x.node.url}/metrics.json`);
+        return [x.name, r.ok ? await r.json() : { error: 'upstream_error', status: r.status }];
+      } catch (e) {
+        return [x.name, { error: 'fetch_failed', detail: String(e) }];
+      }
+    }));
+    res.json(Object.fromEntries(all));
   } catch (e) {
     res.status(500).json({ error: 'fetch_failed', detail: String(e) });
   }
 });
 
-app.get('/metrics/summary', (_req, res) => {
-  try {
-    const m = lastRaw || {};
+/** Dashboard summary of the whole fleet (st = null) or one node: GET /metrics/summary and the /live push. */
+function buildSummary(st, now = Date.now()) {
+  const series = st ?? fleet;
+  const r = st ? (st.model ?? normalizeMetrics({})) : fleetMetrics(now);
+  const mine = (e) => !st || e.node === st.name;
+
+  // "Out" = delivered + bounced (actually sent)
+  const outSent = n(r.delivered) + n(r.bounced);
+
+  // Windows + series
+  const sess = buildSession(series);
+
+  // Lists from metrics (may be empty on quiet or older schemas)
+  const topDomainsArr   = topEntries(r.domains, 10);
+  const topProvidersArr = topEntries(r.providers, 10);
+
+  // Top deferrals from watcher (hour + total) and the main cause per domain
+  const hourCount = {}, totalCount = {};
+  const hourCauses = {}, totalCauses = {};
+  const hourClasses = { deferral: {}, bounce: {} };
+  const tally = (d, c, count, causes) => {
+    if (d.kind !== 'deferral' || !d.domain) return;
+    count[d.domain] = (count[d.domain] || 0) + c;
+    const cs = (causes[d.domain] ||= {});
+    cs[d.category] = (cs[d.category] || 0) + c;
+  };
+  for (const [d, c] of failures.window(3_600_000, now)) {
+    if (!mine(d)) continue;
+    hourClasses[d.kind][d.category] = (hourClasses[d.kind][d.category] || 0) + c;
+    tally(d, c, hourCount, hourCauses);
+  }
+  for (const [d, c] of failures.window(null, now)) if (mine(d)) tally(d, c, totalCount, totalCauses);
+  const mainCause = (causes) => {
+    const top = Object.entries(causes || {}).sort((a, b) => b[1] - a[1])[0];
+    return top ? top[0] : null;
+  };
+  const topDeferralsHour  = topEntries(hourCount, 10).map(e => ({ ...e, cause: mainCause(hourCauses[e.key]) }));
+  const topDeferralsTotal = topEntries(totalCount, 10).map(e => ({ ...e, cause: mainCause(totalCauses[e.key]) }));
+
+  // Preserve last non-empty lists so cards don't vanish on quiet periods
+  const cached = series.cachedLists;
+  const lists = {
+    topDomains:         topDomainsArr.length    ? topDomainsArr    : cached.topDomains,
+    topProviders:       topProvidersArr.length  ? topProvidersArr  : cached.topProviders,
+    topDeferralsHour:   topDeferralsHour.length ? topDeferralsHour : cached.topDeferralsHour,
+    topDeferralsTotal:  topDeferralsTotal.length? topDeferralsTotal: cached.topDeferralsTotal,
+  };
+  series.cachedLists = lists;
+
+  // Traffic windows (OUT from sent: delivered + bounced)
+  const sumWinSent = (o) => n(o.delivered) + n(o.bounced);
+  const traffic = {
+    total:      { in: r.received, out: outSent },
+    lastMinute: { in: n(sess.lastMinute?.received) || 0, out: sumWinSent(sess.lastMinute) },
+    lastHour:   { in: n(sess.lastHour?.received)   || 0, out: sumWinSent(sess.lastHour) },
+    topMinute:  { in: n(sess.topMinute?.received)  || 0, out: sumWinSent(sess.topMinute) },
+    topHour:    { in: n(sess.topHour?.received)    || 0, out: sumWinSent(sess.topHour) },
+  };
 
-    // Disk / connections / queue
-    const diskFreePct = m?.disk_free_percent?.value?.name?.['data spool'];
-    const diskFreeInodesPct = m?.disk_free_inodes_percent?.value?.name?.['data spool'];
-    const activeConns = pickServiceTotal(m?.connection_count?.value?.service) || 0;
+  return {
+    // which node this is (null = every node) and the health of each
+    node: st?.name ?? null,
+    nodes: [...nodes.values()].map(x => nodeInfo(x, now)),
+
+    disk: {
+      freePercent: r.diskFreePct,
+      inodeFreePercent: r.inodeFreePct,
+    },
+    // every spool of the view's nodes with its time-to-full forecast (Sidebar widget)
+    spools: (st ? [st] : [...nodes.values()]).flatMap(x => spoolStatus(x, now)),
+    connections: { active: r.connections },
+    queue: { depth: r.depth, ready: r.ready, scheduled: r.scheduled },
+
+    // raw cumulatives for transparency
+    totals: { received: r.received, delivered: r.delivered, deferred: r.deferred, bounced: r.bounced },
+
+    // windows + series (back-compat with the UI)
+    session: {
+      lastMinute: sess.lastMinute,
+      lastHour:   sess.lastHour,
+      topMinute:  sess.topMinute,
+      topHour:    sess.topHour
+    },
+    series: {
+      perMinute: sess.perMinute,
+      queue:     sess.queue
+    },
+
+    // stable lists
+    lists,
+
+    // failure causes over the last hour, by kind → category
+    classes: hourClasses,
+
+    // recent events for the Dashboard card (a node's view keeps the proxy's own events)
+    events: recentEvents.latest(100, e => !st || !e.node || e.node === st.name),
+
+    // traffic rollups used by "Traffic Totals"
+    traffic,
+  };
+}
 
-    const ready = pickServiceTotal(m?.ready_count?.value?.service) || 0;
-    const scheduled =
-      (isNum(m?.scheduled_count_total?.value) ? m.scheduled_count_total.value : 0) ||
-      (isNum(m?.scheduled_count?.value) ? m.scheduled_count.value : 0);
-    const depthProv = sumObjNums(m?.queued_count_by_provider?.value?.provider || {});
-    const depthPool = sumArrayAt(m?.queued_count_by_provider_and_pool?.value || []);
-    const depth = depthProv || depthPool || (ready + scheduled) || 0;
+// Dashboard summary for the whole fleet, or one node with ?node=
+app.get('/metrics/summary', (req, res) => {
+  const st = pickNode(req, res);
+  if (st === undefined) return;
+  try {
+    res.json(buildSummary(st));
+  } catch (e) {
+    res.status(500).json({ error: 'summarize_failed', detail: String(e) });
+  }
+});
 
-    // OUT cumulatives
-    const delivered =
-      (isNum(m?.total_messages_delivered?.value) ? m.total_messages_delivered.value : 0) ||
-      pickServiceTotal(m?.total_messages_delivered?.value?.service) ||
-      sumObjNums(m?.total_messages_delivered_by_provider?.value?.provider || {}) ||
-      sumArrayAt(m?.total_messages_delivered_by_provider_and_source?.value || []) || 0;
+// How each node's metrics.json was read: detected schema, the source of every model field,
+// the other candidates present, fields nothing covers and conflicting readings: ?node=
+app.get('/metrics/diagnostics', (req, res) => {
+  const targets = adminTargets(req, res);
+  if (!targets) return;
+  res.json({
+    nodes: targets.map((st) => {
+      const r = st.model;
+      if (!r) return { node: st.name, polledAt: null, schema: null, fields: {}, missing: [], warnings: [], error: st.error };
+      const fields = {};
+      for (const [field, source] of Object.entries(r.sources)) {
+        const v = r[field];
+        fields[field] = {
+          ...(v && typeof v === 'object' ? { entries: Object.keys(v).length } : { value: v }),
+          source,
+          ...(r.candidates[field] ? { candidates: r.candidates[field] } : {}),
+        };
+      }
+      return {
+        node: st.name, polledAt: st.lastOk || null, schema: detectSchema(st.lastRaw),
+        fields, missing: r.missing, warnings: r.warnings, error: st.error,
+      };
+    }),
+  });
+});
 
-    const deferred =
-      (isNum(m?.total_messages_transfail?.value) ? m.total_messages_transfail.value : 0) ||
-      pickServiceTotal(m?.total_messages_transfail?.value?.service) ||
-      sumObjNums(m?.total_messages_transfail_by_provider?.value?.provider || {}) ||
-      sumArrayAt(m?.total_messages_transfail_by_provider_and_source?.value || []) || 0;
+// Spool usage over time and time-to-full per node and spool: ?node=&from=&to=
+app.get('/spool', (req, res) => {
+  const targets = adminTargets(req, res);
+  if (!targets) return;
+  const now = Date.now();
+  const to = req.query.to ? parseTime(req.query.to, now) : now;
+  const from = req.query.from ? parseTime(req.query.from, now) : to - 6 * 3_600_000;
+  if (from == null || to == null || from >= to) return res.status(400).json({ error: 'invalid_range' });
+  res.json({
+    from, to, trendMs: SPOOL_TREND_MS,
+    spools: targets.flatMap(st => spoolStatus(st, now).map(s => ({
+      ...s,
+      series: st.spool.buckets().filter(b => b.t >= from && b.t <= to && b.spools[s.name]).map(b => {
+        const x = b.spools[s.name];
+        return {
+          t: b.t, depth: b.depth, usedPct: usedPct(x.freePct), inodeUsedPct: usedPct(x.inodeFreePct),
+          usedBytes: isNum(x.totalBytes) ? x.totalBytes - x.freeBytes : null,
+        };
+      }),
+    }))),
+  });
+});
 
-    const bounced =
-      (isNum(m?.total_messages_fail?.value) ? m.total_messages_fail.value : 0) ||
-      pickServiceTotal(m?.total_messages_fail?.value?.service) ||
-      sumObjNums(m?.total_messages_fail_by_provider?.value?.provider || {}) ||
-      sumArrayAt(m?.total_messages_fail_by_provider_and_source?.value || []) || 0;
+// Nodes and their health (up / down / stale)
+app.get('/nodes', (_req, res) => {
+  const now = Date.now();
+  res.json({ source: nodesSource ?? 'settings', file: NODES_PATH, staleMs: NODE_STALE_MS, nodes: [...nodes.values()].map(st => nodeInfo(st, now)) });
+});
 
-    // "Out" = delivered + bounced (actually sent)
-    const outSent = n(delivered) + n(bounced);
+// Prometheus / OpenMetrics text exposition of the derived stats (fleet-wide; per node where labelled)
+app.get('/metrics/prometheus', (_req, res) => {
+  try {
+    const now = Date.now();
+    const r = fleetMetrics(now);
+    const reg = createRegistry();
+    const last = fleet.samples[fleet.samples.length - 1] || {};
+    const sess = buildSession(fleet);
+
+    const up = reg.gauge('kumo_ui_up', 'Whether the last poll of the node\'s metrics.json succeeded');
+    const polled = reg.gauge('kumo_ui_last_poll_timestamp_seconds', 'Unix time of the last metrics.json poll');
+    const health = reg.gauge('kumo_ui_node_health', 'Node health: 1 for the current state (up, down or stale)');
+    const depthSource = reg.gauge('kumo_ui_queue_depth_source', 'Which metric family the queue depth was taken from');
+    const disk = reg.gauge('kumo_ui_disk_free_percent', 'Free disk space per spool');
+    const inodes = reg.gauge('kumo_ui_disk_free_inodes_percent', 'Free inodes per spool');
+    const toFull = reg.gauge('kumo_ui_spool_hours_to_full', 'Forecast hours until the spool is full (absent while it is not filling)');
+    for (const st of nodes.values()) {
+      const node = st.name;
+      up.set({ node }, st.lastPoll.ok ? 1 : 0);
+      polled.set({ node }, Math.floor(st.lastPoll.t / 1000));
+      health.set({ node, health: nodeHealth(st, now, NODE_STALE_MS) }, 1);
+      for (const s of spoolStatus(st, now)) if (s.forecast.hoursToFull != null) toFull.set({ node, spool: s.name }, s.forecast.hoursToFull);
+      const m = st.lastRaw;
+      if (!m) continue;
+      depthSource.set({ node, source: st.model.depthSource }, 1);
+      for (const [spool, s] of Object.entries(readSpools(m))) {
+        if (isNum(s.freePct)) disk.set({ node, spool }, s.freePct);
+        if (isNum(s.inodeFreePct)) inodes.set({ node, spool }, s.inodeFreePct);
+      }
+    }
 
-    // "In" = true inbound cumulative captured in samples
-    const received = samples.length ? samples[samples.length - 1].received : (
-      (isNum(m?.total_messages_received?.value) ? m.total_messages_received.value : 0) ||
-      pickServiceTotal(m?.total_messages_received?.value?.service) || 0
-    );
+    const totals = reg.counter('kumo_ui_messages_total', 'Cumulative messages by outcome across the fleet');
+    for (const o of OUTCOMES) totals.set({ outcome: o }, n(last[o]));
 
-    // Windows + series
-    const sess = buildSession();
+    const win = reg.gauge('kumo_ui_window_messages', 'Messages by outcome within a sliding window');
+    const peak = reg.gauge('kumo_ui_window_peak_messages', 'Highest observed per-window count by outcome');
+    for (const o of OUTCOMES) {
+      win.set({ outcome: o, window: '1m' }, n(sess.lastMinute[o]));
+      win.set({ outcome: o, window: '1h' }, n(sess.lastHour[o]));
+      peak.set({ outcome: o, window: '1m' }, n(sess.topMinute[o]));
+      peak.set({ outcome: o, window: '1h' }, n(sess.topHour[o]));
+    }
 
-    // Lists from metrics (may be empty on quiet or older schemas)
-    const topDomainsArr   = topEntries(m?.scheduled_by_domain?.value?.domain, 10);
-    const topProvidersArr = topEntries(m?.total_messages_delivered_by_provider?.value?.provider, 10);
+    reg.gauge('kumo_ui_queue_depth', 'Queue depth (provider sum, else pool sum, else ready + scheduled)').set({}, r.depth);
+    reg.gauge('kumo_ui_queue_ready', 'Messages in ready queues').set({}, r.ready);
+    reg.gauge('kumo_ui_queue_scheduled', 'Messages in scheduled queues').set({}, r.scheduled);
+    reg.gauge('kumo_ui_connections_active', 'Active smtp_client connections').set({}, r.connections);
 
-    // Top deferrals from watcher (hour + total)
-    const now = Date.now();
-    const hourCutoff = now - 3_600_000;
-    const hourCount = {}, totalCount = {};
-    for (const e of deferralEvents) {
-      totalCount[e.domain] = (totalCount[e.domain] || 0) + 1;
-      if (e.t >= hourCutoff) hourCount[e.domain] = (hourCount[e.domain] || 0) + 1;
-    }
-    const topDeferralsHour  = topEntries(hourCount, 10);
-    const topDeferralsTotal = topEntries(totalCount, 10);
-
-    // Preserve last non-empty lists so cards don't vanish on quiet periods
-    const lists = {
-      topDomains:         topDomainsArr.length    ? topDomainsArr    : cachedLists.topDomains,
-      topProviders:       topProvidersArr.length  ? topProvidersArr  : cachedLists.topProviders,
-      topDeferralsHour:   topDeferralsHour.length ? topDeferralsHour : cachedLists.topDeferralsHour,
-      topDeferralsTotal:  topDeferralsTotal.length? topDeferralsTotal: cachedLists.topDeferralsTotal,
-    };
-    cachedLists = lists;
-
-    // Traffic windows (OUT from sent: delivered + bounced)
-    const sumWinSent = (o) => n(o.delivered) + n(o.bounced);
-    const traffic = {
-      total:      { in: received, out: outSent },
-      lastMinute: { in: n(sess.lastMinute?.received) || 0, out: sumWinSent(sess.lastMinute) },
-      lastHour:   { in: n(sess.lastHour?.received)   || 0, out: sumWinSent(sess.lastHour) },
-      topMinute:  { in: n(sess.topMinute?.received)  || 0, out: sumWinSent(sess.topMinute) },
-      topHour:    { in: n(sess.topHour?.received)    || 0, out: sumWinSent(sess.topHour) },
+    const defTotal = reg.counter('kumo_ui_log_deferrals_total', 'Deferrals seen in the log stream since start, by domain');
+    for (const [domain, v] of deferralTotals) defTotal.set({ domain }, v);
+    const errTotal = reg.counter('kumo_ui_last_errors_total', 'Deferral reasons recorded since start, by domain');
+    for (const [domain, v] of lastErrorTotals) errTotal.set({ domain }, v);
+
+    const perDomain = (rows) => {
+      const out = {};
+      for (const [d, c] of rows) if (d.kind === 'deferral' && d.domain) out[d.domain] = (out[d.domain] || 0) + c;
+      return out;
     };
+    const hourCount = perDomain(failures.window(3_600_000, now)), retainedCount = perDomain(failures.window(null, now));
+    const defWin = reg.gauge('kumo_ui_log_deferrals_window', 'Deferrals by domain within the last hour or the retained window');
+    for (const [domain, v] of topWithOther(hourCount, PROM_MAX_DOMAINS)) defWin.set({ domain, window: '1h' }, v);
+    for (const [domain, v] of topWithOther(retainedCount, PROM_MAX_DOMAINS)) defWin.set({ domain, window: 'retained' }, v);
 
-    res.json({
-      disk: {
-        freePercent: isNum(diskFreePct) ? diskFreePct : null,
-        inodeFreePercent: isNum(diskFreeInodesPct) ? diskFreeInodesPct : null,
-      },
-      connections: { active: activeConns },
-      queue: { depth, ready, scheduled },
-
-      // raw cumulatives for transparency
-      totals: { received, delivered, deferred, bounced },
-
-      // windows + series (back-compat with the UI)
-      session: {
-        lastMinute: sess.lastMinute,
-        lastHour:   sess.lastHour,
-        topMinute:  sess.topMinute,
-        topHour:    sess.topHour
-      },
-      series: {
-        perMinute: sess.perMinute,
-        queue:     sess.queue
-      },
+    const byProv = reg.gauge('kumo_ui_delivered_by_provider', 'Cumulative deliveries per provider (top providers)');
+    for (const [provider, v] of topWithOther(r.providers, PROM_MAX_PROVIDERS)) byProv.set({ provider }, v);
+    const qProv = reg.gauge('kumo_ui_queued_by_provider', 'Queued messages per provider (top providers)');
+    for (const [provider, v] of topWithOther(r.queued, PROM_MAX_PROVIDERS)) qProv.set({ provider }, v);
 
-      // stable lists
-      lists,
+    res.type(PROM_CONTENT_TYPE).send(reg.render());
+  } catch (e) {
+    res.status(500).json({ error: 'prometheus_failed', detail: String(e) });
+  }
+});
 
-      // recent events for the Dashboard card
-      events: recentEvents.slice(-100),
+// Long-term history: ?from=&to=&step=
+// from/to: epoch ms, ISO date or relative ("-24h"); step: ms or "5m"/"1h" (auto if omitted)
+app.get('/metrics/history', async (req, res) => {
+  const now = Date.now();
+  const to = req.query.to ? parseTime(req.query.to, now) : now;
+  const from = req.query.from ? parseTime(req.query.from, now) : to - 3600_000;
+  const step = req.query.step ? parseDuration(req.query.step) : undefined;
+  if (from == null || to == null || step === null || from >= to) {
+    return res.status(400).json({ error: 'invalid_range' });
+  }
+  try {
+    res.json(await history.query({ from, to, step }, now));
+  } catch (e) {
+    res.status(500).json({ error: 'history_failed', detail: String(e) });
+  }
+});
 
-      // traffic rollups used by "Traffic Totals"
-      traffic,
-    });
+// Failure causes: ?from=&to=&step=&domain=&kind=deferral|bounce&node=
+app.get('/metrics/classes', (req, res) => {
+  const st = pickNode(req, res);
+  if (st === undefined) return;
+  const now = Date.now();
+  const to = req.query.to ? parseTime(req.query.to, now) : now;
+  const from = req.query.from ? parseTime(req.query.from, now) : to - 3_600_000;
+  if (from == null || to == null || from >= to) return res.status(400).json({ error: 'invalid_range' });
+  const step = req.query.step ? parseDuration(req.query.step) : Math.max(60_000, Math.ceil((to - from) / 120 / 60_000) * 60_000);
+  if (!step) return res.status(400).json({ error: 'invalid_step' });
+  const qDomain = (req.query.domain || '').toString().toLowerCase().trim();
+  const kind = (req.query.kind || '').toString();
+
+  // whole minute buckets: a step below a minute still gets one point per minute
+  const totals = {}, byDomain = {}, buckets = new Map();
+  for (const { t, rows } of failures.buckets(from, to, now)) {
+    const k = Math.floor(t / step) * step;
+    const b = buckets.get(k) || {};
+    for (const [e, c] of rows) {
+      if (qDomain && e.domain !== qDomain) continue;
+      if (kind && e.kind !== kind) continue;
+      if (st && e.node !== st.name) continue;
+      totals[e.category] = (totals[e.category] || 0) + c;
+      if (e.domain) {
+        const d = (byDomain[e.domain] ||= {});
+        d[e.category] = (d[e.category] || 0) + c;
+      }
+      b[e.category] = (b[e.category] || 0) + c;
+    }
+    if (Object.keys(b).length) buckets.set(k, b);
+  }
+  const domainTotal = (c) => Object.values(c).reduce((a, v) => a + v, 0);
+  const domains = Object.entries(byDomain)
+    .sort((a, b) => domainTotal(b[1]) - domainTotal(a[1]))
+    .slice(0, 50)
+    .map(([domain, counts]) => ({ domain, total: domainTotal(counts), counts }));
+  const series = [...buckets.entries()].sort((a, b) => a[0] - b[0]).map(([t, counts]) => ({ t, counts }));
+
+  res.json({ from, to, step, categories: CATEGORIES, totals, domains, series });
+});
+app.get('/metrics/classes/rules', (_req, res) => res.json(classifier.rules()));
+
+// Domain / provider drill-down from the message index (lib/deliverability.js):
+// ?domain=|provider=&from=&to=&step=&node=
+const DELIVERABILITY_MAX_BUCKETS = 500;
+app.get('/metrics/deliverability', (req, res) => {
+  const st = pickNode(req, res);
+  if (st === undefined) return;
+  const domain = (req.query.domain || '').toString().toLowerCase().trim();
+  const provider = (req.query.provider || '').toString().toLowerCase().trim();
+  if (!domain === !provider) {
+    return res.status(400).json({ error: 'invalid_request', detail: 'pass either domain or provider' });
+  }
+  const now = Date.now();
+  const to = req.query.to ? parseTime(req.query.to, now) : now;
+  const from = req.query.from ? parseTime(req.query.from, now) : to - 86_400_000;
+  if (from == null || to == null || from >= to) return res.status(400).json({ error: 'invalid_range' });
+  const step = req.query.step ? parseDuration(req.query.step) : Math.max(60_000, Math.ceil((to - from) / 120 / 60_000) * 60_000);
+  if (!step || (to - from) / step > DELIVERABILITY_MAX_BUCKETS) return res.status(400).json({ error: 'invalid_step' });
+  try {
+    const stats = deliverability(messages.select({ domain, provider, from, to }), { from, to, step, node: st?.name });
+    res.json({ domain: domain || null, provider: provider || null, node: st?.name ?? null, from, to, step, ...stats });
   } catch (e) {
-    res.status(500).json({ error: 'summarize_failed', detail: String(e) });
+    res.status(500).json({ error: 'deliverability_failed', detail: String(e) });
   }
 });
 
-// LAST-ERRORS read-only endpoint
+// LAST-ERRORS read-only endpoint (?node= keeps one node's)
 app.get('/metrics/last-errors', (req, res) => {
+  const st = pickNode(req, res);
+  if (st === undefined) return;
   const qDomain = (req.query.domain || '').toString().toLowerCase().trim();
   const limit = Math.min( Number(req.query.limit ?? 10) || 10, 50 );
-  if (qDomain) {
-    const rows = (lastErrors.get(qDomain) || []).slice(-limit).reverse();
-    return res.json({ domain: qDomain, rows });
-  }
+  const pick = (dom) => lastErrors.get(dom, limit, st ? (e) => e.node === st.name : undefined).reverse();
+  if (qDomain) return res.json({ domain: qDomain, rows: pick(qDomain) });
   const out = {};
-  for (const [dom, rows] of lastErrors.entries()) {
-    out[dom] = rows.slice(-limit).reverse();
+  for (const dom of lastErrors.domains()) out[dom] = pick(dom);
+  res.json(out);
+});
+
+// Dashboard push (SSE): a summary snapshot, then a delta after every poll (see lib/live.js)
+app.get('/live', (req, res) => {
+  const st = pickNode(req, res);
+  if (st === undefined) return;
+  try {
+    live.subscribe(st?.name ?? '', req, res, () => !!auth.authenticate(req));
+  } catch (e) {
+    res.status(500).json({ error: 'summarize_failed', detail: String(e) });
+  }
+});
+
+// ---------- Message search / trace ----------
+app.get('/messages/search', (req, res) => {
+  const now = Date.now();
+  const q = (k) => (req.query[k] ?? '').toString().trim() || undefined;
+  const from = parseTime(req.query.from, now);
+  const to = parseTime(req.query.to, now);
+  if ((req.query.from && from == null) || (req.query.to && to == null)) {
+    return res.status(400).json({ error: 'invalid_range' });
+  }
+  if (q('type') && !RECORD_TYPES.includes(q('type'))) return res.status(400).json({ error: 'invalid_type' });
+  res.json(messages.search({
+    q: q('q'), id: q('id'), sender: q('sender'), recipient: q('recipient'), domain: q('domain'),
+    source: q('source'), type: q('type'), status: q('status'),
+    from: from ?? undefined, to: to ?? undefined,
+    offset: req.query.offset, limit: req.query.limit,
+  }));
+});
+
+app.get('/messages/:id', (req, res) => {
+  const t = messages.trace(req.params.id);
+  if (!t) return res.status(404).json({ error: 'not_found' });
+  res.json(t);
+});
+
+// ---------- Test sends (KumoMTA /api/inject/v1) ----------
+// A probe's recipients go from `submitted` (injected, no Reception seen yet) to
+// their message's status in the index; `rejected` when Kumo refused them and
+// `unmatched` when no Reception turned up within the match window.
+function probeView(p, now = Date.now()) {
+  return {
+    ...p,
+    recipients: p.recipients.map((r) => {
+      const trace = r.messageId ? messages.trace(r.messageId) : null;
+      const status = r.rejected ? 'rejected'
+        : trace ? trace.status
+        : now - p.t > probes.matchWindowMs ? 'unmatched' : 'submitted';
+      return {
+        ...r, status,
+        attempts: trace?.attempts ?? 0,
+        lastSeen: trace?.lastSeen ?? null,
+        lastResponse: trace?.lastResponse ?? null,
+        events: trace?.events ?? [],
+      };
+    }),
+  };
+}
+
+app.get('/probes/templates', (_req, res) => res.json(PROBE_TEMPLATES));
+
+app.get('/probes', (_req, res) => {
+  const now = Date.now();
+  res.json(probes.list().map(p => probeView(p, now)));
+});
+
+app.get('/probes/:id', (req, res) => {
+  const p = probes.get(req.params.id);
+  if (!p) return res.status(404).json({ error: 'not_found' });
+  res.json(probeView(p));
+});
+
+// Build a message from a template and inject it on `node` (required with several nodes)
+app.post('/probes', allow('operator'), async (req, res) => {
+  const st = pickNode(req, res);
+  if (st === undefined) return;
+  const target = st ?? (nodes.size === 1 ? [...nodes.values()][0] : null);
+  if (!target) return res.status(400).json({ error: 'invalid_request', detail: 'node is required with several nodes' });
+  let built;
+  try {
+    built = buildProbe(req.body || {}, { node: target.name });
+  } catch (e) {
+    return res.status(400).json({ error: 'invalid_request', detail: e.message });
+  }
+  try {
+    const r = await fetch(`${target.node.url}/api/inject/v1`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(built.body),
+    });
+    const txt = await r.text();
+    let data = null;
+    try { data = txt ? JSON.parse(txt) : null; } catch { data = txt; }
+    res.locals.upstream = data;
+    const p = probes.add(built.probe, { ok: r.ok, status: r.status, data });
+    res.status(r.ok ? 200 : 502).json(probeView(p));
+  } catch (e) {
+    res.status(500).json({ error: 'inject_failed', detail: String(e) });
+  }
+});
+
+// ---------- Suppression list ----------
+// Fed by hard bounces (see lib/suppressions.js); the static paths come before
+// /suppressions/:address so "export", "config" and "import" aren't addresses.
+app.get('/suppressions', (req, res) => {
+  const page = pageRows(suppressions.list(), req.query, {
+    fields: ['address', 'reason', 'enhanced'],
+    sortKeys: ['address', 'createdAt', 'source', 'enhanced'],
+    exact: ['source', 'node'],
+    defaultSort: 'createdAt',
+  });
+  res.json({ ...page, config: suppressions.config(), exportFile: suppressions.exportFile || null });
+});
+
+// format=csv (default; importable) or kumo ({ address: reason } for the policy)
+app.get('/suppressions/export', (req, res) => {
+  const format = String(req.query.format || 'csv');
+  if (!['csv', 'kumo'].includes(format)) return res.status(400).json({ error: 'invalid_request', detail: 'format must be csv or kumo' });
+  const rows = suppressions.list().sort((a, b) => a.address.localeCompare(b.address));
+  const day = new Date().toISOString().slice(0, 10);
+  if (format === 'kumo') {
+    res.setHeader('Content-Disposition', 'attachment; filename="suppressions.json"');
+    return res.json(Object.fromEntries(rows.map(e => [e.address, e.reason || e.source])));
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="kumo-suppressions-${day}.csv"`);
+  res.type('text/csv').send(suppressionsCsv(rows));
+});
+
+app.get('/suppressions/config', (_req, res) => res.json(suppressions.config()));
+
+app.put('/suppressions/config', allow('operator'), async (req, res) => {
+  try {
+    res.json(await suppressions.setConfig(req.body || {}));
+  } catch (e) {
+    res.status(400).json({ error: 'invalid_request', detail: e.message });
+  }
+});
+
+// CSV body (text/csv), or JSON { csv }; rows add or replace entries
+app.post('/suppressions/import', allow('operator'), express.text({ type: ['text/csv', 'text/plain'], limit: '50mb' }), async (req, res) => {
+  const text = typeof req.body === 'string' ? req.body : req.body?.csv;
+  if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'invalid_request', detail: 'CSV body is required' });
+  try {
+    const result = await suppressions.importCsv(text, { actor: req.user?.username ?? null });
+    res.locals.upstream = result;
+    res.json({ ...result, total: suppressions.size() });
+  } catch (e) {
+    res.status(500).json({ error: 'import_failed', detail: String(e) });
+  }
+});
+
+app.get('/suppressions/:address', (req, res) => {
+  const e = suppressions.get(req.params.address);
+  if (!e) return res.status(404).json({ error: 'not_found' });
+  res.json(e);
+});
+
+app.post('/suppressions', allow('operator'), async (req, res) => {
+  try {
+    res.json(await suppressions.add(req.body || {}, { actor: req.user?.username ?? null }));
+  } catch (e) {
+    res.status(400).json({ error: 'invalid_request', detail: e.message });
+  }
+});
+
+app.put('/suppressions/:address', allow('operator'), async (req, res) => {
+  try {
+    const e = await suppressions.update(req.params.address, req.body || {});
+    if (!e) return res.status(404).json({ error: 'not_found' });
+    res.json(e);
+  } catch (e) {
+    res.status(400).json({ error: 'invalid_request', detail: e.message });
+  }
+});
+
+app.delete('/suppressions/:address', allow('operator'), async (req, res) => {
+  if (!(await suppressions.remove([req.params.address]))) return res.status(404).json({ error: 'not_found' });
+  res.json({ ok: true });
+});
+
+// ---------- Policy files ----------
+// Reads need operator; saving, rolling back and reloading need admin. Nothing
+// reaches `systemctl reload` without passing the policy checks first.
+const policy = createPolicyStore({
+  root: POLICY_ROOT, versionsDir: POLICY_VERSIONS_DIR, maxVersions: POLICY_MAX_VERSIONS,
+  luaCheck: POLICY_LUA_CHECK, validateCmd: POLICY_VALIDATE_CMD,
+});
+const policyError = (res, e) => res.status(400).json({ error: 'invalid_request', detail: e.message });
+
+function reloadKumo() {
+  return new Promise((resolve) => {
+    const child = spawn('/bin/systemctl', ['reload', 'kumomta']);
+    let output = '';
+    child.stdout.on('data', (d) => { output += d; });
+    child.stderr.on('data', (d) => { output += d; });
+    child.on('error', (e) => { output += e.message; });
+    child.on('close', (code) => resolve({ ok: code === 0, code, output: trimText(output, 2000) || undefined }));
+  });
+}
+
+/** Answer a checked save/rollback, reloading KumoMTA afterwards when asked. */
+async function sendSaved(req, res, r) {
+  if (r.conflict) return res.status(409).json({ error: 'conflict', detail: 'the file changed on disk since it was opened' });
+  if (!r.ok) {
+    res.locals.exitCode = r.checks.find(c => !c.ok)?.code ?? null;
+    return res.status(422).json({ error: 'check_failed', checks: r.checks });
+  }
+  const out = { ok: true, checks: r.checks, version: r.version, sha: r.sha };
+  if (req.body?.reload) {
+    out.reload = await reloadKumo();
+    res.locals.exitCode = out.reload.code;
   }
   res.json(out);
+}
+
+app.get('/policy/files', allow('operator'), async (_req, res) => {
+  try {
+    res.json({ root: policy.root, files: await policy.list() });
+  } catch (e) {
+    res.status(500).json({ error: 'policy_list_failed', detail: String(e) });
+  }
+});
+
+app.get('/policy/file', allow('operator'), async (req, res) => {
+  try {
+    const f = await policy.read(req.query.path);
+    if (!f) return res.status(404).json({ error: 'not_found' });
+    res.json(f);
+  } catch (e) { policyError(res, e); }
+});
+
+app.put('/policy/file', allow('admin'), async (req, res) => {
+  const { path: p, content, sha, note } = req.body || {};
+  try {
+    await sendSaved(req, res, await policy.save(p, content, { actor: req.user.username, baseSha: sha, note }));
+  } catch (e) { policyError(res, e); }
+});
+
+// Dry run: the same checks a save would run, without touching the live file
+app.post('/policy/check', allow('operator'), async (req, res) => {
+  try {
+    const r = await policy.check(req.body?.path, req.body?.content);
+    res.locals.exitCode = r.checks.find(c => 'code' in c)?.code ?? null;
+    res.json(r);
+  } catch (e) { policyError(res, e); }
+});
+
+app.get('/policy/versions', allow('operator'), async (req, res) => {
+  try { res.json(await policy.versions(req.query.path)); } catch (e) { policyError(res, e); }
+});
+
+app.get('/policy/version', allow('operator'), async (req, res) => {
+  try {
+    const v = await policy.readVersion(req.query.path, String(req.query.id ?? ''));
+    if (!v) return res.status(404).json({ error: 'not_found' });
+    res.json(v);
+  } catch (e) { policyError(res, e); }
+});
+
+app.post('/policy/rollback', allow('admin'), async (req, res) => {
+  try {
+    const r = await policy.rollback(req.body?.path, String(req.body?.id ?? ''), { actor: req.user.username });
+    if (!r) return res.status(404).json({ error: 'not_found' });
+    await sendSaved(req, res, r);
+  } catch (e) { policyError(res, e); }
+});
+
+app.post('/policy/reload', allow('admin'), async (_req, res) => {
+  try {
+    const r = await policy.checkLive();
+    if (!r.ok) {
+      res.locals.exitCode = r.checks.find(c => !c.ok)?.code ?? null;
+      return res.status(422).json({ error: 'check_failed', checks: r.checks });
+    }
+    const out = await reloadKumo();
+    res.locals.exitCode = out.code;
+    res.json({ ...out, checks: r.checks });
+  } catch (e) {
+    res.status(500).json({ error: 'reload_failed', detail: String(e) });
+  }
+});
+
+// ---------- Traffic shaping (lib/shaping.js) ----------
+// Entries are read from the shaping files and saved through the same checked,
+// versioned path as the Policy editor (admin), optionally followed by a reload.
+
+// The shaping files in load order: SHAPING_FILES, else Kumo's bundled
+// shaping.toml followed by every *shaping*.toml / .json under POLICY_ROOT.
+// Files under POLICY_ROOT are editable, others read-only.
+async function shapingFiles() {
+  const paths = SHAPING_FILES
+    ? SHAPING_FILES.split(',').map(p => p.trim()).filter(Boolean)
+    : [SHAPING_DEFAULT_FILE, ...(await policy.list()).filter(f => f.kind !== 'lua' && /shaping/i.test(path.basename(f.path))).map(f => f.path)];
+  const out = [];
+  for (const p of paths) {
+    const f = await policy.read(p).catch(() => undefined);   // throws for paths outside the root
+    if (f) out.push({ path: f.path, kind: f.kind, content: f.content, sha: f.sha, editable: true });
+    if (f !== undefined) continue;
+    const content = await fs.readFile(p, 'utf8').catch(() => null);
+    if (content != null) out.push({ path: p, kind: p.endsWith('.json') ? 'json' : 'toml', content, editable: false });
+  }
+  return out;
+}
+
+// Deferrals (last hour and retained), their main cause and the queued count
+// per domain; queued per provider from the providers' queue gauges
+function shapingTraffic(now = Date.now()) {
+  const domains = {}, providers = {};
+  const row = (d) => (domains[d] ||= { deferrals1h: 0, deferrals: 0, cause: null, queued: 0 });
+  for (const [e, c] of failures.window(null, now)) {
+    if (e.kind === 'deferral' && e.domain) row(e.domain).deferrals += c;
+  }
+  const causes = {};
+  for (const [e, c] of failures.window(3_600_000, now)) {
+    if (e.kind !== 'deferral' || !e.domain) continue;
+    row(e.domain).deferrals1h += c;
+    const cs = (causes[e.domain] ||= {});
+    cs[e.category] = (cs[e.category] || 0) + c;
+  }
+  for (const [d, c] of Object.entries(causes)) row(d).cause = Object.entries(c).sort((a, b) => b[1] - a[1])[0][0];
+  for (const st of nodes.values()) {
+    for (const [d, v] of Object.entries(st.model?.domains || {})) row(d).queued += v;
+    for (const [p, v] of Object.entries(st.model?.queued || {})) providers[p] = (providers[p] || 0) + v;
+  }
+  return { domains, providers };
+}
+
+const MX_TIMEOUT_MS = 3000;
+const lookupMx = (domain) => Promise.race([
+  resolveMx(domain).then(rows => rows.sort((a, b) => a.priority - b.priority).map(r => r.exchange.toLowerCase())),
+  new Promise((_, reject) => setTimeout(() => reject(new Error(`no answer within ${MX_TIMEOUT_MS / 1000}s`)), MX_TIMEOUT_MS)),
+]);
+
+app.get('/shaping', allow('operator'), async (_req, res) => {
+  try {
+    const { files, entries } = readShaping(await shapingFiles());
+    const traffic = shapingTraffic();
+    const own = new Set(entries.filter(e => e.kind === 'domain').map(e => e.name.toLowerCase()));
+    res.json({
+      files,
+      entries: entries.map(e => ({
+        ...e,
+        traffic: e.kind === 'domain' ? traffic.domains[e.name.toLowerCase()] ?? null
+          : e.kind === 'provider' ? { queued: traffic.providers[e.name] ?? 0 } : null,
+      })),
+      // deferring domains that only have the default (or a provider) to go by
+      uncovered: Object.entries(traffic.domains)
+        .filter(([d, t]) => !own.has(d) && t.deferrals1h > 0)
+        .sort((a, b) => b[1].deferrals1h - a[1].deferrals1h)
+        .slice(0, 10)
+        .map(([domain, t]) => ({ domain, ...t })),
+      settings: SHAPING_SETTINGS,
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'shaping_failed', detail: String(e) });
+  }
+});
+
+// ?domain= (required), mx=0 skips the MX lookup that provider matching needs
+app.get('/shaping/effective', allow('operator'), async (req, res) => {
+  const domain = String(req.query.domain || '').trim().toLowerCase().replace(/\.$/, '');
+  if (!/^[a-z0-9.-]+$/.test(domain)) return res.status(400).json({ error: 'invalid_request', detail: 'domain is required' });
+  try {
+    let mx = [], mxError = null;
+    if (req.query.mx !== '0') mx = await lookupMx(domain).catch((e) => { mxError = e.code || e.message; return []; });
+    const { entries } = readShaping(await shapingFiles());
+    res.json({
+      domain, mx, mxError,
+      ...effectiveShaping(mergeShaping(entries), domain, { mx }),
+      traffic: shapingTraffic().domains[domain] ?? null,
+      lastErrors: lastErrors.get(domain, 5).reverse(),
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'shaping_failed', detail: String(e) });
+  }
+});
+
+// Dry run of the schema check a save runs; returns the normalized entry
+app.post('/shaping/validate', allow('operator'), (req, res) => {
+  const { name, provider, entry } = req.body || {};
+  const r = validateEntry(name, entry, { provider: !!provider });
+  res.json({ ok: !r.errors.length, ...r });
+});
+
+// The editable shaping file `p`, or undefined after answering
+async function shapingFile(res, p) {
+  const f = (await shapingFiles()).find(x => x.path === p);
+  if (!f) { res.status(404).json({ error: 'not_found' }); return; }
+  if (!f.editable) { res.status(400).json({ error: 'invalid_request', detail: `${p} is outside POLICY_ROOT and read-only here` }); return; }
+  return f;
+}
+
+// Body: { path, name, provider?, entry, sha?, note?, reload? }; replaces (or adds) one entry
+app.put('/shaping/entry', allow('admin'), async (req, res) => {
+  const { path: p, name, provider, entry, sha, note } = req.body || {};
+  const r = validateEntry(name, entry, { provider: !!provider });
+  if (r.errors.length) return res.status(422).json({ error: 'invalid_entry', detail: `${r.errors[0].path}: ${r.errors[0].detail}`, ...r });
+  try {
+    const f = await shapingFile(res, p);
+    if (!f) return;
+    const content = replaceEntry(f, name, r.entry, { provider: !!provider });
+    await sendSaved(req, res, await policy.save(f.path, content, { actor: req.user.username, baseSha: sha, note: note || `shaping: ${name}` }));
+  } catch (e) { policyError(res, e); }
+});
+
+// Body: { path, name, provider?, sha?, reload? }
+app.delete('/shaping/entry', allow('admin'), async (req, res) => {
+  const { path: p, name, provider, sha } = req.body || {};
+  try {
+    const f = await shapingFile(res, p);
+    if (!f) return;
+    const { entries } = readShaping([f]);
+    if (!entries.some(e => e.name === name && (e.kind === 'provider') === !!provider)) return res.status(404).json({ error: 'not_found' });
+    const content = replaceEntry(f, name, null, { provider: !!provider });
+    await sendSaved(req, res, await policy.save(f.path, content, { actor: req.user.username, baseSha: sha, note: `shaping: remove ${name}` }));
+  } catch (e) { policyError(res, e); }
+});
+
+// ---------- Queue actions (KumoMTA /api/admin/*) ----------
+// Actions go to the node named by `node` (body or query), else to every node.
+// Call a Kumo admin endpoint; bodies may be JSON, plain text or empty.
+async function kumoAdmin(st, method, endpoint, body) {
+  const r = await fetch(`${st.node.url}/api/admin/${endpoint}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const txt = await r.text();
+  let data = null;
+  try { data = txt ? JSON.parse(txt) : null; } catch { data = txt; }
+  return { ok: r.ok, status: r.status, data };
+}
+
+/** The same admin call on each target; with several, one unreachable node doesn't fail the others. */
+async function kumoAdminEach(targets, method, endpoint, body) {
+  const call = (st) => kumoAdmin(st, method, endpoint, body).then(r => ({ node: st.name, ...r }));
+  if (targets.length === 1) return [await call(targets[0])];
+  return Promise.all(targets.map(st => call(st).catch(e => ({ node: st.name, ok: false, status: 0, data: String(e) }))));
+}
+
+// Only forward the matching fields Kumo understands; blanks mean "any".
+function queueCriteria(b = {}) {
+  const out = {};
+  for (const k of ['domain', 'campaign', 'tenant', 'routing_domain']) {
+    const v = typeof b[k] === 'string' ? b[k].trim() : '';
+    if (v) out[k] = k === 'domain' || k === 'routing_domain' ? v.toLowerCase() : v;
+  }
+  return out;
+}
+const hasCriteria = (c) => !!(c.domain || c.campaign || c.tenant || c.routing_domain);
+const sameCriteria = (a, b) =>
+  ['domain', 'campaign', 'tenant'].every(k => (a[k] || null) === (b[k] || null));
+
+// One node replies as Kumo did; several are keyed by node, and lists are merged with each item tagged
+function adminReply(res, results, { list = false } = {}) {
+  if (results.length === 1) {
+    const r = results[0];
+    return res.status(r.ok ? 200 : 502).json({ ok: r.ok, status: r.status, result: r.data });
+  }
+  const ok = results.every(r => r.ok);
+  res.status(ok ? 200 : 502).json({
+    ok,
+    ...(list ? { result: results.flatMap(r => (r.ok && Array.isArray(r.data) ? r.data.map(x => ({ ...x, node: r.node })) : [])) } : {}),
+    nodes: Object.fromEntries(results.map(r => [r.node, { ok: r.ok, status: r.status, ...(list ? {} : { result: r.data }) }])),
+  });
+}
+const adminRoute = (fn) => async (req, res) => {
+  try {
+    await fn(req, res);
+  } catch (e) {
+    res.status(500).json({ error: 'admin_failed', detail: String(e) });
+  }
+};
+/** Nodes a request acts on; undefined once a 404 was sent. */
+function adminTargets(req, res) {
+  const st = pickNode(req, res);
+  return st === undefined ? undefined : st ? [st] : [...nodes.values()];
+}
+// Suspension and bounce ids belong to one node
+function idTargets(req, res) {
+  const targets = adminTargets(req, res);
+  if (targets?.length > 1) {
+    res.status(400).json({ error: 'missing_node', detail: 'ids are per node; pass node' });
+    return undefined;
+  }
+  return targets;
+}
+
+app.get('/queue/suspensions', adminRoute(async (req, res) => {
+  const targets = adminTargets(req, res);
+  if (targets) adminReply(res, await kumoAdminEach(targets, 'GET', 'suspend/v1'), { list: true });
+}));
+
+app.post('/queue/suspend', allow('operator'), adminRoute(async (req, res) => {
+  const c = queueCriteria(req.body);
+  if (!hasCriteria(c)) return res.status(400).json({ error: 'missing_criteria' });
+  const targets = adminTargets(req, res);
+  if (!targets) return;
+  const { reason = 'suspended from kumo-ui', duration } = req.body || {};
+  invalidateAdminCache(targets);
+  adminReply(res, await kumoAdminEach(targets, 'POST', 'suspend/v1', { ...c, reason, ...(duration ? { duration } : {}) }));
+}));
+
+// Resume by suspension id, or drop every suspension matching the criteria.
+app.post('/queue/resume', allow('operator'), adminRoute(async (req, res) => {
+  const { id } = req.body || {};
+  if (id) {
+    const targets = idTargets(req, res);
+    if (!targets) return;
+    invalidateAdminCache(targets);
+    return adminReply(res, await kumoAdminEach(targets, 'DELETE', 'suspend/v1', { id }));
+  }
+
+  const c = queueCriteria(req.body);
+  if (!hasCriteria(c)) return res.status(400).json({ error: 'missing_criteria' });
+  const targets = adminTargets(req, res);
+  if (!targets) return;
+  invalidateAdminCache(targets);
+  const lists = await kumoAdminEach(targets, 'GET', 'suspend/v1');
+  if (targets.length === 1 && !lists[0].ok) return adminReply(res, lists);
+  const results = [];
+  for (const [i, list] of lists.entries()) {
+    if (!list.ok) { results.push({ node: list.node, id: null, ok: false, status: list.status, data: list.data }); continue; }
+    const matches = (Array.isArray(list.data) ? list.data : []).filter(s => sameCriteria(s, c));
+    for (const s of matches) results.push({ node: list.node, id: s.id, ...(await kumoAdmin(targets[i], 'DELETE', 'suspend/v1', { id: s.id })) });
+  }
+  const ok = results.every(r => r.ok);
+  res.status(ok ? 200 : 502).json({ ok, resumed: results.filter(r => r.ok).map(r => r.id), results });
+}));
+
+app.get('/queue/bounces', adminRoute(async (req, res) => {
+  const targets = adminTargets(req, res);
+  if (targets) adminReply(res, await kumoAdminEach(targets, 'GET', 'bounce/v1'), { list: true });
+}));
+
+app.post('/queue/bounce', allow('operator'), adminRoute(async (req, res) => {
+  const c = queueCriteria(req.body);
+  if (!hasCriteria(c)) return res.status(400).json({ error: 'missing_criteria' });
+  const targets = adminTargets(req, res);
+  if (!targets) return;
+  const { reason = 'bounced from kumo-ui', duration } = req.body || {};
+  adminReply(res, await kumoAdminEach(targets, 'POST', 'bounce/v1', { ...c, reason, ...(duration ? { duration } : {}) }));
+}));
+
+app.post('/queue/bounce/cancel', allow('operator'), adminRoute(async (req, res) => {
+  const { id } = req.body || {};
+  if (!id) return res.status(400).json({ error: 'missing_id' });
+  const targets = idTargets(req, res);
+  if (targets) adminReply(res, await kumoAdminEach(targets, 'DELETE', 'bounce/v1', { id }));
+}));
+
+// Rebind: re-evaluate queue assignment with new metadata (e.g. routing_domain, queue).
+app.post('/queue/rebind', allow('operator'), adminRoute(async (req, res) => {
+  const c = queueCriteria(req.body);
+  if (!hasCriteria(c)) return res.status(400).json({ error: 'missing_criteria' });
+  const { reason = 'rebind from kumo-ui', data = {}, always_flush = false } = req.body || {};
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return res.status(400).json({ error: 'invalid_data' });
+  }
+  const targets = adminTargets(req, res);
+  if (targets) adminReply(res, await kumoAdminEach(targets, 'POST', 'rebind/v1', { ...c, reason, data, always_flush: !!always_flush }));
+}));
+
+// Retry now: an empty rebind with always_flush moves scheduled messages to ready.
+app.post('/queue/retry', allow('operator'), adminRoute(async (req, res) => {
+  const c = queueCriteria(req.body);
+  if (!hasCriteria(c)) return res.status(400).json({ error: 'missing_criteria' });
+  const { reason = 'retry now from kumo-ui' } = req.body || {};
+  const targets = adminTargets(req, res);
+  if (targets) adminReply(res, await kumoAdminEach(targets, 'POST', 'rebind/v1', { ...c, reason, data: {}, always_flush: true }));
+}));
+
+// ---------- Queue model (/queues) ----------
+// Suspensions and ready-queue states come from the admin API; cache them
+// briefly (per node) so table refreshes don't hit Kumo on every request.
+const ADMIN_CACHE_MS = 10_000;
+async function queueAdminState(st, force = false) {
+  const cache = st.adminCache;
+  if (!force && Date.now() - cache.t < ADMIN_CACHE_MS) return cache;
+  const [s, q] = await Promise.allSettled([
+    kumoAdmin(st, 'GET', 'suspend/v1'),
+    kumoAdmin(st, 'GET', 'ready-q-states/v1'),
+  ]);
+  st.adminCache = {
+    t: Date.now(),
+    suspensions: s.status === 'fulfilled' && s.value.ok && Array.isArray(s.value.data) ? s.value.data : cache.suspensions,
+    readyStates: q.status === 'fulfilled' && q.value.ok && q.value.data && typeof q.value.data === 'object' ? q.value.data : cache.readyStates,
+  };
+  return st.adminCache;
+}
+function invalidateAdminCache(targets = nodes.values()) {
+  for (const st of targets) st.adminCache.t = 0;
+}
+
+// Rows carry their node; provider/pool counts are summed across nodes
+async function queueModel(targets) {
+  const parts = await Promise.all(targets.map(async (st) => {
+    const { suspensions, readyStates } = await queueAdminState(st);
+    const m = buildQueueModel(st.lastRaw || {}, { suspensions, readyStates });
+    const tag = (rows) => rows.map(r => ({ ...r, node: st.name }));
+    return { queues: tag(m.queues), egress: tag(m.egress), providers: m.providers };
+  }));
+  const providers = new Map();
+  for (const p of parts.flatMap(x => x.providers)) {
+    const k = `${p.provider}\0${p.pool}`;
+    const row = providers.get(k) || { ...p, queued: 0 };
+    row.queued += p.queued;
+    providers.set(k, row);
+  }
+  return {
+    queues: parts.flatMap(x => x.queues),
+    egress: parts.flatMap(x => x.egress),
+    providers: [...providers.values()],
+  };
+}
+
+// Scheduled queues: ?node=&q=&domain=&tenant=&campaign=&paused=1&mode=&sort=&order=&offset=&limit=
+app.get('/queues', async (req, res) => {
+  const targets = adminTargets(req, res);
+  if (!targets) return;
+  try {
+    const model = await queueModel(targets);
+    const page = pageRows(model.queues, req.query, {
+      fields: ['name', 'domain', 'tenant', 'campaign', 'routing_domain'],
+      sortKeys: ['name', 'domain', 'node', 'scheduled', 'ready', 'connections', 'paused', 'mode'],
+      exact: ['domain', 'tenant', 'campaign', 'paused', 'mode'],
+      defaultSort: 'scheduled',
+    });
+    res.json({
+      ...page,
+      totals: {
+        queues: model.queues.length,
+        scheduled: model.queues.reduce((a, q) => a + q.scheduled, 0),
+        paused: model.queues.filter(q => q.paused).length,
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'queues_failed', detail: String(e) });
+  }
+});
+
+// Egress paths (ready queues): ?node=&q=&source=&mode=&sort=&order=&offset=&limit=
+app.get('/queues/egress', async (req, res) => {
+  const targets = adminTargets(req, res);
+  if (!targets) return;
+  try {
+    const model = await queueModel(targets);
+    res.json(pageRows(model.egress, req.query, {
+      fields: ['name', 'source', 'site'],
+      sortKeys: ['name', 'source', 'site', 'node', 'ready', 'connections', 'mode'],
+      exact: ['source', 'mode'],
+      defaultSort: 'ready',
+    }));
+  } catch (e) {
+    res.status(500).json({ error: 'queues_failed', detail: String(e) });
+  }
+});
+
+// Queued counts per provider and pool: ?node=&q=&provider=&pool=&sort=&order=&offset=&limit=
+app.get('/queues/providers', async (req, res) => {
+  const targets = adminTargets(req, res);
+  if (!targets) return;
+  try {
+    const model = await queueModel(targets);
+    res.json(pageRows(model.providers, req.query, {
+      fields: ['provider', 'pool'],
+      sortKeys: ['provider', 'pool', 'queued'],
+      exact: ['provider', 'pool'],
+      defaultSort: 'queued',
+    }));
+  } catch (e) {
+    res.status(500).json({ error: 'queues_failed', detail: String(e) });
+  }
 });
 
-// Admin
-app.post('/policy/reload', (_req, res) => {
-  const child = spawn('/bin/systemctl', ['reload', 'kumomta']);
-  child.on('close', (code) => res.json({ ok: code === 0, code }));
+// ---------- Egress sources / pools ----------
+// Per-node minute buckets (lib/egress.js); rows carry their node.
+function egressWindow(req, res) {
+  const now = Date.now();
+  const to = req.query.to ? parseTime(req.query.to, now) : now;
+  const from = req.query.from ? parseTime(req.query.from, now) : to - 3_600_000;
+  if (from == null || to == null || from >= to || to - from > EGRESS_RETAIN_MS + 60_000) {
+    res.status(400).json({ error: 'invalid_range', detail: `series are kept for ${EGRESS_RETAIN_MS / 3_600_000}h` });
+    return null;
+  }
+  return { from, to };
+}
+
+// Ranked sources / pools: ?node=&from=&to=&q=&sort=&order=&offset=&limit= (default: highest deferral ratio first)
+for (const kind of ['sources', 'pools']) {
+  app.get(`/egress/${kind}`, (req, res) => {
+    const targets = adminTargets(req, res);
+    if (!targets) return;
+    const w = egressWindow(req, res);
+    if (!w) return;
+    res.json({
+      ...w,
+      ...pageRows(egressRows(targets, kind, w), req.query, {
+        fields: ['name', 'node'],
+        sortKeys: ['name', 'node', 'delivered', 'transfail', 'fail', 'queued', 'attempts', 'deferralRatio', 'failRatio'],
+        exact: ['node'],
+        defaultSort: 'deferralRatio',
+      }),
+    });
+  });
+}
+
+// Minute series for one source or pool: ?source=|pool=&node=&from=&to=
+app.get('/egress/series', (req, res) => {
+  const targets = adminTargets(req, res);
+  if (!targets) return;
+  const source = (req.query.source ?? '').toString(), pool = (req.query.pool ?? '').toString();
+  if (!source === !pool) return res.status(400).json({ error: 'invalid_request', detail: 'pass either source or pool' });
+  const w = egressWindow(req, res);
+  if (!w) return;
+  const kind = source ? 'sources' : 'pools';
+  res.json({ source: source || null, pool: pool || null, ...w, series: egressSeries(targets, kind, source || pool, w) });
 });
-app.post('/queue/flush', (_req, res) => { res.json({ ok: true }); });
+
+// Flush: retry-now across every scheduled queue.
+app.post('/queue/flush', allow('operator'), adminRoute(async (req, res) => {
+  const targets = adminTargets(req, res);
+  if (targets) adminReply(res, await kumoAdminEach(targets, 'POST', 'rebind/v1', { reason: 'flush from kumo-ui', data: {}, always_flush: true }));
+}));
 
 // Logs SSE (tail journald)
+// Live tail or since/until backfill of `journalctl -u kumomta`, one JSON line per
+// SSE message. The SSE id is the journald cursor, so EventSource reconnects
+// (Last-Event-ID) or ?after= resume without losing lines.
 app.get('/logs/stream', (req, res) => {
+  const qp = (k) => (req.query[k] ?? '').toString().trim() || undefined;
+  const now = Date.now();
+  for (const k of ['since', 'until']) {
+    if (qp(k) && parseTime(qp(k), now) == null) return res.status(400).json({ error: 'invalid_range' });
+  }
+  if (qp('level') && !LEVELS.includes(qp('level').toLowerCase())) return res.status(400).json({ error: 'invalid_level' });
+  let match;
+  try {
+    match = compileLogFilter({ level: qp('level'), q: qp('q'), re: qp('re'), domain: qp('domain'), type: qp('type') });
+  } catch (e) {
+    return res.status(400).json({ error: 'invalid_regex', detail: e.message });
+  }
+  const after = req.get('Last-Event-ID') || qp('after');
+  const { args, follow } = journalArgs({
+    after, since: qp('since'), until: qp('until'),
+    lines: Math.min(Math.max(Number(req.query.lines) || 100, 0), 2000),
+  }, now);
+
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
   res.flushHeaders();
-  const jc = spawn('journalctl', ['-u','kumomta','-f','-o','cat']);
-  const send = (chunk) => {
-    const s = chunk.toString();
-    res.write(`data: ${s.replace(/\n/g, '\ndata: ')}\n\n`);
+  res.write('retry: 3000\n\n');
+
+  const jc = spawn('journalctl', args);
+  let buf = '', sent = 0, done = false;
+  const end = (info) => {
+    if (done) return;
+    done = true;
+    clearInterval(ping);
+    res.write(`event: end\ndata: ${JSON.stringify(info)}\n\n`);
+    res.end();
   };
-  jc.stdout.on('data', send);
-  jc.stderr.on('data', (d) => send(`[ERR] ${d}`));
-  jc.on('close', (code) => { res.write(`event: end\ndata: ${code}\n\n`); res.end(); });
-  req.on('close', () => jc.kill('SIGTERM'));
+  jc.stdout.on('data', (d) => {
+    buf += d.toString();
+    const lines = buf.split('\n'); buf = lines.pop() || '';
+    for (const ln of lines) {
+      if (done || !ln) continue;
+      let e;
+      try { e = journalEntry(JSON.parse(ln)); } catch { continue; }
+      // Skipped lines still advance the id, so a resume doesn't rescan them
+      if (!match(e)) { if (e.id) res.write(`id: ${e.id}\n\n`); continue; }
+      res.write(`${e.id ? `id: ${e.id}\n` : ''}data: ${JSON.stringify(e)}\n\n`);
+      if (!follow && ++sent >= LOGS_BACKFILL_MAX) {
+        jc.kill('SIGTERM');
+        end({ backfill: true, truncated: true, sent });
+      }
+    }
+  });
+  jc.stderr.on('data', (d) => {
+    res.write(`event: error\ndata: ${JSON.stringify({ msg: String(d).trim() })}\n\n`);
+  });
+  jc.on('error', (e) => end({ error: e.message }));
+  jc.on('close', (code) => end(follow ? { code } : { backfill: true, truncated: false, sent }));
+  const ping = setInterval(() => res.write(': ping\n\n'), 15_000);
+  req.on('close', () => { clearInterval(ping); done = true; jc.kill('SIGTERM'); });
+});
+
+// ---------- Alerts API ----------
+app.get('/alerts', (req, res) => {
+  const limit = Math.min(Number(req.query.limit ?? 100) || 100, 500);
+  res.json({
+    active: alerts.activeAlerts(),
+    history: alerts.history({ limit, ruleId: req.query.rule?.toString() }),
+  });
+});
+app.get('/alerts/metrics', (_req, res) => res.json(ALERT_METRICS));
+app.get('/alerts/rules', (_req, res) => res.json(alerts.listRules()));
+app.post('/alerts/rules', allow('operator'), async (req, res) => {
+  try {
+    res.status(201).json(await alerts.addRule(req.body || {}));
+  } catch (e) {
+    res.status(400).json({ error: 'invalid_rule', detail: e.message });
+  }
+});
+app.put('/alerts/rules/:id', allow('operator'), async (req, res) => {
+  try {
+    const rule = await alerts.updateRule(req.params.id, req.body || {});
+    if (!rule) return res.status(404).json({ error: 'not_found' });
+    res.json(rule);
+  } catch (e) {
+    res.status(400).json({ error: 'invalid_rule', detail: e.message });
+  }
+});
+app.delete('/alerts/rules/:id', allow('operator'), async (req, res) => {
+  const ok = await alerts.deleteRule(req.params.id);
+  if (!ok) return res.status(404).json({ error: 'not_found' });
+  res.json({ ok });
+});
+app.get('/alerts/channels', allow('admin'), (_req, res) => res.json(alerts.getChannels()));
+app.put('/alerts/channels', allow('admin'), async (req, res) => {
+  try {
+    res.json(await alerts.setChannels(req.body || {}));
+  } catch (e) {
+    res.status(400).json({ error: 'invalid_channels', detail: e.message });
+  }
+});
+// Send a test notification through every configured channel
+app.post('/alerts/channels/test', allow('admin'), async (_req, res) => {
+  const now = Date.now();
+  const ev = {
+    id: 'test', ts: now, status: 'firing', ruleId: 'test', rule: 'Test notification', metric: 'queue_depth',
+    severity: 'info', labels: {}, value: 0, op: '>', threshold: 0, startsAt: now, endsAt: null,
+  };
+  const ch = alerts.getChannels();
+  const deliveries = await notifyAlert(ev, null, {
+    webhooks: (ch.webhooks || []).filter(w => w.url),
+    email: ch.email?.enabled ? ch.email : null,
+  });
+  res.json({ ok: deliveries.every(d => d.ok), deliveries });
+});
+
+// ---------- Auth API ----------
+const LOGIN_MAX_FAILS = 10;                 // per IP per window
+const LOGIN_WINDOW_MS = 15 * 60_000;
+const loginFails = new Map();               // ip → { n, t }
+
+function sessionCookie(req, value, maxAgeMs) {
+  const secure = COOKIE_SECURE === 'true' || (COOKIE_SECURE === 'auto' && (req.secure || req.get('x-forwarded-proto') === 'https'));
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure ? '; Secure' : ''}`;
+}
+const authError = (res, e) => res.status(400).json({ error: 'invalid_request', detail: e.message });
+
+app.post('/auth/login', async (req, res) => {
+  const ip = req.ip;
+  const f = loginFails.get(ip);
+  if (f && Date.now() - f.t < LOGIN_WINDOW_MS && f.n >= LOGIN_MAX_FAILS) {
+    return res.status(429).json({ error: 'too_many_attempts' });
+  }
+  const s = await auth.login(req.body?.username, req.body?.password);
+  if (!s) {
+    const cur = f && Date.now() - f.t < LOGIN_WINDOW_MS ? f : { n: 0, t: Date.now() };
+    loginFails.set(ip, { n: cur.n + 1, t: cur.t });
+    return res.status(401).json({ error: 'invalid_credentials' });
+  }
+  loginFails.delete(ip);
+  res.setHeader('Set-Cookie', sessionCookie(req, s.token, SESSION_MS));
+  res.json({ user: s.user, expiresAt: s.expiresAt });
+});
+
+app.post('/auth/logout', (req, res) => {
+  res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+  res.json({ ok: true });
+});
+
+app.get('/auth/me', (req, res) => res.json({ ...req.user, roles: ROLES }));
+
+app.post('/auth/password', async (req, res) => {
+  if (req.user.via !== 'session') return res.status(400).json({ error: 'invalid_request', detail: 'sign in with a password to change it' });
+  try {
+    await auth.changePassword(req.user.id, req.body?.current, req.body?.next);
+    res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+    res.json({ ok: true });
+  } catch (e) { authError(res, e); }
+});
+
+app.get('/auth/users', allow('admin'), (_req, res) => res.json(auth.listUsers()));
+app.post('/auth/users', allow('admin'), async (req, res) => {
+  try { res.status(201).json(await auth.addUser(req.body || {})); } catch (e) { authError(res, e); }
+});
+app.put('/auth/users/:id', allow('admin'), async (req, res) => {
+  try {
+    const { role, password, disabled } = req.body || {};
+    const u = await auth.updateUser(req.params.id, { role, password, disabled });
+    if (!u) return res.status(404).json({ error: 'not_found' });
+    res.json(u);
+  } catch (e) { authError(res, e); }
+});
+app.delete('/auth/users/:id', allow('admin'), async (req, res) => {
+  if (req.params.id === req.user.id) return res.status(400).json({ error: 'invalid_request', detail: 'cannot delete yourself' });
+  try {
+    if (!(await auth.deleteUser(req.params.id))) return res.status(404).json({ error: 'not_found' });
+    res.json({ ok: true });
+  } catch (e) { authError(res, e); }
+});
+
+// API tokens: everyone can mint tokens for themselves (up to their own role); admins see and revoke all
+const ownsToken = (req, t) => req.user.role === 'admin' || t.createdBy === req.user.id;
+app.get('/auth/tokens', (req, res) => res.json(auth.listTokens().filter(t => ownsToken(req, t))));
+app.post('/auth/tokens', async (req, res) => {
+  if (req.user.via !== 'session') return res.status(403).json({ error: 'forbidden', detail: 'tokens are created from a signed-in session' });
+  try { res.status(201).json(await auth.addToken(req.user, req.body || {})); } catch (e) { authError(res, e); }
+});
+app.delete('/auth/tokens/:id', async (req, res) => {
+  const t = auth.listTokens().find(x => x.id === req.params.id);
+  if (!t || !ownsToken(req, t)) return res.status(404).json({ error: 'not_found' });
+  await auth.deleteToken(t.id);
+  res.json({ ok: true });
+});
+
+// ---------- Audit API ----------
+app.get('/audit', allow('admin'), async (req, res) => {
+  const now = Date.now();
+  const from = parseTime(req.query.from, now);
+  const to = parseTime(req.query.to, now);
+  if ((req.query.from && from == null) || (req.query.to && to == null)) {
+    return res.status(400).json({ error: 'invalid_range' });
+  }
+  try {
+    const rows = await auditLog.query({
+      from: from ?? undefined, to: to ?? undefined,
+      actor: (req.query.actor || '').toString().trim() || undefined,
+      action: (req.query.action || '').toString().trim() || undefined,
+      limit: Math.min(Math.max(Number(req.query.limit) || 500, 1), 50_000),
+    });
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Disposition', `attachment; filename="kumo-audit-${new Date(now).toISOString().slice(0, 10)}.csv"`);
+      return res.type('text/csv').send(toCsv(rows));
+    }
+    res.json({ rows });
+  } catch (e) {
+    res.status(500).json({ error: 'audit_failed', detail: String(e) });
+  }
+});
+
+// ---------- Settings API ----------
+/** Apply changed settings to the running process. Returns a note per change. */
+async function applySettings({ after, changed }) {
+  const notes = {};
+  for (const k of changed) {
+    switch (k) {
+      case 'KUMO_HTTP':
+        notes[k] = nodesSource ? `not used: nodes come from ${nodesSource === 'file' ? NODES_PATH : 'KUMO_NODES'}` : 'poller re-pointed; live charts restart';
+        break;
+      case 'STATE_PATH':
+        STATE_PATH = after.STATE_PATH;
+        await saveState();
+        notes[k] = 'state written to the new file (the old one is left in place)';
+        break;
+      case 'DEFERRAL_RETAIN_MS': {
+        DEFERRAL_RETAIN_MS = after.DEFERRAL_RETAIN_MS;
+        failures.retain(DEFERRAL_RETAIN_MS);
+        notes[k] = 'applied';
+        break;
+      }
+      case 'EVENTS_MAX':
+        EVENTS_MAX = after.EVENTS_MAX;
+        recentEvents.resize(EVENTS_MAX);
+        notes[k] = 'applied';
+        break;
+      case 'KUMO_SOURCE':
+      case 'KUMO_LOGDIR':
+        notes[k] = nodesSource ? `not used: log sources are set per node` : logNote(k, after);
+        break;
+      default:
+        notes[k] = logNote(k, after);
+    }
+  }
+  const nodeChange = ['KUMO_HTTP', 'KUMO_SOURCE', 'KUMO_TAILER', 'KUMO_LOGDIR'].some(k => changed.includes(k));
+  if (nodeChange && !nodesSource) {
+    applyNodes([localNode(after)]);
+    if (changed.includes('KUMO_HTTP')) pollOnce();
+  } else if (changed.includes('KUMO_TAILER')) {
+    // configured nodes reading through the tailer without their own binary use this one
+    const using = [...nodes.values()].filter(st => st.node.source === 'tailer' && !st.node.tailer);
+    for (const st of using) restartIngest(st);
+    notes.KUMO_TAILER = using.length ? `tailer restarted for ${using.map(st => st.name).join(', ')}` : 'not used: no node reads through this tailer';
+  }
+  return notes;
+}
+
+// What a change to the local node's source, tailer or log directory does
+function logNote(k, after) {
+  const uses = sourceUses(after.KUMO_SOURCE);
+  if (k === 'KUMO_SOURCE') return `log source restarted (${after.KUMO_SOURCE})`;
+  if ((k === 'KUMO_TAILER' && !uses.tailer) || (k === 'KUMO_LOGDIR' && !uses.logDir)) return `saved; not used by the ${after.KUMO_SOURCE} source`;
+  return 'log source restarted';
+}
+
+// Poller and log source of the first node (the only one unless a node list is configured)
+const settingsStatus = () => {
+  const st = nodes.values().next().value;
+  return {
+    node: st.name,
+    nodes: nodes.size,
+    poll: st.lastPoll,
+    source: sourceStatus(st),
+    restarts24h: sourceRestarts.length,
+  };
+};
+
+app.get('/settings', allow('admin'), (_req, res) => {
+  res.json({ ...settings.describe(), status: settingsStatus() });
+});
+
+app.put('/settings', allow('admin'), async (req, res) => {
+  let result;
+  try {
+    result = await settings.update(req.body || {});
+  } catch (e) {
+    if (e.fields) return res.status(400).json({ error: 'invalid_settings', detail: e.message, fields: e.fields });
+    return res.status(500).json({ error: 'settings_save_failed', detail: String(e) });
+  }
+  try {
+    const applied = await applySettings(result);
+    res.json({ ...settings.describe(), changed: result.changed, applied, status: settingsStatus() });
+  } catch (e) {
+    res.status(500).json({ error: 'settings_apply_failed', detail: String(e), changed: result.changed });
+  }
+});
+
+// Probe the saved settings, or the unsaved values in the body (e.g. the form being edited)
+app.post('/settings/test', allow('admin'), async (req, res) => {
+  const { values, errors } = await validateSettings(req.body || {}, { checkFs: false });
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ error: 'invalid_settings', detail: Object.entries(errors).map(([k, m]) => `${k}: ${m}`).join('; '), fields: errors });
+  }
+  const merged = { ...settings.current() };
+  for (const [k, v] of Object.entries(values)) if (v !== null) merged[k] = v;
+  res.json(await probeSettings(merged, { zstd: ZSTD_BIN }));
 });
 
 // ---------- Optional debug endpoints ----------
-app.get('/debug/logprobe', async (_req, res) => {
+app.get('/debug/logprobe', allow('admin'), async (_req, res) => {
   try {
     const p = spawn('journalctl', ['-u','kumomta','-n','50','-o','json']);
     let out = '';
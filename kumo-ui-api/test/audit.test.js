@@ -0,0 +1,53 @@
+// The audit trail keeps secrets out: params and responses are redacted, API tokens never appear
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createAuditLog, redact } from '../lib/audit.js';
+import { startServer } from './server.js';
+
+const TOKEN = 'kumo_' + 'x'.repeat(32);
+
+test('redact masks secret keys and token values', () => {
+  const out = redact({ password: 'p', nested: { token: TOKEN, note: `use ${TOKEN} here` }, list: [TOKEN] });
+  assert.equal(out.password, '***');
+  assert.equal(out.nested.token, '***');
+  assert.equal(out.nested.note, 'use kumo_*** here');
+  assert.deepEqual(out.list, ['kumo_***']);
+});
+
+test('responses are redacted before they are written', async () => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'kumo-ui-audit-'));
+  try {
+    const log = createAuditLog({ dir });
+    await log.init();
+    log.append({ action: 'x', params: {}, response: { id: 't1', token: TOKEN } });
+    log.append({ action: 'y', params: {}, response: `created ${TOKEN}` });
+    const rows = await log.query({});
+    assert.equal(rows.length, 2);
+    assert.ok(!JSON.stringify(rows).includes(TOKEN));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a created API token never shows up in GET /audit', async () => {
+  const srv = await startServer();
+  try {
+    const cookie = await srv.login();
+    const headers = { Cookie: cookie, 'Content-Type': 'application/json' };
+    const created = await fetch(`${srv.base}/auth/tokens`, { method: 'POST', headers, body: JSON.stringify({ name: 'ci' }) });
+    assert.equal(created.status, 201);
+    const { token } = await created.json();
+    assert.match(token, /^kumo_/);
+
+    const audit = await fetch(`${srv.base}/audit`, { headers }).then(r => r.text());
+    assert.ok(audit.includes('auth.token_create'), 'the creation is audited');
+    assert.ok(!audit.includes(token), 'the token is not');
+    const csv = await fetch(`${srv.base}/audit?format=csv`, { headers }).then(r => r.text());
+    assert.ok(!csv.includes(token));
+  } finally {
+    await srv.stop();
+  }
+});
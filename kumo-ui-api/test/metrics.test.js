@@ -0,0 +1,21 @@
+// Every metrics.json shape in fixtures/metrics normalizes to the values in expected.json
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { detectSchema, normalizeMetrics } from '../lib/metrics.js';
+
+const dir = new URL('../fixtures/metrics/', import.meta.url);
+const read = (name) => JSON.parse(readFileSync(new URL(name, dir), 'utf8'));
+const expected = read('expected.json');
+
+for (const [file, { schema, ...want }] of Object.entries(expected)) {
+  test(`metrics fixture ${file}`, () => {
+    const m = read(file);
+    const got = normalizeMetrics(m);
+    for (const [field, value] of Object.entries(want)) assert.deepEqual(got[field], value, field);
+    assert.deepEqual(got.warnings, [], 'no conflicting sources');
+
+    const s = detectSchema(m);
+    for (const [k, v] of Object.entries(schema)) assert.equal(s[k], v, `schema.${k}`);
+  });
+}
@@ -0,0 +1,83 @@
+// Policy checks (a reload is not blocked by a missing checker, a save is) and the TOML section scanner
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { checkToml, createPolicyStore, parseTomlDocument } from '../lib/policy.js';
+import { replaceEntry } from '../lib/shaping.js';
+
+function withPolicy(opts, fn) {
+  return async () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'kumo-ui-policy-'));
+    try {
+      writeFileSync(path.join(dir, 'init.lua'), 'local kumo = require "kumo"\n');
+      writeFileSync(path.join(dir, 'shaping.toml'), '["example.com"]\nmax_connection_rate = "10/s"\n');
+      await fn(createPolicyStore({ root: dir, versionsDir: path.join(dir, '.versions'), ...opts }));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+const noCheckers = { luaCheck: 'no-such-luac -p {file}', validateCmd: 'no-such-kumod --policy {root}/init.lua --validate' };
+
+test('reload goes ahead when neither luac nor kumod is installed', withPolicy(noCheckers, async (policy) => {
+  const r = await policy.checkLive();
+  assert.equal(r.ok, true);
+  assert.ok(r.checks.length && r.checks.every(c => c.skipped));
+}));
+
+test('a Lua edit is still refused when nothing can check it', withPolicy(noCheckers, async (policy) => {
+  const r = await policy.check('init.lua', 'return {}\n');
+  assert.equal(r.ok, false);
+  assert.equal(r.checks.at(-1).name, 'checker');
+}));
+
+test('reload stops on a check that ran and failed', withPolicy({ luaCheck: '', validateCmd: 'false' }, async (policy) => {
+  const r = await policy.checkLive();
+  assert.equal(r.ok, false);
+  assert.equal(r.checks.find(c => c.name === 'validate').ok, false);
+}));
+
+test('TOML errors carry line and column', () => {
+  assert.equal(checkToml('a = 1\n'), null);
+  assert.match(checkToml('a = 1\na = 2\n'), /^line 2, column 1: /);
+  assert.match(checkToml('[x]\nb = "open\n'), /^line 2, /);
+});
+
+test('TOML sections: headers only, not look-alikes inside values', () => {
+  const src = [
+    'top = 1',
+    'list = [',
+    '  [1, 2],',
+    ']',
+    'text = """',
+    '[not.a.table]',
+    '"""',
+    "lit = '''[nor.this]'''",
+    '["example.com"]  # a comment',
+    'x = { y = [1] }',
+    '[provider."gmail.com".sources."10.0.0.1"]',
+    '[["example.com".automation]]',
+    'regex = "[x]"',
+  ].join('\n');
+  const { value, sections } = parseTomlDocument(src);
+  assert.equal(value.text, '[not.a.table]\n');
+  assert.deepEqual(sections.map(s => [s.keys, s.array]), [
+    [['example.com'], false],
+    [['provider', 'gmail.com', 'sources', '10.0.0.1'], false],
+    [['example.com', 'automation'], true],
+  ]);
+  for (const s of sections) assert.equal(src[s.offset], '[');
+});
+
+test('replaceEntry rewrites one table and leaves the rest', () => {
+  const content = '# shaping\n["a.com"]\nmax_deliveries_per_connection = 10\n\n["b.com"]\nconnection_limit = 2\n';
+  const out = replaceEntry({ kind: 'toml', path: 'shaping.toml', content }, 'a.com', { max_deliveries_per_connection: 20 });
+  assert.deepEqual(parseTomlDocument(out).value, {
+    'a.com': { max_deliveries_per_connection: 20 },
+    'b.com': { connection_limit: 2 },
+  });
+  assert.ok(out.startsWith('# shaping\n'));
+});
@@ -0,0 +1,58 @@
+// Starts server.js on a scratch state directory for a test file; no KumoMTA is needed
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+let nextPort = 16100 + (process.pid % 500) * 4;
+
+/**
+ * @param {Record<string,string>} [env]  extra environment (e.g. POLICY_ROOT)
+ * @returns {Promise<{ base: string, dir: string, login: () => Promise<string>, stop: () => Promise<void> }>}
+ *   `login()` signs in the first admin and returns the session cookie
+ */
+export async function startServer(env = {}) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'kumo-ui-test-'));
+  const port = nextPort++;
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: root,
+    stdio: ['ignore', 'ignore', 'pipe'],
+    env: {
+      PATH: process.env.PATH, PORT: String(port),
+      STATE_PATH: path.join(dir, 'state.json'), KUMO_HTTP: 'http://127.0.0.1:9', KUMO_TAILER: '/bin/false',
+      ADMIN_PASSWORD: 'test-admin-password', ...env,
+    },
+  });
+  let stderr = '';
+  child.stderr.on('data', (b) => { stderr += b; });
+  const base = `http://127.0.0.1:${port}`;
+  for (let i = 0; ; i++) {
+    if (child.exitCode != null) throw new Error(`server exited (${child.exitCode}): ${stderr}`);
+    if (await fetch(`${base}/auth/me`).then(() => true, () => false)) break;
+    if (i > 100) { child.kill(); throw new Error(`server did not start: ${stderr}`); }
+    await sleep(100);
+  }
+
+  return {
+    base,
+    dir,
+    async login() {
+      const r = await fetch(`${base}/auth/login`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'admin', password: 'test-admin-password' }),
+      });
+      if (!r.ok) throw new Error(`login: ${r.status}`);
+      return r.headers.get('set-cookie').split(';')[0];
+    },
+    async stop() {
+      const exited = new Promise(r => child.once('exit', r));
+      child.kill('SIGTERM');
+      await Promise.race([exited, sleep(5000)]);
+      if (child.exitCode == null) child.kill('SIGKILL');
+      rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,60 @@
+// The suppression store never replaces an unreadable list with an empty one, and bad edits are a 400
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createSuppressions } from '../lib/suppressions.js';
+import { startServer } from './server.js';
+
+function withDir(fn) {
+  return async () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'kumo-ui-suppressions-'));
+    try { await fn(dir); } finally { rmSync(dir, { recursive: true, force: true }); }
+  };
+}
+
+test('a missing file is created empty', withDir(async (dir) => {
+  const file = path.join(dir, 'suppressions.json');
+  await createSuppressions({ file }).load();
+  assert.deepEqual(JSON.parse(readFileSync(file, 'utf8')).entries, []);
+}));
+
+test('a corrupt file is kept and load fails', withDir(async (dir) => {
+  const file = path.join(dir, 'suppressions.json');
+  const broken = '{"config":{},"entries":[{"address":"a@example.com"}';
+  writeFileSync(file, broken);
+  await assert.rejects(createSuppressions({ file }).load(), /suppressions\.json/);
+  assert.equal(readFileSync(file, 'utf8'), broken);
+}));
+
+test('a failed save is logged', withDir(async (dir) => {
+  writeFileSync(path.join(dir, 'not-a-dir'), '');
+  const store = createSuppressions({ file: path.join(dir, 'not-a-dir', 'suppressions.json') });
+  const logged = [];
+  const error = console.error;
+  console.error = (msg) => logged.push(msg);
+  try {
+    await store.add({ address: 'a@example.com' });
+  } finally {
+    console.error = error;
+  }
+  assert.match(logged.join('\n'), /^suppressions save: /);
+}));
+
+test('PUT /suppressions/:address answers 400 on a bad reason', async () => {
+  const srv = await startServer();
+  try {
+    const headers = { Cookie: await srv.login(), 'Content-Type': 'application/json' };
+    const send = (method, url, body) => fetch(`${srv.base}${url}`, { method, headers, body: JSON.stringify(body) });
+    assert.equal((await send('POST', '/suppressions', { address: 'a@example.com', reason: 'manual' })).status, 200);
+
+    const bad = await send('PUT', '/suppressions/a@example.com', { reason: { text: 'x' } });
+    assert.equal(bad.status, 400);
+    assert.equal((await bad.json()).error, 'invalid_request');
+    assert.equal((await send('PUT', '/suppressions/a@example.com', { reason: 'complained' })).status, 200);
+    assert.equal((await send('PUT', '/suppressions/b@example.com', { reason: 'x' })).status, 404);
+  } finally {
+    await srv.stop();
+  }
+});
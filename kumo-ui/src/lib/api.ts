@@ -6,26 +6,616 @@ export const getMetrics = async () => {
   return r.json();
 };
 
-export const reloadPolicy = async () => {
+/** Checks the policy on disk first; a failed check resolves with `error: 'check_failed'` and nothing is reloaded. */
+export const reloadPolicy = async (): Promise<PolicyResult> => {
   const r = await fetch(`${base}/policy/reload`, { method: 'POST' });
+  if (r.status === 422) return r.json();
   if (!r.ok) throw new Error('reload_failed');
   return r.json();
 };
 
-export const flushQueue = async () => {
-  const r = await fetch(`${base}/queue/flush`, { method: 'POST' });
-  if (!r.ok) throw new Error('flush_failed');
-  return r.json();
-};
+/** Every node, or just `node`. */
+export const flushQueue = (node?: string): Promise<AdminResult> =>
+  postJson('/queue/flush', node ? { node } : {}, 'flush_failed');
+
 
-export const streamLogs = () => new EventSource(`${base}/logs/stream`);
+export type LastError = { ts:number; domain:string; node?:string; code?:number|string; enhanced?:string; text?:string; category?:string };
 
-export async function getLastErrors(domain: string, limit = 1) {
-  const url = `${base}/metrics/last-errors?domain=${encodeURIComponent(domain)}&limit=${limit}`;
+export async function getLastErrors(domain: string, limit = 1, node?: string) {
+  const url = `${base}/metrics/last-errors${qs({ domain, limit, node })}`;
   const r = await fetch(url); // creds omitted like others
   if (!r.ok) throw new Error(`last-errors ${domain} ${r.status}`);
+  return r.json() as Promise<{ domain: string; rows: LastError[] }>;
+}
+
+/* ---------- Queue actions (proxied to KumoMTA /api/admin/*) ---------- */
+
+/** `node` picks the node to act on; without it the action goes to every node. */
+export type QueueCriteria = { domain?: string; campaign?: string; tenant?: string; routing_domain?: string; node?: string };
+export type Suspension = { id: string; domain?: string|null; campaign?: string|null; tenant?: string|null; reason?: string; duration?: string|number; node?: string };
+/** With several nodes, `nodes` holds each node's reply and `ok` is true only if all succeeded. */
+export type AdminResult = { ok: boolean; status?: number; result?: any; nodes?: Record<string, { ok: boolean; status: number; result?: any }> };
+
+const postJson = async (path: string, body: unknown, err: string) => {
+  const r = await fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!r.ok) throw new Error(err);
+  return r.json();
+};
+
+export const getSuspensions = async (node?: string): Promise<Suspension[]> => {
+  const r = await fetch(`${base}/queue/suspensions${qs({ node })}`);
+  if (!r.ok) throw new Error('suspensions_failed');
+  const data = await r.json();
+  return Array.isArray(data?.result) ? data.result : [];
+};
+
+export const suspendQueue = (c: QueueCriteria, reason?: string, duration?: string): Promise<AdminResult> =>
+  postJson('/queue/suspend', { ...c, reason, duration }, 'suspend_failed');
+
+export const resumeQueue = (c: QueueCriteria | { id: string; node?: string }): Promise<AdminResult> =>
+  postJson('/queue/resume', c, 'resume_failed');
+
+export const bounceQueue = (c: QueueCriteria, reason?: string, duration?: string): Promise<AdminResult> =>
+  postJson('/queue/bounce', { ...c, reason, duration }, 'bounce_failed');
+
+export const cancelBounce = (id: string, node?: string): Promise<AdminResult> =>
+  postJson('/queue/bounce/cancel', { id, node }, 'cancel_bounce_failed');
+
+export const rebindQueue = (c: QueueCriteria, data: Record<string, string>, reason?: string, always_flush = false): Promise<AdminResult> =>
+  postJson('/queue/rebind', { ...c, data, reason, always_flush }, 'rebind_failed');
+
+export const retryQueue = (c: QueueCriteria, reason?: string): Promise<AdminResult> =>
+  postJson('/queue/retry', { ...c, reason }, 'retry_failed');
+
+/* ---------- Queue model (/queues) ---------- */
+
+export type QueueRow = {
+  name: string; domain: string; campaign: string|null; tenant: string|null; routing_domain: string|null;
+  scheduled: number; ready: number; connections: number;
+  paused: boolean; suspensions: Array<{ id: string; reason: string|null; duration: string|number|null }>;
+  mode: 'normal'|'suspended'|'throttled'; egress: string[]; node: string;
+};
+export type EgressRow = {
+  name: string; source: string; site: string; protocol: string|null;
+  ready: number; connections: number; states: string[]; mode: 'normal'|'throttled'; node: string;
+};
+export type ProviderRow = { provider: string|null; pool: string|null; queued: number };
+export type Page<T> = { total: number; offset: number; limit: number; sort: string|null; order: 'asc'|'desc'; rows: T[] };
+export type PageQuery = Record<string, string|number|undefined>;
+
+const qs = (params: PageQuery) => {
+  const u = new URLSearchParams();
+  for (const [k, v] of Object.entries(params)) if (v !== undefined && v !== '') u.set(k, String(v));
+  const s = u.toString();
+  return s ? `?${s}` : '';
+};
+
+export const getQueues = async (params: PageQuery = {}) => {
+  const r = await fetch(`${base}/queues${qs(params)}`);
+  if (!r.ok) throw new Error('queues_failed');
+  return r.json() as Promise<Page<QueueRow> & { totals: { queues: number; scheduled: number; paused: number } }>;
+};
+
+export const getEgressPaths = async (params: PageQuery = {}) => {
+  const r = await fetch(`${base}/queues/egress${qs(params)}`);
+  if (!r.ok) throw new Error('egress_failed');
+  return r.json() as Promise<Page<EgressRow>>;
+};
+
+export const getProviderPools = async (params: PageQuery = {}) => {
+  const r = await fetch(`${base}/queues/providers${qs(params)}`);
+  if (!r.ok) throw new Error('providers_failed');
+  return r.json() as Promise<Page<ProviderRow>>;
+};
+
+/* ---------- Egress sources / pools ---------- */
+
+export type EgressKind = 'sources'|'pools';
+export type EgressStat = {
+  node: string; name: string; delivered: number; transfail: number; fail: number; queued: number;
+  attempts: number; deferralRatio: number; failRatio: number;
+  pools?: string[]; sources?: string[];   // pool of a source / member sources of a pool (learned from log records)
+};
+export type EgressPoint = { t: number; delivered: number; transfail: number; fail: number; queued: number|null; deferralRatio: number|null };
+
+/** Sources or pools over a window (`from` like `-1h`), ranked by deferral ratio unless `sort` says otherwise. */
+export const getEgressStats = async (kind: EgressKind, params: PageQuery = {}) => {
+  const r = await fetch(`${base}/egress/${kind}${qs(params)}`);
+  if (!r.ok) throw new Error('egress_failed');
+  return r.json() as Promise<Page<EgressStat> & { from: number; to: number }>;
+};
+export const getEgressSeries = async (kind: EgressKind, name: string, params: PageQuery = {}) => {
+  const r = await fetch(`${base}/egress/series${qs({ [kind === 'sources' ? 'source' : 'pool']: name, ...params })}`);
+  if (!r.ok) throw new Error('egress_series_failed');
+  return r.json() as Promise<{ from: number; to: number; series: EgressPoint[] }>;
+};
+
+/* ---------- Spools ---------- */
+
+export type SpoolForecast = {
+  hoursToFull: number|null;               // null while the spool is not filling (or under 5 minutes of samples)
+  basis: 'disk'|'inodes'|'queue'|null;    // which trend gives the sooner estimate
+};
+/** One spool of a node as pushed in the summary (`spools`) and returned by GET /spool. */
+export type SpoolStatus = {
+  node: string; name: string; t: number;
+  usedPct: number|null; inodeUsedPct: number|null;
+  usedBytes: number|null; totalBytes: number|null; usedInodes: number|null; totalInodes: number|null;
+  forecast: SpoolForecast;
+};
+
+/* ---------- Nodes ---------- */
+
+export type NodeHealth = 'up'|'down'|'stale';
+export type SourceType = 'tailer'|'segments'|'journald'|'syslog'|'webhook'|'replay';
+/** A node's log source; `records` counts log records read since it started. */
+export type SourceStatus = {
+  type: SourceType; running: boolean; pid: number|null; detail: string;
+  records: number; lastRecordAt: number|null;
+};
+/** One watched KumoMTA node, as listed in /nodes and the summary's `nodes`. */
+export type NodeInfo = {
+  name: string; url: string; logDir: string|null; health: NodeHealth;
+  lastPoll: { t: number; ok: boolean }; lastOk: number|null; error: string|null;
+  queue: number|null; source: SourceStatus|null;
+};
+
+/* ---------- Live dashboard (SSE) ---------- */
+
+/** Changes since the previous message; see kumo-ui-api/lib/live.js. */
+export type LiveDelta = {
+  set: Record<string, any>;
+  append: Record<string, { items: any[]; size: number; reset?: boolean }>;
+  lastErrors?: LastError[];
+};
+/** Recent last-errors by domain, newest first. */
+export type LastErrors = Record<string, LastError[]>;
+
+/**
+ * `snapshot` ({ summary, lastErrors }) on connect, then a `delta` after every poll;
+ * `end` ({ error }) means the stream won't resume. Every node when `node` is empty.
+ */
+export const streamLive = (node?: string) => new EventSource(`${base}/live${qs({ node })}`);
+
+/** The summary with a delta applied (a new object; unchanged parts are shared). */
+export function applyLiveDelta(summary: any, d: LiveDelta) {
+  const out = { ...summary, ...d.set };
+  for (const [path, { items, size, reset }] of Object.entries(d.append)) {
+    const keys = path.split('.');
+    const last = keys.pop()!;
+    let obj = out;
+    for (const k of keys) obj = obj[k] = { ...obj[k] };
+    const list = [...(reset ? [] : obj[last] ?? []), ...items];
+    obj[last] = size ? list.slice(-size) : [];
+  }
+  return out;
+}
+
+/** Add pushed last-errors (oldest first), keeping `keep` per domain. */
+export function mergeLastErrors(cur: LastErrors, rows: LastError[], keep = 5): LastErrors {
+  const out = { ...cur };
+  for (const e of rows) {
+    const dup = (x: LastError) => x.ts === e.ts && x.node === e.node && x.text === e.text;
+    out[e.domain] = [e, ...(out[e.domain] ?? []).filter(x => !dup(x))].slice(0, keep);
+  }
+  return out;
+}
+
+/* ---------- Long-term history ---------- */
+
+export type HistoryPoint = {
+  t: number; received: number; delivered: number; deferred: number; bounced: number;
+  depth: number; depthMax: number; ready: number; scheduled: number;
+};
+
+/** from/to: epoch ms, ISO or relative ("-24h"); step: ms or "5m" (server picks if omitted). */
+export const getHistory = async (params: { from?: string|number; to?: string|number; step?: string|number } = {}) => {
+  const r = await fetch(`${base}/metrics/history${qs(params)}`);
+  if (!r.ok) throw new Error('history_failed');
+  return r.json() as Promise<{ from: number; to: number; step: number; tier: string; points: HistoryPoint[] }>;
+};
+
+/* ---------- Alerts ---------- */
+
+export type AlertMetric = { label: string; unit: string; windowed?: boolean; perDomain?: boolean };
+export type AlertRule = {
+  id: string; name: string; enabled: boolean; metric: string; op: '>'|'>='|'<'|'<=';
+  threshold: number; windowMs: number|null; forMs: number; resolveAfterMs: number; cooldownMs: number;
+  severity: 'info'|'warning'|'critical'; channels: string[]; domains: string[];
+};
+export type AlertEvent = {
+  id: string; ts: number; status: 'firing'|'resolved'; ruleId: string; rule: string; metric: string;
+  severity: string; labels: Record<string, string>; value: number; op: string; threshold: number;
+  startsAt: number|null; endsAt: number|null; deliveries?: Array<{ channel: string; ok: boolean; status?: number; error?: string }>;
+};
+export type ActiveAlert = {
+  ruleId: string; rule: string|null; labels: Record<string, string>; state: 'pending'|'firing';
+  since: number; firedAt: number|null; value: number;
+};
+export type AlertChannels = {
+  webhooks: Array<{ name: string; url: string }>;
+  email: { enabled: boolean; host: string; port: number; from: string; to: string[] };
+};
+
+const sendJson = async (method: string, path: string, body: unknown, err: string) => {
+  const r = await fetch(`${base}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data?.detail || data?.error || err);
+  return data;
+};
+
+export const getAlerts = async (limit = 100) => {
+  const r = await fetch(`${base}/alerts?limit=${limit}`);
+  if (!r.ok) throw new Error('alerts_failed');
+  return r.json() as Promise<{ active: ActiveAlert[]; history: AlertEvent[] }>;
+};
+export const getAlertMetrics = async () => {
+  const r = await fetch(`${base}/alerts/metrics`);
+  if (!r.ok) throw new Error('alert_metrics_failed');
+  return r.json() as Promise<Record<string, AlertMetric>>;
+};
+export const getAlertRules = async () => {
+  const r = await fetch(`${base}/alerts/rules`);
+  if (!r.ok) throw new Error('alert_rules_failed');
+  return r.json() as Promise<AlertRule[]>;
+};
+export const createAlertRule = (rule: Partial<AlertRule>): Promise<AlertRule> =>
+  sendJson('POST', '/alerts/rules', rule, 'create_rule_failed');
+export const updateAlertRule = (id: string, rule: Partial<AlertRule>): Promise<AlertRule> =>
+  sendJson('PUT', `/alerts/rules/${encodeURIComponent(id)}`, rule, 'update_rule_failed');
+export const deleteAlertRule = (id: string) =>
+  sendJson('DELETE', `/alerts/rules/${encodeURIComponent(id)}`, undefined, 'delete_rule_failed');
+export const getAlertChannels = async () => {
+  const r = await fetch(`${base}/alerts/channels`);
+  if (!r.ok) throw new Error('alert_channels_failed');
+  return r.json() as Promise<AlertChannels>;
+};
+export const saveAlertChannels = (ch: AlertChannels): Promise<AlertChannels> =>
+  sendJson('PUT', '/alerts/channels', ch, 'save_channels_failed');
+export const testAlertChannels = (): Promise<{ ok: boolean; deliveries: AlertEvent['deliveries'] }> =>
+  sendJson('POST', '/alerts/channels/test', {}, 'test_channels_failed');
+
+/* ---------- Logs ---------- */
+
+export type LogLine = { id: string|null; t: number; level: 'trace'|'debug'|'info'|'warn'|'error'; msg: string; record: any|null };
+export type LogQuery = {
+  level?: string; q?: string; re?: '1'; domain?: string; type?: string;
+  since?: string|number; until?: string|number; after?: string; lines?: number;
+};
+
+/**
+ * Live tail (no since/until) or backfill. Each message is a JSON LogLine; a final
+ * `end` event closes backfills. EventSource resumes by itself via Last-Event-ID.
+ */
+export const streamLogs = (params: LogQuery = {}) => new EventSource(`${base}/logs/stream${qs(params)}`);
+
+/* ---------- Message search / trace ---------- */
+
+export type MessageRecord = {
+  t: number; type: string; id: string; sender: string|null; recipient: string|null; domain: string|null;
+  queue: string|null; site: string|null; source: string|null; pool: string|null; peer: string|null;
+  code: number|null; enhanced: string|null; text: string; category: string|null;
+  size: number|null; attempts: number|null; created: number|null; node: string|null;
+};
+export type MessageSummary = {
+  id: string; sender: string|null; recipient: string|null; domain: string|null;
+  status: 'queued'|'deferred'|'delivered'|'bounced'|'expired'|'rejected'|string;
+  firstSeen: number; lastSeen: number; attempts: number; source: string|null;
+  lastResponse: { code: number|null; enhanced: string|null; text: string; category: string|null } | null;
+};
+export type MessageQuery = {
+  q?: string; id?: string; sender?: string; recipient?: string; domain?: string; source?: string;
+  type?: string; status?: string; from?: string|number; to?: string|number; offset?: number; limit?: number;
+};
+
+/** `q` accepts a message id, an address, `@domain`/domain or an egress source. */
+export const searchMessages = async (params: MessageQuery) => {
+  const r = await fetch(`${base}/messages/search${qs(params)}`);
+  if (!r.ok) throw new Error('message_search_failed');
+  return r.json() as Promise<{ total: number; rows: MessageSummary[] }>;
+};
+export const getMessageTrace = async (id: string) => {
+  const r = await fetch(`${base}/messages/${encodeURIComponent(id)}`);
+  if (!r.ok) throw new Error('message_trace_failed');
+  return r.json() as Promise<MessageSummary & { events: MessageRecord[] }>;
+};
+
+/* ---------- Test sends ---------- */
+
+export type ProbeTemplate = { label: string; subject: string; text: string; html?: string };
+export type ProbeStatus = 'submitted'|'rejected'|'unmatched'|'queued'|'deferred'|'delivered'|'bounced'|'expired'|string;
+export type ProbeRecipient = {
+  email: string; status: ProbeStatus;
+  messageId: string|null; matchedBy: 'header'|'envelope'|null; rejected: boolean;
+  attempts: number; lastSeen: number|null;
+  lastResponse: MessageSummary['lastResponse']; events: MessageRecord[];
+};
+export type ProbeMessage = {
+  id: string; t: number; node: string; template: string; sender: string; subject: string;
+  tenant: string|null; campaign: string|null; recipients: ProbeRecipient[];
+  inject: { ok: boolean; status: number; data: any };
+};
+export type ProbeRequest = {
+  node?: string; template: string; from: string; fromName?: string; recipients: string;
+  subject?: string; headers?: Record<string, string>; tenant?: string; campaign?: string;
+};
+
+export const getProbeTemplates = async () => {
+  const r = await fetch(`${base}/probes/templates`);
+  if (!r.ok) throw new Error('probe_templates_failed');
+  return r.json() as Promise<Record<string, ProbeTemplate>>;
+};
+/** Most recent test sends first. */
+export const getProbes = async () => {
+  const r = await fetch(`${base}/probes`);
+  if (!r.ok) throw new Error('probes_failed');
+  return r.json() as Promise<ProbeMessage[]>;
+};
+export const getProbe = async (id: string) => {
+  const r = await fetch(`${base}/probes/${encodeURIComponent(id)}`);
+  if (!r.ok) throw new Error('probe_failed');
+  return r.json() as Promise<ProbeMessage>;
+};
+/** Injects through the node's /api/inject/v1; resolves with the tracked probe, rejects with the validation detail. */
+export const sendProbe = (req: ProbeRequest): Promise<ProbeMessage> => sendJson('POST', '/probes', req, 'probe_send_failed');
+
+/* ---------- Suppression list ---------- */
+
+export type SuppressionSource = 'bounce'|'manual'|'import';
+export type Suppression = {
+  address: string; reason: string; source: SuppressionSource;
+  code: number|null; enhanced: string|null; createdAt: number; createdBy: string|null;
+  node: string|null; messageId: string|null; updatedAt?: number;
+};
+/** Bounces whose enhanced code equals one of `codes` or falls in it as a class ("5.1" → 5.1.x) are added when `auto`. */
+export type SuppressionConfig = { auto: boolean; codes: string[] };
+export type SuppressionImport = { added: number; updated: number; failed: number; errors: { row: number; detail: string }[]; total: number };
+
+export const getSuppressions = async (params: PageQuery = {}) => {
+  const r = await fetch(`${base}/suppressions${qs(params)}`);
+  if (!r.ok) throw new Error('suppressions_failed');
+  return r.json() as Promise<Page<Suppression> & { config: SuppressionConfig; exportFile: string|null }>;
+};
+export const addSuppression = (s: { address: string; reason?: string }): Promise<Suppression> =>
+  sendJson('POST', '/suppressions', s, 'suppression_add_failed');
+export const updateSuppression = (address: string, s: { reason: string }): Promise<Suppression> =>
+  sendJson('PUT', `/suppressions/${encodeURIComponent(address)}`, s, 'suppression_update_failed');
+export const deleteSuppression = (address: string) =>
+  sendJson('DELETE', `/suppressions/${encodeURIComponent(address)}`, undefined, 'suppression_delete_failed');
+export const saveSuppressionConfig = (c: Partial<SuppressionConfig>): Promise<SuppressionConfig> =>
+  sendJson('PUT', '/suppressions/config', c, 'suppression_config_failed');
+/** CSV with an optional header row (address, reason, …); rows add or replace entries. */
+export const importSuppressions = async (csv: string): Promise<SuppressionImport> => {
+  const r = await fetch(`${base}/suppressions/import`, { method: 'POST', headers: { 'Content-Type': 'text/csv' }, body: csv });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data?.detail || data?.error || 'suppression_import_failed');
+  return data;
+};
+export const suppressionsExportUrl = (format: 'csv'|'kumo' = 'csv') => `${base}/suppressions/export${qs({ format })}`;
+
+/* ---------- Domain / provider drill-down ---------- */
+
+export type Outcome = 'delivered'|'deferred'|'bounced'|'expired';
+export type OutcomeCounts = Record<Outcome, number>;
+export type OutcomeRates = Record<Outcome, number|null>;
+export type Deliverability = {
+  domain: string|null; provider: string|null; node: string|null; from: number; to: number; step: number;
+  messages: number;
+  totals: OutcomeCounts & { received: number };
+  rates: OutcomeRates;
+  latency: { samples: number; median: number|null; p90: number|null };   // ms, reception → delivery
+  series: Array<OutcomeCounts & { t: number; rates: OutcomeRates }>;
+  responses: Array<{ outcome: Outcome; code: number|null; enhanced: string|null; text: string; category: string|null; count: number; lastSeen: number }>;
+  sources: Array<OutcomeCounts & { source: string|null; pool: string|null; total: number }>;
+  domains: Array<OutcomeCounts & { domain: string; total: number }>;
+};
+export type DrillTarget = { kind: 'domain'|'provider'; name: string };
+
+/** Outcome counts and rates over time for one recipient domain or provider, from the message index. */
+export const getDeliverability = async (target: DrillTarget, params: { from?: string|number; to?: string|number; step?: string|number; node?: string } = {}) => {
+  const r = await fetch(`${base}/metrics/deliverability${qs({ [target.kind]: target.name, ...params })}`);
+  if (!r.ok) throw new Error('deliverability_failed');
+  return r.json() as Promise<Deliverability>;
+};
+
+/* ---------- Auth: session, users, API tokens ---------- */
+
+export type Role = 'viewer'|'operator'|'admin';
+export type Me = { id: string; username: string; role: Role; via: 'session'|'token'|'api-key'; roles: Role[] };
+export type User = { id: string; username: string; role: Role; disabled: boolean; createdAt: number; lastLogin: number|null };
+export type ApiToken = {
+  id: string; name: string; role: Role; prefix: string; createdBy: string; owner: string|null;
+  createdAt: number; expiresAt: number|null; lastUsed: number|null;
+};
+
+/** Resolves to null when not signed in (401). */
+export const getMe = async (): Promise<Me|null> => {
+  const r = await fetch(`${base}/auth/me`);
+  if (r.status === 401) return null;
+  if (!r.ok) throw new Error('me_failed');
+  return r.json();
+};
+export const login = (username: string, password: string): Promise<{ user: User; expiresAt: number }> =>
+  sendJson('POST', '/auth/login', { username, password }, 'login_failed');
+export const logout = () => sendJson('POST', '/auth/logout', {}, 'logout_failed');
+export const changePassword = (current: string, next: string) =>
+  sendJson('POST', '/auth/password', { current, next }, 'change_password_failed');
+
+export const getUsers = async () => {
+  const r = await fetch(`${base}/auth/users`);
+  if (!r.ok) throw new Error('users_failed');
+  return r.json() as Promise<User[]>;
+};
+export const createUser = (u: { username: string; password: string; role: Role }): Promise<User> =>
+  sendJson('POST', '/auth/users', u, 'create_user_failed');
+export const updateUser = (id: string, u: { role?: Role; password?: string; disabled?: boolean }): Promise<User> =>
+  sendJson('PUT', `/auth/users/${encodeURIComponent(id)}`, u, 'update_user_failed');
+export const deleteUser = (id: string) =>
+  sendJson('DELETE', `/auth/users/${encodeURIComponent(id)}`, undefined, 'delete_user_failed');
+
+export const getTokens = async () => {
+  const r = await fetch(`${base}/auth/tokens`);
+  if (!r.ok) throw new Error('tokens_failed');
+  return r.json() as Promise<ApiToken[]>;
+};
+/** The plaintext `token` is only returned here, once. */
+export const createToken = (t: { name: string; role: Role; expiresInDays?: number }): Promise<ApiToken & { token: string }> =>
+  sendJson('POST', '/auth/tokens', t, 'create_token_failed');
+export const deleteToken = (id: string) =>
+  sendJson('DELETE', `/auth/tokens/${encodeURIComponent(id)}`, undefined, 'delete_token_failed');
+
+/* ---------- Audit trail ---------- */
+
+export type AuditEntry = {
+  id: string; ts: number;
+  actor: { id: string|null; username: string|null; role: Role|null; via: string|null };
+  ip: string; action: string; method: string; path: string; params: any;
+  status: number; ok: boolean; exitCode: number|null; response: any; durationMs: number;
+};
+export type AuditQuery = { from?: string|number; to?: string|number; actor?: string; action?: string; limit?: number };
+
+export const getAudit = async (params: AuditQuery = {}) => {
+  const r = await fetch(`${base}/audit${qs(params)}`);
+  if (!r.ok) throw new Error('audit_failed');
+  return r.json() as Promise<{ rows: AuditEntry[] }>;
+};
+/** Same filters as getAudit, as a CSV download link (the session cookie goes along). */
+export const auditCsvUrl = (params: AuditQuery = {}) => `${base}/audit${qs({ ...params, format: 'csv' })}`;
+
+/* ---------- Policy files ---------- */
+
+export type PolicyFile = { path: string; kind: 'lua'|'toml'|'json'; size: number; mtime: number };
+export type PolicyFileContent = PolicyFile & { content: string; sha: string };
+export type PolicyCheck = { name: string; ok: boolean; skipped?: boolean; code?: number|null; output: string };
+export type PolicyVersion = { id: string; ts: number; sha: string; size: number; actor: string|null; note: string|null };
+export type ReloadResult = { ok: boolean; code: number|null; output?: string };
+/** Saves, rollbacks and reloads: `error` is 'check_failed' (see `checks`) or 'conflict' when nothing was written. */
+export type PolicyResult = {
+  ok: boolean; error?: 'check_failed'|'conflict'; detail?: string; checks: PolicyCheck[];
+  version?: PolicyVersion; sha?: string; reload?: ReloadResult; code?: number|null; output?: string;
+};
+
+// 409/422 carry a result the UI shows (failed checks, conflict); anything else throws
+const sendPolicy = async (method: string, path: string, body: unknown, err: string): Promise<PolicyResult> => {
+  const r = await fetch(`${base}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await r.json().catch(() => ({}));
+  if (r.status === 409 || r.status === 422) return { ok: false, checks: [], ...data };
+  if (!r.ok) throw new Error(data?.detail || data?.error || err);
+  return data;
+};
+
+export const getPolicyFiles = async () => {
+  const r = await fetch(`${base}/policy/files`);
+  if (!r.ok) throw new Error('policy_files_failed');
+  return r.json() as Promise<{ root: string; files: PolicyFile[] }>;
+};
+export const getPolicyFile = async (path: string) => {
+  const r = await fetch(`${base}/policy/file${qs({ path })}`);
+  if (!r.ok) throw new Error('policy_file_failed');
+  return r.json() as Promise<PolicyFileContent>;
+};
+/** `sha` is the content the edit started from; pass `reload` to reload KumoMTA after a successful save. */
+export const savePolicyFile = (f: { path: string; content: string; sha?: string; note?: string; reload?: boolean }) =>
+  sendPolicy('PUT', '/policy/file', f, 'policy_save_failed');
+export const checkPolicyFile = (path: string, content: string) =>
+  sendPolicy('POST', '/policy/check', { path, content }, 'policy_check_failed');
+export const getPolicyVersions = async (path: string) => {
+  const r = await fetch(`${base}/policy/versions${qs({ path })}`);
+  if (!r.ok) throw new Error('policy_versions_failed');
+  return r.json() as Promise<PolicyVersion[]>;
+};
+export const getPolicyVersion = async (path: string, id: string) => {
+  const r = await fetch(`${base}/policy/version${qs({ path, id })}`);
+  if (!r.ok) throw new Error('policy_version_failed');
+  return r.json() as Promise<PolicyVersion & { path: string; content: string }>;
+};
+export const rollbackPolicy = (path: string, id: string, reload = true) =>
+  sendPolicy('POST', '/policy/rollback', { path, id, reload }, 'policy_rollback_failed');
+
+/* ---------- Traffic shaping ---------- */
+
+export type ShapingKind = 'default'|'provider'|'domain'|'site';
+export type ShapingSetting = { type: 'int'|'bool'|'string'|'strings'|'table'|'rate'|'duration'|'enum'; label?: string; values?: string[] };
+export type ShapingFile = { path: string; kind: 'toml'|'json'; editable: boolean; sha: string|null; entries: number; error?: string };
+/** Deferrals over the last hour / the retained window, their main cause and the queued count (providers: queued only). */
+export type ShapingTraffic = { deferrals1h?: number; deferrals?: number; cause?: string|null; queued: number };
+export type ShapingEntry = {
+  name: string; kind: ShapingKind; file: string; order: number; editable: boolean;
+  value: Record<string, any>; traffic: ShapingTraffic|null;
+};
+export type ShapingFrom = { name: string; kind: ShapingKind; file: string };
+export type ShapingEffective = {
+  domain: string; mx: string[]; mxError: string|null;
+  layers: { name: string; kind: ShapingKind; files: string[] }[];
+  settings: Record<string, { value: any; from: ShapingFrom }>;
+  sources: Record<string, Record<string, { value: any; from: ShapingFrom }>>;
+  automation: (Record<string, any> & { from: ShapingFrom })[];
+  traffic: ShapingTraffic|null; lastErrors: LastError[];
+};
+export type ShapingIssue = { path: string; detail: string };
+/** A save: 'invalid_entry' (see `errors`) when the schema check failed, otherwise as for policy saves. */
+export type ShapingResult = Omit<PolicyResult, 'error'> & { error?: PolicyResult['error']|'invalid_entry'; errors?: ShapingIssue[]; warnings?: ShapingIssue[] };
+export type ShapingTarget = { path: string; name: string; provider?: boolean };
+
+export const getShaping = async () => {
+  const r = await fetch(`${base}/shaping`);
+  if (!r.ok) throw new Error('shaping_failed');
   return r.json() as Promise<{
-    domain: string;
-    rows: Array<{ ts:number; domain:string; code?:number|string; enhanced?:string; text?:string }>;
+    files: ShapingFile[]; entries: ShapingEntry[]; settings: Record<string, ShapingSetting>;
+    uncovered: ({ domain: string } & ShapingTraffic)[];
   }>;
-}
+};
+/** `mx: false` skips the MX lookup (provider MXSuffix rules then can't match). */
+export const getShapingEffective = async (domain: string, mx = true) => {
+  const r = await fetch(`${base}/shaping/effective${qs({ domain, mx: mx ? undefined : 0 })}`);
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data?.detail || 'shaping_effective_failed');
+  return data as ShapingEffective;
+};
+export const validateShapingEntry = (name: string, entry: unknown, provider = false): Promise<{ ok: boolean; entry: any; errors: ShapingIssue[]; warnings: ShapingIssue[] }> =>
+  sendJson('POST', '/shaping/validate', { name, provider, entry }, 'shaping_validate_failed');
+/** Replaces (or adds) one entry of a shaping file through the checked policy save; `sha` is the file the edit started from. */
+export const saveShapingEntry = (t: ShapingTarget & { entry: unknown; sha?: string|null; reload?: boolean }) =>
+  sendPolicy('PUT', '/shaping/entry', t, 'shaping_save_failed') as Promise<ShapingResult>;
+export const deleteShapingEntry = (t: ShapingTarget & { sha?: string|null; reload?: boolean }) =>
+  sendPolicy('DELETE', '/shaping/entry', t, 'shaping_delete_failed') as Promise<ShapingResult>;
+
+/* ---------- Proxy settings ---------- */
+
+export type SettingKey = 'KUMO_HTTP'|'STATE_PATH'|'DEFERRAL_RETAIN_MS'|'EVENTS_MAX'|'KUMO_SOURCE'|'KUMO_TAILER'|'KUMO_LOGDIR';
+export type SettingInfo = { label: string; value: string|number; source: 'file'|'env'|'default'; env: string|number|null; default: string|number };
+export type ProxySettings = {
+  file: string;
+  settings: Record<SettingKey, SettingInfo>;
+  /** Poller and log source of the first node; `nodes` counts the configured ones. */
+  status: { node: string; nodes: number; poll: { t: number; ok: boolean }; source: SourceStatus|null; restarts24h: number };
+  changed?: SettingKey[];
+  applied?: Partial<Record<SettingKey, string>>;
+};
+export type ProbeResult = { ok: boolean; detail: string; [k: string]: any };
+/** `ok` only counts the tailer and log directory when the source reads them. */
+export type SettingsProbe = { ok: boolean; metrics: ProbeResult; source: ProbeResult; tailer: ProbeResult; logDir: ProbeResult };
+
+export const getSettings = async () => {
+  const r = await fetch(`${base}/settings`);
+  if (!r.ok) throw new Error('settings_failed');
+  return r.json() as Promise<ProxySettings>;
+};
+/** Only the keys given are changed; null removes the override (back to env/default). Applied live. */
+export const saveSettings = (patch: Partial<Record<SettingKey, string|number|null>>): Promise<ProxySettings> =>
+  sendJson('PUT', '/settings', patch, 'save_settings_failed');
+/** Probe the metrics URL, log source, tailer binary and log directory; values override the saved ones for this test only. */
+export const testSettings = (values: Partial<Record<SettingKey, string|number>> = {}): Promise<SettingsProbe> =>
+  sendJson('POST', '/settings/test', values, 'test_settings_failed');
@@ -0,0 +1,83 @@
+/* ---------- Line diff (Myers) for the policy editor ---------- */
+
+export type DiffLine = { op: ' '|'-'|'+'; text: string; a?: number; b?: number };  // a/b: 1-based line numbers
+export type DiffHunk = { lines: DiffLine[] };
+
+const MAX_EDITS = 2000;   // beyond this, show the whole file as replaced
+
+/** Line-by-line diff of a → b. */
+export function lineDiff(before: string, after: string): DiffLine[] {
+  const a = before.split('\n'), b = after.split('\n');
+  let pre = 0;
+  while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+  let suf = 0;
+  while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+  const A = a.slice(pre, a.length - suf), B = b.slice(pre, b.length - suf);
+
+  const same = (from: number, to: number, off: number): DiffLine[] =>
+    a.slice(from, to).map((text, i) => ({ op: ' ', text, a: from + i + 1, b: from + i + 1 + off }));
+  const head = same(0, pre, 0);
+  const tail = same(a.length - suf, a.length, b.length - a.length);
+  const mid = editScript(A, B) ?? [
+    ...A.map((text): DiffLine => ({ op: '-', text })),
+    ...B.map((text): DiffLine => ({ op: '+', text })),
+  ];
+  // number the middle section
+  let x = pre, y = pre;
+  for (const l of mid) {
+    if (l.op !== '+') l.a = ++x;
+    if (l.op !== '-') l.b = ++y;
+  }
+  return [...head, ...mid, ...tail];
+}
+
+// Myers O(ND): keep each round's furthest-reaching x per diagonal, then walk back.
+function editScript(a: string[], b: string[]): DiffLine[]|null {
+  const n = a.length, m = b.length;
+  const off = n + m + 1;
+  const v = new Int32Array(2 * off + 1);
+  const trace: Int32Array[] = [];
+  for (let d = 0; d <= n + m; d++) {
+    if (d > MAX_EDITS) return null;
+    trace.push(v.slice(off - d, off + d + 1));   // state before round d, diagonals -d..d
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[off + k - 1] < v[off + k + 1]) ? v[off + k + 1] : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[off + k] = x;
+      if (x >= n && y >= m) return backtrack(a, b, trace, d);
+    }
+  }
+  return null;
+}
+
+function backtrack(a: string[], b: string[], trace: Int32Array[], D: number): DiffLine[] {
+  const out: DiffLine[] = [];
+  let x = a.length, y = b.length;
+  for (let d = D; d > 0; d--) {
+    const v = trace[d], at = (k: number) => v[k + d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const px = at(prevK), py = px - prevK;
+    while (x > px && y > py) { out.push({ op: ' ', text: a[--x] }); y--; }
+    if (x === px) out.push({ op: '+', text: b[--y] });
+    else out.push({ op: '-', text: a[--x] });
+  }
+  while (x > 0) out.push({ op: ' ', text: a[--x] });
+  return out.reverse();
+}
+
+/** Group a diff into hunks with `context` unchanged lines around each change. */
+export function diffHunks(lines: DiffLine[], context = 3): DiffHunk[] {
+  const hunks: DiffHunk[] = [];
+  let start = -1, end = -1;   // current hunk: lines[start, end)
+  lines.forEach((l, i) => {
+    if (l.op === ' ') return;
+    const from = Math.max(0, i - context), to = Math.min(lines.length, i + context + 1);
+    if (start >= 0 && from <= end) { end = to; return; }
+    if (start >= 0) hunks.push({ lines: lines.slice(start, end) });
+    start = from; end = to;
+  });
+  if (start >= 0) hunks.push({ lines: lines.slice(start, end) });
+  return hunks;
+}
@@ -0,0 +1,345 @@
+import React, { useEffect, useState } from 'react'
+import {
+  getAlerts, getAlertMetrics, getAlertRules, createAlertRule, updateAlertRule, deleteAlertRule,
+  getAlertChannels, saveAlertChannels, testAlertChannels,
+  type AlertRule, type AlertMetric, type AlertEvent, type ActiveAlert, type AlertChannels,
+} from '../lib/api'
+import { Button, Badge, Input, Card, Select, Field, Modal } from './primitives'
+import { Can, useCan } from './auth'
+
+/* --------------------------------- helpers -------------------------------- */
+
+const MIN = 60_000
+const toMin = (ms: number|null|undefined) => (ms == null ? '' : String(Math.round((ms / MIN) * 100) / 100))
+const fromMin = (v: string) => (v.trim() === '' ? undefined : Number(v) * MIN)
+const when = (t: number|null|undefined) => (t ? new Date(t).toLocaleString() : '—')
+const labelText = (labels: Record<string, string>) =>
+  Object.entries(labels || {}).map(([k, v]) => `${k}=${v}`).join(' ')
+const round = (v: number) => (typeof v === 'number' ? Math.round(v * 100) / 100 : v)
+
+const SEVERITY_BADGE: Record<string, 'default'|'secondary'|'destructive'> = {
+  info: 'secondary', warning: 'default', critical: 'destructive',
+}
+
+type Draft = {
+  id?: string, name: string, enabled: boolean, metric: string, op: AlertRule['op'], threshold: string,
+  windowMin: string, forMin: string, resolveMin: string, cooldownMin: string,
+  severity: AlertRule['severity'], channels: string, domains: string,
+}
+
+const toDraft = (r?: AlertRule): Draft => ({
+  id: r?.id,
+  name: r?.name ?? '',
+  enabled: r?.enabled ?? true,
+  metric: r?.metric ?? 'queue_depth',
+  op: r?.op ?? '>',
+  threshold: r ? String(r.threshold) : '',
+  windowMin: toMin(r?.windowMs ?? 5 * MIN),
+  forMin: toMin(r?.forMs ?? 0),
+  resolveMin: toMin(r?.resolveAfterMs ?? MIN),
+  cooldownMin: toMin(r?.cooldownMs ?? 10 * MIN),
+  severity: r?.severity ?? 'warning',
+  channels: (r?.channels ?? []).join(', '),
+  domains: (r?.domains ?? []).join(', '),
+})
+
+const splitList = (s: string) => s.split(/[,\s]+/).map(x => x.trim()).filter(Boolean)
+
+/* ------------------------------- rule editor ------------------------------ */
+
+const RuleEditor: React.FC<{
+  rule?: AlertRule,
+  metrics: Record<string, AlertMetric>,
+  onClose: ()=>void,
+  onSaved: ()=>void,
+}> = ({rule, metrics, onClose, onSaved}) => {
+  const [d, setD] = useState<Draft>(toDraft(rule))
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+  const m = metrics[d.metric]
+  const set = (patch: Partial<Draft>) => setD(prev => ({ ...prev, ...patch }))
+
+  const save = async () => {
+    setBusy(true); setError('')
+    const body: Partial<AlertRule> = {
+      name: d.name,
+      enabled: d.enabled,
+      metric: d.metric,
+      op: d.op,
+      threshold: Number(d.threshold),
+      windowMs: m?.windowed ? fromMin(d.windowMin) : null,
+      forMs: fromMin(d.forMin),
+      resolveAfterMs: fromMin(d.resolveMin),
+      cooldownMs: fromMin(d.cooldownMin),
+      severity: d.severity,
+      channels: splitList(d.channels),
+      domains: m?.perDomain ? splitList(d.domains) : [],
+    }
+    try {
+      if (d.id) await updateAlertRule(d.id, body)
+      else await createAlertRule(body)
+      onSaved()
+    } catch (e: any) {
+      setError(e?.message ?? 'save failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Modal title={d.id ? `Edit rule — ${rule?.name}` : 'New alert rule'} onClose={onClose}
+      footer={<>
+        <Button onClick={onClose} disabled={busy}>Cancel</Button>
+        <Button onClick={save} disabled={busy} className="bg-black text-white hover:bg-neutral-800">{busy ? 'Saving…' : 'Save'}</Button>
+      </>}>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <Field label="Name"><Input value={d.name} onChange={e=>set({name: e.target.value})} /></Field>
+        <Field label="Severity">
+          <Select value={d.severity} onChange={e=>set({severity: e.target.value as Draft['severity']})}>
+            <option value="info">info</option>
+            <option value="warning">warning</option>
+            <option value="critical">critical</option>
+          </Select>
+        </Field>
+        <Field label="Metric">
+          <Select value={d.metric} onChange={e=>set({metric: e.target.value})}>
+            {Object.entries(metrics).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+          </Select>
+        </Field>
+        <div className="grid grid-cols-3 gap-2">
+          <Field label="Condition">
+            <Select value={d.op} onChange={e=>set({op: e.target.value as Draft['op']})}>
+              {['>','>=','<','<='].map(o => <option key={o} value={o}>{o}</option>)}
+            </Select>
+          </Field>
+          <div className="col-span-2">
+            <Field label={`Threshold${m ? ` (${m.unit})` : ''}`}>
+              <Input type="number" value={d.threshold} onChange={e=>set({threshold: e.target.value})} />
+            </Field>
+          </div>
+        </div>
+        {m?.windowed && (
+          <Field label="Window (minutes)" hint="Rates and counts are computed over this window">
+            <Input type="number" value={d.windowMin} onChange={e=>set({windowMin: e.target.value})} />
+          </Field>
+        )}
+        <Field label="For (minutes)" hint="Condition must hold this long before firing">
+          <Input type="number" value={d.forMin} onChange={e=>set({forMin: e.target.value})} />
+        </Field>
+        <Field label="Resolve after (minutes)" hint="Condition must be clear this long before resolving">
+          <Input type="number" value={d.resolveMin} onChange={e=>set({resolveMin: e.target.value})} />
+        </Field>
+        <Field label="Cooldown (minutes)" hint="Quiet period after a resolve before it may fire again">
+          <Input type="number" value={d.cooldownMin} onChange={e=>set({cooldownMin: e.target.value})} />
+        </Field>
+        <Field label="Channels" hint="Webhook names and/or 'email'; empty = all channels">
+          <Input value={d.channels} onChange={e=>set({channels: e.target.value})} />
+        </Field>
+        {m?.perDomain && (
+          <Field label="Domains" hint="Limit to these domains; empty = every domain">
+            <Input value={d.domains} onChange={e=>set({domains: e.target.value})} />
+          </Field>
+        )}
+      </div>
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={d.enabled} onChange={e=>set({enabled: e.target.checked})} /> enabled
+      </label>
+      {error && <div className="text-sm text-red-700">{error}</div>}
+    </Modal>
+  )
+}
+
+/* -------------------------------- channels -------------------------------- */
+
+const ChannelsCard: React.FC = () => {
+  const [ch, setCh] = useState<AlertChannels|null>(null)
+  const [msg, setMsg] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => { getAlertChannels().then(setCh).catch(() => setMsg('Could not load channels')) }, [])
+  if (!ch) return <Card title="Notification Channels"><div className="text-sm text-neutral-500">{msg || 'Loading…'}</div></Card>
+
+  const setHook = (i: number, patch: Partial<{name: string, url: string}>) =>
+    setCh({ ...ch, webhooks: ch.webhooks.map((w, j) => (j === i ? { ...w, ...patch } : w)) })
+  const setEmail = (patch: Partial<AlertChannels['email']>) => setCh({ ...ch, email: { ...ch.email, ...patch } })
+
+  const save = async () => {
+    setBusy(true); setMsg('')
+    try { setCh(await saveAlertChannels(ch)); setMsg('Saved.') }
+    catch (e: any) { setMsg(e?.message ?? 'save failed') }
+    finally { setBusy(false) }
+  }
+  const test = async () => {
+    setBusy(true); setMsg('')
+    try {
+      const r = await testAlertChannels()
+      setMsg((r.deliveries ?? []).map(d => `${d.channel}: ${d.ok ? 'ok' : (d.error ?? d.status)}`).join(' · ') || 'No channels configured.')
+    } catch (e: any) { setMsg(e?.message ?? 'test failed') }
+    finally { setBusy(false) }
+  }
+
+  return (
+    <Card title="Notification Channels" subtitle="Firing and resolved alerts are sent to these targets">
+      <div className="space-y-3">
+        <div className="text-xs uppercase tracking-wider text-neutral-500">Webhooks</div>
+        {ch.webhooks.map((w, i) => (
+          <div key={i} className="flex gap-2">
+            <Input className="w-40" placeholder="name" value={w.name} onChange={e=>setHook(i, {name: e.target.value})} />
+            <Input placeholder="https://hooks.example.com/…" value={w.url} onChange={e=>setHook(i, {url: e.target.value})} />
+            <Button onClick={()=>setCh({ ...ch, webhooks: ch.webhooks.filter((_, j) => j !== i) })}>Remove</Button>
+          </div>
+        ))}
+        <Button onClick={()=>setCh({ ...ch, webhooks: [...ch.webhooks, { name: '', url: '' }] })}>Add webhook</Button>
+
+        <div className="text-xs uppercase tracking-wider text-neutral-500 pt-2">Email (local SMTP relay)</div>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={ch.email.enabled} onChange={e=>setEmail({enabled: e.target.checked})} /> enabled
+        </label>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+          <Field label="Relay host"><Input value={ch.email.host} onChange={e=>setEmail({host: e.target.value})} /></Field>
+          <Field label="Port"><Input type="number" value={ch.email.port} onChange={e=>setEmail({port: Number(e.target.value)})} /></Field>
+          <Field label="From"><Input value={ch.email.from} onChange={e=>setEmail({from: e.target.value})} /></Field>
+          <Field label="To (comma separated)">
+            <Input value={ch.email.to.join(', ')} onChange={e=>setEmail({to: splitList(e.target.value)})} />
+          </Field>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button onClick={save} disabled={busy}>Save</Button>
+          <Button onClick={test} disabled={busy}>Send test</Button>
+          {msg && <span className="text-xs text-neutral-500">{msg}</span>}
+        </div>
+      </div>
+    </Card>
+  )
+}
+
+/* --------------------------------- page ----------------------------------- */
+
+const AlertsView: React.FC = () => {
+  const canEdit = useCan()('operator')
+  const [metrics, setMetrics] = useState<Record<string, AlertMetric>>({})
+  const [rules, setRules] = useState<AlertRule[]>([])
+  const [active, setActive] = useState<ActiveAlert[]>([])
+  const [history, setHistory] = useState<AlertEvent[]>([])
+  const [editing, setEditing] = useState<AlertRule|'new'|null>(null)
+
+  const load = async () => {
+    try {
+      const [rs, al] = await Promise.all([getAlertRules(), getAlerts(100)])
+      setRules(rs); setActive(al.active); setHistory(al.history)
+    } catch { /* keep last data */ }
+  }
+
+  useEffect(() => {
+    getAlertMetrics().then(setMetrics).catch(() => {})
+    load()
+    const id = setInterval(load, 10_000)
+    return () => clearInterval(id)
+  }, [])
+
+  const toggle = async (r: AlertRule) => { try { await updateAlertRule(r.id, { enabled: !r.enabled }); load() } catch {} }
+  const remove = async (r: AlertRule) => {
+    if (!window.confirm(`Delete alert rule "${r.name}"?`)) return
+    try { await deleteAlertRule(r.id); load() } catch {}
+  }
+  const describe = (r: AlertRule) => {
+    const m = metrics[r.metric]
+    const win = r.windowMs ? ` over ${toMin(r.windowMs)}m` : ''
+    return `${m?.label ?? r.metric} ${r.op} ${r.threshold}${m ? ` ${m.unit}` : ''}${win}`
+  }
+
+  return (
+    <div className="p-4 md:p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Alerts</h2>
+        <div className="flex gap-2">
+          <Can role="operator"><Button onClick={()=>setEditing('new')}>New rule</Button></Can>
+          <Button onClick={load}>Refresh</Button>
+        </div>
+      </div>
+
+      <Card title="Active" subtitle="Pending alerts are waiting for their for-duration">
+        <div className="space-y-2">
+          {active.map(a => (
+            <div key={`${a.ruleId}|${labelText(a.labels)}`} className="flex items-center justify-between p-3 rounded-xl border">
+              <div className="flex items-center gap-3">
+                <Badge variant={a.state === 'firing' ? 'destructive' : 'secondary'}>{a.state}</Badge>
+                <span className="text-sm font-medium">{a.rule ?? a.ruleId}</span>
+                {labelText(a.labels) && <span className="text-xs text-neutral-500">{labelText(a.labels)}</span>}
+              </div>
+              <div className="text-xs text-neutral-500">value {round(a.value)} · since {when(a.firedAt ?? a.since)}</div>
+            </div>
+          ))}
+          {active.length === 0 && <div className="text-sm text-neutral-500">No active alerts.</div>}
+        </div>
+      </Card>
+
+      <Card title="Rules">
+        <div className="overflow-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b bg-neutral-50">
+                {['Name','Condition','For','Severity','Enabled','Actions'].map(h => <th key={h} className="text-left p-3">{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(r => (
+                <tr key={r.id} className="border-b hover:bg-neutral-50">
+                  <td className="p-3 font-medium">{r.name}</td>
+                  <td className="p-3">{describe(r)}{r.domains.length > 0 && <div className="text-xs text-neutral-500">{r.domains.join(', ')}</div>}</td>
+                  <td className="p-3">{r.forMs ? `${toMin(r.forMs)}m` : '—'}</td>
+                  <td className="p-3"><Badge variant={SEVERITY_BADGE[r.severity] ?? 'secondary'}>{r.severity}</Badge></td>
+                  <td className="p-3"><input type="checkbox" checked={r.enabled} disabled={!canEdit} onChange={()=>toggle(r)} /></td>
+                  <td className="p-3">
+                    {canEdit && (
+                      <div className="flex gap-2">
+                        <Button onClick={()=>setEditing(r)}>Edit</Button>
+                        <Button onClick={()=>remove(r)} className="text-red-700">Delete</Button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {rules.length === 0 && <tr><td className="p-3 text-neutral-500" colSpan={6}>No rules defined.</td></tr>}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      <Can role="admin"><ChannelsCard /></Can>
+
+      <Card title="History" subtitle="Most recent firing and resolved notifications">
+        <div className="space-y-2">
+          {history.map(h => (
+            <div key={h.id} className="flex items-center justify-between p-3 rounded-xl border gap-3">
+              <div className="flex items-center gap-3 min-w-0">
+                <Badge variant={h.status === 'firing' ? 'destructive' : 'secondary'}>{h.status}</Badge>
+                <span className="text-sm font-medium">{h.rule}</span>
+                {labelText(h.labels) && <span className="text-xs text-neutral-500 truncate">{labelText(h.labels)}</span>}
+                <span className="text-xs text-neutral-500">value {round(h.value)} {h.op} {h.threshold}</span>
+              </div>
+              <div className="text-xs text-neutral-500 text-right shrink-0">
+                <div>{when(h.ts)}</div>
+                {(h.deliveries ?? []).length > 0 && (
+                  <div>{(h.deliveries ?? []).map(d => `${d.channel} ${d.ok ? '✓' : '✗'}`).join(' · ')}</div>
+                )}
+              </div>
+            </div>
+          ))}
+          {history.length === 0 && <div className="text-sm text-neutral-500">No alerts yet.</div>}
+        </div>
+      </Card>
+
+      {editing && (
+        <RuleEditor
+          rule={editing === 'new' ? undefined : editing}
+          metrics={metrics}
+          onClose={()=>setEditing(null)}
+          onSaved={()=>{ setEditing(null); load() }}
+        />
+      )}
+    </div>
+  )
+}
+
+export default AlertsView
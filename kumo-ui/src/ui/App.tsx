@@ -1,17 +1,39 @@
-import React, { useEffect, useMemo, useState } from 'react'
-import { streamLogs, reloadPolicy, getLastErrors } from '../lib/api'
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react'
+import {
+  reloadPolicy, getLastErrors, flushQueue, getMe, logout,
+  suspendQueue, resumeQueue, bounceQueue, rebindQueue, retryQueue,
+  getQueues, getEgressPaths, getProviderPools, getHistory,
+  type QueueCriteria, type QueueRow, type Me, type Role, type EgressRow, type ProviderRow, type Page,
+  type NodeInfo, type NodeHealth, type AdminResult, type SpoolStatus,
+  streamLive, applyLiveDelta, mergeLastErrors, type LiveDelta, type LastError, type LastErrors,
+  type DrillTarget,
+} from '../lib/api'
 import {
   ResponsiveContainer, AreaChart, Area, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend
 } from 'recharts'
+import { Button, Badge, Input, Card, Pager, Select, n, fmt, CAUSES, causeLabel } from './primitives'
+import AlertsView from './AlertsView'
+import MessagesView from './MessagesView'
+import TestSendView from './TestSendView'
+import SuppressionsView from './SuppressionsView'
+import ShapingView from './ShapingView'
+import LogsView from './LogsView'
+import SettingsView from './SettingsView'
+import LoginView from './LoginView'
+import { AuthContext, Can, useAuth, useCan } from './auth'
+import AuditView from './AuditView'
+import PolicyView from './PolicyView'
+import DeliverabilityView from './DeliverabilityView'
+import EgressView from './EgressView'
 
 /* ----------------------------- API + utils ----------------------------- */
 
 const API_BASE: string = (import.meta.env.VITE_API_BASE as string) ?? '/ui/api'
-const n = (v: any) => (typeof v === 'number' && isFinite(v) ? v : 0)
-const fmt = (v: any) => n(v).toLocaleString()
 
-async function fetchSummary() {
-  const r = await fetch(`${API_BASE}/metrics/summary`, { credentials: 'omit' })
+async function fetchSummary(node: string) {
+  const r = await fetch(`${API_BASE}/metrics/summary${node ? `?node=${encodeURIComponent(node)}` : ''}`)
+  if (r.status === 401) throw new Error('unauthorized')
+  if (r.status === 404) throw new Error('unknown_node')
   if (!r.ok) throw new Error('summary_failed')
   return r.json()
 }
@@ -48,62 +70,132 @@ function computeOutWindowsFromSession(metrics: any) {
   }
 }
 
-/* ----------------------------- UI Primitives ----------------------------- */
+/* --------------------------------- Layout -------------------------------- */
 
-const Button = (p: React.ButtonHTMLAttributes<HTMLButtonElement>) =>
-  <button {...p} className={'px-3 py-2 rounded-xl border text-sm hover:bg-neutral-100 disabled:opacity-50 ' + (p.className ?? '')} />
+const HEALTH_DOT: Record<NodeHealth, string> = { up: 'bg-green-500', stale: 'bg-amber-400', down: 'bg-red-500' }
 
-const Badge: React.FC<{variant?: 'default'|'secondary'|'destructive', children: React.ReactNode}> = ({variant='default', children}) => {
-  const cls = variant==='secondary' ? 'bg-neutral-100 text-neutral-800' :
-             variant==='destructive' ? 'bg-red-100 text-red-700' : 'bg-black text-white';
-  return <span className={'inline-flex items-center px-2 py-1 rounded-full text-xs ' + cls}>{children}</span>
+/** Node selector ('' = all nodes) with a health dot; hover lists every node. */
+const NodePicker: React.FC<{nodes: NodeInfo[], value: string, onChange: (v: string)=>void}> = ({nodes, value, onChange}) => {
+  if (!nodes.length) return null
+  const up = nodes.filter(x => x.health === 'up').length
+  const cur = nodes.find(x => x.name === value)
+  const health: NodeHealth = cur ? cur.health : up === nodes.length ? 'up' : up === 0 ? 'down' : 'stale'
+  const title = nodes.map(x => `${x.name}: ${x.health}${x.error ? ` — ${x.error}` : ''}`).join('\n')
+  return (
+    <div className="flex items-center gap-2" title={title}>
+      <span className={'inline-block w-2 h-2 rounded-full ' + HEALTH_DOT[health]} />
+      {nodes.length > 1
+        ? <Select className="w-auto" value={value} onChange={e=>onChange(e.target.value)}>
+            <option value="">All nodes ({up}/{nodes.length} up)</option>
+            {nodes.map(x => <option key={x.name} value={x.name}>{x.name} — {x.health}</option>)}
+          </Select>
+        : <span className="text-sm text-neutral-600">{nodes[0].name} · {nodes[0].health}</span>}
+    </div>
+  )
 }
 
-const Input = (p: React.InputHTMLAttributes<HTMLInputElement>) =>
-  <input {...p} className={'px-3 py-2 rounded-xl border text-sm w-full ' + (p.className ?? '')} />
-
-const Card: React.FC<{children: React.ReactNode, className?: string, title?: string, subtitle?: string}> = ({children, className, title, subtitle}) => (
-  <div className={'rounded-2xl border bg-white ' + (className ?? '')}>
-    {(title || subtitle) && (
-      <div className="p-4 border-b">
-        {title && <div className="text-sm font-semibold">{title}</div>}
-        {subtitle && <div className="text-xs text-neutral-500">{subtitle}</div>}
+const Topbar: React.FC<{
+  onToggleSidebar: ()=>void, busy?: boolean, onSearch: (q: string, filters: boolean)=>void,
+  nodes: NodeInfo[], node: string, onNode: (v: string)=>void,
+}> = ({onToggleSidebar, busy, onSearch, nodes, node, onNode}) => {
+  const [q, setQ] = useState('')
+  const { me, signOut } = useAuth()
+  return (
+    <div className="flex items-center justify-between p-4 border-b bg-white sticky top-0 z-10">
+      <div className="flex items-center gap-3">
+        <button onClick={onToggleSidebar} className="md:hidden px-3 py-2 rounded-xl border">≡</button>
+        <div className="font-semibold">MagicSMTP — KumoMTA Control</div>
+        <Badge variant="secondary">v2.5 preview</Badge>
+        {busy && <Badge variant="secondary">auto-refresh</Badge>}
       </div>
-    )}
-    <div className="p-4">{children}</div>
-  </div>
-)
+      <div className="hidden md:flex items-center gap-2">
+        <NodePicker nodes={nodes} value={node} onChange={onNode} />
+        <form className="contents" onSubmit={(e) => { e.preventDefault(); onSearch(q, false) }}>
+          <Input placeholder="Search messages, domains, IPs…" className="w-64" value={q} onChange={e => setQ(e.target.value)} />
+        </form>
+        <Button onClick={() => onSearch(q, true)}>Filter</Button>
+        <Button>Policy OK</Button>
+        {me && <>
+          <Badge variant="secondary">{me.username} · {me.role}</Badge>
+          <Button onClick={signOut}>Sign out</Button>
+        </>}
+      </div>
+    </div>
+  )
+}
 
-/* --------------------------------- Layout -------------------------------- */
+const MIN_ROLE: Record<string, Role> = { testsend: 'operator', shaping: 'operator', policy: 'operator', audit: 'admin' }   // pages hidden below this role
 
-const Topbar: React.FC<{onToggleSidebar: ()=>void, busy?: boolean}> = ({onToggleSidebar, busy}) => (
-  <div className="flex items-center justify-between p-4 border-b bg-white sticky top-0 z-10">
-    <div className="flex items-center gap-3">
-      <button onClick={onToggleSidebar} className="md:hidden px-3 py-2 rounded-xl border">≡</button>
-      <div className="font-semibold">MagicSMTP — KumoMTA Control</div>
-      <Badge variant="secondary">v2.5 preview</Badge>
-      {busy && <Badge variant="secondary">auto-refresh</Badge>}
-    </div>
-    <div className="hidden md:flex items-center gap-2">
-      <Input placeholder="Search logs, domains, IPs…" className="w-64" />
-      <Button>Filter</Button>
-      <Button>Policy OK</Button>
-    </div>
+/** 512 B, 3.2 GiB */
+const bytes = (v: number|null) => {
+  if (v == null) return '—'
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB']
+  let i = 0
+  while (v >= 1024 && i < units.length - 1) { v /= 1024; i++ }
+  return `${i ? v.toFixed(1) : v} ${units[i]}`
+}
+
+/** ~40 min, ~5 h, ~3 d */
+const eta = (h: number) => (h < 1 ? `~${Math.max(1, Math.round(h * 60))} min` : h < 48 ? `~${Math.round(h)} h` : `~${Math.round(h / 24)} d`)
+
+/** Live spool usage with the time-to-full forecast; amber under a day to full, red under 6 hours or from 90% used */
+const SpoolWidget: React.FC<{spools: SpoolStatus[], multi: boolean}> = ({spools, multi}) => (
+  <div className="mt-auto p-4 border-t hidden md:block space-y-3">
+    <div className="text-xs text-neutral-500">Spool</div>
+    {spools.map(s => {
+      const used = Math.max(s.usedPct ?? 0, s.inodeUsedPct ?? 0)
+      const h = s.forecast.hoursToFull
+      const bad = used >= 90 || (h != null && h < 6)
+      const warn = used >= 75 || (h != null && h < 24)
+      return (
+        <div key={`${s.node}/${s.name}`}>
+          <div className="text-sm font-medium">{s.name}{multi && <span className="text-neutral-500 font-normal"> · {s.node}</span>}</div>
+          <div className="h-2 bg-neutral-100 rounded-full mt-2 overflow-hidden">
+            <div className={'h-full ' + (bad ? 'bg-red-500' : warn ? 'bg-amber-400' : 'bg-neutral-800')} style={{width: `${Math.min(100, s.usedPct ?? 0)}%`}} />
+          </div>
+          <div className="text-xs text-neutral-500 mt-1">
+            {s.usedPct == null ? '—' : `${s.usedPct}% used`}
+            {s.totalBytes != null && ` · ${bytes(s.usedBytes)} / ${bytes(s.totalBytes)}`}
+          </div>
+          {s.inodeUsedPct != null && (
+            <div className="text-xs text-neutral-500">
+              inodes {s.inodeUsedPct}%{s.totalInodes != null && ` · ${fmt(s.usedInodes)} / ${fmt(s.totalInodes)}`}
+            </div>
+          )}
+          {h != null && (
+            <div className={'text-xs mt-0.5 ' + (bad ? 'text-red-600' : warn ? 'text-amber-600' : 'text-neutral-500')}
+              title={`Extrapolated from the ${s.forecast.basis === 'queue' ? 'queue growth' : s.forecast.basis === 'inodes' ? 'inode usage' : 'disk usage'} trend`}>
+              full in {eta(h)}
+            </div>
+          )}
+        </div>
+      )
+    })}
+    {!spools.length && <div className="text-xs text-neutral-500">No spool metrics reported yet.</div>}
   </div>
 )
 
-const Sidebar: React.FC<{sel:string, setSel:(v:string)=>void, open:boolean, setOpen:(v:boolean)=>void}> = ({sel,setSel,open,setOpen}) => {
+const Sidebar: React.FC<{sel:string, setSel:(v:string)=>void, open:boolean, setOpen:(v:boolean)=>void, spools: SpoolStatus[], multi: boolean}> = ({sel,setSel,open,setOpen,spools,multi}) => {
   // Navigation updated per request:
-  // - Removed: IP Pools, Shaping Rules, DKIM Keys
+  // - Removed: IP Pools, DKIM Keys (Shaping came back as a page over the shaping files)
   // - Added (after Settings): About Omni → redirect to https://www.omniknoweth.com/
   const items = [
     ['dashboard','Dashboard'],
     ['queues','Queues'],
+    ['egress','Sources & Pools'],
+    ['messages','Messages'],
+    ['testsend','Test Send'],
+    ['suppressions','Suppressions'],
+    ['shaping','Shaping'],
+    ['alerts','Alerts'],
     ['logs','Logs'],
+    ['policy','Policy'],
+    ['audit','Audit'],
     ['api','API'],
     ['settings','Settings'],
     ['about','About Omni'],
   ] as const
+  const can = useCan()
 
   const onClick = (id: string, label: string) => {
 if (id === 'about') {
@@ -119,7 +211,7 @@ if (id === 'about') {
       <div className="p-4">
         <div className="text-xs uppercase tracking-wider text-neutral-500 mb-2">Navigation</div>
         <nav className="space-y-1">
-          {items.map(([id,label]) => (
+          {items.filter(([id]) => !MIN_ROLE[id] || can(MIN_ROLE[id])).map(([id,label]) => (
             <button key={id} onClick={()=>onClick(id, label)}
               className={'w-full text-left px-3 py-2 rounded-xl transition ' + (sel===id?'bg-black text-white':'hover:bg-neutral-100')}>
               {label}
@@ -127,14 +219,7 @@ if (id === 'about') {
           ))}
         </nav>
       </div>
-      <div className="mt-auto p-4 border-t hidden md:block">
-        <div className="text-xs text-neutral-500">Spool</div>
-        <div className="text-sm font-medium">/var/spool/kumo</div>
-        <div className="h-2 bg-neutral-100 rounded-full mt-2 overflow-hidden">
-          <div className="h-full bg-neutral-800" style={{width:'28%'}} />
-        </div>
-        <div className="text-xs text-neutral-500 mt-1">28% used</div>
-      </div>
+      <SpoolWidget spools={spools} multi={multi} />
     </aside>
   )
 }
@@ -194,14 +279,131 @@ const WindowGrid: React.FC<{w?: {lastHour?: number, topHour?: number, lastMinute
   </div>
 )
 
+/* ------------------------ Dashboard: failure causes ----------------------- */
+
+const CauseBreakdown: React.FC<{classes?: {deferral?: Record<string, number>, bounce?: Record<string, number>}}> = ({classes}) => {
+  const rows = Object.keys(CAUSES)
+    .map(k => ({ k, deferral: n(classes?.deferral?.[k]), bounce: n(classes?.bounce?.[k]) }))
+    .filter(r => r.deferral + r.bounce > 0)
+    .sort((a, b) => (b.deferral + b.bounce) - (a.deferral + a.bounce))
+  const max = Math.max(1, ...rows.map(r => r.deferral + r.bounce))
+  if (!rows.length) return <div className="text-sm text-neutral-500">No deferrals or bounces in the last hour.</div>
+  return (
+    <div className="space-y-2">
+      {rows.map(r => (
+        <div key={r.k} className="grid grid-cols-[10rem_1fr_8rem] items-center gap-3 text-sm">
+          <div className="font-medium">{causeLabel(r.k)}</div>
+          <div className="h-2 bg-neutral-100 rounded-full overflow-hidden flex">
+            <div className="h-full" style={{width: `${(r.deferral / max) * 100}%`, background: 'var(--chart-3)'}} />
+            <div className="h-full" style={{width: `${(r.bounce / max) * 100}%`, background: 'var(--chart-2)'}} />
+          </div>
+          <div className="text-right text-xs text-neutral-500">{fmt(r.deferral)} deferred · {fmt(r.bounce)} bounced</div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/* ------------------------ Links to the drill-down ------------------------ */
+
+const DrillLink: React.FC<{kind: DrillTarget['kind'], name: string, onDrill: (t: DrillTarget)=>void, className?: string}> =
+  ({kind, name, onDrill, className}) => (
+  <button className={'font-medium text-left hover:underline ' + (className ?? '')} title={`${kind} deliverability`}
+    onClick={() => onDrill({ kind, name })}>
+    {name}
+  </button>
+)
+
+/* ------------------------- Dashboard: time range -------------------------- */
+
+type RangeKey = 'live'|'6h'|'24h'|'7d'|'30d'|'1y'|'custom'
+const RANGES: Array<[RangeKey, string]> = [
+  ['live','Live'], ['6h','6h'], ['24h','24h'], ['7d','7d'], ['30d','30d'], ['1y','1y'], ['custom','Custom'],
+]
+type Range = { key: RangeKey, from?: string, to?: string }
+
+const toLocalInput = (t: number) => {
+  const d = new Date(t - new Date(t).getTimezoneOffset() * 60_000)
+  return d.toISOString().slice(0, 16)
+}
+
+const RangePicker: React.FC<{value: Range, onChange: (r: Range)=>void}> = ({value, onChange}) => (
+  <div className="flex items-center gap-2 flex-wrap">
+    <div className="flex rounded-xl border overflow-hidden">
+      {RANGES.map(([k, label]) => (
+        <button key={k}
+          onClick={()=>onChange(k === 'custom'
+            ? { key: k, from: value.from ?? toLocalInput(Date.now() - 86_400_000), to: value.to ?? toLocalInput(Date.now()) }
+            : { key: k })}
+          className={'px-3 py-2 text-sm ' + (value.key===k ? 'bg-black text-white' : 'hover:bg-neutral-100')}>
+          {label}
+        </button>
+      ))}
+    </div>
+    {value.key === 'custom' && (
+      <>
+        <Input type="datetime-local" className="w-auto" value={value.from ?? ''} onChange={e=>onChange({...value, from: e.target.value})} />
+        <span className="text-xs text-neutral-500">to</span>
+        <Input type="datetime-local" className="w-auto" value={value.to ?? ''} onChange={e=>onChange({...value, to: e.target.value})} />
+      </>
+    )}
+  </div>
+)
+
+/** Chart series for a historical range, in the same shape as `series.*` from the summary. */
+function useHistorySeries(range: Range) {
+  const [data, setData] = useState<{perMinute: any[], queue: any[], tier?: string}|null>(null)
+
+  useEffect(() => {
+    if (range.key === 'live') { setData(null); return }
+    let alive = true
+    const params = range.key === 'custom'
+      ? { from: range.from ? new Date(range.from).getTime() : undefined, to: range.to ? new Date(range.to).getTime() : undefined }
+      : { from: `-${range.key}` }
+    if (range.key === 'custom' && (!params.from || !params.to || params.from >= params.to)) return
+
+    const load = async () => {
+      try {
+        const h = await getHistory(params)
+        if (!alive) return
+        const perMin = 60_000 / h.step
+        const label = (t: number) => h.to - h.from > 86_400_000
+          ? new Date(t).toLocaleString([], {month:'short', day:'2-digit', hour:'2-digit', minute:'2-digit'})
+          : new Date(t).toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'})
+        setData({
+          tier: h.tier,
+          perMinute: h.points.map(p => ({
+            t: label(p.t),
+            received:  p.received  * perMin,
+            delivered: p.delivered * perMin,
+            deferred:  p.deferred  * perMin,
+            bounced:   p.bounced   * perMin,
+          })),
+          queue: h.points.map(p => ({ t: label(p.t), queued: p.depth })),
+        })
+      } catch { /* keep last data */ }
+    }
+    load()
+    const id = setInterval(load, 60_000)
+    return () => { alive = false; clearInterval(id) }
+  }, [range.key, range.from, range.to])
+
+  return data
+}
+
 const Dashboard: React.FC<{
   metrics: any|null,
+  node: string,
   hardRefresh: ()=>void,
-  busy: boolean
-}> = ({metrics /*, hardRefresh, busy*/}) => {
-  // Series (works with both old and new server)
-  const perMinute = metrics?.series?.perMinute ?? []
-  const queue     = metrics?.series?.queue ?? []
+  busy: boolean,
+  onDrill: (t: DrillTarget)=>void,
+}> = ({metrics, node, onDrill /*, hardRefresh, busy*/}) => {
+  const [range, setRange] = useState<Range>({ key: 'live' })
+  const hist = useHistorySeries(range)
+
+  // Series (works with both old and new server); history replaces them outside Live
+  const perMinute = hist?.perMinute ?? (range.key === 'live' ? metrics?.series?.perMinute ?? [] : [])
+  const queue     = hist?.queue ?? (range.key === 'live' ? metrics?.series?.queue ?? [] : [])
 
   // Back-compat windows for cards
   const wDeferred = pickWindows(metrics, 'deferred')
@@ -209,6 +411,8 @@ const Dashboard: React.FC<{
 
   // Traffic Totals
   const traffic = metrics?.traffic
+  const fullIn = ((metrics?.spools ?? []) as SpoolStatus[]).reduce<number|null>(
+    (a, sp) => (sp.forecast.hoursToFull != null && (a == null || sp.forecast.hoursToFull < a) ? sp.forecast.hoursToFull : a), null)
   const totals = metrics?.totals ?? {}
   const outFromSession = computeOutWindowsFromSession(metrics)
   const trafficTotalIn  = traffic?.total?.in
@@ -225,7 +429,7 @@ const Dashboard: React.FC<{
   return (
     <div className="p-4 md:p-6 space-y-6">
       <div className="flex items-center justify-between">
-        <h2 className="text-xl font-semibold">Overview</h2>
+        <h2 className="text-xl font-semibold">Overview{node && <span className="text-neutral-500 font-normal"> — {node}</span>}</h2>
         {/* Buttons removed per request */}
       </div>
 
@@ -267,6 +471,7 @@ const Dashboard: React.FC<{
             <div className="text-neutral-500">ready</div><div className="text-right">{metrics?.queue?.ready ?? '—'}</div>
             <div className="text-neutral-500">scheduled</div><div className="text-right">{metrics?.queue?.scheduled ?? '—'}</div>
             <div className="text-neutral-500">disk free%</div><div className="text-right">{metrics?.disk?.freePercent ?? '—'}</div>
+            <div className="text-neutral-500">spool full in</div><div className="text-right">{fullIn == null ? '—' : eta(fullIn)}</div>
           </div>
         </Card>
 
@@ -286,6 +491,12 @@ const Dashboard: React.FC<{
       </div>
 
       {/* Charts */}
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <div className="text-sm text-neutral-500">
+          {range.key === 'live' ? 'Live — last 2 hours' : `History${hist?.tier ? ` (${hist.tier} resolution)` : ''}${node ? ' — all nodes' : ''}`}
+        </div>
+        <RangePicker value={range} onChange={setRange} />
+      </div>
       <div className="grid grid-cols-1 xl:grid-cols-3 gap-4">
         <Card className="xl:col-span-2" title="Throughput (msgs/min)" subtitle="Per-minute rates computed from cumulative counters">
           <div className="h-72"><ThroughputChart data={perMinute}/></div>
@@ -301,7 +512,7 @@ const Dashboard: React.FC<{
           <div className="space-y-3">
             {(metrics?.lists?.topDomains ?? []).map((it:any) => (
               <div key={it.key} className="flex items-center justify-between p-3 rounded-xl border">
-                <div className="font-medium">{it.key}</div>
+                <DrillLink kind="domain" name={it.key} onDrill={onDrill} />
                 <div className="text-right font-semibold">{fmt(it.value)}</div>
               </div>
             ))}
@@ -315,7 +526,7 @@ const Dashboard: React.FC<{
           <div className="space-y-3">
             {(metrics?.lists?.topProviders ?? []).map((it:any) => (
               <div key={it.key} className="flex items-center justify-between p-3 rounded-xl border">
-                <div className="font-medium capitalize">{it.key}</div>
+                <DrillLink kind="provider" name={it.key} onDrill={onDrill} className="capitalize" />
                 <div className="text-right font-semibold">{fmt(it.value)}</div>
               </div>
             ))}
@@ -330,8 +541,10 @@ const Dashboard: React.FC<{
             {(metrics?.lists?.topDeferralsHour ?? []).map((it: any) => (
               <div key={it.key} className="flex items-center justify-between p-3 rounded-xl border">
                 <div>
-                  <div className="font-medium">{it.key}</div>
-                  <div className="text-xs text-neutral-500">last hour</div>
+                  <DrillLink kind="domain" name={it.key} onDrill={onDrill} />
+                  <div className="text-xs text-neutral-500">
+                    last hour{it.cause && <> · mostly <span className="text-neutral-800">{causeLabel(it.cause)}</span></>}
+                  </div>
                 </div>
                 <div className="text-right font-semibold">{fmt(it.value)}</div>
               </div>
@@ -343,7 +556,10 @@ const Dashboard: React.FC<{
             <div className="text-xs text-neutral-500 mb-1">Totals (retained window)</div>
             {(metrics?.lists?.topDeferralsTotal ?? []).map((it: any) => (
               <div key={it.key} className="flex items-center justify-between p-3 rounded-xl border">
-                <div className="font-medium">{it.key}</div>
+                <div>
+                  <DrillLink kind="domain" name={it.key} onDrill={onDrill} />
+                  {it.cause && <div className="text-xs text-neutral-500">mostly {causeLabel(it.cause)}</div>}
+                </div>
                 <div className="text-right font-semibold">{fmt(it.value)}</div>
               </div>
             ))}
@@ -351,6 +567,13 @@ const Dashboard: React.FC<{
         </Card>
       </div>
 
+      {/* Failure causes */}
+      <div className="grid grid-cols-1">
+        <Card title="Failure Causes (last hour)" subtitle="Deferrals and bounces classified by enhanced code and response text">
+          <CauseBreakdown classes={metrics?.classes} />
+        </Card>
+      </div>
+
       {/* Recent Events */}
       <div className="grid grid-cols-1">
         <Card title="Recent Events">
@@ -361,6 +584,7 @@ const Dashboard: React.FC<{
                   <span className={'text-xs px-2 py-1 rounded-full ' + (e.level==='WARN'?'bg-yellow-100 text-yellow-900': e.level==='ERROR'?'bg-red-100 text-red-800':'bg-green-100 text-green-800')}>
                     {e.level}
                   </span>
+                  {!node && e.node && (metrics?.nodes?.length ?? 0) > 1 && <Badge variant="secondary">{e.node}</Badge>}
                   <span className="text-sm">{e.msg}</span>
                 </div>
                 <span className="text-xs text-neutral-500">
@@ -380,20 +604,20 @@ const Dashboard: React.FC<{
 
 /* -------------------------- Queues: Last Error cell ----------------------- */
 
-type LastErrorRow = { ts:number, domain:string, code?:number|string, enhanced?:string, text?:string }
+/** Last-errors pushed over the live channel (App keeps them current). */
+const LastErrorsContext = createContext<LastErrors>({})
 
-const LastErrorCell: React.FC<{domain: string}> = ({ domain }) => {
-  const [rows, setRows] = useState<LastErrorRow[]>([])
+const LastErrorCell: React.FC<{domain: string, node?: string}> = ({ domain, node }) => {
+  const pushed = (useContext(LastErrorsContext)[domain] ?? []).filter(r => !node || r.node === node)
+  const [fetched, setFetched] = useState<LastError[]|null>(null)
   const [open, setOpen] = useState(false)
   const [loading, setLoading] = useState(false)
 
   const load = async () => {
     setLoading(true)
     try {
-      const data = await getLastErrors(domain, 5)
-      // @ts-ignore
-      const list: LastErrorRow[] = (data?.rows || [])
-      setRows(list)
+      const data = await getLastErrors(domain, 5, node)
+      setFetched(data?.rows || [])
     } catch {
       // silent
     } finally {
@@ -401,15 +625,8 @@ const LastErrorCell: React.FC<{domain: string}> = ({ domain }) => {
     }
   }
 
-  useEffect(() => {
-    let alive = true
-    const tick = async () => { if (!alive) return; await load() }
-    tick()
-    const id = setInterval(tick, 30_000) // refresh every 30s
-    return () => { alive = false; clearInterval(id) }
-  }, [domain])
-
-  const latest = rows[0]
+  const rows = open && fetched ? fetched : pushed
+  const latest = pushed[0]
   const summary = latest
     ? `${[latest.code, latest.enhanced].filter(Boolean).join(' ')} ${latest.text ?? ''}`.trim()
     : '—'
@@ -417,7 +634,7 @@ const LastErrorCell: React.FC<{domain: string}> = ({ domain }) => {
   return (
     <div className="flex items-center gap-2">
       <div className="max-w-[22rem] truncate text-xs" title={summary}>{summary || '—'}</div>
-      <Button onClick={() => { setOpen(true); if (!rows.length) load() }} disabled={loading}>View</Button>
+      <Button onClick={() => { setOpen(true); load() }} disabled={loading}>View</Button>
 
       {/* Lightweight modal */}
       {open && (
@@ -439,8 +656,9 @@ const LastErrorCell: React.FC<{domain: string}> = ({ domain }) => {
               {rows.map((r, i) => (
                 <div key={i} className="p-3 rounded-xl border">
                   <div className="flex items-center justify-between">
-                    <div className="font-medium text-sm">
+                    <div className="font-medium text-sm flex items-center gap-2">
                       {[r.code, r.enhanced].filter(Boolean).join(' ') || '—'}
+                      {r.category && <Badge variant="secondary">{causeLabel(r.category)}</Badge>}
                     </div>
                     <div className="text-xs text-neutral-500">
                       {new Date(r.ts).toLocaleString()}
@@ -459,78 +677,327 @@ const LastErrorCell: React.FC<{domain: string}> = ({ domain }) => {
   )
 }
 
+/* ----------------------------- Queues: actions ---------------------------- */
+
+type QueueAction = 'suspend'|'resume'|'retry'|'rebind'|'bounce'|'flush'
+
+const ACTIONS: Record<QueueAction, {title: string, verb: string, danger?: boolean, help: string}> = {
+  suspend: { title: 'Pause queue', verb: 'Pause', help: 'Deliveries for this queue stop until resumed or the duration expires.' },
+  resume:  { title: 'Resume queue', verb: 'Resume', help: 'Removes every suspension recorded for this queue.' },
+  retry:   { title: 'Retry now', verb: 'Retry', help: 'Moves scheduled messages back to the ready queue for an immediate attempt.' },
+  rebind:  { title: 'Rebind queue', verb: 'Rebind', help: 'Re-evaluates queue assignment using the metadata below.' },
+  bounce:  { title: 'Bounce queue', verb: 'Bounce', danger: true, help: 'Permanently fails every queued message for this queue. This cannot be undone.' },
+  flush:   { title: 'Flush all queues', verb: 'Flush', help: 'Retries every scheduled message now.' },
+}
+
+/** Criteria for a queue row: its domain plus tenant/campaign when the queue is scoped, and its node in a fleet. */
+const queueTarget = (q: QueueRow, multi: boolean): QueueCriteria => ({
+  domain: q.domain,
+  ...(q.tenant ? { tenant: q.tenant } : {}),
+  ...(q.campaign ? { campaign: q.campaign } : {}),
+  ...(multi ? { node: q.node } : {}),
+})
+
+/** Names of the nodes that failed a fan-out action. */
+const failedNodes = (r: AdminResult) =>
+  Object.entries(r.nodes ?? {}).filter(([, x]) => !x.ok).map(([k]) => k).join(', ')
+
+const QueueActionDialog: React.FC<{
+  action: QueueAction,
+  target: QueueCriteria,
+  label: string,
+  onClose: ()=>void,
+  onDone: (msg: string)=>void,
+}> = ({action, target, label, onClose, onDone}) => {
+  const copy = ACTIONS[action]
+  const [reason, setReason] = useState('')
+  const [duration, setDuration] = useState(action === 'bounce' ? '5m' : '')
+  const [routingDomain, setRoutingDomain] = useState('')
+  const [queue, setQueue] = useState('')
+  const [confirmText, setConfirmText] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const rebindData: Record<string, string> = {}
+  if (routingDomain.trim()) rebindData.routing_domain = routingDomain.trim()
+  if (queue.trim()) rebindData.queue = queue.trim()
+
+  const blocked =
+    (action === 'bounce' && confirmText !== label) ||
+    (action === 'rebind' && Object.keys(rebindData).length === 0)
+
+  const run = async () => {
+    setBusy(true); setError('')
+    const c = target
+    const why = reason.trim() || undefined
+    try {
+      const r =
+        action === 'suspend' ? await suspendQueue(c, why, duration.trim() || undefined) :
+        action === 'resume'  ? await resumeQueue(c) :
+        action === 'retry'   ? await retryQueue(c, why) :
+        action === 'rebind'  ? await rebindQueue(c, rebindData, why) :
+        action === 'bounce'  ? await bounceQueue(c, why, duration.trim() || undefined) :
+                               await flushQueue(c.node)
+      if (!r?.ok) throw new Error(r?.nodes ? `failed on ${failedNodes(r)}` : 'upstream_error')
+      onDone(`${copy.verb} ${action === 'flush' ? `all queues on ${label}` : label}: ok`)
+    } catch (e: any) {
+      setError(`${copy.verb} failed (${e?.message ?? 'error'})`)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/20" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl border shadow-xl w-[min(32rem,92vw)]">
+        <div className="p-4 border-b text-sm font-semibold">
+          {copy.title} — {label}
+          {action !== 'flush' && target.node && <span className="text-neutral-500 font-normal"> on {target.node}</span>}
+        </div>
+        <div className="p-4 space-y-3">
+          <div className={'text-sm ' + (copy.danger ? 'text-red-700' : 'text-neutral-600')}>{copy.help}</div>
+          {action !== 'resume' && action !== 'flush' && (
+            <div>
+              <div className="text-xs text-neutral-500 mb-1">Reason</div>
+              <Input value={reason} onChange={e=>setReason(e.target.value)} placeholder="optional" />
+            </div>
+          )}
+          {(action === 'suspend' || action === 'bounce') && (
+            <div>
+              <div className="text-xs text-neutral-500 mb-1">Duration</div>
+              <Input value={duration} onChange={e=>setDuration(e.target.value)} placeholder="e.g. 30m, 2h (Kumo default if empty)" />
+            </div>
+          )}
+          {action === 'rebind' && (
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <div className="text-xs text-neutral-500 mb-1">routing_domain</div>
+                <Input value={routingDomain} onChange={e=>setRoutingDomain(e.target.value)} />
+              </div>
+              <div>
+                <div className="text-xs text-neutral-500 mb-1">queue</div>
+                <Input value={queue} onChange={e=>setQueue(e.target.value)} />
+              </div>
+            </div>
+          )}
+          {action === 'bounce' && (
+            <div>
+              <div className="text-xs text-neutral-500 mb-1">Type <b>{label}</b> to confirm</div>
+              <Input value={confirmText} onChange={e=>setConfirmText(e.target.value)} />
+            </div>
+          )}
+          {error && <div className="text-sm text-red-700">{error}</div>}
+        </div>
+        <div className="p-4 border-t flex justify-end gap-2">
+          <Button onClick={onClose} disabled={busy}>Cancel</Button>
+          <Button onClick={run} disabled={busy || blocked}
+            className={copy.danger ? 'bg-red-600 text-white hover:bg-red-700' : 'bg-black text-white hover:bg-neutral-800'}>
+            {busy ? 'Working…' : copy.verb}
+          </Button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
 /* --------------------------------- Queues -------------------------------- */
 
-const Queues: React.FC<{metrics: any|null}> = ({ metrics }) => {
-  // Use the backend-provided queued-by-domain list for #Rcpt
-  const rows = (metrics?.lists?.topDomains ?? []) as Array<{key:string, value:number}>
+const PAGE_SIZE = 50
+
+/** Clickable header cell; toggles order when the same key is clicked again. */
+const SortTh: React.FC<{label:string, k?:string, sort:string, order:'asc'|'desc', onSort:(k:string)=>void}> = ({label, k, sort, order, onSort}) => (
+  <th className={'text-left p-3 ' + (k ? 'cursor-pointer select-none' : '')} onClick={()=>k && onSort(k)}>
+    {label}{k && sort === k && (order === 'asc' ? ' ▲' : ' ▼')}
+  </th>
+)
+
+const MODE_BADGE: Record<string, 'default'|'secondary'|'destructive'> = {
+  normal: 'secondary', throttled: 'default', suspended: 'destructive',
+}
+
+const Queues: React.FC<{node: string, multi: boolean, onDrill: (t: DrillTarget)=>void}> = ({node, multi, onDrill}) => {
+  const [page, setPage] = useState<Page<QueueRow> & {totals?: {queues:number, scheduled:number, paused:number}}>()
+  const [egress, setEgress] = useState<Page<EgressRow>>()
+  const [pools, setPools] = useState<Page<ProviderRow>>()
+  const [q, setQ] = useState('')
+  const [pausedOnly, setPausedOnly] = useState(false)
+  const [sort, setSort] = useState('scheduled')
+  const [order, setOrder] = useState<'asc'|'desc'>('desc')
+  const [offset, setOffset] = useState(0)
+  const [egressOffset, setEgressOffset] = useState(0)
+  const [pending, setPending] = useState<{action: QueueAction, target: QueueCriteria, label: string}|null>(null)
+  const [notice, setNotice] = useState('')
+
+  const load = async () => {
+    try {
+      const [qs, eg, pp] = await Promise.all([
+        getQueues({ node, q, sort, order, offset, limit: PAGE_SIZE, paused: pausedOnly ? 1 : undefined }),
+        getEgressPaths({ node, q, offset: egressOffset, limit: 20 }),
+        getProviderPools({ node, limit: 20 }),
+      ])
+      setPage(qs); setEgress(eg); setPools(pp)
+    } catch { /* keep last data */ }
+  }
+
+  useEffect(() => {
+    load()
+    const id = setInterval(load, 5000)
+    return () => clearInterval(id)
+  }, [node, q, sort, order, offset, egressOffset, pausedOnly])
+  useEffect(() => { setOffset(0); setEgressOffset(0) }, [node])
+
+  const onSort = (k: string) => {
+    if (k === sort) setOrder(order === 'asc' ? 'desc' : 'asc')
+    else { setSort(k); setOrder(k === 'name' || k === 'domain' ? 'asc' : 'desc') }
+    setOffset(0)
+  }
+  const open = (action: QueueAction, r: QueueRow) => setPending({ action, target: queueTarget(r, multi), label: r.name })
+  const rows = page?.rows ?? []
 
   return (
     <div className="p-4 md:p-6 space-y-4">
-      <div className="flex items-center justify-between">
-        <h2 className="text-xl font-semibold">Queues</h2>
-        <Button onClick={()=>window.location.reload()}>Refresh</Button>
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <h2 className="text-xl font-semibold">Queues{node && <span className="text-neutral-500 font-normal"> — {node}</span>}</h2>
+        <div className="flex items-center gap-2">
+          <Input placeholder="Filter by queue, domain, tenant…" className="w-64" value={q}
+            onChange={e=>{ setQ(e.target.value); setOffset(0); setEgressOffset(0) }} />
+          <label className="flex items-center gap-1 text-sm whitespace-nowrap">
+            <input type="checkbox" checked={pausedOnly} onChange={e=>{ setPausedOnly(e.target.checked); setOffset(0) }} />
+            paused only
+          </label>
+          <Can role="operator">
+            <Button onClick={()=>setPending({action: 'flush', target: node ? {node} : {}, label: node || (multi ? 'every node' : 'this node')})}>Flush all</Button>
+          </Can>
+          <Button onClick={load}>Refresh</Button>
+        </div>
       </div>
-      <Card>
+      {notice && (
+        <div className="text-sm p-3 rounded-xl border bg-neutral-50 flex items-center justify-between">
+          <span>{notice}</span>
+          <button className="text-xs text-neutral-500" onClick={()=>setNotice('')}>dismiss</button>
+        </div>
+      )}
+      <Card subtitle={page?.totals ? `${fmt(page.totals.queues)} queues · ${fmt(page.totals.scheduled)} scheduled · ${fmt(page.totals.paused)} paused` : undefined}>
         <div className="overflow-auto">
           <table className="min-w-full text-sm">
             <thead>
               <tr className="border-b bg-neutral-50">
-                {['Name','#Rcpt','#KBytes','#Conn','Paused','Mode','Last Error','Actions'].map(h => (
-                  <th key={h} className="text-left p-3">{h}</th>
+                {([
+                  ['Name','name'], ...(multi && !node ? [['Node','node']] : []), ['#Rcpt','scheduled'], ['Ready','ready'], ['#Conn','connections'],
+                  ['Paused','paused'], ['Mode','mode'], ['Last Error'], ['Actions'],
+                ] as Array<[string, string?]>).map(([h, k]) => (
+                  <SortTh key={h} label={h} k={k} sort={sort} order={order} onSort={onSort} />
                 ))}
               </tr>
             </thead>
             <tbody>
-              {rows.map((r, i) => {
-                const name = r.key
-                const rcpt = r.value
-                return (
-                  <tr key={name || i} className="border-b hover:bg-neutral-50">
-                    <td className="p-3 font-medium">{name}</td>
-                    <td className="p-3">{fmt(rcpt)}</td>
-                    <td className="p-3">—</td>
-                    <td className="p-3">—</td>
-                    <td className="p-3"><Badge variant="secondary">No</Badge></td>
-                    <td className="p-3"><Badge variant="secondary">Normal</Badge></td>
-                    <td className="p-3"><LastErrorCell domain={name} /></td>
-                    <td className="p-3">
+              {rows.map((r) => (
+                <tr key={`${r.node}/${r.name}`} className="border-b hover:bg-neutral-50">
+                  <td className="p-3">
+                    <DrillLink kind="domain" name={r.domain} onDrill={onDrill} />
+                    {(r.tenant || r.campaign || r.routing_domain) && (
+                      <div className="text-xs text-neutral-500">
+                        {[r.campaign && `campaign ${r.campaign}`, r.tenant && `tenant ${r.tenant}`, r.routing_domain && `via ${r.routing_domain}`].filter(Boolean).join(' · ')}
+                      </div>
+                    )}
+                  </td>
+                  {multi && !node && <td className="p-3">{r.node}</td>}
+                  <td className="p-3">{fmt(r.scheduled)}</td>
+                  <td className="p-3">{fmt(r.ready)}</td>
+                  <td className="p-3" title={r.egress.join('\n')}>{fmt(r.connections)}</td>
+                  <td className="p-3">
+                    <span title={r.suspensions.map(s => s.reason).filter(Boolean).join('; ')}>
+                      <Badge variant={r.paused ? 'destructive' : 'secondary'}>{r.paused ? 'Yes' : 'No'}</Badge>
+                    </span>
+                  </td>
+                  <td className="p-3"><Badge variant={MODE_BADGE[r.mode] ?? 'secondary'}><span className="capitalize">{r.mode}</span></Badge></td>
+                  <td className="p-3"><LastErrorCell domain={r.domain} node={multi ? r.node : undefined} /></td>
+                  <td className="p-3">
+                    <Can role="operator" fallback={<span className="text-xs text-neutral-400">read-only</span>}>
                       <div className="flex gap-2">
-                        <Button title="(stub) Peek queue">Peek</Button>
-                        <Button title="(stub) Pause domain">Pause</Button>
+                        {r.paused
+                          ? <Button onClick={()=>open('resume', r)}>Resume</Button>
+                          : <Button onClick={()=>open('suspend', r)}>Pause</Button>}
+                        <Button onClick={()=>open('retry', r)}>Retry</Button>
+                        <Button onClick={()=>open('rebind', r)}>Rebind</Button>
+                        <Button onClick={()=>open('bounce', r)} className="text-red-700">Bounce</Button>
                       </div>
-                    </td>
-                  </tr>
-                )
-              })}
+                    </Can>
+                  </td>
+                </tr>
+              ))}
               {rows.length === 0 && (
-                <tr><td className="p-3 text-neutral-500" colSpan={8}>No queued recipients detected.</td></tr>
+                <tr><td className="p-3 text-neutral-500" colSpan={multi && !node ? 9 : 8}>No queued recipients detected.</td></tr>
               )}
             </tbody>
           </table>
         </div>
+        <Pager page={page} onOffset={setOffset} />
       </Card>
-    </div>
-  )
-}
 
-/* ---------------------------------- Logs --------------------------------- */
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-4">
+        <Card className="xl:col-span-2" title="Egress Paths" subtitle="Ready queues per source → site">
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b bg-neutral-50">
+                  {['Source','Site','Ready','#Conn','State'].map(h => <th key={h} className="text-left p-3">{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {(egress?.rows ?? []).map(e => (
+                  <tr key={`${e.node}/${e.name}`} className="border-b">
+                    <td className="p-3">
+                      <div className="font-medium">{e.source}</div>
+                      {multi && !node && <div className="text-xs text-neutral-500">{e.node}</div>}
+                    </td>
+                    <td className="p-3 max-w-[20rem] truncate" title={e.site}>{e.site}</td>
+                    <td className="p-3">{fmt(e.ready)}</td>
+                    <td className="p-3">{fmt(e.connections)}</td>
+                    <td className="p-3">
+                      {e.states.length
+                        ? <Badge variant="destructive">{e.states.join(', ')}</Badge>
+                        : <Badge variant="secondary">Normal</Badge>}
+                    </td>
+                  </tr>
+                ))}
+                {(!egress || egress.rows.length === 0) && (
+                  <tr><td className="p-3 text-neutral-500" colSpan={5}>No egress paths reported.</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          <Pager page={egress} onOffset={setEgressOffset} />
+        </Card>
+
+        <Card title="Providers & Pools" subtitle="Queued by provider and pool">
+          <div className="space-y-3">
+            {(pools?.rows ?? []).map(p => (
+              <div key={`${p.provider}/${p.pool}`} className="flex items-center justify-between p-3 rounded-xl border">
+                <div>
+                  {p.provider
+                    ? <DrillLink kind="provider" name={p.provider} onDrill={onDrill} className="capitalize" />
+                    : <div className="font-medium">—</div>}
+                  {p.pool && <div className="text-xs text-neutral-500">{p.pool}</div>}
+                </div>
+                <div className="text-right font-semibold">{fmt(p.queued)}</div>
+              </div>
+            ))}
+            {(!pools || pools.rows.length === 0) && <div className="text-sm text-neutral-500">No data yet.</div>}
+          </div>
+        </Card>
+      </div>
 
-const LogsView: React.FC = () => {
-  const [lines, setLines] = useState<string[]>([])
-  useEffect(()=>{
-    const es = streamLogs()
-    es.onmessage = (e)=> setLines(prev => [...prev.slice(-2000), e.data])
-    return ()=> es.close()
-  },[])
-  return (
-    <div className="p-4 md:p-6 space-y-4">
-      <h2 className="text-xl font-semibold">Logs</h2>
-      <Card>
-        <pre className="bg-black text-white p-4 rounded-xl text-xs h-96 overflow-auto">
-{lines.join('\n')}
-        </pre>
-      </Card>
+      {pending && (
+        <QueueActionDialog
+          action={pending.action}
+          target={pending.target}
+          label={pending.label}
+          onClose={()=>setPending(null)}
+          onDone={(msg)=>{ setPending(null); setNotice(msg); load() }}
+        />
+      )}
     </div>
   )
 }
@@ -543,11 +1010,44 @@ const ApiView: React.FC = () => (
     <Card>
       <div className="text-sm text-neutral-500 mb-2">Endpoints</div>
       <ul className="list-disc pl-6 text-sm space-y-1">
-        <li>GET <code>/ui/api/metrics</code> — raw metrics</li>
-        <li>GET <code>/ui/api/metrics/summary</code> — dashboard summary</li>
-        <li>POST <code>/ui/api/policy/reload</code> — reload policy</li>
-        <li>POST <code>/ui/api/queue/flush</code> — flush queues</li>
-        <li>GET <code>/ui/api/logs/stream</code> — live logs via SSE</li>
+        <li>POST <code>/ui/api/auth/login</code> · <code>/auth/logout</code>, GET <code>/auth/me</code> — session sign-in (httpOnly cookie)</li>
+        <li>GET/POST <code>/ui/api/auth/users</code> · <code>/auth/tokens</code> — users (admin) and scoped API tokens (<code>Authorization: Bearer</code>)</li>
+        <li>GET/PUT <code>/ui/api/settings</code> · POST <code>/settings/test</code> — proxy settings, applied live (admin)</li>
+        <li>GET <code>/ui/api/audit?from=&amp;to=&amp;actor=&amp;action=&amp;format=csv</code> — audit trail of state-changing requests (admin)</li>
+        <li>GET <code>/ui/api/nodes</code> — watched KumoMTA nodes and their health (up, down, stale)</li>
+        <li>GET <code>/ui/api/metrics?node=</code> — raw metrics (one node, or every node keyed by name)</li>
+        <li>GET <code>/ui/api/metrics/summary?node=</code> — dashboard summary for the fleet or one node</li>
+        <li>GET <code>/ui/api/metrics/diagnostics?node=</code> — detected metrics.json schema and which metric each total was read from</li>
+        <li>GET <code>/ui/api/live?node=</code> — the same summary pushed over SSE: a snapshot, then deltas after each poll</li>
+        <li>GET <code>/ui/api/metrics/prometheus</code> — Prometheus text exposition of the derived stats (per-node health and spools)</li>
+        <li>GET <code>/ui/api/metrics/history?from=&amp;to=&amp;step=</code> — long-term history (raw, 1m, 1h, 1d rollups)</li>
+        <li>POST <code>/ui/api/policy/reload</code> — check the policy on disk, then reload (refused if a check fails)</li>
+        <li>GET <code>/ui/api/policy/files</code> · <code>/policy/file?path=</code> — policy and data files under the policy root</li>
+        <li>PUT <code>/ui/api/policy/file</code> · POST <code>/policy/check</code> — checked save (versioned, optional reload) / dry-run check</li>
+        <li>GET <code>/ui/api/policy/versions?path=</code> · <code>/policy/version?path=&amp;id=</code>, POST <code>/policy/rollback</code> — saved versions and rollback</li>
+        <li>POST <code>/ui/api/queue/flush</code> — retry every scheduled queue now</li>
+        <li>GET <code>/ui/api/queues?node=&amp;q=&amp;sort=&amp;order=&amp;offset=&amp;limit=</code> — every scheduled queue (paged, sortable)</li>
+        <li>GET <code>/ui/api/queues/egress</code> · <code>/queues/providers</code> — egress paths / queued by provider and pool</li>
+        <li>GET <code>/ui/api/egress/sources</code> · <code>/egress/pools?node=&amp;from=&amp;sort=</code> — egress sources / pools ranked by deferral ratio over a window</li>
+        <li>GET <code>/ui/api/egress/series?source=|pool=&amp;node=&amp;from=</code> — per-minute delivered, transfail, fail and queued for one source or pool</li>
+        <li>GET <code>/ui/api/spool?node=&amp;from=</code> — spool used % (bytes, inodes) over time with the time-to-full forecast</li>
+        <li>GET <code>/ui/api/queue/suspensions</code> — active suspensions</li>
+        <li>POST <code>/ui/api/queue/suspend</code> · <code>/queue/resume</code> — pause / resume by domain, campaign or tenant (<code>node</code> in the body targets one node, else all)</li>
+        <li>POST <code>/ui/api/queue/bounce</code> · <code>/queue/bounce/cancel</code> — bounce queued messages / cancel a bounce rule</li>
+        <li>POST <code>/ui/api/queue/rebind</code> · <code>/queue/retry</code> — rebind or retry now</li>
+        <li>GET <code>/ui/api/messages/search?q=&amp;sender=&amp;recipient=&amp;domain=&amp;source=&amp;type=&amp;status=&amp;from=&amp;to=</code> — message search over indexed log records</li>
+        <li>GET <code>/ui/api/messages/:id</code> — delivery trace for one message</li>
+        <li>POST <code>/ui/api/probes</code> — send a test message from a template through the node's injection API (operator)</li>
+        <li>GET <code>/ui/api/probes</code>, <code>/ui/api/probes/:id</code> — recent test sends and each recipient's delivery status</li>
+        <li>GET <code>/ui/api/suppressions?q=&amp;source=&amp;sort=&amp;offset=&amp;limit=</code> · <code>/suppressions/:address</code> — suppressed recipients (hard bounces, manual, imported)</li>
+        <li>POST <code>/ui/api/suppressions</code>, PUT/DELETE <code>/suppressions/:address</code>, POST <code>/suppressions/import</code> (CSV) — edit the list (operator)</li>
+        <li>GET <code>/ui/api/suppressions/export?format=csv|kumo</code> · GET/PUT <code>/suppressions/config</code> — CSV or policy JSON export; auto-suppression codes</li>
+        <li>GET <code>/ui/api/shaping</code> — shaping files and entries with current deferrals; <code>/shaping/effective?domain=&amp;mx=</code> — merged settings for one domain and where each comes from</li>
+        <li>POST <code>/ui/api/shaping/validate</code> · PUT/DELETE <code>/shaping/entry</code> — check, save or remove one entry through the policy checks (admin)</li>
+        <li>GET <code>/ui/api/logs/stream?level=&amp;q=&amp;re=&amp;domain=&amp;type=&amp;since=&amp;until=</code> — filtered live tail or backfill (SSE, resumes via Last-Event-ID)</li>
+        <li>GET <code>/ui/api/alerts</code> — active alerts and history; <code>/alerts/rules</code>, <code>/alerts/channels</code> — manage rules and notification targets</li>
+        <li>GET <code>/ui/api/metrics/classes?from=&amp;to=&amp;step=&amp;domain=&amp;kind=</code> — deferral/bounce causes per category and domain over time</li>
+        <li>GET <code>/ui/api/metrics/deliverability?domain=|provider=&amp;from=&amp;to=&amp;step=&amp;node=</code> — outcome counts and rates over time, delivery latency, top responses and egress sources for one domain or provider</li>
         <li>GET <code>/ui/api/metrics/last-errors?domain=&lt;d&gt;&amp;limit=5</code> — last error reasons (per domain)</li>
       </ul>
     </Card>
@@ -556,32 +1056,6 @@ const ApiView: React.FC = () => (
 
 /* -------------------------------- Settings -------------------------------- */
 
-const SettingsView: React.FC = () => (
-  <div className="p-4 md:p-6 space-y-4">
-    <h2 className="text-xl font-semibold">Settings</h2>
-    <Card>
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
-        <div>
-          <div className="text-xs text-neutral-500 mb-1">Spool Path</div>
-          <Input defaultValue="/var/spool/kumo" />
-        </div>
-        <div>
-          <div className="text-xs text-neutral-500 mb-1">Policy File</div>
-          <Input defaultValue="/opt/kumomta/etc/policy/init.lua" />
-        </div>
-        <div>
-          <div className="text-xs text-neutral-500 mb-1">Metrics Endpoint</div>
-          <Input defaultValue="http://127.0.0.1:8000/metrics.json" />
-        </div>
-      </div>
-      <div className="flex gap-2 mt-4">
-        <Button>Test Connection</Button>
-        <Button>Save</Button>
-      </div>
-    </Card>
-  </div>
-)
-
 /* ---------------------------------- App ---------------------------------- */
 
 const App: React.FC = () => {
@@ -589,21 +1063,79 @@ const App: React.FC = () => {
   const [open, setOpen] = useState(false)
   const [metrics, setMetrics] = useState<any|null>(null)
   const [busy, setBusy] = useState(false)
+  const [search, setSearch] = useState({ q: '', filters: false, nonce: 0 })
+  const [node, setNode] = useState('')   // '' = all nodes
+  const [lastErrors, setLastErrors] = useState<LastErrors>({})
+  const [drill, setDrill] = useState<DrillTarget & {back: string}|null>(null)   // domain / provider page
+  const [me, setMe] = useState<Me|null|undefined>(undefined)   // undefined = still checking
+
+  const refreshMe = () => getMe().then(setMe).catch(() => setMe(null))
+  const signOut = async () => {
+    try { await logout() } catch {}
+    setMe(null)
+    setSel('dashboard')
+  }
+
+  const onSearch = (q: string, filters: boolean) => {
+    setSearch(s => ({ q, filters, nonce: s.nonce + 1 }))
+    setSel('messages')
+  }
+  const onDrill = (t: DrillTarget) => {
+    setDrill({ ...t, back: sel })
+    setSel('deliverability')
+  }
 
   const load = async () => {
     try {
-      const m = await fetchSummary()
+      const m = await fetchSummary(node)
       setMetrics(m)
-    } catch { /* keep UI up with last data */ }
+    } catch (e: any) {
+      if (e?.message === 'unauthorized') setMe(null)   // session expired or revoked
+      if (e?.message === 'unknown_node') setNode('')   // removed from the node list
+      /* otherwise keep UI up with last data */
+    }
   }
 
+  useEffect(() => { refreshMe() }, [])
+
+  // One live subscription: a snapshot, then deltas after every server poll
   useEffect(() => {
-    let alive = true
-    const tick = async () => { if (!alive) return; await load() }
-    tick()
-    const id = setInterval(tick, 3000)
-    return () => { alive = false; clearInterval(id) }
-  }, [])
+    if (!me) return
+    let alive = true, es: EventSource|null = null, retry: ReturnType<typeof setTimeout>|undefined
+    const stop = (error?: string) => {
+      es?.close()
+      if (error === 'unauthorized') setMe(null)
+      else if (error === 'unknown_node') setNode('')
+    }
+    // EventSource retries dropped streams by itself; a refused one needs a new
+    // connection, once a plain fetch says why (signed out, node removed, server down)
+    const recover = async () => {
+      es?.close()
+      try {
+        setMetrics(await fetchSummary(node))
+      } catch (e: any) {
+        if (e?.message === 'unauthorized' || e?.message === 'unknown_node') return stop(e.message)
+      }
+      if (alive) retry = setTimeout(connect, 3000)
+    }
+    const connect = () => {
+      es = streamLive(node || undefined)
+      es.addEventListener('snapshot', (ev) => {
+        const d = JSON.parse((ev as MessageEvent).data)
+        setMetrics(d.summary)
+        setLastErrors(d.lastErrors ?? {})
+      })
+      es.addEventListener('delta', (ev) => {
+        const d: LiveDelta = JSON.parse((ev as MessageEvent).data)
+        setMetrics((m: any) => (m ? applyLiveDelta(m, d) : m))
+        if (d.lastErrors) setLastErrors(le => mergeLastErrors(le, d.lastErrors!))
+      })
+      es.addEventListener('end', (ev) => stop(JSON.parse((ev as MessageEvent).data).error))
+      es.onerror = () => { if (es?.readyState === EventSource.CLOSED) recover() }
+    }
+    connect()
+    return () => { alive = false; clearTimeout(retry); es?.close() }
+  }, [me?.id, node])
 
   const hardRefresh = async () => {
     setBusy(true)
@@ -612,25 +1144,47 @@ const App: React.FC = () => {
     setBusy(false)
   }
 
+  const nodes: NodeInfo[] = metrics?.nodes ?? []
+
+  if (me === undefined) return null
+  if (me === null) return <LoginView onSignedIn={refreshMe} />
+
   return (
-    <div className="min-h-screen bg-gradient-to-b from-neutral-50 to-white text-neutral-900">
-      <Topbar onToggleSidebar={()=>setOpen(!open)} busy />
-      <div className="flex">
-        <Sidebar sel={sel} setSel={setSel} open={open} setOpen={setOpen} />
-        <main className="flex-1">
-          {sel==='dashboard' && <Dashboard metrics={metrics} hardRefresh={hardRefresh} busy={busy} />}
-          {sel==='queues' && <Queues metrics={metrics} />}
-          {sel==='logs' && <LogsView/>}
-          {sel==='api' && <ApiView/>}
-          {sel==='settings' && <SettingsView/>}
-        </main>
+    <AuthContext.Provider value={{ me, signOut }}>
+      <div className="min-h-screen bg-gradient-to-b from-neutral-50 to-white text-neutral-900">
+        <Topbar onToggleSidebar={()=>setOpen(!open)} busy onSearch={onSearch} nodes={nodes} node={node} onNode={setNode} />
+        <div className="flex">
+          <Sidebar sel={sel} setSel={setSel} open={open} setOpen={setOpen} spools={metrics?.spools ?? []} multi={nodes.length > 1} />
+          <main className="flex-1">
+            {sel==='dashboard' && <Dashboard metrics={metrics} node={node} hardRefresh={hardRefresh} busy={busy} onDrill={onDrill} />}
+            {sel==='queues' && (
+              <LastErrorsContext.Provider value={lastErrors}>
+                <Queues node={node} multi={nodes.length > 1} onDrill={onDrill} />
+              </LastErrorsContext.Provider>
+            )}
+            {sel==='egress' && <EgressView node={node} multi={nodes.length > 1} />}
+            {sel==='deliverability' && drill && (
+              <DeliverabilityView target={drill} node={node} onBack={() => setSel(drill.back)} onSearch={(q) => onSearch(q, false)} />
+            )}
+            {sel==='messages' && <MessagesView query={search.q} nonce={search.nonce} showFilters={search.filters} />}
+            {sel==='testsend' && <TestSendView node={node} nodes={nodes} />}
+            {sel==='suppressions' && <SuppressionsView/>}
+            {sel==='shaping' && <ShapingView/>}
+            {sel==='alerts' && <AlertsView/>}
+            {sel==='logs' && <LogsView/>}
+            {sel==='policy' && <PolicyView/>}
+            {sel==='audit' && <AuditView/>}
+            {sel==='api' && <ApiView/>}
+            {sel==='settings' && <SettingsView/>}
+          </main>
+        </div>
+        <footer className="p-4 text-xs text-center text-neutral-500 border-t">
+          <a href="https://www.omniknoweth.com" className="hover:underline" target="_blank" rel="noopener noreferrer">
+            © 2025 Intelligence Codes — MagicSMTP × KumoMTA — UI
+          </a>
+        </footer>
       </div>
-      <footer className="p-4 text-xs text-center text-neutral-500 border-t">
-        <a href="https://www.omniknoweth.com" className="hover:underline" target="_blank" rel="noopener noreferrer">
-  © 2025 Intelligence Codes — MagicSMTP × KumoMTA — UI
-</a>
-      </footer>
-    </div>
+    </AuthContext.Provider>
   )
 }
 
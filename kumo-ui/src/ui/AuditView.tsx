@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react'
+import { getAudit, auditCsvUrl, type AuditEntry, type AuditQuery } from '../lib/api'
+import { Button, Badge, Input, Card, Select, Field, Modal } from './primitives'
+
+/* --------------------------------- helpers -------------------------------- */
+
+const when = (t: number) => new Date(t).toLocaleString()
+const localToMs = (v: string) => (v ? new Date(v).getTime() : undefined)
+const ACTIONS = ['', 'policy', 'queue', 'alerts', 'auth']
+
+const pretty = (v: any) => (v == null ? '—' : typeof v === 'string' ? v : JSON.stringify(v, null, 2))
+
+/* ---------------------------------- View ---------------------------------- */
+
+const AuditView: React.FC = () => {
+  const [draft, setDraft] = useState({ from: '', to: '', actor: '', action: '' })
+  const [query, setQuery] = useState<AuditQuery>({ limit: 500 })
+  const [rows, setRows] = useState<AuditEntry[]>([])
+  const [error, setError] = useState('')
+  const [open, setOpen] = useState<AuditEntry|null>(null)
+
+  const load = (q = query) =>
+    getAudit(q).then(r => { setRows(r.rows); setError('') }).catch(e => setError(String(e?.message || e)))
+
+  useEffect(() => { load() }, [query])
+
+  const apply = (e?: React.FormEvent) => {
+    e?.preventDefault()
+    setQuery({
+      from: localToMs(draft.from), to: localToMs(draft.to),
+      actor: draft.actor.trim() || undefined, action: draft.action || undefined, limit: 500,
+    })
+  }
+
+  return (
+    <div className="p-4 md:p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Audit</h2>
+        <div className="flex gap-2">
+          <a href={auditCsvUrl({ ...query, limit: 50000 })} download className="px-3 py-2 rounded-xl border text-sm hover:bg-neutral-100">
+            Export CSV
+          </a>
+          <Button onClick={() => load()}>Refresh</Button>
+        </div>
+      </div>
+
+      <Card>
+        <form className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end" onSubmit={apply}>
+          <Field label="From"><Input type="datetime-local" value={draft.from} onChange={e => setDraft({ ...draft, from: e.target.value })} /></Field>
+          <Field label="To"><Input type="datetime-local" value={draft.to} onChange={e => setDraft({ ...draft, to: e.target.value })} /></Field>
+          <Field label="Actor"><Input value={draft.actor} placeholder="username" onChange={e => setDraft({ ...draft, actor: e.target.value })} /></Field>
+          <Field label="Action">
+            <Select value={draft.action} onChange={e => setDraft({ ...draft, action: e.target.value })}>
+              {ACTIONS.map(a => <option key={a} value={a}>{a ? `${a}.*` : 'Any'}</option>)}
+            </Select>
+          </Field>
+          <div><Button type="submit">Apply</Button></div>
+        </form>
+      </Card>
+
+      <Card title="Entries" subtitle="Every state-changing request, newest first (append-only)">
+        {error && <div className="text-sm text-red-600 mb-2">{error}</div>}
+        <div className="overflow-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b bg-neutral-50">
+                {['Time','Actor','Action','Target','Result','Exit',''].map(h => <th key={h} className="text-left p-3">{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(e => (
+                <tr key={e.id} className="border-b hover:bg-neutral-50">
+                  <td className="p-3 whitespace-nowrap">{when(e.ts)}</td>
+                  <td className="p-3">
+                    {e.actor.username || <span className="text-neutral-400">anonymous</span>}
+                    {e.actor.role && <span className="text-xs text-neutral-500"> · {e.actor.role}</span>}
+                  </td>
+                  <td className="p-3 font-mono text-xs">{e.action}</td>
+                  <td className="p-3 max-w-xs truncate" title={JSON.stringify(e.params)}>
+                    {['domain','campaign','tenant','username','name','id'].map(k => e.params?.[k]).filter(Boolean).join(' · ') || '—'}
+                  </td>
+                  <td className="p-3"><Badge variant={e.ok ? 'secondary' : 'destructive'}>{e.status}</Badge></td>
+                  <td className="p-3">{e.exitCode ?? '—'}</td>
+                  <td className="p-3"><Button onClick={() => setOpen(e)}>Details</Button></td>
+                </tr>
+              ))}
+              {!rows.length && <tr><td colSpan={7} className="p-3 text-neutral-500">No entries.</td></tr>}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      {open && (
+        <Modal title={<>{open.action} <span className="text-neutral-500 font-normal">· {when(open.ts)}</span></>} onClose={() => setOpen(null)}>
+          <div className="grid grid-cols-2 gap-3 text-sm">
+            <div><div className="text-xs text-neutral-500">Actor</div>{open.actor.username ?? '—'} ({open.actor.via ?? 'unauthenticated'})</div>
+            <div><div className="text-xs text-neutral-500">From</div>{open.ip}</div>
+            <div><div className="text-xs text-neutral-500">Request</div><span className="font-mono text-xs">{open.method} {open.path}</span></div>
+            <div><div className="text-xs text-neutral-500">Status / exit / duration</div>{open.status} / {open.exitCode ?? '—'} / {open.durationMs} ms</div>
+          </div>
+          <div>
+            <div className="text-xs text-neutral-500 mb-1">Parameters</div>
+            <pre className="bg-neutral-50 border rounded-xl p-3 text-xs overflow-auto">{pretty(open.params)}</pre>
+          </div>
+          <div>
+            <div className="text-xs text-neutral-500 mb-1">Response</div>
+            <pre className="bg-neutral-50 border rounded-xl p-3 text-xs overflow-auto">{pretty(open.response)}</pre>
+          </div>
+        </Modal>
+      )}
+    </div>
+  )
+}
+
+export default AuditView
@@ -0,0 +1,227 @@
+import React, { useEffect, useState } from 'react'
+import { getDeliverability, type Deliverability, type DrillTarget, type Outcome } from '../lib/api'
+import {
+  ResponsiveContainer, BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend
+} from 'recharts'
+import { Button, Badge, Card, Select, fmt, causeLabel } from './primitives'
+
+/* --------------------------------- helpers -------------------------------- */
+
+// The message index keeps 3 days of log records by default
+const RANGES = [['-1h', 'Last hour'], ['-6h', 'Last 6 hours'], ['-24h', 'Last 24 hours'], ['-3d', 'Last 3 days']] as const
+
+const OUTCOMES: Array<[Outcome, string, string]> = [
+  ['delivered', 'Delivered', 'var(--chart-1)'],
+  ['deferred',  'Deferred',  'var(--chart-3)'],
+  ['bounced',   'Bounced',   'var(--chart-2)'],
+  ['expired',   'Expired',   'var(--chart-4)'],
+]
+const OUTCOME_BADGE: Record<Outcome, 'default'|'secondary'|'destructive'> = {
+  delivered: 'default', deferred: 'secondary', bounced: 'destructive', expired: 'destructive',
+}
+
+const pct = (r: number|null|undefined) => (r == null ? '—' : `${(r * 100).toFixed(1)}%`)
+
+/** 850 ms, 12.4 s, 3 m 05 s, 2 h 10 m */
+const duration = (ms: number|null|undefined) => {
+  if (ms == null) return '—'
+  if (ms < 1000) return `${ms} ms`
+  const s = ms / 1000
+  if (s < 60) return `${s.toFixed(1)} s`
+  const m = Math.floor(s / 60)
+  if (m < 60) return `${m} m ${String(Math.round(s % 60)).padStart(2, '0')} s`
+  return `${Math.floor(m / 60)} h ${m % 60} m`
+}
+
+const per = (step: number) => (step >= 3_600_000 ? `${+(step / 3_600_000).toFixed(1)} h` : `${Math.round(step / 60_000)} min`)
+
+const label = (t: number, step: number) =>
+  new Date(t).toLocaleString([], step >= 86_400_000
+    ? { month: 'short', day: 'numeric' }
+    : { ...(step >= 3_600_000 ? { month: 'short', day: 'numeric' } : {}), hour: '2-digit', minute: '2-digit' })
+
+/* ---------------------------------- View ---------------------------------- */
+
+/**
+ * Drill-down for one recipient domain or provider (linked from the Queues rows
+ * and the dashboard cards): outcome counts and rates over time, delivery
+ * latency, top responses and the egress sources that carried the traffic.
+ */
+const DeliverabilityView: React.FC<{
+  target: DrillTarget, node: string, onBack: ()=>void, onSearch?: (q: string)=>void,
+}> = ({target, node, onBack, onSearch}) => {
+  const [from, setFrom] = useState('-24h')
+  const [data, setData] = useState<Deliverability|null>(null)
+  const [error, setError] = useState('')
+
+  const load = async () => {
+    try {
+      setData(await getDeliverability(target, { from, node: node || undefined }))
+      setError('')
+    } catch (e: any) {
+      setError(String(e?.message || e))
+    }
+  }
+
+  useEffect(() => {
+    setData(null)
+    load()
+    const id = setInterval(load, 30_000)
+    return () => clearInterval(id)
+  }, [target.kind, target.name, node, from])
+
+  const series = (data?.series ?? []).map(b => ({
+    ...b,
+    label: label(b.t, data!.step),
+    ...Object.fromEntries(OUTCOMES.map(([k]) => [`${k}Rate`, b.rates[k] == null ? null : +(b.rates[k]! * 100).toFixed(1)])),
+  }))
+  const attempts = data ? OUTCOMES.reduce((a, [k]) => a + data.totals[k], 0) : 0
+
+  return (
+    <div className="p-4 md:p-6 space-y-4">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <h2 className="text-xl font-semibold">
+          <span className="text-neutral-500 font-normal capitalize">{target.kind} </span>
+          <span className={target.kind === 'provider' ? 'capitalize' : ''}>{target.name}</span>
+          {node && <span className="text-neutral-500 font-normal"> — {node}</span>}
+        </h2>
+        <div className="flex items-center gap-2">
+          <Select value={from} onChange={e => setFrom(e.target.value)} className="w-44">
+            {RANGES.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+          </Select>
+          {target.kind === 'domain' && onSearch && <Button onClick={() => onSearch(`@${target.name}`)}>Messages</Button>}
+          <Button onClick={load}>Refresh</Button>
+          <Button onClick={onBack}>Back</Button>
+        </div>
+      </div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-4">
+        <Card>
+          <div className="text-sm text-neutral-500 mb-1">Received</div>
+          <div className="text-3xl font-semibold">{data ? fmt(data.totals.received) : '—'}</div>
+          <div className="text-xs text-neutral-500 mt-1">{data ? `${fmt(data.messages)} message(s) seen` : ''}</div>
+        </Card>
+        {OUTCOMES.map(([k, name]) => (
+          <Card key={k}>
+            <div className="text-sm text-neutral-500 mb-1">{name}</div>
+            <div className="text-3xl font-semibold">{data ? fmt(data.totals[k]) : '—'}</div>
+            <div className="text-xs text-neutral-500 mt-1">{pct(data?.rates[k])} of attempts</div>
+          </Card>
+        ))}
+        <Card>
+          <div className="text-sm text-neutral-500 mb-1">Median latency</div>
+          <div className="text-3xl font-semibold">{duration(data?.latency.median)}</div>
+          <div className="text-xs text-neutral-500 mt-1">
+            p90 {duration(data?.latency.p90)} · {fmt(data?.latency.samples)} deliveries
+          </div>
+        </Card>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+        <Card title="Outcomes" subtitle={data ? `Attempts per ${per(data.step)}` : undefined}>
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={series}>
+                <CartesianGrid strokeDasharray="3 3"/>
+                <XAxis dataKey="label" tick={{fontSize:12}}/>
+                <YAxis tick={{fontSize:12}} allowDecimals={false}/>
+                <Tooltip/>
+                <Legend />
+                {OUTCOMES.map(([k, name, color]) => <Bar key={k} dataKey={k} name={name} stackId="o" fill={color}/>)}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </Card>
+        <Card title="Rates" subtitle="Share of attempts (%)">
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={series}>
+                <CartesianGrid strokeDasharray="3 3"/>
+                <XAxis dataKey="label" tick={{fontSize:12}}/>
+                <YAxis tick={{fontSize:12}} domain={[0, 100]}/>
+                <Tooltip/>
+                <Legend />
+                {OUTCOMES.map(([k, name, color]) => (
+                  <Line key={k} type="monotone" dataKey={`${k}Rate`} name={name} stroke={color} strokeWidth={2} dot={false} connectNulls/>
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </Card>
+      </div>
+
+      <Card title="Top Responses" subtitle="Grouped by outcome, code and reply text (addresses and ids folded)">
+        <div className="overflow-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-neutral-500 border-b">
+                <th className="text-left p-3">Outcome</th>
+                <th className="text-left p-3">Code</th>
+                <th className="text-left p-3">Response</th>
+                <th className="text-left p-3">Cause</th>
+                <th className="text-right p-3">Count</th>
+                <th className="text-right p-3">Share</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(data?.responses ?? []).map((r, i) => (
+                <tr key={i} className="border-b">
+                  <td className="p-3"><Badge variant={OUTCOME_BADGE[r.outcome]}>{r.outcome}</Badge></td>
+                  <td className="p-3 whitespace-nowrap font-mono text-xs">{[r.code, r.enhanced].filter(v => v != null).join(' ') || '—'}</td>
+                  <td className="p-3 max-w-xl truncate font-mono text-xs" title={r.text}>{r.text || '—'}</td>
+                  <td className="p-3">{r.category ? causeLabel(r.category) : '—'}</td>
+                  <td className="p-3 text-right">{fmt(r.count)}</td>
+                  <td className="p-3 text-right">{pct(attempts ? r.count / attempts : null)}</td>
+                </tr>
+              ))}
+              {data && !data.responses.length && (
+                <tr><td colSpan={6} className="p-3 text-neutral-500">No responses recorded in this window.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      <div className={'grid grid-cols-1 gap-4 ' + (target.kind === 'provider' ? 'xl:grid-cols-2' : '')}>
+        <Card title="Egress Sources" subtitle="Attempts per source and pool">
+          <OutcomeTable rows={(data?.sources ?? []).map(s => ({ ...s, key: `${s.source}/${s.pool}`, name: s.source ?? '—', sub: s.pool }))} />
+        </Card>
+        {target.kind === 'provider' && (
+          <Card title="Recipient Domains" subtitle="Attempts per domain">
+            <OutcomeTable rows={(data?.domains ?? []).map(d => ({ ...d, key: d.domain, name: d.domain, sub: null }))} />
+          </Card>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const OutcomeTable: React.FC<{rows: Array<Record<Outcome, number> & {key: string, name: string, sub: string|null, total: number}>}> = ({rows}) => (
+  <div className="overflow-auto">
+    <table className="min-w-full text-sm">
+      <thead>
+        <tr className="text-neutral-500 border-b">
+          <th className="text-left p-3">Name</th>
+          {OUTCOMES.map(([k, name]) => <th key={k} className="text-right p-3">{name}</th>)}
+          <th className="text-right p-3">Delivered %</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(r => (
+          <tr key={r.key} className="border-b">
+            <td className="p-3">
+              <div className="font-medium">{r.name}</div>
+              {r.sub && <div className="text-xs text-neutral-500">{r.sub}</div>}
+            </td>
+            {OUTCOMES.map(([k]) => <td key={k} className="p-3 text-right">{fmt(r[k])}</td>)}
+            <td className="p-3 text-right">{pct(r.total ? r.delivered / r.total : null)}</td>
+          </tr>
+        ))}
+        {!rows.length && <tr><td colSpan={6} className="p-3 text-neutral-500">No attempts in this window.</td></tr>}
+      </tbody>
+    </table>
+  </div>
+)
+
+export default DeliverabilityView
@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from 'react'
+import {
+  getEgressStats, getEgressSeries,
+  type EgressKind, type EgressStat, type EgressPoint, type Page,
+} from '../lib/api'
+import {
+  ResponsiveContainer, ComposedChart, LineChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend
+} from 'recharts'
+import { Button, Input, Card, Pager, Select, fmt } from './primitives'
+
+/* --------------------------------- helpers -------------------------------- */
+
+const PAGE = 50
+// Buckets are kept for EGRESS_RETAIN_MS (6h by default)
+const WINDOWS = [['-15m', 'Last 15 minutes'], ['-1h', 'Last hour'], ['-6h', 'Last 6 hours']] as const
+const COLUMNS: Array<[string, string, boolean?]> = [
+  ['Name', 'name'], ['Delivered', 'delivered', true], ['Transfail', 'transfail', true], ['Fail', 'fail', true],
+  ['Queued', 'queued', true], ['Deferral %', 'deferralRatio', true], ['Fail %', 'failRatio', true],
+]
+
+const pct = (r: number|null|undefined) => (r == null ? '—' : `${(r * 100).toFixed(1)}%`)
+const hhmm = (t: number) => new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+/** Deferral ratio as a bar: amber from 10%, red from 30% */
+const RatioBar: React.FC<{r: number, attempts: number}> = ({r, attempts}) => (
+  <div className="flex items-center gap-2 justify-end">
+    <span>{attempts ? pct(r) : '—'}</span>
+    <div className="w-20 h-2 bg-neutral-100 rounded-full overflow-hidden">
+      <div className={'h-full ' + (r >= 0.3 ? 'bg-red-500' : r >= 0.1 ? 'bg-amber-400' : 'bg-green-500')}
+        style={{width: `${attempts ? Math.max(2, r * 100) : 0}%`}} />
+    </div>
+  </div>
+)
+
+/* --------------------------------- Charts --------------------------------- */
+
+const EgressCharts: React.FC<{kind: EgressKind, row: EgressStat, node: string, from: string}> = ({kind, row, node, from}) => {
+  const [series, setSeries] = useState<EgressPoint[]>([])
+
+  useEffect(() => {
+    let alive = true
+    const load = () => getEgressSeries(kind, row.name, { node: node || row.node, from })
+      .then(d => { if (alive) setSeries(d.series) })
+      .catch(() => { /* keep last data */ })
+    load()
+    const id = setInterval(load, 15_000)
+    return () => { alive = false; clearInterval(id) }
+  }, [kind, row.name, row.node, node, from])
+
+  const data = series.map(p => ({
+    ...p, t: hhmm(p.t), deferralPct: p.deferralRatio == null ? null : +(p.deferralRatio * 100).toFixed(1),
+  }))
+  const what = `${kind === 'sources' ? 'Source' : 'Pool'} ${row.name}${!node && row.node ? ` (${row.node})` : ''}`
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+      <Card title={`${what} — outcomes and queue`} subtitle="Per minute; queued is the ready count at the end of the minute">
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={data}>
+              <CartesianGrid strokeDasharray="3 3"/>
+              <XAxis dataKey="t" tick={{fontSize:12}}/>
+              <YAxis yAxisId="n" tick={{fontSize:12}} allowDecimals={false}/>
+              <YAxis yAxisId="q" orientation="right" tick={{fontSize:12}} allowDecimals={false}/>
+              <Tooltip/>
+              <Legend />
+              <Area yAxisId="q" type="monotone" dataKey="queued" name="Queued" stroke="var(--chart-4)" fill="var(--chart-4)" fillOpacity={0.1} connectNulls/>
+              <Line yAxisId="n" type="monotone" dataKey="delivered" name="Delivered" stroke="var(--chart-1)" strokeWidth={2} dot={false}/>
+              <Line yAxisId="n" type="monotone" dataKey="transfail" name="Transfail" stroke="var(--chart-3)" strokeWidth={2} dot={false}/>
+              <Line yAxisId="n" type="monotone" dataKey="fail" name="Fail" stroke="var(--chart-2)" strokeWidth={2} dot={false}/>
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      </Card>
+      <Card title={`${what} — deferral ratio`} subtitle="Transfail share of attempts per minute (%)">
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={data}>
+              <CartesianGrid strokeDasharray="3 3"/>
+              <XAxis dataKey="t" tick={{fontSize:12}}/>
+              <YAxis tick={{fontSize:12}} domain={[0, 100]}/>
+              <Tooltip/>
+              <Line type="monotone" dataKey="deferralPct" name="Deferral %" stroke="var(--chart-3)" strokeWidth={2} dot={false} connectNulls/>
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </Card>
+    </div>
+  )
+}
+
+/* ---------------------------------- View ---------------------------------- */
+
+/**
+ * Egress sources (sending IPs) and pools ranked by deferral ratio, so a
+ * throttled or blocked IP stands out; pick a row for its per-minute charts.
+ */
+const EgressView: React.FC<{node: string, multi: boolean}> = ({node, multi}) => {
+  const [kind, setKind] = useState<EgressKind>('sources')
+  const [from, setFrom] = useState('-1h')
+  const [q, setQ] = useState('')
+  const [sort, setSort] = useState('deferralRatio')
+  const [order, setOrder] = useState<'asc'|'desc'>('desc')
+  const [offset, setOffset] = useState(0)
+  const [page, setPage] = useState<Page<EgressStat>>()
+  const [picked, setPicked] = useState<{node: string, name: string}|null>(null)
+
+  const load = async () => {
+    try {
+      setPage(await getEgressStats(kind, { node, from, q, sort, order, offset, limit: PAGE }))
+    } catch { /* keep last data */ }
+  }
+
+  useEffect(() => {
+    load()
+    const id = setInterval(load, 15_000)
+    return () => clearInterval(id)
+  }, [kind, node, from, q, sort, order, offset])
+  useEffect(() => { setOffset(0); setPicked(null) }, [kind, node])
+
+  const onSort = (k: string) => {
+    if (k === sort) setOrder(order === 'asc' ? 'desc' : 'asc')
+    else { setSort(k); setOrder(k === 'name' ? 'asc' : 'desc') }
+    setOffset(0)
+  }
+  const rows = page?.rows ?? []
+  const selected = rows.find(r => r.node === picked?.node && r.name === picked?.name) ?? rows[0]
+  const showNode = multi && !node
+
+  return (
+    <div className="p-4 md:p-6 space-y-4">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <h2 className="text-xl font-semibold">Sources &amp; Pools{node && <span className="text-neutral-500 font-normal"> — {node}</span>}</h2>
+        <div className="flex items-center gap-2">
+          <div className="flex rounded-xl border overflow-hidden text-sm">
+            {(['sources', 'pools'] as const).map(k => (
+              <button key={k} onClick={() => setKind(k)}
+                className={'px-3 py-2 capitalize ' + (kind === k ? 'bg-black text-white' : 'hover:bg-neutral-100')}>{k}</button>
+            ))}
+          </div>
+          <Input placeholder={kind === 'sources' ? 'Filter sources…' : 'Filter pools…'} className="w-48" value={q}
+            onChange={e => { setQ(e.target.value); setOffset(0) }} />
+          <Select value={from} onChange={e => setFrom(e.target.value)} className="w-44">
+            {WINDOWS.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+          </Select>
+          <Button onClick={load}>Refresh</Button>
+        </div>
+      </div>
+
+      <Card subtitle={kind === 'sources'
+        ? 'Sending IPs ranked by deferral ratio (transfail share of attempts); queued is the current ready count'
+        : 'Pools: outcomes of their member sources, queued as reported per pool'}>
+        <div className="overflow-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b bg-neutral-50">
+                {COLUMNS.map(([h, k, right]) => (
+                  <th key={k} className={'p-3 cursor-pointer select-none ' + (right ? 'text-right' : 'text-left')} onClick={() => onSort(k)}>
+                    {h}{sort === k ? (order === 'asc' ? ' ▲' : ' ▼') : ''}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(r => {
+                const members = (kind === 'sources' ? r.pools : r.sources) ?? []
+                return (
+                  <tr key={`${r.node}/${r.name}`} onClick={() => setPicked({ node: r.node, name: r.name })}
+                    className={'border-b cursor-pointer ' + (r === selected ? 'bg-neutral-100' : 'hover:bg-neutral-50')}>
+                    <td className="p-3">
+                      <div className="font-medium">{r.name}</div>
+                      {(showNode || members.length > 0) && (
+                        <div className="text-xs text-neutral-500">
+                          {[showNode && r.node, members.length > 0 && `${kind === 'sources' ? 'pool' : 'sources'} ${members.join(', ')}`].filter(Boolean).join(' · ')}
+                        </div>
+                      )}
+                    </td>
+                    <td className="p-3 text-right">{fmt(r.delivered)}</td>
+                    <td className="p-3 text-right">{fmt(r.transfail)}</td>
+                    <td className="p-3 text-right">{fmt(r.fail)}</td>
+                    <td className="p-3 text-right">{fmt(r.queued)}</td>
+                    <td className="p-3"><RatioBar r={r.deferralRatio} attempts={r.attempts} /></td>
+                    <td className="p-3 text-right">{r.attempts ? pct(r.failRatio) : '—'}</td>
+                  </tr>
+                )
+              })}
+              {page && rows.length === 0 && (
+                <tr><td className="p-3 text-neutral-500" colSpan={COLUMNS.length}>
+                  No {kind === 'sources' ? 'egress sources' : 'pools'} reported in this window.
+                </td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pager page={page} onOffset={setOffset} />
+      </Card>
+
+      {selected && <EgressCharts kind={kind} row={selected} node={node} from={from} />}
+    </div>
+  )
+}
+
+export default EgressView
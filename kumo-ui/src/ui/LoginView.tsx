@@ -0,0 +1,47 @@
+import React, { useState } from 'react'
+import { login } from '../lib/api'
+import { Button, Input, Card, Field } from './primitives'
+
+const LoginView: React.FC<{onSignedIn: ()=>void}> = ({onSignedIn}) => {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const submit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setBusy(true)
+    setError('')
+    try {
+      await login(username.trim(), password)
+      onSignedIn()
+    } catch (err: any) {
+      const m = String(err?.message || err)
+      setError(m === 'invalid_credentials' ? 'Wrong username or password.'
+        : m === 'too_many_attempts' ? 'Too many failed attempts — try again in a few minutes.' : m)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-b from-neutral-50 to-white p-4">
+      <Card className="w-full max-w-sm" title="MagicSMTP — KumoMTA Control" subtitle="Sign in to continue">
+        <form className="space-y-3" onSubmit={submit}>
+          <Field label="Username">
+            <Input autoFocus autoComplete="username" value={username} onChange={e => setUsername(e.target.value)} />
+          </Field>
+          <Field label="Password">
+            <Input type="password" autoComplete="current-password" value={password} onChange={e => setPassword(e.target.value)} />
+          </Field>
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <Button type="submit" disabled={busy || !username || !password} className="w-full bg-black text-white hover:bg-neutral-800">
+            {busy ? 'Signing in…' : 'Sign in'}
+          </Button>
+        </form>
+      </Card>
+    </div>
+  )
+}
+
+export default LoginView
@@ -0,0 +1,207 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { streamLogs, type LogLine, type LogQuery } from '../lib/api'
+import { Button, Badge, Input, Card, Select, Field } from './primitives'
+
+/* --------------------------------- helpers -------------------------------- */
+
+const MAX_LINES = 5000
+
+const LEVEL_CLS: Record<string, string> = {
+  error: 'text-red-400', warn: 'text-amber-300', info: 'text-neutral-100', debug: 'text-neutral-400', trace: 'text-neutral-500',
+}
+const RECORD_TYPES = ['Reception', 'Delivery', 'TransientFailure', 'Bounce', 'Expiration', 'AdminBounce', 'Rejection']
+
+const time = (t: number) => new Date(t).toLocaleTimeString()
+// datetime-local value → epoch ms string (server also accepts ISO / "-1h")
+const localToMs = (v: string) => (v ? String(new Date(v).getTime()) : undefined)
+
+/** Wrap matches of the current text filter in <mark>. */
+function highlight(text: string, q: string, re: boolean): React.ReactNode {
+  if (!q) return text
+  let rx: RegExp
+  try {
+    rx = new RegExp(re ? q : q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi')
+  } catch { return text }
+  const out: React.ReactNode[] = []
+  let last = 0
+  for (const m of text.matchAll(rx)) {
+    if (!m[0]) break
+    const i = m.index ?? 0
+    out.push(text.slice(last, i), <mark key={i} className="bg-yellow-300 text-black rounded-sm">{m[0]}</mark>)
+    last = i + m[0].length
+  }
+  out.push(text.slice(last))
+  return out
+}
+
+type Filters = { level: string, q: string, re: boolean, domain: string, type: string }
+const NO_FILTERS: Filters = { level: '', q: '', re: false, domain: '', type: '' }
+
+/* ---------------------------------- View ---------------------------------- */
+
+const LogsView: React.FC = () => {
+  const [draft, setDraft] = useState<Filters>(NO_FILTERS)
+  const [filters, setFilters] = useState<Filters>(NO_FILTERS)
+  const [mode, setMode] = useState<'live'|'backfill'>('live')
+  const [since, setSince] = useState('')
+  const [until, setUntil] = useState('')
+  const [run, setRun] = useState(0)            // bump to (re)open the stream
+  const [lines, setLines] = useState<LogLine[]>([])
+  const [paused, setPaused] = useState(false)
+  const [held, setHeld] = useState(0)
+  const [status, setStatus] = useState('connecting…')
+  const [open, setOpen] = useState<Record<string, boolean>>({})
+  const pausedRef = useRef(false)
+  const buffer = useRef<LogLine[]>([])
+  const pre = useRef<HTMLDivElement|null>(null)
+
+  const query = useMemo<LogQuery>(() => ({
+    level: filters.level || undefined,
+    q: filters.q || undefined,
+    re: filters.re ? '1' : undefined,
+    domain: filters.domain || undefined,
+    type: filters.type || undefined,
+    since: mode === 'backfill' ? localToMs(since) ?? '-1h' : undefined,
+    until: mode === 'backfill' ? localToMs(until) : undefined,
+  }), [filters, mode, run])
+
+  useEffect(() => {
+    setLines([]); setOpen({}); buffer.current = []; setHeld(0)
+    setStatus('connecting…')
+    const es = streamLogs(query)
+    es.onopen = () => setStatus(mode === 'live' ? 'live' : 'loading…')
+    es.onerror = () => setStatus(mode === 'live' ? 'reconnecting…' : 'error')
+    es.onmessage = (e) => {
+      let line: LogLine
+      try { line = JSON.parse(e.data) } catch { return }
+      if (pausedRef.current) {
+        buffer.current.push(line)
+        if (buffer.current.length > MAX_LINES) buffer.current = buffer.current.slice(-MAX_LINES)
+        setHeld(buffer.current.length)
+        return
+      }
+      setLines(prev => [...prev.slice(-(MAX_LINES - 1)), line])
+    }
+    es.addEventListener('end', (e) => {
+      es.close()
+      let info: any = {}
+      try { info = JSON.parse((e as MessageEvent).data) } catch {}
+      setStatus(info.truncated ? `done (first ${info.sent} lines)` : info.backfill ? 'done' : 'stream ended')
+    })
+    return () => es.close()
+  }, [query])
+
+  // Follow the tail unless the user scrolled up
+  useEffect(() => {
+    const el = pre.current
+    if (el && el.scrollHeight - el.scrollTop - el.clientHeight < 80) el.scrollTop = el.scrollHeight
+  }, [lines])
+
+  const togglePause = () => {
+    const next = !paused
+    pausedRef.current = next
+    setPaused(next)
+    if (!next && buffer.current.length) {
+      const add = buffer.current
+      buffer.current = []
+      setHeld(0)
+      setLines(prev => [...prev, ...add].slice(-MAX_LINES))
+    }
+  }
+
+  const download = () => {
+    const body = lines.map(l => `${new Date(l.t).toISOString()} ${l.level.toUpperCase()} ${l.msg}`).join('\n') + '\n'
+    const url = URL.createObjectURL(new Blob([body], { type: 'text/plain' }))
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `kumomta-${new Date().toISOString().replace(/[:.]/g, '-')}.log`
+    a.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const set = (k: keyof Filters) => (e: React.ChangeEvent<HTMLInputElement|HTMLSelectElement>) =>
+    setDraft(d => ({ ...d, [k]: e.target.type === 'checkbox' ? (e.target as HTMLInputElement).checked : e.target.value }))
+
+  return (
+    <div className="p-4 md:p-6 space-y-4">
+      <h2 className="text-xl font-semibold">Logs</h2>
+      <Card>
+        <form className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end"
+          onSubmit={(e) => { e.preventDefault(); setFilters(draft); setRun(r => r + 1) }}>
+          <Field label="Min level">
+            <Select value={draft.level} onChange={set('level')}>
+              <option value="">Any</option>
+              {['debug','info','warn','error'].map(l => <option key={l} value={l}>{l}</option>)}
+            </Select>
+          </Field>
+          <div className="col-span-2">
+            <Field label="Text">
+              <div className="flex items-center gap-2">
+                <Input value={draft.q} onChange={set('q')} placeholder={draft.re ? 'regular expression' : 'substring'} />
+                <label className="text-xs flex items-center gap-1 whitespace-nowrap">
+                  <input type="checkbox" checked={draft.re} onChange={set('re')} /> regex
+                </label>
+              </div>
+            </Field>
+          </div>
+          <Field label="Domain"><Input value={draft.domain} onChange={set('domain')} placeholder="gmail.com" /></Field>
+          <Field label="Record type">
+            <Select value={draft.type} onChange={set('type')}>
+              <option value="">Any</option>
+              {RECORD_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+            </Select>
+          </Field>
+          <div className="flex gap-2">
+            <Button type="submit">Apply</Button>
+            <Button type="button" onClick={() => { setDraft(NO_FILTERS); setFilters(NO_FILTERS); setRun(r => r + 1) }}>Clear</Button>
+          </div>
+
+          <Field label="Mode">
+            <Select value={mode} onChange={e => setMode(e.target.value as 'live'|'backfill')}>
+              <option value="live">Live tail</option>
+              <option value="backfill">Backfill</option>
+            </Select>
+          </Field>
+          {mode === 'backfill' && <>
+            <Field label="Since" hint="empty = last hour"><Input type="datetime-local" value={since} onChange={e => setSince(e.target.value)} /></Field>
+            <Field label="Until" hint="empty = now"><Input type="datetime-local" value={until} onChange={e => setUntil(e.target.value)} /></Field>
+          </>}
+        </form>
+      </Card>
+
+      <Card>
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <Badge variant={status === 'live' ? 'default' : 'secondary'}>{status}</Badge>
+          <span className="text-xs text-neutral-500">{lines.length.toLocaleString()} line(s)</span>
+          <div className="ml-auto flex gap-2">
+            {mode === 'live' && (
+              <Button onClick={togglePause}>{paused ? `Resume${held ? ` (${held} new)` : ''}` : 'Pause'}</Button>
+            )}
+            <Button onClick={() => setLines([])}>Clear view</Button>
+            <Button onClick={download} disabled={!lines.length}>Download</Button>
+          </div>
+        </div>
+        <div ref={pre} className="bg-black text-white p-4 rounded-xl text-xs h-[32rem] overflow-auto font-mono">
+          {lines.map((l, i) => {
+            const key = l.id ?? String(i)
+            return (
+              <div key={key} className={LEVEL_CLS[l.level] ?? ''}>
+                <span className="text-neutral-500">{time(l.t)} </span>
+                {l.record
+                  ? <button className="text-left hover:underline" onClick={() => setOpen(o => ({ ...o, [key]: !o[key] }))}>
+                      {open[key] ? '▾' : '▸'} {highlight(`${l.record.type ?? 'record'} ${l.record.id ?? ''} ${l.record.recipient ?? ''}`, filters.q, filters.re)}
+                    </button>
+                  : <span className="whitespace-pre-wrap break-words">{highlight(l.msg, filters.q, filters.re)}</span>}
+                {l.record && open[key] && (
+                  <pre className="ml-6 my-1 text-neutral-300 whitespace-pre-wrap">{JSON.stringify(l.record, null, 2)}</pre>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </Card>
+    </div>
+  )
+}
+
+export default LogsView
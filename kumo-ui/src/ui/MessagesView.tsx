@@ -0,0 +1,201 @@
+import React, { useEffect, useState } from 'react'
+import {
+  searchMessages, getMessageTrace,
+  type MessageSummary, type MessageRecord, type MessageQuery,
+} from '../lib/api'
+import { Button, Badge, Input, Card, Select, Field, Modal, Pager, fmt, causeLabel } from './primitives'
+
+/* --------------------------------- helpers -------------------------------- */
+
+const PAGE = 50
+const when = (t: number|null|undefined) => (t ? new Date(t).toLocaleString() : '—')
+
+const STATUS_BADGE: Record<string, 'default'|'secondary'|'destructive'> = {
+  delivered: 'default', queued: 'secondary', deferred: 'secondary',
+  bounced: 'destructive', expired: 'destructive', rejected: 'destructive',
+}
+const TYPE_DOT: Record<string, string> = {
+  Reception: 'bg-neutral-400', Delivery: 'bg-green-600', TransientFailure: 'bg-amber-500',
+  Bounce: 'bg-red-600', AdminBounce: 'bg-red-600', Expiration: 'bg-red-600', Rejection: 'bg-red-600',
+}
+const RANGES = [
+  ['-1h', 'Last hour'], ['-24h', 'Last 24 hours'], ['-3d', 'Last 3 days'], ['', 'Everything indexed'],
+] as const
+
+const response = (r: { code: number|null, enhanced: string|null, text: string } | null) =>
+  r ? [r.code, r.enhanced, r.text].filter(v => v != null && v !== '').join(' ') : ''
+
+/* ------------------------------ Trace dialog ------------------------------ */
+
+const TraceDialog: React.FC<{id: string, onClose: ()=>void}> = ({id, onClose}) => {
+  const [trace, setTrace] = useState<(MessageSummary & { events: MessageRecord[] })|null>(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    getMessageTrace(id).then(setTrace).catch(e => setError(String(e?.message || e)))
+  }, [id])
+
+  return (
+    <Modal title={<>Message <span className="font-mono">{id}</span></>} onClose={onClose} width="w-[min(56rem,94vw)]">
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      {!trace && !error && <div className="text-sm text-neutral-500">Loading…</div>}
+      {trace && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <div><div className="text-xs text-neutral-500">From</div>{trace.sender || '—'}</div>
+            <div><div className="text-xs text-neutral-500">To</div>{trace.recipient || '—'}</div>
+            <div><div className="text-xs text-neutral-500">Status</div>
+              <Badge variant={STATUS_BADGE[trace.status] ?? 'secondary'}>{trace.status}</Badge>
+            </div>
+            <div><div className="text-xs text-neutral-500">Attempts</div>{fmt(trace.attempts)}</div>
+          </div>
+          <ol className="relative border-l ml-2 mt-2 space-y-4">
+            {trace.events.map((e, i) => (
+              <li key={i} className="ml-4">
+                <span className={'absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full ' + (TYPE_DOT[e.type] ?? 'bg-neutral-400')} />
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="font-medium">{e.type}</span>
+                  <span className="text-xs text-neutral-500">{when(e.t)}</span>
+                  {e.category && <Badge variant="secondary">{causeLabel(e.category)}</Badge>}
+                </div>
+                <div className="text-xs text-neutral-500">
+                  {[e.site && `site ${e.site}`, e.peer && `peer ${e.peer}`, e.source && `source ${e.source}`,
+                    e.pool && `pool ${e.pool}`, e.node && `node ${e.node}`].filter(Boolean).join(' · ') || '—'}
+                </div>
+                {(e.code != null || e.text) && (
+                  <div className="text-sm mt-1 font-mono break-words">{response(e)}</div>
+                )}
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </Modal>
+  )
+}
+
+/* ---------------------------------- View ---------------------------------- */
+
+/**
+ * Message search over the indexed log records. `query` comes from the Topbar
+ * search box; `nonce` changes on every Topbar submit so re-searching the same
+ * text still refreshes.
+ */
+const MessagesView: React.FC<{query?: string, nonce?: number, showFilters?: boolean}> = ({query = '', nonce, showFilters}) => {
+  const [q, setQ] = useState(query)
+  const [filters, setFilters] = useState<MessageQuery>({ from: '-24h' })
+  const [open, setOpen] = useState(!!showFilters)
+  const [offset, setOffset] = useState(0)
+  const [page, setPage] = useState<{ total: number, rows: MessageSummary[] }|null>(null)
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [traceId, setTraceId] = useState<string|null>(null)
+
+  const run = async (text = q, f = filters, off = 0) => {
+    setBusy(true)
+    setError('')
+    try {
+      setPage(await searchMessages({ ...f, q: text.trim() || undefined, offset: off, limit: PAGE }))
+      setOffset(off)
+    } catch (e: any) {
+      setError(String(e?.message || e))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  useEffect(() => {
+    setQ(query)
+    if (showFilters) setOpen(true)
+    run(query)
+  }, [query, nonce])
+
+  const set = (k: keyof MessageQuery) => (e: React.ChangeEvent<HTMLInputElement|HTMLSelectElement>) =>
+    setFilters(f => ({ ...f, [k]: e.target.value || undefined }))
+
+  return (
+    <div className="p-4 md:p-6 space-y-4">
+      <Card title="Messages" subtitle="Search by message id, address, @domain or egress source, then open a message for its delivery trace">
+        <form className="flex flex-wrap items-center gap-2" onSubmit={(e) => { e.preventDefault(); run() }}>
+          <Input placeholder="x@y.com, @y.com, message id, egress source…" className="md:w-96" value={q}
+            onChange={e => setQ(e.target.value)} />
+          <Button type="submit" disabled={busy}>{busy ? 'Searching…' : 'Search'}</Button>
+          <Button type="button" onClick={() => setOpen(!open)}>{open ? 'Hide filters' : 'Filters'}</Button>
+        </form>
+
+        {open && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4">
+            <Field label="Sender"><Input value={filters.sender ?? ''} onChange={set('sender')} /></Field>
+            <Field label="Recipient"><Input value={filters.recipient ?? ''} onChange={set('recipient')} /></Field>
+            <Field label="Recipient domain"><Input value={filters.domain ?? ''} onChange={set('domain')} /></Field>
+            <Field label="Egress source"><Input value={filters.source ?? ''} onChange={set('source')} /></Field>
+            <Field label="Status">
+              <Select value={filters.status ?? ''} onChange={set('status')}>
+                <option value="">Any</option>
+                {['queued','deferred','delivered','bounced','expired','rejected'].map(s => <option key={s} value={s}>{s}</option>)}
+              </Select>
+            </Field>
+            <Field label="Has record type">
+              <Select value={filters.type ?? ''} onChange={set('type')}>
+                <option value="">Any</option>
+                {['Reception','TransientFailure','Delivery','Bounce','Expiration'].map(s => <option key={s} value={s}>{s}</option>)}
+              </Select>
+            </Field>
+            <Field label="Time range">
+              <Select value={String(filters.from ?? '')} onChange={set('from')}>
+                {RANGES.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+              </Select>
+            </Field>
+            <div className="flex items-end gap-2">
+              <Button onClick={() => run()}>Apply</Button>
+              <Button onClick={() => { const f = { from: '-24h' }; setFilters(f); run(q, f) }}>Reset</Button>
+            </div>
+          </div>
+        )}
+      </Card>
+
+      <Card title="Results" subtitle={page ? `${fmt(page.total)} message(s)` : undefined}>
+        {error && <div className="text-sm text-red-600 mb-2">{error}</div>}
+        <div className="overflow-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-neutral-500 border-b">
+                <th className="text-left p-3">Last seen</th>
+                <th className="text-left p-3">Message</th>
+                <th className="text-left p-3">From</th>
+                <th className="text-left p-3">To</th>
+                <th className="text-left p-3">Status</th>
+                <th className="text-right p-3">Attempts</th>
+                <th className="text-left p-3">Last response</th>
+              </tr>
+            </thead>
+            <tbody>
+              {page?.rows.map(m => (
+                <tr key={m.id} className="border-b hover:bg-neutral-50 cursor-pointer" onClick={() => setTraceId(m.id)}>
+                  <td className="p-3 whitespace-nowrap">{when(m.lastSeen)}</td>
+                  <td className="p-3 font-mono text-xs">{m.id}</td>
+                  <td className="p-3">{m.sender || '—'}</td>
+                  <td className="p-3">{m.recipient || '—'}</td>
+                  <td className="p-3"><Badge variant={STATUS_BADGE[m.status] ?? 'secondary'}>{m.status}</Badge></td>
+                  <td className="p-3 text-right">{fmt(m.attempts)}</td>
+                  <td className="p-3 max-w-md truncate" title={response(m.lastResponse)}>
+                    {m.lastResponse?.category && <span className="text-neutral-500">{causeLabel(m.lastResponse.category)} · </span>}
+                    {response(m.lastResponse) || '—'}
+                  </td>
+                </tr>
+              ))}
+              {page && !page.rows.length && (
+                <tr><td colSpan={7} className="p-6 text-center text-neutral-500">No messages match.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pager page={page ? { total: page.total, offset, limit: PAGE } : undefined} onOffset={(o) => run(q, filters, o)} />
+      </Card>
+
+      {traceId && <TraceDialog id={traceId} onClose={() => setTraceId(null)} />}
+    </div>
+  )
+}
+
+export default MessagesView
@@ -0,0 +1,267 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import {
+  getPolicyFiles, getPolicyFile, savePolicyFile, checkPolicyFile, getPolicyVersions, getPolicyVersion,
+  rollbackPolicy, reloadPolicy,
+  type PolicyFile, type PolicyFileContent, type PolicyCheck, type PolicyVersion, type PolicyResult,
+} from '../lib/api'
+import { lineDiff, diffHunks } from '../lib/diff'
+import { Button, Badge, Input, Card, Modal } from './primitives'
+import { Can, useCan } from './auth'
+
+/* --------------------------------- helpers -------------------------------- */
+
+const when = (t: number) => new Date(t).toLocaleString()
+const size = (b: number) => (b < 1024 ? `${b} B` : `${(b / 1024).toFixed(1)} KB`)
+
+export const ChecksList: React.FC<{result: PolicyResult}> = ({result}) => (
+  <div className="space-y-2">
+    {result.error === 'conflict' && (
+      <div className="text-sm text-red-600">The file changed on disk since it was opened — reload it and re-apply your edit.</div>
+    )}
+    {result.checks.map((c: PolicyCheck, i) => (
+      <div key={i} className="text-sm">
+        <div className="flex items-center gap-2">
+          <span className="font-medium">{c.name}</span>
+          {c.skipped ? <Badge variant="secondary">skipped</Badge> : c.ok ? <Badge>passed</Badge> : <Badge variant="destructive">failed</Badge>}
+          {c.code != null && <span className="text-xs text-neutral-500">exit {c.code}</span>}
+        </div>
+        {c.output && <pre className="mt-1 p-2 rounded-lg bg-neutral-50 border text-xs whitespace-pre-wrap break-words max-h-48 overflow-auto">{c.output}</pre>}
+      </div>
+    ))}
+    {result.reload && (
+      <div className="text-sm">
+        <div className="flex items-center gap-2">
+          <span className="font-medium">reload</span>
+          {result.reload.ok ? <Badge>done</Badge> : <Badge variant="destructive">failed</Badge>}
+        </div>
+        {result.reload.output && <pre className="mt-1 p-2 rounded-lg bg-neutral-50 border text-xs whitespace-pre-wrap">{result.reload.output}</pre>}
+      </div>
+    )}
+  </div>
+)
+
+type Outcome = { what: 'check'|'save'|'rollback'|'reload', r: PolicyResult }
+
+function outcomeTitle({ what, r }: Outcome) {
+  if (r.error === 'conflict') return 'Not saved'
+  if (!r.ok) return what === 'check' ? 'Checks failed' : what === 'reload' ? 'Checks failed — not reloaded' : 'Checks failed — the live file was left unchanged'
+  const done = what === 'check' ? 'Checks passed' : what === 'save' ? 'Saved' : what === 'rollback' ? 'Rolled back' : 'Checks passed'
+  return r.reload ? `${done} · ${r.reload.ok ? 'reloaded' : 'reload failed'}` : done
+}
+
+/** Unified diff, collapsed to changed hunks. */
+const DiffView: React.FC<{before: string, after: string}> = ({before, after}) => {
+  const hunks = useMemo(() => diffHunks(lineDiff(before, after)), [before, after])
+  if (!hunks.length) return <div className="text-sm text-neutral-500">No differences.</div>
+  return (
+    <div className="rounded-xl border overflow-auto text-xs font-mono">
+      {hunks.map((h, i) => (
+        <div key={i} className={i ? 'border-t' : ''}>
+          <div className="px-2 py-1 bg-neutral-50 text-neutral-500">@@ -{h.lines.find(l => l.a)?.a ?? 0} +{h.lines.find(l => l.b)?.b ?? 0} @@</div>
+          {h.lines.map((l, j) => (
+            <div key={j} className={'flex whitespace-pre ' + (l.op === '+' ? 'bg-green-50 text-green-900' : l.op === '-' ? 'bg-red-50 text-red-900' : '')}>
+              <span className="w-10 shrink-0 text-right pr-2 text-neutral-400 select-none">{l.a ?? ''}</span>
+              <span className="w-10 shrink-0 text-right pr-2 text-neutral-400 select-none">{l.b ?? ''}</span>
+              <span className="w-4 shrink-0 select-none">{l.op}</span>
+              <span>{l.text}</span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/* -------------------------------- Versions -------------------------------- */
+
+const VersionsCard: React.FC<{file: PolicyFileContent, nonce: number, onRolledBack: (r: PolicyResult)=>void}> = ({file, nonce, onRolledBack}) => {
+  const [versions, setVersions] = useState<PolicyVersion[]>([])
+  const [diff, setDiff] = useState<{v: PolicyVersion, content: string}|null>(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    getPolicyVersions(file.path).then(setVersions).catch(e => setError(String(e?.message || e)))
+  }, [file.path, nonce])
+
+  const showDiff = async (v: PolicyVersion) => {
+    try { setDiff({ v, content: (await getPolicyVersion(file.path, v.id)).content }) } catch (e: any) { setError(String(e?.message || e)) }
+  }
+
+  const rollback = async (v: PolicyVersion) => {
+    if (!confirm(`Restore ${file.path} to the version from ${when(v.ts)} and reload KumoMTA? It is checked first.`)) return
+    setBusy(true)
+    setError('')
+    try {
+      onRolledBack(await rollbackPolicy(file.path, v.id, true))
+      setDiff(null)
+    } catch (e: any) { setError(String(e?.message || e)) }
+    finally { setBusy(false) }
+  }
+
+  return (
+    <Card title="Versions" subtitle="Every save is kept; roll back to any of them">
+      {error && <div className="text-sm text-red-600 mb-2">{error}</div>}
+      <div className="overflow-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="border-b bg-neutral-50">
+              {['Saved','By','Note','Size',''].map(h => <th key={h} className="text-left p-3">{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {versions.map(v => (
+              <tr key={v.id} className="border-b">
+                <td className="p-3 whitespace-nowrap">
+                  {when(v.ts)}
+                  {v.sha === file.sha && <span className="ml-2"><Badge variant="secondary">current</Badge></span>}
+                </td>
+                <td className="p-3">{v.actor ?? '—'}</td>
+                <td className="p-3 text-neutral-600">{v.note ?? ''}</td>
+                <td className="p-3">{size(v.size)}</td>
+                <td className="p-3">
+                  <div className="flex gap-2">
+                    <Button onClick={() => showDiff(v)}>Diff</Button>
+                    <Can role="admin">
+                      <Button disabled={busy || v.sha === file.sha} onClick={() => rollback(v)}>Roll back &amp; reload</Button>
+                    </Can>
+                  </div>
+                </td>
+              </tr>
+            ))}
+            {!versions.length && <tr><td colSpan={5} className="p-3 text-neutral-500">No versions yet — the first save keeps the current file.</td></tr>}
+          </tbody>
+        </table>
+      </div>
+      {diff && (
+        <Modal title={`${file.path}: ${when(diff.v.ts)} → on disk`} onClose={() => setDiff(null)} width="w-[min(64rem,95vw)]"
+          footer={<Can role="admin"><Button disabled={busy || diff.v.sha === file.sha} onClick={() => rollback(diff.v)}>Roll back &amp; reload</Button></Can>}>
+          <DiffView before={diff.content} after={file.content} />
+        </Modal>
+      )}
+    </Card>
+  )
+}
+
+/* ---------------------------------- View ---------------------------------- */
+
+const PolicyView: React.FC = () => {
+  const can = useCan()
+  const [root, setRoot] = useState('')
+  const [files, setFiles] = useState<PolicyFile[]>([])
+  const [filter, setFilter] = useState('')
+  const [file, setFile] = useState<PolicyFileContent|null>(null)
+  const [text, setText] = useState('')
+  const [tab, setTab] = useState<'edit'|'changes'>('edit')
+  const [note, setNote] = useState('')
+  const [outcome, setOutcome] = useState<Outcome|null>(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [nonce, setNonce] = useState(0)          // bump to refresh versions
+
+  const dirty = !!file && text !== file.content
+
+  const loadFiles = () =>
+    getPolicyFiles().then(r => { setRoot(r.root); setFiles(r.files) }).catch(e => setError(String(e?.message || e)))
+  useEffect(() => { loadFiles() }, [])
+
+  const open = async (path: string, force = false) => {
+    if (!force && dirty && !confirm('Discard unsaved changes?')) return
+    try {
+      const f = await getPolicyFile(path)
+      setFile(f); setText(f.content); setOutcome(null); setTab('edit'); setNote(''); setError('')
+    } catch (e: any) { setError(String(e?.message || e)) }
+  }
+
+  const run = async (what: Outcome['what'], fn: () => Promise<PolicyResult>, reopen = false) => {
+    setBusy(true)
+    setError('')
+    try {
+      const r = await fn()
+      if (r.ok && reopen && file) { await open(file.path, true); setNonce(x => x + 1); loadFiles() }
+      setOutcome({ what, r })
+    } catch (e: any) { setError(String(e?.message || e)) }
+    finally { setBusy(false) }
+  }
+
+  const save = (reload: boolean) => file &&
+    run('save', () => savePolicyFile({ path: file.path, content: text, sha: file.sha, note: note.trim() || undefined, reload }), true)
+  const check = () => file && run('check', () => checkPolicyFile(file.path, text))
+  const reload = () => run('reload', async () => {
+    const r = await reloadPolicy()
+    return r.error ? r : { ...r, reload: { ok: r.ok, code: r.code ?? null, output: r.output } }
+  })
+
+  const shown = files.filter(f => !filter || f.path.toLowerCase().includes(filter.toLowerCase()))
+
+  return (
+    <div className="p-4 md:p-6 space-y-4">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <div>
+          <h2 className="text-xl font-semibold">Policy</h2>
+          <div className="text-xs text-neutral-500">{root}</div>
+        </div>
+        <Can role="admin"><Button disabled={busy} onClick={reload}>Check &amp; reload</Button></Can>
+      </div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      {outcome && (
+        <Card title={outcomeTitle(outcome)}>
+          <ChecksList result={outcome.r} />
+        </Card>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-[16rem_1fr] gap-4 items-start">
+        <Card title="Files">
+          <Input placeholder="Filter…" value={filter} onChange={e => setFilter(e.target.value)} className="mb-2" />
+          <div className="space-y-1 max-h-[32rem] overflow-auto">
+            {shown.map(f => (
+              <button key={f.path} onClick={() => open(f.path)}
+                className={'w-full text-left px-3 py-2 rounded-xl text-sm flex items-center justify-between gap-2 ' + (file?.path === f.path ? 'bg-black text-white' : 'hover:bg-neutral-100')}>
+                <span className="truncate">{f.path}</span>
+                <span className="text-xs opacity-60">{f.kind}</span>
+              </button>
+            ))}
+            {!shown.length && <div className="text-sm text-neutral-500">No .lua, .toml or .json files.</div>}
+          </div>
+        </Card>
+
+        <div className="space-y-4 min-w-0">
+          {!file
+            ? <Card><div className="text-sm text-neutral-500">Pick a file to view or edit it.</div></Card>
+            : <>
+              <Card>
+                <div className="flex items-center justify-between gap-2 flex-wrap mb-3">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium">{file.path}</span>
+                    <Badge variant="secondary">{file.kind}</Badge>
+                    {dirty && <Badge variant="destructive">unsaved</Badge>}
+                  </div>
+                  <div className="flex gap-2">
+                    <Button className={tab === 'edit' ? 'bg-black text-white' : ''} onClick={() => setTab('edit')}>Edit</Button>
+                    <Button className={tab === 'changes' ? 'bg-black text-white' : ''} onClick={() => setTab('changes')}>Changes</Button>
+                  </div>
+                </div>
+                {tab === 'edit'
+                  ? <textarea value={text} onChange={e => setText(e.target.value)} readOnly={!can('admin')} spellCheck={false}
+                      className="w-full h-[28rem] p-3 rounded-xl border font-mono text-xs leading-5 focus:outline-none focus:ring-2 focus:ring-neutral-200" />
+                  : <DiffView before={file.content} after={text} />}
+                <div className="flex items-center gap-2 flex-wrap mt-3">
+                  <Can role="operator"><Button disabled={busy} onClick={check}>Check</Button></Can>
+                  <Can role="admin" fallback={<span className="text-xs text-neutral-500">read-only — admins can edit</span>}>
+                    <Input placeholder="Note (optional)" value={note} onChange={e => setNote(e.target.value)} className="w-56" />
+                    <Button disabled={busy || !dirty} onClick={() => save(false)}>Save</Button>
+                    <Button disabled={busy || !dirty} onClick={() => save(true)} className="bg-black text-white hover:bg-neutral-800">Save &amp; reload</Button>
+                    <Button disabled={busy || !dirty} onClick={() => setText(file.content)}>Discard</Button>
+                  </Can>
+                  {busy && <span className="text-xs text-neutral-500">checking…</span>}
+                </div>
+              </Card>
+              <VersionsCard file={file} nonce={nonce} onRolledBack={(r) => run('rollback', async () => r, true)} />
+            </>}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PolicyView
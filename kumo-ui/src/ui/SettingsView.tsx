@@ -0,0 +1,342 @@
+import React, { useEffect, useState } from 'react'
+import {
+  changePassword, getUsers, createUser, updateUser, deleteUser, getTokens, createToken, deleteToken,
+  getSettings, saveSettings, testSettings,
+  type User, type ApiToken, type Role, type ProxySettings, type SettingKey, type SettingsProbe,
+} from '../lib/api'
+import { Button, Badge, Input, Card, Select, Field } from './primitives'
+import { useAuth, Can } from './auth'
+
+/* --------------------------------- helpers -------------------------------- */
+
+const ROLES: Role[] = ['viewer', 'operator', 'admin']
+const ROLE_HINT: Record<Role, string> = {
+  viewer: 'read-only',
+  operator: 'queue actions, alert rules, policy checks',
+  admin: 'everything, incl. policy edits, reload and users',
+}
+const when = (t: number|null|undefined) => (t ? new Date(t).toLocaleString() : '—')
+
+// 172800000 → "48h"; the server accepts ms or s/m/h/d
+const msToDuration = (ms: number) => {
+  for (const [u, f] of [['d', 86_400_000], ['h', 3_600_000], ['m', 60_000], ['s', 1000]] as const) {
+    if (ms % f === 0) return `${ms / f}${u}`
+  }
+  return String(ms)
+}
+const showValue = (k: SettingKey, v: string|number|null) =>
+  v == null ? '' : k === 'DEFERRAL_RETAIN_MS' ? msToDuration(Number(v)) : String(v)
+
+const Notice: React.FC<{error?: string, ok?: string}> = ({error, ok}) => (
+  <>
+    {error && <div className="text-sm text-red-600">{error}</div>}
+    {ok && <div className="text-sm text-green-700">{ok}</div>}
+  </>
+)
+
+/* ------------------------------ Proxy config ------------------------------ */
+
+const SETTING_KEYS: SettingKey[] = ['KUMO_HTTP', 'KUMO_SOURCE', 'KUMO_TAILER', 'KUMO_LOGDIR', 'STATE_PATH', 'DEFERRAL_RETAIN_MS', 'EVENTS_MAX']
+const SOURCE_LABEL = { file: 'saved here', env: 'from environment', default: 'default' }
+
+const ProbeRow: React.FC<{label: string, r: {ok: boolean, detail: string}}> = ({label, r}) => (
+  <div className="flex items-center gap-2 text-sm">
+    <span className="w-28 text-neutral-500">{label}</span>
+    {r.ok ? <Badge>ok</Badge> : <Badge variant="destructive">failed</Badge>}
+    <span className="truncate">{r.detail}</span>
+  </div>
+)
+
+const ConfigCard: React.FC = () => {
+  const [cfg, setCfg] = useState<ProxySettings|null>(null)
+  const [draft, setDraft] = useState<Record<string, string>>({})
+  const [probe, setProbe] = useState<SettingsProbe|null>(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [ok, setOk] = useState('')
+
+  const show = (c: ProxySettings) => {
+    setCfg(c)
+    setDraft(Object.fromEntries(SETTING_KEYS.map(k => [k, showValue(k, c.settings[k].value)])))
+  }
+  useEffect(() => { getSettings().then(show).catch(e => setError(String(e?.message || e))) }, [])
+
+  const changed = cfg ? SETTING_KEYS.filter(k => draft[k] !== showValue(k, cfg.settings[k].value)) : []
+
+  const run = async (fn: () => Promise<void>) => {
+    setBusy(true); setError(''); setOk('')
+    try { await fn() } catch (e: any) { setError(String(e?.message || e)) }
+    finally { setBusy(false) }
+  }
+
+  const save = (patch: Partial<Record<SettingKey, string|null>>) => run(async () => {
+    const c = await saveSettings(patch)
+    show(c)
+    setOk(c.changed?.length
+      ? c.changed.map(k => `${c.settings[k].label}: ${c.applied?.[k] ?? 'applied'}`).join(' · ')
+      : 'Nothing changed')
+  })
+
+  const test = () => run(async () => {
+    setProbe(await testSettings(Object.fromEntries(SETTING_KEYS.map(k => [k, draft[k]]).filter(([, v]) => v))))
+  })
+
+  if (!cfg) return <Card title="Proxy"><Notice error={error} /></Card>
+  const { poll, source, restarts24h, node, nodes } = cfg.status
+
+  return (
+    <Card title="Proxy" subtitle={`Applied live, no restart · overrides are kept in ${cfg.file}`}>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {SETTING_KEYS.map(k => {
+          const s = cfg.settings[k]
+          return (
+            <Field key={k} label={s.label}
+              hint={`${k} · ${SOURCE_LABEL[s.source]}${s.source !== 'default' ? ` · default ${showValue(k, s.default)}` : ''}`}>
+              <div className="flex gap-2">
+                <Input value={draft[k] ?? ''} onChange={e => setDraft({ ...draft, [k]: e.target.value })} />
+                {s.source === 'file' && (
+                  <Button disabled={busy} title={`Back to ${s.env != null ? 'the environment' : 'the default'} value`}
+                    onClick={() => save({ [k]: null })}>Reset</Button>
+                )}
+              </div>
+            </Field>
+          )
+        })}
+      </div>
+      <div className="flex flex-wrap items-center gap-2 mt-4">
+        <Button disabled={busy} onClick={test}>Test Connection</Button>
+        <Button disabled={busy || !changed.length} onClick={() => save(Object.fromEntries(changed.map(k => [k, draft[k]])))}
+          className="bg-black text-white hover:bg-neutral-800">Save</Button>
+        <span className="text-xs text-neutral-500 ml-auto">
+          {nodes > 1 && `${node} (1 of ${nodes} nodes; endpoints are set in the node list) · `}
+          poller {poll.ok ? 'ok' : 'failing'}{poll.t ? ` · ${new Date(poll.t).toLocaleTimeString()}` : ''}
+          {' · '}{source ? `${source.type} ${source.running ? `running${source.pid ? ` (pid ${source.pid})` : ''}` : 'not running'} · ${source.records} record(s)` : 'no log source'}
+          {restarts24h ? ` · ${restarts24h} restart(s) in 24h` : ''}
+        </span>
+      </div>
+      <div className="mt-3 space-y-1">
+        <Notice error={error} ok={ok} />
+        {probe && <>
+          <ProbeRow label="Metrics" r={probe.metrics} />
+          <ProbeRow label="Log source" r={probe.source} />
+          <ProbeRow label="Tailer" r={probe.tailer} />
+          <ProbeRow label="Log directory" r={probe.logDir} />
+        </>}
+      </div>
+    </Card>
+  )
+}
+
+/* -------------------------------- Account --------------------------------- */
+
+const AccountCard: React.FC = () => {
+  const { me, signOut } = useAuth()
+  const [current, setCurrent] = useState('')
+  const [next, setNext] = useState('')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const save = async () => {
+    setBusy(true)
+    setError('')
+    try {
+      await changePassword(current, next)
+      signOut()   // the server ends every session for this user
+    } catch (e: any) {
+      setError(String(e?.message || e))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Card title="Account" subtitle={me ? `${me.username} · ${me.role}` : undefined}>
+      {me?.via !== 'session'
+        ? <div className="text-sm text-neutral-500">Signed in with an API token; passwords are changed from a browser session.</div>
+        : (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+            <Field label="Current password"><Input type="password" autoComplete="current-password" value={current} onChange={e => setCurrent(e.target.value)} /></Field>
+            <Field label="New password" hint="at least 10 characters"><Input type="password" autoComplete="new-password" value={next} onChange={e => setNext(e.target.value)} /></Field>
+            <div><Button onClick={save} disabled={busy || !current || next.length < 10}>Change password</Button></div>
+            <div className="md:col-span-3"><Notice error={error} /></div>
+          </div>
+        )}
+    </Card>
+  )
+}
+
+/* ------------------------------- API tokens ------------------------------- */
+
+const TokensCard: React.FC = () => {
+  const { me } = useAuth()
+  const [tokens, setTokens] = useState<ApiToken[]>([])
+  const [name, setName] = useState('')
+  const [role, setRole] = useState<Role>('viewer')
+  const [days, setDays] = useState('')
+  const [created, setCreated] = useState('')
+  const [error, setError] = useState('')
+
+  const load = () => getTokens().then(setTokens).catch(e => setError(String(e?.message || e)))
+  useEffect(() => { load() }, [])
+
+  const allowed = ROLES.slice(0, ROLES.indexOf(me?.role ?? 'viewer') + 1)
+
+  const add = async () => {
+    setError('')
+    try {
+      const t = await createToken({ name: name.trim(), role, expiresInDays: days ? Number(days) : undefined })
+      setCreated(t.token)
+      setName('')
+      load()
+    } catch (e: any) { setError(String(e?.message || e)) }
+  }
+  const revoke = async (t: ApiToken) => {
+    if (!confirm(`Revoke token "${t.name}"? Anything using it stops working.`)) return
+    try { await deleteToken(t.id); load() } catch (e: any) { setError(String(e?.message || e)) }
+  }
+
+  return (
+    <Card title="API Tokens" subtitle="For automation: send as Authorization: Bearer <token>">
+      {me?.via === 'session' && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end mb-4">
+          <Field label="Name"><Input value={name} onChange={e => setName(e.target.value)} placeholder="prometheus" /></Field>
+          <Field label="Role">
+            <Select value={role} onChange={e => setRole(e.target.value as Role)}>
+              {allowed.map(r => <option key={r} value={r}>{r}</option>)}
+            </Select>
+          </Field>
+          <Field label="Expires in (days)" hint="empty = never"><Input type="number" min={1} value={days} onChange={e => setDays(e.target.value)} /></Field>
+          <div><Button onClick={add} disabled={!name.trim()}>Create token</Button></div>
+        </div>
+      )}
+      {created && (
+        <div className="p-3 rounded-xl border bg-neutral-50 text-sm mb-3">
+          <div className="text-xs text-neutral-500 mb-1">Copy this token now — it is not shown again.</div>
+          <code className="break-all">{created}</code>
+          <div className="mt-2"><Button onClick={() => setCreated('')}>Done</Button></div>
+        </div>
+      )}
+      <Notice error={error} />
+      <div className="overflow-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="border-b bg-neutral-50">
+              {['Name','Owner','Role','Prefix','Created','Expires','Last used',''].map(h => <th key={h} className="text-left p-3">{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {tokens.map(t => (
+              <tr key={t.id} className="border-b">
+                <td className="p-3 font-medium">{t.name}</td>
+                <td className="p-3">{t.owner ?? '—'}</td>
+                <td className="p-3"><Badge variant="secondary">{t.role}</Badge></td>
+                <td className="p-3 font-mono text-xs">{t.prefix}…</td>
+                <td className="p-3">{when(t.createdAt)}</td>
+                <td className="p-3">{when(t.expiresAt)}</td>
+                <td className="p-3">{when(t.lastUsed)}</td>
+                <td className="p-3"><Button onClick={() => revoke(t)} className="text-red-700">Revoke</Button></td>
+              </tr>
+            ))}
+            {!tokens.length && <tr><td colSpan={8} className="p-3 text-neutral-500">No tokens.</td></tr>}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  )
+}
+
+/* ---------------------------------- Users --------------------------------- */
+
+const UsersCard: React.FC = () => {
+  const { me } = useAuth()
+  const [users, setUsers] = useState<User[]>([])
+  const [draft, setDraft] = useState({ username: '', password: '', role: 'viewer' as Role })
+  const [error, setError] = useState('')
+  const [ok, setOk] = useState('')
+
+  const load = () => getUsers().then(setUsers).catch(e => setError(String(e?.message || e)))
+  useEffect(() => { load() }, [])
+
+  const run = async (fn: () => Promise<unknown>, msg: string) => {
+    setError(''); setOk('')
+    try { await fn(); setOk(msg); load() } catch (e: any) { setError(String(e?.message || e)) }
+  }
+
+  const resetPassword = (u: User) => {
+    const pw = prompt(`New password for ${u.username} (at least 10 characters):`)
+    if (pw) run(() => updateUser(u.id, { password: pw }), `Password reset for ${u.username}`)
+  }
+
+  return (
+    <Card title="Users" subtitle="viewer: read-only · operator: queue actions, alert rules, policy view · admin: policy edits and reload, channels, users">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end mb-4">
+        <Field label="Username"><Input value={draft.username} onChange={e => setDraft({ ...draft, username: e.target.value })} /></Field>
+        <Field label="Password" hint="at least 10 characters">
+          <Input type="password" autoComplete="new-password" value={draft.password} onChange={e => setDraft({ ...draft, password: e.target.value })} />
+        </Field>
+        <Field label="Role" hint={ROLE_HINT[draft.role]}>
+          <Select value={draft.role} onChange={e => setDraft({ ...draft, role: e.target.value as Role })}>
+            {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+          </Select>
+        </Field>
+        <div>
+          <Button disabled={!draft.username.trim() || draft.password.length < 10}
+            onClick={() => run(async () => { await createUser({ ...draft, username: draft.username.trim() }); setDraft({ username: '', password: '', role: 'viewer' }) }, 'User added')}>
+            Add user
+          </Button>
+        </div>
+      </div>
+      <Notice error={error} ok={ok} />
+      <div className="overflow-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="border-b bg-neutral-50">
+              {['Username','Role','Status','Last login',''].map(h => <th key={h} className="text-left p-3">{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(u => (
+              <tr key={u.id} className="border-b">
+                <td className="p-3 font-medium">{u.username}{u.id === me?.id && <span className="text-xs text-neutral-500"> (you)</span>}</td>
+                <td className="p-3">
+                  <Select value={u.role} className="w-32" onChange={e => run(() => updateUser(u.id, { role: e.target.value as Role }), `${u.username} is now ${e.target.value}`)}>
+                    {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                  </Select>
+                </td>
+                <td className="p-3">{u.disabled ? <Badge variant="destructive">disabled</Badge> : <Badge variant="secondary">active</Badge>}</td>
+                <td className="p-3">{when(u.lastLogin)}</td>
+                <td className="p-3">
+                  <div className="flex gap-2">
+                    <Button onClick={() => resetPassword(u)}>Reset password</Button>
+                    <Button disabled={u.id === me?.id}
+                      onClick={() => run(() => updateUser(u.id, { disabled: !u.disabled }), `${u.username} ${u.disabled ? 'enabled' : 'disabled'}`)}>
+                      {u.disabled ? 'Enable' : 'Disable'}
+                    </Button>
+                    <Button disabled={u.id === me?.id} className="text-red-700"
+                      onClick={() => confirm(`Delete ${u.username} and their API tokens?`) && run(() => deleteUser(u.id), `${u.username} deleted`)}>
+                      Delete
+                    </Button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  )
+}
+
+/* ---------------------------------- View ---------------------------------- */
+
+const SettingsView: React.FC = () => (
+  <div className="p-4 md:p-6 space-y-4">
+    <h2 className="text-xl font-semibold">Settings</h2>
+    <Can role="admin"><ConfigCard /></Can>
+    <AccountCard />
+    <TokensCard />
+    <Can role="admin"><UsersCard /></Can>
+  </div>
+)
+
+export default SettingsView
@@ -0,0 +1,381 @@
+import React, { useEffect, useState } from 'react'
+import {
+  getShaping, getShapingEffective, validateShapingEntry, saveShapingEntry, deleteShapingEntry,
+  type ShapingEntry, type ShapingFile, type ShapingSetting, type ShapingEffective, type ShapingIssue,
+  type ShapingResult, type ShapingTraffic, type ShapingFrom, type PolicyResult,
+} from '../lib/api'
+import { Button, Badge, Input, Card, Select, Field, Modal, fmt, causeLabel } from './primitives'
+import { Can } from './auth'
+import { ChecksList } from './PolicyView'
+
+/* --------------------------------- helpers -------------------------------- */
+
+const when = (t: number) => new Date(t).toLocaleString()
+const show = (v: any) => (v == null ? '—' : typeof v === 'object' ? JSON.stringify(v) : String(v))
+const count = (v: any) => (Array.isArray(v) ? v.length : v && typeof v === 'object' ? Object.keys(v).length : 0)
+
+// The columns of the rules table
+const HEADLINE = ['connection_limit', 'max_message_rate', 'max_connection_rate', 'max_deliveries_per_connection'] as const
+const KINDS = ['', 'default', 'provider', 'domain', 'site']
+const PLACEHOLDER: Record<string, string> = { int: '10', rate: '100/s', duration: '60s' }
+
+const kindBadge = (k: string) => <Badge variant={k === 'domain' ? 'default' : 'secondary'}>{k}</Badge>
+const fromLabel = (f: ShapingFrom) => `${f.kind === 'provider' ? `provider ${f.name}` : f.name} · ${f.file}`
+
+const Deferrals: React.FC<{t: ShapingTraffic|null}> = ({t}) => {
+  if (!t || t.deferrals1h == null) return <span className="text-neutral-400">—</span>
+  return (
+    <span title={`${fmt(t.deferrals)} retained`} className={t.deferrals1h ? 'text-amber-700' : ''}>
+      {fmt(t.deferrals1h)}{t.cause && <span className="text-xs text-neutral-500"> · {causeLabel(t.cause)}</span>}
+    </span>
+  )
+}
+
+/* --------------------------------- Editor --------------------------------- */
+
+type Target = { path: string; name: string; provider: boolean; value: Record<string, any>; isNew: boolean }
+
+const Issues: React.FC<{errors?: ShapingIssue[], warnings?: ShapingIssue[]}> = ({errors = [], warnings = []}) => (
+  <div className="space-y-1 text-xs">
+    {errors.map((e, i) => <div key={`e${i}`} className="text-red-600"><span className="font-mono">{e.path || 'entry'}</span>: {e.detail}</div>)}
+    {warnings.map((w, i) => <div key={`w${i}`} className="text-amber-700"><span className="font-mono">{w.path}</span>: {w.detail}</div>)}
+  </div>
+)
+
+/** Labelled settings as form fields; everything else (sources, automation, match, other keys) as JSON. */
+const EntryEditor: React.FC<{
+  target: Target, files: ShapingFile[], schema: Record<string, ShapingSetting>, onClose: () => void, onSaved: () => void,
+}> = ({target, files, schema, onClose, onSaved}) => {
+  const fields = Object.entries(schema).filter(([, s]) => s.label)
+  const split = (v: Record<string, any>) => {
+    const form: Record<string, string> = {}, rest: Record<string, any> = {}
+    for (const [k, x] of Object.entries(v)) {
+      if (schema[k]?.label && (typeof x === 'string' || typeof x === 'number')) form[k] = String(x)
+      else rest[k] = x
+    }
+    return { form, rest: Object.keys(rest).length ? JSON.stringify(rest, null, 2) : '' }
+  }
+  const init = split(target.value)
+  const editable = files.filter(f => f.editable && !f.error)
+  const [path, setPath] = useState(target.path || editable[editable.length - 1]?.path || '')
+  const [name, setName] = useState(target.name)
+  const [provider, setProvider] = useState(target.provider)
+  const [form, setForm] = useState(init.form)
+  const [rest, setRest] = useState(init.rest || (target.provider ? '{\n  "match": [{ "MXSuffix": ".example.net" }]\n}' : ''))
+  const [reload, setReload] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [issues, setIssues] = useState<{errors?: ShapingIssue[], warnings?: ShapingIssue[]}>({})
+  const [result, setResult] = useState<ShapingResult|null>(null)
+
+  const sha = files.find(f => f.path === path)?.sha
+
+  const build = () => {
+    const extra = rest.trim() ? JSON.parse(rest) : {}
+    if (!extra || typeof extra !== 'object' || Array.isArray(extra)) throw new Error('the JSON must be an object')
+    const entry: Record<string, any> = { ...extra }
+    for (const [k, v] of Object.entries(form)) if (v.trim()) entry[k] = v.trim()
+    return entry
+  }
+
+  const run = async (fn: (entry: Record<string, any>) => Promise<void>) => {
+    setBusy(true); setError(''); setResult(null)
+    try { await fn(build()) } catch (e: any) { setError(String(e?.message || e)) } finally { setBusy(false) }
+  }
+  const validate = () => run(async (entry) => setIssues(await validateShapingEntry(name.trim(), entry, provider)))
+  const save = () => run(async (entry) => {
+    const r = await saveShapingEntry({ path, name: name.trim(), provider, entry, sha, reload })
+    setIssues(r.error === 'invalid_entry' ? r : {})
+    setResult(r)
+    if (r.ok) onSaved()
+  })
+  const remove = () => {
+    if (!confirm(`Remove ${target.provider ? `provider ${target.name}` : target.name} from ${target.path}?`)) return
+    run(async () => {
+      const r = await deleteShapingEntry({ path: target.path, name: target.name, provider: target.provider, sha, reload })
+      setResult(r)
+      if (r.ok) { onSaved(); onClose() }
+    })
+  }
+
+  return (
+    <Modal width="w-[min(56rem,94vw)]" onClose={onClose}
+      title={target.isNew ? 'New shaping entry' : <>Edit {target.provider ? 'provider ' : ''}<span className="font-mono">{target.name}</span> <span className="text-neutral-500 font-normal">· {target.path}</span></>}
+      footer={<>
+        {!target.isNew && <Button onClick={remove} disabled={busy} className="mr-auto">Remove entry</Button>}
+        <label className="flex items-center gap-2 text-sm mr-2">
+          <input type="checkbox" checked={reload} onChange={e => setReload(e.target.checked)} /> Reload KumoMTA after saving
+        </label>
+        <Button onClick={validate} disabled={busy}>Validate</Button>
+        <Button className="bg-black text-white hover:bg-neutral-800" onClick={save} disabled={busy || !name.trim() || !path}>Save</Button>
+      </>}>
+      {target.isNew && (
+        <div className="grid md:grid-cols-3 gap-3 items-end">
+          <Field label="File">
+            <Select value={path} onChange={e => setPath(e.target.value)}>
+              {editable.map(f => <option key={f.path} value={f.path}>{f.path}</option>)}
+            </Select>
+          </Field>
+          <Field label={provider ? 'Provider name' : 'Domain'}><Input value={name} placeholder={provider ? 'yahoo' : 'example.com'} onChange={e => setName(e.target.value)} /></Field>
+          <label className="flex items-center gap-2 text-sm pb-2">
+            <input type="checkbox" checked={provider} onChange={e => setProvider(e.target.checked)} /> Provider (matched by MX or domain suffix)
+          </label>
+        </div>
+      )}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {fields.map(([k, s]) => (
+          <Field key={k} label={s.label!}>
+            {s.type === 'enum'
+              ? <Select value={form[k] ?? ''} onChange={e => setForm({ ...form, [k]: e.target.value })}>
+                  <option value="">inherit</option>
+                  {s.values!.map(v => <option key={v} value={v}>{v}</option>)}
+                </Select>
+              : <Input value={form[k] ?? ''} placeholder={`inherit (${PLACEHOLDER[s.type] ?? ''})`} onChange={e => setForm({ ...form, [k]: e.target.value })} />}
+          </Field>
+        ))}
+      </div>
+      <Field label="Sources, automation and other settings (JSON)"
+        hint='e.g. { "sources": { "ip-1": { "max_message_rate": "20/min" } }, "automation": [{ "regex": "4\\.7\\.28", "action": { "SetConfig": { "name": "max_message_rate", "value": "5/min" } }, "duration": "1h" }] }'>
+        <textarea value={rest} onChange={e => setRest(e.target.value)} rows={10} spellCheck={false}
+          className="w-full px-3 py-2 rounded-xl border font-mono text-xs" />
+      </Field>
+      <div className="text-xs text-neutral-500">
+        Saved through the Policy checks and kept as a version of the file. Comments inside this entry's own tables are not kept; the rest of the file is left as it is.
+      </div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      <Issues {...issues} />
+      {issues.errors && !issues.errors.length && !result && <div className="text-sm text-green-700">Valid.</div>}
+      {result && result.error !== 'invalid_entry' && (
+        <div className="space-y-2">
+          <div className="text-sm font-medium">{result.ok ? (result.reload ? `Saved · ${result.reload.ok ? 'reloaded' : 'reload failed'}` : 'Saved') : result.error === 'conflict' ? 'Not saved' : 'Checks failed — the file was left unchanged'}</div>
+          <ChecksList result={result as PolicyResult} />
+        </div>
+      )}
+    </Modal>
+  )
+}
+
+/* ---------------------------- Effective settings --------------------------- */
+
+const EffectiveCard: React.FC<{
+  domain: string, setDomain: (d: string) => void, entries: ShapingEntry[], onEdit: (t: Target) => void,
+}> = ({domain, setDomain, entries, onEdit}) => {
+  const [draft, setDraft] = useState(domain)
+  const [mx, setMx] = useState(true)
+  const [eff, setEff] = useState<ShapingEffective|null>(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => { setDraft(domain) }, [domain])
+  useEffect(() => {
+    if (!domain) return
+    getShapingEffective(domain, mx).then(e => { setEff(e); setError('') }).catch(e => { setEff(null); setError(String(e?.message || e)) })
+  }, [domain, mx, entries])
+
+  // The editable file that defines this layer last (where an edit takes effect)
+  const editTarget = (name: string, kind: string): Target|null => {
+    const own = entries.filter(x => x.name === name && (x.kind === 'provider') === (kind === 'provider') && x.editable)
+    const e = own[own.length - 1]
+    return e ? { path: e.file, name, provider: kind === 'provider', value: e.value, isNew: false } : null
+  }
+  const own = eff?.layers.some(l => l.kind === 'domain')
+
+  return (
+    <Card title="Effective settings" subtitle="default, then matching providers, then the domain's own entry — merged across files in load order">
+      <form className="flex flex-wrap gap-3 items-end" onSubmit={e => { e.preventDefault(); setDomain(draft.trim().toLowerCase()) }}>
+        <div className="w-72"><Field label="Domain"><Input value={draft} placeholder="gmail.com" onChange={e => setDraft(e.target.value)} /></Field></div>
+        <label className="flex items-center gap-2 text-sm pb-2" title="Provider MXSuffix rules need the domain's MX hosts">
+          <input type="checkbox" checked={mx} onChange={e => setMx(e.target.checked)} /> Look up MX
+        </label>
+        <Button type="submit">Show</Button>
+      </form>
+      {error && <div className="text-sm text-red-600 mt-3">{error}</div>}
+      {eff && (
+        <div className="mt-4 space-y-4">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            {eff.layers.map((l, i) => {
+              const t = editTarget(l.name, l.kind)
+              return (
+                <React.Fragment key={`${l.kind}:${l.name}`}>
+                  {i > 0 && <span className="text-neutral-400">→</span>}
+                  <span className="inline-flex items-center gap-1 px-2 py-1 rounded-xl border">
+                    {kindBadge(l.kind)} <span className="font-mono text-xs">{l.name}</span>
+                    {t && <Can role="admin"><button className="text-xs underline ml-1" onClick={() => onEdit(t)}>edit</button></Can>}
+                  </span>
+                </React.Fragment>
+              )
+            })}
+            {!own && (
+              <Can role="admin">
+                <Button onClick={() => onEdit({ path: '', name: eff.domain, provider: false, value: {}, isNew: true })}>Add an entry for {eff.domain}</Button>
+              </Can>
+            )}
+          </div>
+          <div className="text-xs text-neutral-500">
+            MX: {eff.mx.length ? eff.mx.join(', ') : eff.mxError ? `lookup failed (${eff.mxError})` : 'not looked up'}
+          </div>
+
+          {eff.traffic && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+              <div><div className="text-xs text-neutral-500">Deferrals (1h)</div><Deferrals t={eff.traffic} /></div>
+              <div><div className="text-xs text-neutral-500">Deferrals (retained)</div>{fmt(eff.traffic.deferrals)}</div>
+              <div><div className="text-xs text-neutral-500">Main cause (1h)</div>{causeLabel(eff.traffic.cause ?? undefined)}</div>
+              <div><div className="text-xs text-neutral-500">Scheduled</div>{fmt(eff.traffic.queued)}</div>
+            </div>
+          )}
+          {!!eff.lastErrors.length && (
+            <div className="space-y-1">
+              <div className="text-xs text-neutral-500">Last deferrals</div>
+              {eff.lastErrors.map((e, i) => (
+                <div key={i} className="text-xs font-mono truncate" title={e.text}>
+                  <span className="text-neutral-500">{when(e.ts)}</span> {[e.code, e.enhanced, e.text].filter(Boolean).join(' ')}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <table className="min-w-full text-sm">
+            <thead><tr className="border-b bg-neutral-50">{['Setting', 'Value', 'From'].map(h => <th key={h} className="text-left p-2">{h}</th>)}</tr></thead>
+            <tbody>
+              {Object.entries(eff.settings).map(([k, s]) => (
+                <tr key={k} className={'border-b ' + (s.from.kind === 'domain' ? 'font-medium' : '')}>
+                  <td className="p-2 font-mono text-xs">{k}</td>
+                  <td className="p-2 font-mono text-xs">{show(s.value)}</td>
+                  <td className="p-2 text-xs text-neutral-500">{fromLabel(s.from)}</td>
+                </tr>
+              ))}
+              {Object.entries(eff.sources).flatMap(([src, cfg]) => Object.entries(cfg).map(([k, s]) => (
+                <tr key={`${src}:${k}`} className="border-b">
+                  <td className="p-2 font-mono text-xs">sources.{src}.{k}</td>
+                  <td className="p-2 font-mono text-xs">{show(s.value)}</td>
+                  <td className="p-2 text-xs text-neutral-500">{fromLabel(s.from)}</td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+
+          {!!eff.automation.length && (
+            <div className="space-y-2">
+              <div className="text-xs text-neutral-500">Automation rules (checked in this order)</div>
+              {eff.automation.map(({ from, ...rule }, i) => (
+                <div key={i} className="rounded-xl border p-2 text-xs">
+                  <div className="font-mono break-all">{show(rule.regex)}</div>
+                  <div className="mt-1">→ <span className="font-mono">{show(rule.action)}</span> for {show(rule.duration)}{rule.trigger && <> · trigger {show(rule.trigger)}</>}</div>
+                  <div className="text-neutral-500 mt-1">{fromLabel(from)}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  )
+}
+
+/* ---------------------------------- View ---------------------------------- */
+
+const ShapingView: React.FC = () => {
+  const [data, setData] = useState<Awaited<ReturnType<typeof getShaping>>>()
+  const [error, setError] = useState('')
+  const [filter, setFilter] = useState({ q: '', kind: '' })
+  const [domain, setDomain] = useState('')
+  const [editing, setEditing] = useState<Target|null>(null)
+
+  const load = () => getShaping().then(d => { setData(d); setError('') }).catch(e => setError(String(e?.message || e)))
+  useEffect(() => { load() }, [])
+
+  const q = filter.q.trim().toLowerCase()
+  const rows = (data?.entries ?? []).filter(e => (!filter.kind || e.kind === filter.kind) && (!q || e.name.toLowerCase().includes(q) || e.file.toLowerCase().includes(q)))
+  const edit = (e: ShapingEntry) => setEditing({ path: e.file, name: e.name, provider: e.kind === 'provider', value: e.value, isNew: false })
+
+  return (
+    <div className="p-4 md:p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Traffic Shaping</h2>
+        <div className="flex gap-2">
+          <Can role="admin"><Button onClick={() => setEditing({ path: '', name: '', provider: false, value: {}, isNew: true })}>New entry</Button></Can>
+          <Button onClick={load}>Refresh</Button>
+        </div>
+      </div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <Card title="Files" subtitle="In load order; later files merge into earlier ones (replace_base starts an entry over)">
+        <div className="space-y-1 text-sm">
+          {data?.files.map(f => (
+            <div key={f.path} className="flex flex-wrap items-center gap-2">
+              <span className="font-mono text-xs">{f.path}</span>
+              <Badge variant="secondary">{f.kind}</Badge>
+              {f.editable ? <Badge variant="secondary">editable</Badge> : <Badge variant="secondary">read-only</Badge>}
+              <span className="text-xs text-neutral-500">{fmt(f.entries)} entries</span>
+              {f.error && <span className="text-xs text-red-600">{f.error}</span>}
+            </div>
+          ))}
+          {data && !data.files.length && <div className="text-neutral-500">No shaping files found — set SHAPING_FILES on the proxy.</div>}
+        </div>
+      </Card>
+
+      <EffectiveCard domain={domain} setDomain={setDomain} entries={data?.entries ?? []} onEdit={setEditing} />
+
+      {!!data?.uncovered.length && (
+        <Card title="Deferring without their own entry" subtitle="Domains with deferrals in the last hour that only the default (or a provider) governs">
+          <div className="flex flex-wrap gap-2">
+            {data.uncovered.map(u => (
+              <button key={u.domain} className="px-2 py-1 rounded-xl border text-sm hover:bg-neutral-100" onClick={() => setDomain(u.domain)}>
+                <span className="font-mono text-xs">{u.domain}</span> <Deferrals t={u} />
+              </button>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      <Card title="Rules">
+        <div className="flex flex-wrap gap-3 items-end mb-3">
+          <div className="w-64"><Field label="Search"><Input value={filter.q} placeholder="domain, provider or file" onChange={e => setFilter({ ...filter, q: e.target.value })} /></Field></div>
+          <div className="w-40">
+            <Field label="Kind">
+              <Select value={filter.kind} onChange={e => setFilter({ ...filter, kind: e.target.value })}>
+                {KINDS.map(k => <option key={k} value={k}>{k || 'Any'}</option>)}
+              </Select>
+            </Field>
+          </div>
+        </div>
+        <div className="overflow-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b bg-neutral-50">
+                {['Entry', 'Kind', 'Connections', 'Msg rate', 'Conn rate', 'Per conn', 'Sources', 'Automation', 'Deferrals 1h', 'Scheduled', 'File', ''].map(h =>
+                  <th key={h} className="text-left p-3 whitespace-nowrap">{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(e => (
+                <tr key={`${e.file}:${e.kind}:${e.name}`} className="border-b hover:bg-neutral-50">
+                  <td className="p-3 font-mono text-xs">
+                    {e.kind === 'domain'
+                      ? <button className="underline" title="Show effective settings" onClick={() => setDomain(e.name)}>{e.name}</button>
+                      : e.name}
+                  </td>
+                  <td className="p-3">{kindBadge(e.kind)}</td>
+                  {HEADLINE.map(k => <td key={k} className="p-3 font-mono text-xs">{show(e.value[k])}</td>)}
+                  <td className="p-3">{count(e.value.sources) || '—'}</td>
+                  <td className="p-3">{count(e.value.automation) || '—'}</td>
+                  <td className="p-3"><Deferrals t={e.traffic} /></td>
+                  <td className="p-3">{e.traffic ? fmt(e.traffic.queued) : '—'}</td>
+                  <td className="p-3 text-xs text-neutral-500">{e.file}</td>
+                  <td className="p-3">{e.editable && <Can role="admin"><Button onClick={() => edit(e)}>Edit</Button></Can>}</td>
+                </tr>
+              ))}
+              {data && !rows.length && <tr><td colSpan={12} className="p-3 text-neutral-500">No entries.</td></tr>}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      {editing && data && (
+        <EntryEditor key={`${editing.path}:${editing.name}`} target={editing} files={data.files} schema={data.settings}
+          onClose={() => setEditing(null)} onSaved={load} />
+      )}
+    </div>
+  )
+}
+
+export default ShapingView
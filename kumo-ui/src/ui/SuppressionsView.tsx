@@ -0,0 +1,222 @@
+import React, { useEffect, useState } from 'react'
+import {
+  getSuppressions, addSuppression, updateSuppression, deleteSuppression, saveSuppressionConfig,
+  importSuppressions, suppressionsExportUrl,
+  type Suppression, type SuppressionConfig, type SuppressionImport, type Page,
+} from '../lib/api'
+import { Button, Badge, Input, Card, Select, Field, Modal, Pager, fmt } from './primitives'
+import { Can } from './auth'
+
+/* --------------------------------- helpers -------------------------------- */
+
+const when = (t: number|null|undefined) => (t ? new Date(t).toLocaleString() : '—')
+const SOURCES = ['', 'bounce', 'manual', 'import']
+const SORTS: [string, string][] = [['createdAt', 'Added'], ['address', 'Address'], ['enhanced', 'Code'], ['source', 'Source']]
+
+/* ------------------------------ Config editor ----------------------------- */
+
+const ConfigCard: React.FC<{config: SuppressionConfig, exportFile: string|null, onSaved: (c: SuppressionConfig) => void}> = ({config, exportFile, onSaved}) => {
+  const [auto, setAuto] = useState(config.auto)
+  const [codes, setCodes] = useState(config.codes.join(', '))
+  const [msg, setMsg] = useState('')
+  useEffect(() => { setAuto(config.auto); setCodes(config.codes.join(', ')) }, [config])
+
+  const save = () =>
+    saveSuppressionConfig({ auto, codes: codes.split(/[\s,]+/).filter(Boolean) })
+      .then(c => { onSaved(c); setMsg('Saved') })
+      .catch(e => setMsg(String(e?.message || e)))
+
+  return (
+    <Card title="Automatic suppression" subtitle="Hard bounces with one of these enhanced codes add their recipient">
+      <div className="grid md:grid-cols-3 gap-3 items-end">
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={auto} onChange={e => setAuto(e.target.checked)} /> Suppress on hard bounce
+        </label>
+        <Field label="Enhanced codes" hint='A class like "5.1" covers every 5.1.x'>
+          <Input value={codes} onChange={e => setCodes(e.target.value)} placeholder="5.1.1, 5.1.10, 5.2.1" />
+        </Field>
+        <Can role="operator">
+          <div className="flex items-center gap-2">
+            <Button onClick={save}>Save</Button>
+            {msg && <span className="text-xs text-neutral-500">{msg}</span>}
+          </div>
+        </Can>
+      </div>
+      <div className="text-xs text-neutral-500 mt-3">
+        Policy file: {exportFile
+          ? <span className="font-mono">{exportFile}</span>
+          : <>not written — set <span className="font-mono">SUPPRESSIONS_EXPORT_PATH</span> on the proxy, or download the Kumo JSON export</>}
+      </div>
+    </Card>
+  )
+}
+
+/* --------------------------------- Import --------------------------------- */
+
+const ImportModal: React.FC<{onClose: () => void, onDone: () => void}> = ({onClose, onDone}) => {
+  const [csv, setCsv] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [result, setResult] = useState<SuppressionImport|null>(null)
+  const [error, setError] = useState('')
+
+  const pick = (f?: File) => f && f.text().then(setCsv)
+  const run = () => {
+    setBusy(true); setError('')
+    importSuppressions(csv)
+      .then(r => { setResult(r); onDone() })
+      .catch(e => setError(String(e?.message || e)))
+      .finally(() => setBusy(false))
+  }
+
+  return (
+    <Modal title="Import CSV" onClose={onClose}
+      footer={<>
+        <Button onClick={onClose} disabled={busy}>Close</Button>
+        <Button className="bg-black text-white hover:bg-neutral-800" onClick={run} disabled={busy || !csv.trim()}>Import</Button>
+      </>}>
+      <div className="text-xs text-neutral-500">
+        One address per row, optionally followed by a reason. With a header row, the columns of the CSV export
+        (address, reason, source, created_at, …) are read by name. Existing addresses are replaced.
+      </div>
+      <input type="file" accept=".csv,text/csv,text/plain" onChange={e => pick(e.target.files?.[0])} className="text-sm" />
+      <textarea value={csv} onChange={e => setCsv(e.target.value)} rows={10} placeholder={'address,reason\nuser@example.com,complaint'}
+        className="w-full px-3 py-2 rounded-xl border font-mono text-xs" />
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      {result && (
+        <div className="text-sm space-y-1">
+          <div>{fmt(result.added)} added · {fmt(result.updated)} replaced · {fmt(result.failed)} skipped · {fmt(result.total)} on the list</div>
+          {result.errors.map(e => <div key={e.row} className="text-xs text-red-600">Row {e.row}: {e.detail}</div>)}
+        </div>
+      )}
+    </Modal>
+  )
+}
+
+/* ---------------------------------- View ---------------------------------- */
+
+const SuppressionsView: React.FC = () => {
+  const [draft, setDraft] = useState({ q: '', source: '' })
+  const [query, setQuery] = useState({ q: '', source: '', sort: 'createdAt', order: 'desc', offset: 0 })
+  const [page, setPage] = useState<Page<Suppression> & { config: SuppressionConfig, exportFile: string|null }>()
+  const [error, setError] = useState('')
+  const [adding, setAdding] = useState({ address: '', reason: '' })
+  const [editing, setEditing] = useState<Suppression|null>(null)
+  const [importing, setImporting] = useState(false)
+
+  const load = () =>
+    getSuppressions({ ...query, limit: 100 }).then(p => { setPage(p); setError('') }).catch(e => setError(String(e?.message || e)))
+
+  useEffect(() => { load() }, [query])
+
+  const apply = (e?: React.FormEvent) => {
+    e?.preventDefault()
+    setQuery({ ...query, q: draft.q.trim(), source: draft.source, offset: 0 })
+  }
+  const run = (p: Promise<unknown>) => p.then(load).catch(e => setError(String(e?.message || e)))
+
+  const add = (e: React.FormEvent) => {
+    e.preventDefault()
+    run(addSuppression({ address: adding.address.trim(), reason: adding.reason }).then(() => setAdding({ address: '', reason: '' })))
+  }
+  const remove = (s: Suppression) => {
+    if (!confirm(`Remove ${s.address} from the suppression list? It can be mailed again.`)) return
+    run(deleteSuppression(s.address))
+  }
+
+  return (
+    <div className="p-4 md:p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Suppressions</h2>
+        <div className="flex gap-2">
+          <a href={suppressionsExportUrl('csv')} download className="px-3 py-2 rounded-xl border text-sm hover:bg-neutral-100">Export CSV</a>
+          <a href={suppressionsExportUrl('kumo')} download className="px-3 py-2 rounded-xl border text-sm hover:bg-neutral-100"
+            title="{ address: reason } JSON for the KumoMTA policy">Export for Kumo</a>
+          <Can role="operator"><Button onClick={() => setImporting(true)}>Import CSV</Button></Can>
+          <Button onClick={load}>Refresh</Button>
+        </div>
+      </div>
+
+      {page && <ConfigCard config={page.config} exportFile={page.exportFile} onSaved={load} />}
+
+      <Can role="operator">
+        <Card>
+          <form className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end" onSubmit={add}>
+            <div className="md:col-span-2"><Field label="Address"><Input value={adding.address} placeholder="user@example.com" onChange={e => setAdding({ ...adding, address: e.target.value })} /></Field></div>
+            <div className="md:col-span-2"><Field label="Reason"><Input value={adding.reason} placeholder="complaint, request, …" onChange={e => setAdding({ ...adding, reason: e.target.value })} /></Field></div>
+            <div><Button type="submit" disabled={!adding.address.trim()}>Suppress</Button></div>
+          </form>
+        </Card>
+      </Can>
+
+      <Card>
+        <form className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end" onSubmit={apply}>
+          <div className="col-span-2"><Field label="Search"><Input value={draft.q} placeholder="address, reason or code" onChange={e => setDraft({ ...draft, q: e.target.value })} /></Field></div>
+          <Field label="Source">
+            <Select value={draft.source} onChange={e => setDraft({ ...draft, source: e.target.value })}>
+              {SOURCES.map(s => <option key={s} value={s}>{s || 'Any'}</option>)}
+            </Select>
+          </Field>
+          <Field label="Sort">
+            <Select value={query.sort} onChange={e => setQuery({ ...query, sort: e.target.value, order: e.target.value === 'createdAt' ? 'desc' : 'asc', offset: 0 })}>
+              {SORTS.map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </Select>
+          </Field>
+          <div><Button type="submit">Apply</Button></div>
+        </form>
+      </Card>
+
+      <Card title="Entries" subtitle={page ? `${fmt(page.total)} suppressed recipient(s)` : undefined}>
+        {error && <div className="text-sm text-red-600 mb-2">{error}</div>}
+        <div className="overflow-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b bg-neutral-50">
+                {['Address','Reason','Source','Added','By',''].map(h => <th key={h} className="text-left p-3">{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {page?.rows.map(s => (
+                <tr key={s.address} className="border-b hover:bg-neutral-50">
+                  <td className="p-3 font-mono text-xs">{s.address}</td>
+                  <td className="p-3 max-w-md truncate" title={s.reason}>{s.reason || '—'}</td>
+                  <td className="p-3"><Badge variant={s.source === 'bounce' ? 'destructive' : 'secondary'}>{s.source}</Badge></td>
+                  <td className="p-3 whitespace-nowrap">{when(s.createdAt)}</td>
+                  <td className="p-3 text-xs text-neutral-500" title={s.messageId ? `message ${s.messageId}` : undefined}>
+                    {s.createdBy ?? (s.node ? `log · ${s.node}` : '—')}
+                  </td>
+                  <td className="p-3 whitespace-nowrap text-right">
+                    <Can role="operator">
+                      <Button onClick={() => setEditing(s)}>Edit</Button>{' '}
+                      <Button onClick={() => remove(s)}>Remove</Button>
+                    </Can>
+                  </td>
+                </tr>
+              ))}
+              {page && !page.rows.length && <tr><td colSpan={6} className="p-3 text-neutral-500">No suppressed recipients.</td></tr>}
+            </tbody>
+          </table>
+        </div>
+        <Pager page={page} onOffset={(offset) => setQuery({ ...query, offset })} />
+      </Card>
+
+      {editing && (
+        <Modal title={<>Edit <span className="font-mono font-normal">{editing.address}</span></>} onClose={() => setEditing(null)}
+          footer={<>
+            <Button onClick={() => setEditing(null)}>Cancel</Button>
+            <Button className="bg-black text-white hover:bg-neutral-800"
+              onClick={() => run(updateSuppression(editing.address, { reason: editing.reason }).then(() => setEditing(null)))}>Save</Button>
+          </>}>
+          <Field label="Reason"><Input value={editing.reason} onChange={e => setEditing({ ...editing, reason: e.target.value })} /></Field>
+          <div className="text-xs text-neutral-500">
+            {editing.enhanced && <>Bounced {editing.code} {editing.enhanced}{editing.messageId && <> · message <span className="font-mono">{editing.messageId}</span></>} · </>}
+            Added {when(editing.createdAt)}{editing.updatedAt && <> · edited {when(editing.updatedAt)}</>}
+          </div>
+        </Modal>
+      )}
+
+      {importing && <ImportModal onClose={() => setImporting(false)} onDone={load} />}
+    </div>
+  )
+}
+
+export default SuppressionsView
@@ -0,0 +1,266 @@
+import React, { useEffect, useState } from 'react'
+import {
+  getProbeTemplates, getProbes, getProbe, sendProbe,
+  type ProbeTemplate, type ProbeMessage, type ProbeRecipient, type NodeInfo,
+} from '../lib/api'
+import { Button, Badge, Input, Card, Select, Field, fmt, causeLabel } from './primitives'
+
+/* --------------------------------- helpers -------------------------------- */
+
+const when = (t: number|null|undefined) => (t ? new Date(t).toLocaleString() : '—')
+
+// Statuses a recipient doesn't leave; a probe stops polling once every recipient has one
+const FINAL = new Set(['delivered', 'bounced', 'expired', 'rejected', 'unmatched'])
+const STATUS_BADGE: Record<string, 'default'|'secondary'|'destructive'> = {
+  submitted: 'secondary', queued: 'secondary', deferred: 'secondary', unmatched: 'secondary',
+  delivered: 'default', bounced: 'destructive', expired: 'destructive', rejected: 'destructive',
+}
+const STATUS_HINT: Record<string, string> = {
+  submitted: 'Accepted by the inject API; waiting for its Reception record',
+  unmatched: 'No Reception record matched within the match window — is a log source configured for this node?',
+  rejected: 'Refused by the inject API',
+}
+const STEPS = ['submitted', 'queued', 'deferred', 'delivered'] as const
+
+const done = (p: ProbeMessage) => p.recipients.every(r => FINAL.has(r.status))
+
+// "Name: value" per line
+const parseHeaders = (s: string) => Object.fromEntries(s.split('\n').map(l => l.trim()).filter(Boolean).map(l => {
+  const i = l.indexOf(':')
+  return i > 0 ? [l.slice(0, i).trim(), l.slice(i + 1).trim()] : [l, '']
+}))
+
+/* ------------------------------ Recipient row ----------------------------- */
+
+/** Status steps for one recipient; bounced / expired / rejected end the line in red. */
+const Progress: React.FC<{status: string}> = ({status}) => {
+  const failed = ['bounced', 'expired', 'rejected'].includes(status)
+  const at = failed ? STEPS.length - 1 : Math.max(0, STEPS.indexOf(status as typeof STEPS[number]))
+  return (
+    <div className="flex items-center gap-1">
+      {STEPS.map((s, i) => (
+        <div key={s} title={failed && i === STEPS.length - 1 ? status : s}
+          className={'h-1.5 w-10 rounded-full ' + (i > at ? 'bg-neutral-200'
+            : failed && i === at ? 'bg-red-500'
+            : s === 'deferred' && status === 'deferred' ? 'bg-amber-400' : 'bg-neutral-800')} />
+      ))}
+    </div>
+  )
+}
+
+const RecipientRow: React.FC<{r: ProbeRecipient}> = ({r}) => {
+  const [open, setOpen] = useState(false)
+  return (
+    <>
+      <tr className="border-b cursor-pointer hover:bg-neutral-50" onClick={() => setOpen(!open)}>
+        <td className="p-3">{r.email}</td>
+        <td className="p-3" title={STATUS_HINT[r.status]}><Badge variant={STATUS_BADGE[r.status] ?? 'secondary'}>{r.status}</Badge></td>
+        <td className="p-3"><Progress status={r.status} /></td>
+        <td className="p-3 font-mono text-xs" title={r.matchedBy ? `matched by ${r.matchedBy}` : undefined}>{r.messageId ?? '—'}</td>
+        <td className="p-3 text-right">{fmt(r.attempts)}</td>
+        <td className="p-3 max-w-md truncate font-mono text-xs" title={r.lastResponse?.text}>
+          {r.lastResponse ? [r.lastResponse.code, r.lastResponse.enhanced, r.lastResponse.text].filter(v => v != null && v !== '').join(' ') : '—'}
+        </td>
+      </tr>
+      {open && (
+        <tr className="border-b bg-neutral-50">
+          <td colSpan={6} className="p-3">
+            {!r.events.length && <div className="text-xs text-neutral-500">{STATUS_HINT[r.status] ?? 'No log records yet.'}</div>}
+            <ol className="space-y-1 text-sm">
+              {r.events.map((e, i) => (
+                <li key={i} className="flex flex-wrap gap-2">
+                  <span className="text-xs text-neutral-500 w-44">{when(e.t)}</span>
+                  <span className="font-medium">{e.type}</span>
+                  {e.category && <Badge variant="secondary">{causeLabel(e.category)}</Badge>}
+                  <span className="text-xs text-neutral-500">
+                    {[e.site && `site ${e.site}`, e.source && `source ${e.source}`, e.peer && `peer ${e.peer}`].filter(Boolean).join(' · ')}
+                  </span>
+                  {(e.code != null || e.text) && <span className="font-mono text-xs">{[e.code, e.enhanced, e.text].filter(v => v != null && v !== '').join(' ')}</span>}
+                </li>
+              ))}
+            </ol>
+          </td>
+        </tr>
+      )}
+    </>
+  )
+}
+
+/* ---------------------------------- View ---------------------------------- */
+
+/**
+ * Send a test message through a node's HTTP injection API and follow each
+ * recipient from submission through queued / deferred to delivered or bounced.
+ */
+const TestSendView: React.FC<{node: string, nodes: NodeInfo[]}> = ({node, nodes}) => {
+  const [templates, setTemplates] = useState<Record<string, ProbeTemplate>>({})
+  const [form, setForm] = useState({
+    template: 'plain', from: '', fromName: '', recipients: '', subject: '', tenant: '', campaign: '', headers: '',
+    node: '',
+  })
+  const [list, setList] = useState<ProbeMessage[]>([])
+  const [current, setCurrent] = useState<ProbeMessage|null>(null)
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const set = (k: keyof typeof form) => (e: React.ChangeEvent<HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement>) =>
+    setForm({ ...form, [k]: e.target.value })
+  const target = node || form.node || (nodes.length === 1 ? nodes[0].name : '')
+
+  const loadList = () => getProbes().then(setList).catch(() => { /* keep last data */ })
+
+  useEffect(() => {
+    getProbeTemplates().then(setTemplates).catch(() => {})
+    loadList()
+    const id = setInterval(loadList, 10_000)
+    return () => clearInterval(id)
+  }, [])
+
+  // Follow the selected probe until every recipient is settled
+  useEffect(() => {
+    if (!current || done(current)) return
+    const id = setInterval(() => getProbe(current.id).then(setCurrent).catch(() => {}), 3_000)
+    return () => clearInterval(id)
+  }, [current?.id, current && done(current)])
+
+  const send = async () => {
+    setBusy(true)
+    setError('')
+    try {
+      const p = await sendProbe({
+        node: target || undefined, template: form.template, from: form.from, fromName: form.fromName || undefined,
+        recipients: form.recipients, subject: form.subject || undefined, tenant: form.tenant || undefined,
+        campaign: form.campaign || undefined, headers: parseHeaders(form.headers),
+      })
+      setCurrent(p)
+    } catch (e: any) {
+      setError(String(e?.message || e))
+    } finally {
+      setBusy(false)
+      loadList()
+    }
+  }
+
+  const tpl = templates[form.template]
+
+  return (
+    <div className="p-4 md:p-6 space-y-4">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <h2 className="text-xl font-semibold">Test Send{node && <span className="text-neutral-500 font-normal"> — {node}</span>}</h2>
+        <Button onClick={loadList}>Refresh</Button>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-4">
+        <Card title="New test message" subtitle="Submitted through the node's /api/inject/v1">
+          <div className="space-y-3">
+            {!node && nodes.length > 1 && (
+              <Field label="Node">
+                <Select value={form.node} onChange={set('node')}>
+                  <option value="">Choose a node…</option>
+                  {nodes.map(x => <option key={x.name} value={x.name}>{x.name}</option>)}
+                </Select>
+              </Field>
+            )}
+            <Field label="Template">
+              <Select value={form.template} onChange={set('template')}>
+                {Object.entries(templates).map(([k, t]) => <option key={k} value={k}>{t.label}</option>)}
+              </Select>
+            </Field>
+            <div className="grid grid-cols-2 gap-3">
+              <Field label="From"><Input value={form.from} onChange={set('from')} placeholder="postmaster@example.com" /></Field>
+              <Field label="From name"><Input value={form.fromName} onChange={set('fromName')} placeholder="optional" /></Field>
+            </div>
+            <Field label="Recipients" hint="Up to 20, separated by commas or new lines">
+              <textarea value={form.recipients} onChange={set('recipients')} rows={3}
+                className="px-3 py-2 rounded-xl border text-sm w-full" placeholder="seed@gmail.com, seed@yahoo.com" />
+            </Field>
+            <Field label="Subject" hint="{{probe_id}}, {{node}} and {{date}} are filled in">
+              <Input value={form.subject} onChange={set('subject')} placeholder={tpl?.subject} />
+            </Field>
+            <div className="grid grid-cols-2 gap-3">
+              <Field label="Tenant" hint="sent as X-Tenant"><Input value={form.tenant} onChange={set('tenant')} /></Field>
+              <Field label="Campaign" hint="sent as X-Campaign"><Input value={form.campaign} onChange={set('campaign')} /></Field>
+            </div>
+            <Field label="Extra headers" hint="One “Name: value” per line">
+              <textarea value={form.headers} onChange={set('headers')} rows={2} spellCheck={false}
+                className="px-3 py-2 rounded-xl border text-sm w-full font-mono" placeholder="X-Seed-Test: onboarding" />
+            </Field>
+            {error && <div className="text-sm text-red-600">{error}</div>}
+            <div className="flex justify-end">
+              <Button onClick={send} disabled={busy || !target || !form.from.trim() || !form.recipients.trim()}
+                className="bg-black text-white hover:bg-neutral-800">{busy ? 'Sending…' : 'Send'}</Button>
+            </div>
+          </div>
+        </Card>
+
+        <div className="xl:col-span-2 space-y-4">
+          <Card title={current ? current.subject : 'Delivery'} subtitle={current
+            ? `${current.sender} · ${current.node} · sent ${when(current.t)}${done(current) ? '' : ' · following…'}`
+            : 'Send a message or pick one below to follow it'}>
+            {current && (
+              <div className="overflow-auto">
+                {!current.inject.ok && (
+                  <div className="text-sm text-red-600 mb-2">
+                    Inject API answered HTTP {current.inject.status}: {typeof current.inject.data === 'string' ? current.inject.data : JSON.stringify(current.inject.data)}
+                  </div>
+                )}
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-neutral-500 border-b">
+                      <th className="text-left p-3">Recipient</th>
+                      <th className="text-left p-3">Status</th>
+                      <th className="text-left p-3">Progress</th>
+                      <th className="text-left p-3">Message id</th>
+                      <th className="text-right p-3">Attempts</th>
+                      <th className="text-left p-3">Last response</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {current.recipients.map(r => <RecipientRow key={r.email} r={r} />)}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </Card>
+
+          <Card title="Recent test sends" subtitle="Kept in memory; the last 50">
+            <div className="overflow-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-neutral-500 border-b">
+                    <th className="text-left p-3">Sent</th>
+                    <th className="text-left p-3">From</th>
+                    <th className="text-left p-3">Recipients</th>
+                    <th className="text-left p-3">Node</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {list.map(p => (
+                    <tr key={p.id} onClick={() => setCurrent(p)}
+                      className={'border-b cursor-pointer ' + (p.id === current?.id ? 'bg-neutral-100' : 'hover:bg-neutral-50')}>
+                      <td className="p-3 whitespace-nowrap">{when(p.t)}</td>
+                      <td className="p-3">{p.sender}</td>
+                      <td className="p-3">
+                        <div className="flex flex-wrap gap-1">
+                          {p.recipients.map(r => (
+                            <span key={r.email} title={r.status}>
+                              <Badge variant={STATUS_BADGE[r.status] ?? 'secondary'}>{r.email}</Badge>
+                            </span>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="p-3">{p.node}</td>
+                    </tr>
+                  ))}
+                  {!list.length && <tr><td colSpan={4} className="p-3 text-neutral-500">No test messages sent yet.</td></tr>}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TestSendView
@@ -0,0 +1,20 @@
+import React, { createContext, useContext } from 'react'
+import type { Me, Role } from '../lib/api'
+
+/* ------------------------------ Auth context ------------------------------ */
+
+const ORDER: Role[] = ['viewer', 'operator', 'admin']
+
+export const AuthContext = createContext<{ me: Me|null, signOut: ()=>void }>({ me: null, signOut: () => {} })
+
+export const useAuth = () => useContext(AuthContext)
+
+/** True when the signed-in user has at least `role` (mirrors the server's per-route checks). */
+export const useCan = () => {
+  const { me } = useAuth()
+  return (role: Role) => !!me && ORDER.indexOf(me.role) >= ORDER.indexOf(role)
+}
+
+/** Render children only for users with at least `role`. */
+export const Can: React.FC<{role: Role, children: React.ReactNode, fallback?: React.ReactNode}> = ({role, children, fallback = null}) =>
+  <>{useCan()(role) ? children : fallback}</>
@@ -0,0 +1,85 @@
+import React from 'react'
+
+/* ----------------------------- UI Primitives ----------------------------- */
+
+export const n = (v: any) => (typeof v === 'number' && isFinite(v) ? v : 0)
+export const fmt = (v: any) => n(v).toLocaleString()
+
+/** Failure cause labels (server: lib/classify.js CATEGORIES). */
+export const CAUSES: Record<string, string> = {
+  mailbox_full: 'Mailbox full',
+  unknown_user: 'Unknown user',
+  policy_block: 'Policy / spam block',
+  rate_limited: 'Rate limited',
+  greylisted:   'Greylisted',
+  dns_failure:  'DNS failure',
+  tls_failure:  'TLS failure',
+  auth_failure: 'Auth failure',
+  connection:   'Connection failure',
+  other:        'Other',
+}
+export const causeLabel = (k?: string) => (k ? CAUSES[k] ?? k : '—')
+
+export const Button = (p: React.ButtonHTMLAttributes<HTMLButtonElement>) =>
+  <button {...p} className={'px-3 py-2 rounded-xl border text-sm hover:bg-neutral-100 disabled:opacity-50 ' + (p.className ?? '')} />
+
+export const Badge: React.FC<{variant?: 'default'|'secondary'|'destructive', children: React.ReactNode}> = ({variant='default', children}) => {
+  const cls = variant==='secondary' ? 'bg-neutral-100 text-neutral-800' :
+             variant==='destructive' ? 'bg-red-100 text-red-700' : 'bg-black text-white';
+  return <span className={'inline-flex items-center px-2 py-1 rounded-full text-xs ' + cls}>{children}</span>
+}
+
+export const Input = (p: React.InputHTMLAttributes<HTMLInputElement>) =>
+  <input {...p} className={'px-3 py-2 rounded-xl border text-sm w-full ' + (p.className ?? '')} />
+
+export const Card: React.FC<{children: React.ReactNode, className?: string, title?: string, subtitle?: string}> = ({children, className, title, subtitle}) => (
+  <div className={'rounded-2xl border bg-white ' + (className ?? '')}>
+    {(title || subtitle) && (
+      <div className="p-4 border-b">
+        {title && <div className="text-sm font-semibold">{title}</div>}
+        {subtitle && <div className="text-xs text-neutral-500">{subtitle}</div>}
+      </div>
+    )}
+    <div className="p-4">{children}</div>
+  </div>
+)
+
+export const Select = (p: React.SelectHTMLAttributes<HTMLSelectElement>) =>
+  <select {...p} className={'px-3 py-2 rounded-xl border text-sm w-full bg-white ' + (p.className ?? '')} />
+
+export const Field: React.FC<{label: string, children: React.ReactNode, hint?: string}> = ({label, children, hint}) => (
+  <div>
+    <div className="text-xs text-neutral-500 mb-1">{label}</div>
+    {children}
+    {hint && <div className="text-xs text-neutral-400 mt-1">{hint}</div>}
+  </div>
+)
+
+/** Lightweight modal matching the Last Errors dialog. */
+export const Modal: React.FC<{title: React.ReactNode, onClose: ()=>void, children: React.ReactNode, footer?: React.ReactNode, width?: string}> =
+  ({title, onClose, children, footer, width = 'w-[min(42rem,92vw)]'}) => (
+  <div className="fixed inset-0 z-50 flex items-center justify-center">
+    <div className="absolute inset-0 bg-black/20" onClick={onClose} />
+    <div className={'relative bg-white rounded-2xl border shadow-xl max-h-[85vh] overflow-auto ' + width}>
+      <div className="p-4 border-b flex items-center justify-between">
+        <div className="text-sm font-semibold">{title}</div>
+        <Button onClick={onClose}>Close</Button>
+      </div>
+      <div className="p-4 space-y-3">{children}</div>
+      {footer && <div className="p-4 border-t flex justify-end gap-2">{footer}</div>}
+    </div>
+  </div>
+)
+
+export const Pager: React.FC<{page?: {total:number, offset:number, limit:number}, onOffset: (o:number)=>void}> = ({page, onOffset}) => {
+  if (!page || page.total <= page.limit) return null
+  const from = page.total ? page.offset + 1 : 0
+  const to = Math.min(page.offset + page.limit, page.total)
+  return (
+    <div className="flex items-center justify-end gap-2 pt-3 text-xs text-neutral-500">
+      <span>{fmt(from)}–{fmt(to)} of {fmt(page.total)}</span>
+      <Button disabled={page.offset === 0} onClick={()=>onOffset(Math.max(0, page.offset - page.limit))}>Prev</Button>
+      <Button disabled={to >= page.total} onClick={()=>onOffset(page.offset + page.limit)}>Next</Button>
+    </div>
+  )
+}
@@ -10,9 +10,12 @@ set -euo pipefail
 # - Labels UI dir for SELinux and enables nginx->backend networking
 #
 # Usage:
-#   sudo bash scripts/install_kumo_ui.sh --domain mail.example.com --api-key "LONG_RANDOM_SECRET" [--copy-ui-to-root]
+#   sudo bash scripts/install_kumo_ui.sh --domain mail.example.com [--admin-password "…"] [--api-key "…" [--api-key-role viewer]] [--copy-ui-to-root]
 #
 # Flags:
+#   --admin-password     Password for the first `admin` user (otherwise one is generated into initial-admin-password next to STATE_PATH)
+#   --api-key            Legacy shared X-API-Key for automation (optional; prefer API tokens from Settings)
+#   --api-key-role       Role that key signs in as: viewer (default), operator or admin
 #   --copy-ui-to-root    Also copy the repo's kumo-ui folder to /root/kumo-ui (optional)
 #
 # Env overrides:
@@ -24,6 +27,8 @@ set -euo pipefail
 
 DOMAIN=""
 API_KEY=""
+API_KEY_ROLE="viewer"
+ADMIN_PASSWORD=""
 COPY_UI_TO_ROOT="no"
 PORT="${PORT:-5055}"
 KUMO_HTTP="${KUMO_HTTP:-http://127.0.0.1:8000}"
@@ -41,13 +46,15 @@ while [[ $# -gt 0 ]]; do
   case "$1" in
     --domain) DOMAIN="${2:-}"; shift 2 ;;
     --api-key) API_KEY="${2:-}"; shift 2 ;;
+    --api-key-role) API_KEY_ROLE="${2:-}"; shift 2 ;;
+    --admin-password) ADMIN_PASSWORD="${2:-}"; shift 2 ;;
     --copy-ui-to-root) COPY_UI_TO_ROOT="yes"; shift 1 ;;
     *) echo "Unknown arg: $1" >&2; exit 1 ;;
   esac
 done
 
-if [[ -z "${DOMAIN}" || -z "${API_KEY}" ]]; then
-  echo "Usage: $0 --domain <host> --api-key <secret> [--copy-ui-to-root]" >&2
+if [[ -z "${DOMAIN}" ]]; then
+  echo "Usage: $0 --domain <host> [--admin-password <pw>] [--api-key <secret> [--api-key-role <role>]] [--copy-ui-to-root]" >&2
   exit 1
 fi
 
@@ -78,9 +85,15 @@ cat > "${API_DIR}/.env" <<EOF
 NODE_ENV=production
 PORT=${PORT}
 API_KEY=${API_KEY}
+API_KEY_ROLE=${API_KEY_ROLE}
 KUMO_HTTP=${KUMO_HTTP}
 STATE_PATH=${STATE_PATH}
 EOF
+# Only used to create the first admin when no users exist yet
+if [[ -n "${ADMIN_PASSWORD}" ]]; then
+  echo "ADMIN_PASSWORD=${ADMIN_PASSWORD}" >> "${API_DIR}/.env"
+fi
+chmod 600 "${API_DIR}/.env"
 
 pushd "${API_DIR}" >/dev/null
 npm install --omit=dev >/dev/null
@@ -110,11 +123,15 @@ systemctl daemon-reload
 systemctl enable --now "${SERVICE_NAME}"
 systemctl status "${SERVICE_NAME}" --no-pager || true
 
-say "5/10 (Optional) Grant ACLs for kumo logs directory if you store file logs there"
+say "5/10 (Optional) Grant ACLs for kumo logs (file logs) and the policy directory (Policy page edits)"
 if [[ -d /var/log/kumomta ]]; then
   setfacl -Rm u:kumoapi:rx /var/log/kumomta || true
   setfacl -dm u:kumoapi:rx /var/log/kumomta || true
 fi
+if [[ -d /opt/kumomta/etc/policy ]]; then
+  setfacl -Rm u:kumoapi:rwX /opt/kumomta/etc/policy || true
+  setfacl -dm u:kumoapi:rwX /opt/kumomta/etc/policy || true
+fi
 
 say "6/10 Build frontend UI"
 pushd "${REPO_ROOT}/kumo-ui" >/dev/null
@@ -156,8 +173,10 @@ server {
   # API proxy
   location /ui/api/ {
     proxy_pass http://127.0.0.1:${PORT}/;
-    proxy_set_header X-API-Key ${API_KEY};
+    proxy_set_header X-Forwarded-Proto \$scheme;
+    proxy_set_header X-Forwarded-For \$proxy_add_x_forwarded_for;
     proxy_http_version 1.1;
+    proxy_buffering off;   # SSE log/summary streams
   }
 }
 EOF
@@ -211,4 +230,5 @@ fi
 
 say "Done."
 say "Open:   http://${DOMAIN}/ui/"
-say "API:    http://${DOMAIN}/ui/api/metrics/summary  (X-API-Key: ${API_KEY})"
+say "Login:  admin / ${ADMIN_PASSWORD:-see: cat $(dirname "${STATE_PATH}")/initial-admin-password}"
+say "API:    http://${DOMAIN}/ui/api/metrics/summary  (Authorization: Bearer <token from Settings → API Tokens>)"